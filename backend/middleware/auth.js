@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { ROLES } = require('../models/User');
+
+const DEV_SECRET = 'secret123';
+
+// Anyone who knows the secret can sign tokens for any user, so production needs one of its own
+if (process.env.NODE_ENV === 'production' && (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEV_SECRET)) {
+    throw new Error('JWT_SECRET must be set to a secret of your own in production');
+}
+const JWT_SECRET = process.env.JWT_SECRET || DEV_SECRET;
+
+// Access tokens are short-lived; the refresh token cookie gets new ones, see routes/auth.js
+const ACCESS_TOKEN_TTL = '15m';
+
+const signAccessToken = (userId, sessionId) => (
+    jwt.sign({ id: String(userId), sid: String(sessionId) }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+);
+
+// With two-factor sign-in a right password earns a challenge instead: proof, for a few minutes,
+// that only the code is missing. It carries no session, so it is never an access token.
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+const signTwoFactorChallenge = (userId) => (
+    jwt.sign({ id: String(userId), purpose: 'two-factor' }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL })
+);
+
+// The user id a challenge was issued for, or null when it is invalid or has expired
+const verifyTwoFactorChallenge = (token) => {
+    try {
+        const verified = jwt.verify(String(token || ''), JWT_SECRET);
+        return verified.purpose === 'two-factor' ? verified.id : null;
+    } catch {
+        return null;
+    }
+};
+
+// Middleware to verify Token. The session it was issued for must still be there, so signing
+// out, here or from another device, ends access straight away rather than when the token expires.
+const authMiddleware = async (req, res, next) => {
+    const token = (req.header('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!token) return res.status(401).json({ error: "Access Denied" });
+
+    let verified;
+    try {
+        verified = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return res.status(401).json({ error: err.name === 'TokenExpiredError' ? "Token expired" : "Invalid Token" });
+    }
+
+    try {
+        const live = verified.sid && await Session.exists({ _id: verified.sid, userId: verified.id, expiresAt: { $gt: new Date() } });
+        if (!live) return res.status(401).json({ error: "Session ended" });
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+    req.user = verified;
+    next();
+};
+
+// Only lets users with at least `role` through, in the order of ROLES; runs after authMiddleware.
+// The role is read from the account on every request, not the token, so taking it away works
+// straight away. Sets req.account to the caller's User document.
+const requireRole = (role) => async (req, res, next) => {
+    try {
+        const account = await User.findById(req.user.id);
+        if (!account || ROLES.indexOf(account.role) < ROLES.indexOf(role)) {
+            return res.status(403).json({ error: "You don't have access to this" });
+        }
+        req.account = account;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+module.exports = { authMiddleware, requireRole, signAccessToken, signTwoFactorChallenge, verifyTwoFactorChallenge };
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Ledger = require('../models/Ledger');
+
+// Higher ranks can do everything lower ones can
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Picks the ledger a request works in from the X-Ledger-Id header (or ?ledger). Without one, or
+// with "personal", it is the caller's own transactions. Sets:
+//   req.ledger       the Ledger document, null for the personal ledger
+//   req.ledgerRole   the caller's role in it, always 'owner' for the personal ledger
+//   req.ledgerScope  the Expense filter selecting its transactions. The ids are ObjectIds
+//                    because aggregation pipelines do not cast.
+// Runs after authMiddleware. Ledgers the caller is not a member of are reported as not found.
+const resolveLedger = async (req, res, next) => {
+    const ledgerId = req.header('X-Ledger-Id') || req.query.ledger;
+    if (!ledgerId || ledgerId === 'personal') {
+        req.ledger = null;
+        req.ledgerRole = 'owner';
+        req.ledgerScope = { userId: new mongoose.Types.ObjectId(req.user.id), ledgerId: null };
+        return next();
+    }
+
+    try {
+        const ledger = mongoose.isValidObjectId(ledgerId) ? await Ledger.findById(ledgerId) : null;
+        const role = ledger?.roleOf(req.user.id);
+        if (!role) return res.status(404).json({ error: "Ledger not found" });
+
+        req.ledger = ledger;
+        req.ledgerRole = role;
+        req.ledgerScope = { ledgerId: ledger._id };
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Only lets members with at least `role` through; runs after resolveLedger
+const requireLedgerRole = (role) => (req, res, next) => {
+    if (ROLE_RANK[req.ledgerRole] >= ROLE_RANK[role]) return next();
+    res.status(403).json({ error: req.ledgerRole === 'viewer' ? "Viewers can't change this ledger" : "Only the ledger owner can do that" });
+};
+
+module.exports = { resolveLedger, requireLedgerRole, ROLE_RANK };
@@ -0,0 +1,58 @@
+// Counts attempts per key (an IP address, an email) in fixed windows. The counts live in memory,
+// which suits the single process the server runs as; with several, each would count on its own.
+const createCounter = ({ windowMs, max }) => {
+    const windows = new Map();
+
+    const current = (key) => {
+        const entry = windows.get(key);
+        if (entry && entry.resetAt > Date.now()) return entry;
+        windows.delete(key);
+        return null;
+    };
+
+    // Drop finished windows now and then, so keys that never come back don't pile up
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= now) windows.delete(key);
+        }
+    }, windowMs);
+    sweep.unref();
+
+    return {
+        // Seconds until `key` may try again, or 0 while it is under the limit
+        blockedFor: (key) => {
+            const entry = current(key);
+            return entry && entry.count >= max ? Math.ceil((entry.resetAt - Date.now()) / 1000) : 0;
+        },
+        hit: (key) => {
+            const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+            entry.count += 1;
+            windows.set(key, entry);
+        },
+        reset: (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+// Answers 429 with a Retry-After header
+const tooMany = (res, seconds, error) => {
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({ error });
+};
+
+// Middleware letting each client (by IP unless `keyOf` says otherwise) make `max` requests per
+// window. Behind a proxy, set TRUST_PROXY so req.ip is the client's address and not the proxy's.
+const rateLimit = ({ windowMs, max, keyOf = (req) => req.ip, message = "Too many requests, please try again later" }) => {
+    const counter = createCounter({ windowMs, max });
+    return (req, res, next) => {
+        const key = keyOf(req);
+        const wait = counter.blockedFor(key);
+        if (wait) return tooMany(res, wait, message);
+        counter.hit(key);
+        next();
+    };
+};
+
+module.exports = { createCounter, rateLimit, tooMany };
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Expense = require('./Expense');
+const ExchangeRate = require('./ExchangeRate');
+const { CURRENCY_PATTERN } = require('./User');
+
+const ACCOUNT_TYPES = ['checking', 'savings', 'credit', 'cash', 'brokerage', 'other'];
+
+// Where money sits: a bank account, a credit card, a wallet of cash, a brokerage...
+// Its balance is the opening balance plus every transaction booked against it.
+const AccountSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    type: {
+        type: String,
+        enum: ACCOUNT_TYPES,
+        default: 'checking'
+    },
+    // Transactions booked against the account are expected to be in this currency
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true,
+        match: CURRENCY_PATTERN
+    },
+    // Balance before the first tracked transaction. Negative for money owed, e.g. on a credit card.
+    openingBalance: {
+        type: Number,
+        default: 0
+    }
+});
+
+AccountSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Signed effect of a transaction on the account it is booked against
+const SIGNED_AMOUNT = {
+    $switch: {
+        branches: [
+            { case: { $in: ['$type', ['income', 'withdrawal']] }, then: '$amount' },
+            { case: { $in: ['$type', ['expense', 'investment', 'transfer']] }, then: { $multiply: ['$amount', -1] } }
+        ],
+        default: 0
+    }
+};
+
+// Each of the user's accounts with its current balance, in the account's currency,
+// and that balance converted into `baseCurrency` (null when no exchange rate is known)
+AccountSchema.statics.withBalances = async function (userId, baseCurrency, date = new Date()) {
+    const accounts = await this.find({ userId }).sort({ name: 1 });
+    const [result] = await Expense.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+        {
+            $facet: {
+                booked: [
+                    { $match: { accountId: { $exists: true, $ne: null } } },
+                    { $group: { _id: '$accountId', total: { $sum: SIGNED_AMOUNT } } }
+                ],
+                // Transfers land in the destination account, converted if the sender gave toAmount
+                received: [
+                    { $match: { type: 'transfer', toAccountId: { $exists: true, $ne: null } } },
+                    { $group: { _id: '$toAccountId', total: { $sum: { $ifNull: ['$toAmount', '$amount'] } } } }
+                ]
+            }
+        }
+    ]);
+    const totals = new Map();
+    for (const row of [...result.booked, ...result.received]) {
+        const key = String(row._id);
+        totals.set(key, (totals.get(key) || 0) + row.total);
+    }
+
+    return Promise.all(accounts.map(async (account) => {
+        const balance = Math.round((account.openingBalance + (totals.get(String(account._id)) || 0)) * 100) / 100;
+        const rate = await ExchangeRate.rateFor(userId, account.currency, baseCurrency, date);
+        return {
+            ...account.toJSON(),
+            balance,
+            baseBalance: rate ? Math.round(balance * rate * 100) / 100 : null
+        };
+    }));
+};
+
+module.exports = mongoose.model('Account', AccountSchema);
+module.exports.ACCOUNT_TYPES = ACCOUNT_TYPES;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// What admins can do to other accounts, see routes/admin.js
+const AUDIT_ACTIONS = ['user.role', 'user.disable', 'user.enable', 'user.password-reset', 'user.delete'];
+
+// One admin action. The actor's and target's emails are copied in, so the entry still reads
+// after either account is deleted. Entries are never changed or removed through the API.
+const AuditLogSchema = new mongoose.Schema({
+    // Null when done from the command line, see scripts/make-admin.js
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    actorEmail: String,
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    targetEmail: String,
+    // What changed, e.g. { from: 'user', to: 'admin' } for a role
+    details: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    ip: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+// Records `action` by `actor` (a user, or null) on `target` (a user)
+AuditLogSchema.statics.record = function ({ actor, action, target, details, ip }) {
+    return this.create({
+        actorId: actor?._id ?? null,
+        actorEmail: actor?.email,
+        action,
+        targetId: target._id,
+        targetEmail: target.email,
+        details,
+        ip
+    });
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
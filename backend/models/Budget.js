@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Expense = require('./Expense');
+const Category = require('./Category');
+const User = require('./User');
+const { periodBounds } = require('../utils/dates');
+
+const BUDGET_PERIODS = ['week', 'month', 'year'];
+
+// How far back rollover looks, so a very old weekly budget stays cheap to evaluate
+const MAX_ROLLOVER_PERIODS = 120;
+
+const BudgetSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    category: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    period: {
+        type: String,
+        enum: BUDGET_PERIODS,
+        default: 'month'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Amount must be a positive number']
+    },
+    // Unused money from earlier periods is added to the current limit
+    rollover: {
+        type: Boolean,
+        default: false
+    },
+    // First period the budget (and its rollover) counts from
+    startDate: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One budget per category and period length
+BudgetSchema.index({ userId: 1, category: 1, period: 1 }, { unique: true });
+
+// Spent vs. limit for the period containing `date`, in the user's base currency.
+// Only the user's personal `expense` transactions count, including those filed under the category's sub-categories,
+// and of a split transaction only the lines in those categories.
+BudgetSchema.methods.statusAt = async function (date = new Date(), timeZone = 'UTC') {
+    // Weekly budgets follow the owner's choice of first day of the week
+    const weekStart = this.period === 'week'
+        ? (await User.findById(this.userId).select('weekStart').lean())?.weekStart ?? 1
+        : 1;
+    const boundsOf = (day) => periodBounds(day, this.period, timeZone, weekStart);
+    const current = boundsOf(date);
+
+    // Boundaries of every period from the budget's start up to the end of the current one
+    const boundaries = [current.start, current.end];
+    if (this.rollover) {
+        const first = boundsOf(this.startDate).start;
+        while (boundaries[0] > first && boundaries.length <= MAX_ROLLOVER_PERIODS) {
+            boundaries.unshift(boundsOf(new Date(boundaries[0].getTime() - 1)).start);
+        }
+    }
+
+    const categories = await Category.namesWithChildren(this.userId, this.category);
+    const buckets = await Expense.aggregate([
+        {
+            $match: {
+                userId: this.userId,
+                ledgerId: null,
+                type: 'expense',
+                $or: [{ category: { $in: categories } }, { 'splits.category': { $in: categories } }],
+                date: { $gte: boundaries[0], $lt: current.end }
+            }
+        },
+        ...Expense.SPLIT_LINES,
+        { $match: { category: { $in: categories } } },
+        { $bucket: { groupBy: '$date', boundaries, output: { total: { $sum: '$lineAmount' } } } }
+    ]);
+    const spentIn = (start) => buckets.find(b => b._id.getTime() === start.getTime())?.total || 0;
+
+    // Overspending is not carried forward, only what was left over
+    let carried = 0;
+    for (const start of boundaries.slice(0, -2)) {
+        carried = Math.max(0, carried + this.amount - spentIn(start));
+    }
+
+    const spent = spentIn(current.start);
+    const limit = this.amount + carried;
+    return {
+        periodStart: current.start,
+        periodEnd: current.end,
+        carried,
+        limit,
+        spent,
+        remaining: limit - spent,
+        overBudget: spent > limit
+    };
+};
+
+// Budgets an expense counts against (the categories of it or its split lines, or their parents)
+// which are over their limit once it is included; none for shared-ledger expenses, as budgets are personal
+BudgetSchema.statics.warningsFor = async function (expense, timeZone = 'UTC') {
+    if (expense.type !== 'expense' || !expense.category || expense.ledgerId) return [];
+
+    const names = [...new Set([expense.category, ...(expense.splits || []).map(split => split.category)])];
+    const categories = await Category.find({ userId: expense.userId, name: { $in: names } }).populate('parent', 'name');
+    for (const category of categories) {
+        if (category.parent && !names.includes(category.parent.name)) names.push(category.parent.name);
+    }
+
+    const budgets = await this.find({ userId: expense.userId, category: { $in: names } });
+    const warnings = [];
+    for (const budget of budgets) {
+        const status = await budget.statusAt(expense.date, timeZone);
+        if (status.overBudget) {
+            warnings.push({ budgetId: budget._id, category: budget.category, period: budget.period, ...status });
+        }
+    }
+    return warnings;
+};
+
+// Follows a category rename or merge. When the target already has a budget
+// for the same period, the target's budget wins and the source's is dropped.
+BudgetSchema.statics.retag = async function (userId, from, to) {
+    const taken = await this.find({ userId, category: to }).distinct('period');
+    await this.deleteMany({ userId, category: from, period: { $in: taken } });
+    await this.updateMany({ userId, category: from }, { $set: { category: to } });
+};
+
+module.exports = mongoose.model('Budget', BudgetSchema);
+module.exports.BUDGET_PERIODS = BUDGET_PERIODS;
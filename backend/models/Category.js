@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Expense = require('./Expense');
+
+// Transaction types a category can be used with; 'any' allows all of them
+const CATEGORY_TYPES = ['any', 'expense', 'income', 'investment', 'withdrawal'];
+
+// The categories every account started with before they became editable
+const DEFAULT_CATEGORIES = [
+    { name: 'Food', color: '#f97316', icon: 'Utensils', type: 'expense' },
+    { name: 'Transport', color: '#0ea5e9', icon: 'Car', type: 'expense' },
+    { name: 'Housing', color: '#8b5cf6', icon: 'Home', type: 'expense' },
+    { name: 'Utilities', color: '#eab308', icon: 'Zap', type: 'expense' },
+    { name: 'Entertainment', color: '#ec4899', icon: 'Film', type: 'expense' },
+    { name: 'Healthcare', color: '#ef4444', icon: 'HeartPulse', type: 'expense' },
+    { name: 'Salary', color: '#22c55e', icon: 'Briefcase', type: 'income' },
+    { name: 'Stocks', color: '#6366f1', icon: 'TrendingUp', type: 'any' },
+    { name: 'Crypto', color: '#f59e0b', icon: 'Bitcoin', type: 'any' },
+    { name: 'Savings', color: '#14b8a6', icon: 'PiggyBank', type: 'any' }
+];
+
+const CategorySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    color: {
+        type: String,
+        default: '#64748b',
+        match: /^#[0-9a-fA-F]{6}$/
+    },
+    icon: {
+        type: String,
+        default: 'Tag'
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    type: {
+        type: String,
+        enum: CATEGORY_TYPES,
+        default: 'any'
+    }
+});
+
+// Expenses reference categories by name, so names must be unique per user
+CategorySchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Gives a user without categories the defaults plus any free-form names
+// already used on their transactions, so older accounts keep working.
+CategorySchema.statics.ensureForUser = async function (userId) {
+    if (await this.exists({ userId })) return;
+
+    const used = await Expense.distinct('category', { userId });
+    const known = new Set(DEFAULT_CATEGORIES.map(c => c.name));
+    const extra = used
+        .filter(name => typeof name === 'string' && name.trim() && !known.has(name))
+        .map(name => ({ name: name.trim() }));
+
+    try {
+        await this.insertMany(
+            [...DEFAULT_CATEGORIES, ...extra].map(c => ({ ...c, userId })),
+            { ordered: false }
+        );
+    } catch (err) {
+        // A concurrent request may have seeded the same names first
+        if (err.code !== 11000) throw err;
+    }
+};
+
+// The category's own name plus the names of its sub-categories, for totals that roll up
+CategorySchema.statics.namesWithChildren = async function (userId, name) {
+    const category = await this.findOne({ userId, name });
+    if (!category) return [name];
+    const children = await this.find({ userId, parent: category._id }).select('name');
+    return [name, ...children.map(c => c.name)];
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
+module.exports.CATEGORY_TYPES = CATEGORY_TYPES;
+module.exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
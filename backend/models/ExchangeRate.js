@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY } = User;
+
+// "On `date`, 1 `currency` was worth `rate` `quote`". Each user keeps their own table,
+// filled by hand or from a CSV file, so no live rate service is needed.
+const ExchangeRateSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    currency: { type: String, required: true, uppercase: true, match: CURRENCY_PATTERN },
+    quote: { type: String, required: true, uppercase: true, match: CURRENCY_PATTERN },
+    date: { type: Date, required: true },
+    rate: {
+        type: Number,
+        required: true,
+        min: [0.00000001, 'Rate must be a positive number']
+    }
+});
+
+// One rate per currency pair and day
+ExchangeRateSchema.index({ userId: 1, currency: 1, quote: 1, date: -1 }, { unique: true });
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Rate converting `from` into `to` on `date`: the latest one on or before that day, or failing
+// that the earliest one after it. A rate stored the other way round is inverted. Null if none exists.
+ExchangeRateSchema.statics.rateFor = async function (userId, from, to, date) {
+    if (from === to) return 1;
+    const pairs = [
+        { filter: { currency: from, quote: to }, invert: false },
+        { filter: { currency: to, quote: from }, invert: true }
+    ];
+    for (const direction of [{ $lte: date }, { $gt: date }]) {
+        for (const { filter, invert } of pairs) {
+            const found = await this.findOne({ userId, ...filter, date: direction })
+                .sort({ date: direction.$lte ? -1 : 1 });
+            if (found) return invert ? 1 / found.rate : found.rate;
+        }
+    }
+    return null;
+};
+
+// The fields an expense stores about its conversion into the user's base currency.
+// baseAmount and rate are left unset when no rate is known yet.
+ExchangeRateSchema.statics.convert = async function (userId, amount, currency, date = new Date(), baseCurrency) {
+    let base = baseCurrency;
+    if (!base) {
+        const user = await User.findById(userId).select('baseCurrency');
+        base = user?.baseCurrency || DEFAULT_CURRENCY;
+    }
+    const code = currency || base;
+    const rate = await this.rateFor(userId, code, base, date);
+    return {
+        currency: code,
+        rate: rate ?? undefined,
+        baseAmount: rate ? roundAmount(amount * rate) : undefined
+    };
+};
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -1,27 +1,172 @@
 const mongoose = require('mongoose');
+const ExchangeRate = require('./ExchangeRate');
+const Ledger = require('./Ledger');
+
+// A transfer only moves money between the user's accounts; the other types are income or spending
+const EXPENSE_TYPES = ['expense', 'income', 'investment', 'withdrawal', 'transfer'];
+const MAX_TITLE_LENGTH = 200;
+
+const positive = { validator: (value) => value === null || value === undefined || value > 0, message: '{PATH} must be a positive number' };
+
+// One line of a split transaction, in the transaction's currency
+const SplitSchema = new mongoose.Schema({
+    category: { type: String, required: true },
+    amount: { type: Number, required: true, validate: positive },
+    note: String
+}, { _id: false });
+
+// A receipt or other file kept with a transaction. The bytes live in the storage adapter
+// (services/storage) under `key`; only what the list and the download need is stored here.
+const AttachmentSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedAt: { type: Date, default: Date.now }
+});
+
+// Someone an expense is shared with, and their part of it in the expense's currency.
+// Participants are named freely; one who uses the app can be linked through userId.
+const ParticipantSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    shares: Number, // Only for the 'shares' method
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+// Who paid an expense shared between people and how it is divided, see utils/expenses normalizeSharing
+const SharingSchema = new mongoose.Schema({
+    method: { type: String, enum: ['equal', 'shares', 'exact'], required: true },
+    paidBy: { type: String, required: true },
+    participants: [ParticipantSchema]
+}, { _id: false });
 
 const ExpenseSchema = new mongoose.Schema({
-    title: {
-        type: String,
-        required: true,
-        trim: true
-    },
-    amount: {
-        type: Number,
-        required: true
-    },
-    type: {
-        type: String,
-        default: 'expense'
-    },
-    category: {
-        type: String,
-        required: true
-    },
-    date: {
-        type: Date,
-        default: Date.now
-    }
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Linked to User
+    // The shared Ledger this belongs to; unset for the user's personal transactions.
+    // In a shared ledger `userId` is the member who entered it.
+    ledgerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' },
+    title: { type: String, required: true, trim: true, maxlength: MAX_TITLE_LENGTH },
+    amount: { type: Number, required: true, validate: positive }, // In `currency`, as entered
+    currency: String, // ISO 4217 code. Entries from before multi-currency have none and are in the base currency
+    // `amount` converted into the user's base currency with the rate of the transaction date.
+    // Unset while no rate for that currency is known, see ExchangeRate.convert.
+    baseAmount: Number,
+    rate: Number,
+    type: { type: String, required: true, enum: EXPENSE_TYPES },
+    // Name of one of the user's Category documents; for a split, the largest line's
+    category: { type: String, required: function () { return this.type !== 'transfer'; } },
+    // Lines that share out `amount` over several categories, adding up to it. Empty when not split.
+    splits: { type: [SplitSchema], default: undefined },
+    date: { type: Date, default: Date.now },
+    // The Account the money left or arrived in. Transfers also name where it went, and how much
+    // arrived there when the two accounts use different currencies.
+    accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' },
+    toAccountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' },
+    toAmount: { type: Number, validate: positive },
+    // Investments buy and withdrawals sell `quantity` units of an instrument, e.g. a ticker
+    // symbol. `amount` is the total paid or received, fees included; unitPrice is as quoted.
+    instrument: { type: String, uppercase: true, trim: true },
+    quantity: Number,
+    unitPrice: Number,
+    // Set on entries generated from a RecurringRule, one per scheduled occurrence
+    recurringRuleId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringRule' },
+    occurrenceDate: Date,
+    // The merchant or person on the other side, free-form notes, and the user's own labels (lower case, no duplicates)
+    payee: { type: String, trim: true },
+    notes: String,
+    tags: { type: [String], default: undefined },
+    // Bank-assigned id of an imported statement line (OFX FITID, or a content hash for QIF)
+    externalId: String,
+    // Set when the expense was paid for a group; the balances between people come from these
+    sharing: { type: SharingSchema, default: undefined },
+    attachments: { type: [AttachmentSchema], default: undefined }
+});
+
+// Every list query is scoped to one user or one shared ledger and ordered by date
+ExpenseSchema.index({ userId: 1, date: -1 });
+ExpenseSchema.index({ ledgerId: 1, date: -1 }, { partialFilterExpression: { ledgerId: { $exists: true } } });
+// Search box: whole words of the title, payee and notes, a title match ranking highest.
+// No key prefix, as a search can be scoped by user or by ledger. Databases created before shared
+// ledgers still have the old { userId, text } index: run scripts/migrate-text-index.js once.
+ExpenseSchema.index(
+    { title: 'text', payee: 'text', notes: 'text' },
+    { weights: { title: 5, payee: 3, notes: 1 }, name: 'expense_text_search' }
+);
+ExpenseSchema.index({ userId: 1, tags: 1 }, { partialFilterExpression: { tags: { $type: 'array' } } });
+// Category filters look inside split lines too
+ExpenseSchema.index({ userId: 1, 'splits.category': 1 }, { partialFilterExpression: { splits: { $type: 'array' } } });
+// Balances between people replay every shared expense
+ExpenseSchema.index({ userId: 1, ledgerId: 1 }, { partialFilterExpression: { 'sharing.paidBy': { $type: 'string' } } });
+// The portfolio replays every trade of one user
+ExpenseSchema.index({ userId: 1, instrument: 1 }, { partialFilterExpression: { instrument: { $type: 'string' } } });
+// Guarantees the scheduler never creates the same occurrence twice, even across restarts
+ExpenseSchema.index(
+    { recurringRuleId: 1, occurrenceDate: 1 },
+    { unique: true, partialFilterExpression: { recurringRuleId: { $exists: true } } }
+);
+// Re-importing a statement can never create the same bank transaction twice in one ledger.
+// Databases from before shared ledgers have it without ledgerId: run scripts/migrate-import-index.js once.
+ExpenseSchema.index(
+    { userId: 1, ledgerId: 1, externalId: 1 },
+    { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+
+// Keeps the base-currency amount in step whenever the amount, currency or date changes.
+// Shared ledgers convert into their own base currency, with the rates of whoever entered it.
+ExpenseSchema.pre('save', async function () {
+    if (!this.isNew && !this.isModified('amount') && !this.isModified('currency') && !this.isModified('date')) return;
+    const ledger = this.ledgerId ? await Ledger.findById(this.ledgerId).select('baseCurrency') : null;
+    this.set(await ExchangeRate.convert(this.userId, this.amount, this.currency, this.date, ledger?.baseCurrency));
 });
 
+// Moves every expense and split line of the user's personal ledger filed under category `from`
+// to `to`. Their rows in shared ledgers keep the name the other members see. Returns how many
+// expenses changed.
+ExpenseSchema.statics.retag = async function (userId, from, to) {
+    const { modifiedCount } = await this.updateMany({ userId, ledgerId: null, category: from }, { $set: { category: to } });
+    const { modifiedCount: splitCount } = await this.updateMany(
+        { userId, ledgerId: null, 'splits.category': from },
+        { $set: { 'splits.$[line].category': to } },
+        { arrayFilters: [{ 'line.category': from }] }
+    );
+    return modifiedCount + splitCount;
+};
+
+// Aggregation expression for an expense's value in the base currency. Legacy entries without
+// a currency count at face value; entries still waiting for a rate count as zero.
+const BASE_AMOUNT = {
+    $ifNull: ['$baseAmount', { $cond: [{ $eq: [{ $type: '$currency' }, 'string'] }, 0, '$amount'] }]
+};
+
+// Aggregation stages that turn every expense into one document per split line, carrying the
+// line's `category` and its share of the base-currency value as `lineAmount`.
+// Unsplit expenses give a single line for their whole amount.
+const SPLIT_LINES = [
+    {
+        $addFields: {
+            lines: {
+                $cond: [
+                    { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+                    {
+                        $map: {
+                            input: '$splits',
+                            as: 'split',
+                            in: { category: '$$split.category', share: { $divide: ['$$split.amount', '$amount'] } }
+                        }
+                    },
+                    [{ category: '$category', share: 1 }]
+                ]
+            }
+        }
+    },
+    { $unwind: '$lines' },
+    { $addFields: { category: '$lines.category', lineAmount: { $multiply: [BASE_AMOUNT, '$lines.share'] } } },
+    { $project: { lines: 0 } }
+];
+
 module.exports = mongoose.model('Expense', ExpenseSchema);
+module.exports.BASE_AMOUNT = BASE_AMOUNT;
+module.exports.SPLIT_LINES = SPLIT_LINES;
+module.exports.EXPENSE_TYPES = EXPENSE_TYPES;
+module.exports.MAX_TITLE_LENGTH = MAX_TITLE_LENGTH;
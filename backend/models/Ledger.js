@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { CURRENCY_PATTERN } = require('./User');
+
+// What a member may do: owners manage the ledger and its members, editors add and change
+// transactions, viewers only read them
+const LEDGER_ROLES = ['owner', 'editor', 'viewer'];
+
+const MemberSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: LEDGER_ROLES, required: true },
+    joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A shared book of transactions, e.g. a household. Every user also has a personal ledger, which
+// is not stored: it is simply their transactions without a ledgerId.
+const LedgerSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    // Its transactions are converted into this currency, whoever entered them, so the members'
+    // totals add up. Fixed when the ledger is created.
+    baseCurrency: { type: String, required: true, uppercase: true, match: CURRENCY_PATTERN },
+    members: {
+        type: [MemberSchema],
+        validate: [members => members.some(m => m.role === 'owner'), 'A ledger needs an owner']
+    }
+}, { timestamps: true });
+
+LedgerSchema.index({ 'members.userId': 1 });
+
+// The role of `userId`, or null for non-members
+LedgerSchema.methods.roleOf = function (userId) {
+    return this.members.find(m => m.userId.equals(userId))?.role || null;
+};
+
+// Ledgers `userId` belongs to
+LedgerSchema.statics.forMember = function (userId) {
+    return this.find({ 'members.userId': userId }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('Ledger', LedgerSchema);
+module.exports.LEDGER_ROLES = LEDGER_ROLES;
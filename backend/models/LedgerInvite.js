@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const INVITE_TTL_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// An invitation for `email` to join a ledger. Nothing is mailed: the owner copies the token and
+// hands it over, and only someone signed in with that email can redeem it. Only a hash of the
+// token is kept, so the database alone can't be used to join.
+const LedgerInviteSchema = new mongoose.Schema({
+    ledgerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger', required: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ['editor', 'viewer'], default: 'editor' },
+    tokenHash: { type: String, required: true, unique: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    expiresAt: { type: Date, required: true },
+    acceptedAt: Date,
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+LedgerInviteSchema.index({ ledgerId: 1, createdAt: -1 });
+
+// Creates an invite and returns { invite, token }; the plain token is only available here
+LedgerInviteSchema.statics.issue = async function ({ ledgerId, email, role, createdBy }) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const invite = await this.create({
+        ledgerId,
+        email,
+        role,
+        createdBy,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return { invite, token };
+};
+
+// The open invite a token belongs to, or null
+LedgerInviteSchema.statics.findOpen = function (token) {
+    return this.findOne({ tokenHash: hashToken(token), acceptedAt: { $exists: false }, expiresAt: { $gt: new Date() } });
+};
+
+// Keep the token hash out of API responses
+LedgerInviteSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('LedgerInvite', LedgerInviteSchema);
+module.exports.INVITE_TTL_DAYS = INVITE_TTL_DAYS;
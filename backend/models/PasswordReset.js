@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const RESET_TTL_MINUTES = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A password reset mailed to a user. As with invites only a hash of the token is kept, and a
+// reset works once: asking for another replaces any still open.
+const PasswordResetSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: Date
+}, { timestamps: true });
+
+// MongoDB deletes resets once they expire
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Creates a reset and returns { reset, token }; the plain token is only available here
+PasswordResetSchema.statics.issue = async function (userId) {
+    await this.deleteMany({ userId, usedAt: { $exists: false } });
+    const token = crypto.randomBytes(32).toString('base64url');
+    const reset = await this.create({
+        userId,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000)
+    });
+    return { reset, token };
+};
+
+const openQuery = (token) => ({ tokenHash: hashToken(token), usedAt: { $exists: false }, expiresAt: { $gt: new Date() } });
+
+// The open reset a token belongs to, or null
+PasswordResetSchema.statics.findOpen = function (token) {
+    return this.findOne(openQuery(token));
+};
+
+// Marks the reset a token belongs to as used and returns it, or null when there is no open one.
+// Done in one step, so the same link can't be used twice at once.
+PasswordResetSchema.statics.redeem = function (token) {
+    return this.findOneAndUpdate(
+        openQuery(token),
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('PasswordReset', PasswordResetSchema);
+module.exports.RESET_TTL_MINUTES = RESET_TTL_MINUTES;
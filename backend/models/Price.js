@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { CURRENCY_PATTERN } = require('./User');
+
+// Ticker symbols and the like: AAPL, BTC, VWCE.DE, LSE:VOD
+const INSTRUMENT_PATTERN = /^[A-Z0-9.:\-]{1,20}$/;
+
+// "On `date`, one unit of `instrument` was worth `price` `currency`". Entered by hand or
+// imported from a file; the latest one drives the market value of a holding.
+const PriceSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    instrument: { type: String, required: true, uppercase: true, trim: true, match: INSTRUMENT_PATTERN },
+    date: { type: Date, required: true },
+    price: {
+        type: Number,
+        required: true,
+        min: [0, 'Price cannot be negative']
+    },
+    currency: { type: String, required: true, uppercase: true, match: CURRENCY_PATTERN }
+});
+
+// One price per instrument and day
+PriceSchema.index({ userId: 1, instrument: 1, date: -1 }, { unique: true });
+
+// The most recent price on or before `date`, or null
+PriceSchema.statics.latestFor = function (userId, instrument, date = new Date()) {
+    return this.findOne({ userId, instrument, date: { $lte: date } }).sort({ date: -1 });
+};
+
+module.exports = mongoose.model('Price', PriceSchema);
+module.exports.INSTRUMENT_PATTERN = INSTRUMENT_PATTERN;
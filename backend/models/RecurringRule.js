@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Safety net for the occurrence loops: the most occurrences one window is walked through
+const MAX_OCCURRENCES = 5000;
+
+const OverrideSchema = new mongoose.Schema({
+    date: { type: Date, required: true }, // The scheduled occurrence this replaces
+    title: String,
+    amount: Number,
+    category: String
+}, { _id: false });
+
+const RecurringRuleSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // The transaction each occurrence creates
+    template: {
+        title: { type: String, required: true, trim: true },
+        amount: { type: Number, required: true },
+        currency: String, // Unset means the user's base currency
+        type: { type: String, required: true },
+        category: { type: String, required: true },
+        payee: String,
+        notes: String,
+        tags: { type: [String], default: undefined },
+        accountId: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' }
+    },
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        default: 'monthly'
+    },
+    // Every N days/weeks/months/years
+    interval: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, default: null },
+    // First occurrence that has not been generated yet, null once the rule has finished
+    nextRun: { type: Date, default: null },
+    active: { type: Boolean, default: true },
+    // Single occurrences that should not be created, or created with different values
+    skipped: [Date],
+    overrides: [OverrideSchema]
+});
+
+RecurringRuleSchema.index({ active: 1, nextRun: 1 });
+
+// The nth occurrence counted from startDate. Monthly and yearly rules keep the start's
+// day of month and clamp it to shorter months, so the 31st becomes the 28th/30th, not the 1st.
+RecurringRuleSchema.methods.occurrenceAt = function (n) {
+    const start = this.startDate;
+    const steps = n * this.interval;
+    switch (this.frequency) {
+        case 'daily': return new Date(start.getTime() + steps * 86400000);
+        case 'weekly': return new Date(start.getTime() + steps * 7 * 86400000);
+        default: {
+            const months = this.frequency === 'yearly' ? steps * 12 : steps;
+            const target = new Date(start);
+            target.setUTCDate(1);
+            target.setUTCMonth(target.getUTCMonth() + months);
+            const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+            target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+            return target;
+        }
+    }
+};
+
+// The number n of the first occurrence on or after `date`. It is worked out from the time
+// between startDate and `date`, then nudged past any rounding, so old rules don't have to be
+// walked through from the start.
+RecurringRuleSchema.methods.indexAtOrAfter = function (date) {
+    const start = this.startDate;
+    if (!date || date <= start) return 0;
+
+    let n;
+    if (this.frequency === 'daily' || this.frequency === 'weekly') {
+        const stepMs = this.interval * (this.frequency === 'weekly' ? 7 : 1) * 86400000;
+        n = Math.ceil((date.getTime() - start.getTime()) / stepMs);
+    } else {
+        const stepMonths = this.interval * (this.frequency === 'yearly' ? 12 : 1);
+        const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+        n = Math.floor(months / stepMonths);
+    }
+    n = Math.max(n, 0);
+    while (n > 0 && this.occurrenceAt(n - 1) >= date) n--;
+    while (this.occurrenceAt(n) < date) n++;
+    return n;
+};
+
+// Occurrences from `from` (inclusive) up to `to` (inclusive), stopping at endDate
+RecurringRuleSchema.methods.occurrencesBetween = function (from, to, limit = MAX_OCCURRENCES) {
+    const dates = [];
+    const first = this.indexAtOrAfter(from);
+    for (let n = first; n < first + MAX_OCCURRENCES && dates.length < limit; n++) {
+        const date = this.occurrenceAt(n);
+        if (date > to || (this.endDate && date > this.endDate)) break;
+        dates.push(date);
+    }
+    return dates;
+};
+
+// First occurrence strictly after `date` (or the first one at all), null when the rule has ended
+RecurringRuleSchema.methods.occurrenceAfter = function (date) {
+    const next = this.occurrenceAt(date ? this.indexAtOrAfter(new Date(date.getTime() + 1)) : 0);
+    return this.endDate && next > this.endDate ? null : next;
+};
+
+RecurringRuleSchema.methods.isSkipped = function (date) {
+    return this.skipped.some(d => d.getTime() === date.getTime());
+};
+
+RecurringRuleSchema.methods.overrideFor = function (date) {
+    return this.overrides.find(o => o.date.getTime() === date.getTime());
+};
+
+// Template values with any single-occurrence edits applied
+RecurringRuleSchema.methods.entryFor = function (date) {
+    const override = this.overrideFor(date);
+    return {
+        title: override?.title ?? this.template.title,
+        amount: override?.amount ?? this.template.amount,
+        currency: this.template.currency,
+        type: this.template.type,
+        category: override?.category ?? this.template.category,
+        payee: this.template.payee,
+        notes: this.template.notes,
+        tags: this.template.tags?.length ? [...this.template.tags] : undefined,
+        accountId: this.template.accountId,
+        date
+    };
+};
+
+module.exports = mongoose.model('RecurringRule', RecurringRuleSchema);
+module.exports.FREQUENCIES = FREQUENCIES;
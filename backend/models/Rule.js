@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// What a condition can look at, and how it compares. Text comparisons ignore case and
+// punctuation, so "uber" matches "UBER *TRIP". Amounts are compared as entered, in the
+// transaction's own currency.
+const RULE_FIELDS = {
+    title: 'text',
+    payee: 'text',
+    notes: 'text',
+    amount: 'number',
+    type: 'choice',
+    currency: 'choice'
+};
+const OPERATORS = {
+    text: ['contains', 'equals', 'startsWith', 'endsWith'],
+    number: ['equals', 'gt', 'gte', 'lt', 'lte'],
+    choice: ['equals']
+};
+
+const ConditionSchema = new mongoose.Schema({
+    field: { type: String, required: true, enum: Object.keys(RULE_FIELDS) },
+    operator: { type: String, required: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true }
+}, { _id: false });
+
+// "When a transaction matches the conditions, file it under `category`, add `tags`, set `payee`".
+// Rules run in ascending `priority`; the first matching rule to set a field wins it, tags add up.
+const RuleSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    priority: { type: Number, default: 100 },
+    // 'all' conditions must hold, or just 'any' one of them
+    match: { type: String, enum: ['all', 'any'], default: 'all' },
+    conditions: {
+        type: [ConditionSchema],
+        validate: [list => list.length > 0 && list.length <= 10, 'A rule needs between 1 and 10 conditions']
+    },
+    actions: {
+        category: String,
+        tags: { type: [String], default: undefined },
+        payee: String
+    },
+    enabled: { type: Boolean, default: true }
+}, { timestamps: true });
+
+RuleSchema.index({ userId: 1, priority: 1 });
+
+// Operators must suit their field, and values their type
+RuleSchema.pre('validate', function () {
+    for (const [i, condition] of this.conditions.entries()) {
+        const kind = RULE_FIELDS[condition.field];
+        if (!kind) continue;
+        if (!OPERATORS[kind].includes(condition.operator)) {
+            this.invalidate(`conditions.${i}.operator`, `${condition.field} can be compared with: ${OPERATORS[kind].join(', ')}`);
+        } else if (kind === 'number' && !Number.isFinite(Number(condition.value))) {
+            this.invalidate(`conditions.${i}.value`, "Amount conditions need a number");
+        } else if (kind !== 'number' && !String(condition.value ?? '').trim()) {
+            this.invalidate(`conditions.${i}.value`, `Say what the ${condition.field} should be compared with`);
+        }
+    }
+    const { category, tags, payee } = this.actions || {};
+    if (!category && !tags?.length && !payee) this.invalidate('actions', "A rule has to set a category, tags or a payee");
+});
+
+// Points rules that set category `from` at `to` instead. With `to` null the category is gone,
+// so those rules lose that action and are switched off until the user looks at them again.
+RuleSchema.statics.retag = function (userId, from, to) {
+    return this.updateMany(
+        { userId, 'actions.category': from },
+        to ? { $set: { 'actions.category': to } } : { $unset: { 'actions.category': 1 }, $set: { enabled: false } }
+    );
+};
+
+// The user's enabled rules in the order they run
+RuleSchema.statics.activeFor = function (userId) {
+    return this.find({ userId, enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+};
+
+module.exports = mongoose.model('Rule', RuleSchema);
+module.exports.RULE_FIELDS = RULE_FIELDS;
+module.exports.OPERATORS = OPERATORS;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A device stays signed in this long after it last refreshed its access token
+const SESSION_TTL_DAYS = 30;
+// Two tabs refreshing at once both send the same cookie; the one that loses the race within this
+// window still gets an access token instead of being taken for a stolen token
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+const expiryFromNow = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// One signed-in device. Its refresh token lives in an httpOnly cookie and changes on every
+// refresh; only hashes are kept. The token before the current one is remembered, so when an old
+// token comes back after the grace window someone has copied it and the session is ended.
+const SessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    previousTokenHash: String,
+    rotatedAt: Date,
+    userAgent: { type: String, maxlength: 500 },
+    ip: String,
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+SessionSchema.index({ userId: 1, lastUsedAt: -1 });
+SessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// MongoDB removes sessions once they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Starts a session and returns { session, token }; the plain token is only available here
+SessionSchema.statics.start = async function ({ userId, userAgent, ip }) {
+    const token = newToken();
+    const session = await this.create({ userId, userAgent, ip, tokenHash: hashToken(token), expiresAt: expiryFromNow() });
+    return { session, token };
+};
+
+// What a refresh token is:
+//   { session }               the current token of a live session
+//   { session, stale: true }  the token it just replaced, within the grace window
+//   { reused }                an older token of a session, which should be ended
+//   {}                        unknown or expired
+SessionSchema.statics.findByToken = async function (token) {
+    const hash = hashToken(token);
+    const session = await this.findOne({ tokenHash: hash, expiresAt: { $gt: new Date() } });
+    if (session) return { session };
+
+    const rotated = await this.findOne({ previousTokenHash: hash });
+    if (!rotated) return {};
+    if (rotated.rotatedAt && Date.now() - rotated.rotatedAt.getTime() < ROTATION_GRACE_MS) return { session: rotated, stale: true };
+    return { reused: rotated };
+};
+
+// Swaps the session's refresh token for a new one and extends it. Resolves to the new token, or
+// null when another request rotated it first.
+SessionSchema.methods.rotate = async function ({ userAgent, ip }) {
+    const token = newToken();
+    const now = new Date();
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, tokenHash: this.tokenHash },
+        {
+            $set: {
+                tokenHash: hashToken(token),
+                previousTokenHash: this.tokenHash,
+                rotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: expiryFromNow(),
+                userAgent,
+                ip
+            }
+        },
+        { new: true }
+    );
+    if (!updated) return null;
+    this.set(updated.toObject());
+    return token;
+};
+
+// Ends the session a refresh token belongs to, if any
+SessionSchema.statics.endByToken = function (token) {
+    return this.deleteOne({ tokenHash: hashToken(token) });
+};
+
+// Keep the token hashes out of API responses
+SessionSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        delete ret.previousTokenHash;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
+module.exports.SESSION_TTL_DAYS = SESSION_TTL_DAYS;
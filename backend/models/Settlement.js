@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { CURRENCY_PATTERN } = require('./User');
+
+// One side of a settlement: a name as used on shared expenses, and the user if they have one
+const PersonSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+// Money `from` paid `to` to square up what shared expenses left between them. It only moves
+// the balances between people, never the income and spending totals.
+const SettlementSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Who recorded it
+    ledgerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' },
+    from: { type: PersonSchema, required: true },
+    to: { type: PersonSchema, required: true },
+    amount: { type: Number, required: true, min: [0.01, "Amount must be a positive number"] },
+    currency: { type: String, required: true, uppercase: true, match: CURRENCY_PATTERN },
+    date: { type: Date, default: Date.now },
+    note: { type: String, trim: true, maxlength: 200 }
+}, { timestamps: true });
+
+SettlementSchema.index({ userId: 1, ledgerId: 1, date: -1 });
+SettlementSchema.index({ ledgerId: 1, date: -1 }, { partialFilterExpression: { ledgerId: { $exists: true } } });
+
+SettlementSchema.pre('validate', function () {
+    if (this.from && this.to && this.from.name.toLowerCase() === this.to.name.toLowerCase()) {
+        this.invalidate('to', "Someone can't settle up with themselves");
+    }
+});
+
+module.exports = mongoose.model('Settlement', SettlementSchema);
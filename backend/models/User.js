@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// ISO 4217 code, e.g. USD or EUR
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DEFAULT_CURRENCY = 'USD';
+// How the cost of units sold is worked out: oldest purchases first, or the running average
+const COST_METHODS = ['fifo', 'average'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+// Admins manage other accounts, see routes/admin.js
+const ROLES = ['user', 'admin'];
+// Days a week may start on, numbered as Date#getDay does: Sunday, Monday or Saturday
+const WEEK_STARTS = [0, 1, 6];
+
+// A BCP 47 language tag the runtime can format for, e.g. en-GB or de-DE
+const isValidLocale = (locale) => {
+    try {
+        return Intl.getCanonicalLocales(locale).length === 1;
+    } catch {
+        return false;
+    }
+};
+
+// Addresses are kept trimmed and in lower case, so one mailbox can't hold two accounts
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const UserSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    password: { type: String, required: true },
+    // Dashboard totals, summaries and budgets are shown in this currency
+    baseCurrency: {
+        type: String,
+        default: DEFAULT_CURRENCY,
+        uppercase: true,
+        match: CURRENCY_PATTERN
+    },
+    costMethod: {
+        type: String,
+        enum: COST_METHODS,
+        default: 'fifo'
+    },
+    role: { type: String, enum: ROLES, default: 'user' },
+    // Set by an admin; a disabled account can't sign in until it is enabled again
+    disabledAt: Date,
+    // Last sign-in or token refresh, for the usage metrics
+    lastActiveAt: Date,
+    // Display settings. Without a locale the browser's is used.
+    locale: { type: String, validate: [isValidLocale, 'Unknown locale'] },
+    weekStart: { type: Number, enum: WEEK_STARTS, default: 1 },
+    // Preselected for new transactions; follows the category when it is renamed
+    defaultCategory: String,
+    // Two-factor sign-in, see services/twoFactor.js. Everything secret is left out of queries
+    // unless asked for by name.
+    twoFactor: {
+        enabledAt: Date,
+        secret: { type: String, select: false },
+        // Generated by setup and waiting for a first code to confirm the app has it
+        pendingSecret: { type: String, select: false },
+        // The last time step a code was accepted for, so no code works twice
+        lastStep: { type: Number, select: false },
+        // Hashes of the unused backup codes
+        backupCodes: { type: [String], select: false, default: undefined }
+    }
+}, { timestamps: true });
+
+UserSchema.index({ lastActiveAt: -1 });
+
+// The account for an address, ignoring case: accounts from before addresses were normalised may
+// still have capitals in theirs
+UserSchema.statics.findByEmail = function (email) {
+    return this.findOne({ email: normalizeEmail(email) }).collation({ locale: 'en', strength: 2 });
+};
+
+// When the account was created. Accounts from before timestamps were kept have it in their id.
+UserSchema.virtual('joinedAt').get(function () {
+    return this.createdAt || this._id.getTimestamp();
+});
+
+// Points the default category at a renamed or merged category, or clears it (`to` null)
+UserSchema.statics.retag = function (userId, from, to) {
+    return this.updateOne(
+        { _id: userId, defaultCategory: from },
+        to ? { $set: { defaultCategory: to } } : { $unset: { defaultCategory: 1 } }
+    );
+};
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.CURRENCY_PATTERN = CURRENCY_PATTERN;
+module.exports.DEFAULT_CURRENCY = DEFAULT_CURRENCY;
+module.exports.COST_METHODS = COST_METHODS;
+module.exports.EMAIL_PATTERN = EMAIL_PATTERN;
+module.exports.normalizeEmail = normalizeEmail;
+module.exports.ROLES = ROLES;
+module.exports.WEEK_STARTS = WEEK_STARTS;
+module.exports.isValidLocale = isValidLocale;
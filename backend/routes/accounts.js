@@ -0,0 +1,108 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Expense = require('../models/Expense');
+const { authMiddleware } = require('../middleware/auth');
+const { baseCurrencyOf } = require('../services/currency');
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const ACCOUNT_FIELDS = ['name', 'type', 'currency', 'openingBalance'];
+
+const pickFields = (body) => {
+    const fields = {};
+    for (const field of ACCOUNT_FIELDS) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    }
+    if (typeof fields.currency === 'string') fields.currency = fields.currency.trim().toUpperCase();
+    if (fields.openingBalance === '' || fields.openingBalance === null) fields.openingBalance = 0;
+    return fields;
+};
+
+const findOwned = (userId, id) => (
+    mongoose.isValidObjectId(id) ? Account.findOne({ _id: id, userId }) : null
+);
+
+const sendError = (res, err) => {
+    if (err.code === 11000) return res.status(409).json({ error: "An account with that name already exists" });
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// Every account with its balance, plus the balance in the base currency for the net worth
+router.get('/', async (req, res) => {
+    try {
+        const baseCurrency = await baseCurrencyOf(req.user.id);
+        res.json(await Account.withBalances(req.user.id, baseCurrency));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Create, in the base currency unless another one is given
+router.post('/', async (req, res) => {
+    try {
+        const fields = pickFields(req.body);
+        if (!fields.currency) fields.currency = await baseCurrencyOf(req.user.id);
+        const account = await Account.create({ ...fields, userId: req.user.id });
+        res.status(201).json(account);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Update
+const updateAccount = async (req, res) => {
+    try {
+        const account = await findOwned(req.user.id, req.params.id);
+        if (!account) return res.status(404).json({ error: "Account not found" });
+
+        account.set(pickFields(req.body));
+        res.json(await account.save());
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+router.put('/:id', updateAccount);
+router.patch('/:id', updateAccount);
+
+// Delete, refused while transactions are booked against the account unless ?reassignTo=<id> is given
+router.delete('/:id', async (req, res) => {
+    try {
+        const account = await findOwned(req.user.id, req.params.id);
+        if (!account) return res.status(404).json({ error: "Account not found" });
+
+        const inUse = await Expense.countDocuments({
+            userId: req.user.id,
+            $or: [{ accountId: account._id }, { toAccountId: account._id }]
+        });
+        if (inUse > 0) {
+            const target = req.query.reassignTo ? await findOwned(req.user.id, req.query.reassignTo) : null;
+            if (!target || target._id.equals(account._id)) {
+                return res.status(409).json({ error: `${inUse} transaction(s) use this account, choose one to move them to`, inUse });
+            }
+            // Moving both ends of a transfer onto the same account would make it meaningless
+            const between = await Expense.countDocuments({
+                userId: req.user.id,
+                type: 'transfer',
+                $or: [
+                    { accountId: account._id, toAccountId: target._id },
+                    { accountId: target._id, toAccountId: account._id }
+                ]
+            });
+            if (between > 0) {
+                return res.status(409).json({ error: `${between} transfer(s) run between these two accounts, delete or edit them first`, inUse });
+            }
+            await Expense.updateMany({ userId: req.user.id, accountId: account._id }, { $set: { accountId: target._id } });
+            await Expense.updateMany({ userId: req.user.id, toAccountId: account._id }, { $set: { toAccountId: target._id } });
+        }
+
+        await account.deleteOne();
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const AuditLog = require('../models/AuditLog');
+const { ROLES } = require('../models/User');
+const { RESET_TTL_MINUTES } = require('../models/PasswordReset');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { validate, sendValidationErrors } = require('../utils/validate');
+const { hashPassword } = require('../utils/passwords');
+const { sendLater, appLink } = require('../services/mailer');
+const { deleteAccount } = require('../services/users');
+const { adminViewOf, listUsers, usageMetrics } = require('../services/admin');
+
+// The admin console: managing accounts, usage metrics and the log of what admins did. Every
+// change to an account is written to the audit log. Admins can't use these on their own account,
+// so the last admin can't lock everyone out; their own settings are under /api/users/me.
+const router = express.Router();
+router.use(authMiddleware, requireRole('admin'));
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const USER_SCHEMA = {
+    role: { type: 'enum', values: ROLES, label: 'Role' },
+    disabled: { type: 'enum', values: [true, false], label: 'Disabled', message: "Disabled must be true or false" }
+};
+
+const pageOf = (query) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+});
+
+// Finds the account in the path for a change, answering the request when there is none or it is
+// the admin's own
+const findTarget = async (req, res) => {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+        res.status(404).json({ error: "User not found" });
+        return null;
+    }
+    if (user._id.equals(req.account._id)) {
+        res.status(400).json({ error: "Use your own settings to change your account" });
+        return null;
+    }
+    return user;
+};
+
+const audit = (req, action, target, details) => (
+    AuditLog.record({ actor: req.account, action, target, details, ip: req.ip })
+);
+
+// --- ACCOUNTS ---
+
+// ?search= (in names and emails), ?page=, ?limit=
+router.get('/users', async (req, res) => {
+    try {
+        res.json(await listUsers({ search: req.query.search, ...pageOf(req.query) }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Changes { role } and/or { disabled }. Disabling signs the account out everywhere.
+router.patch('/users/:id', async (req, res) => {
+    try {
+        const user = await findTarget(req, res);
+        if (!user) return;
+
+        const { values, errors } = validate(USER_SCHEMA, req.body, { partial: true });
+        if (errors.length) return sendValidationErrors(res, errors);
+
+        if (values.role && values.role !== user.role) {
+            const from = user.role || 'user';
+            user.role = values.role;
+            await user.save();
+            await audit(req, 'user.role', user, { from, to: values.role });
+        }
+        if (values.disabled === true && !user.disabledAt) {
+            user.disabledAt = new Date();
+            await user.save();
+            const { deletedCount } = await Session.deleteMany({ userId: user._id });
+            await audit(req, 'user.disable', user, { signedOut: deletedCount });
+        } else if (values.disabled === false && user.disabledAt) {
+            user.disabledAt = undefined;
+            await user.save();
+            await audit(req, 'user.enable', user);
+        }
+        res.json(adminViewOf(user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Replaces the password with a random one nobody knows, signs the account out everywhere and
+// mails its owner a link to choose a new one
+router.post('/users/:id/password-reset', async (req, res) => {
+    try {
+        const user = await findTarget(req, res);
+        if (!user) return;
+
+        user.password = await hashPassword(crypto.randomBytes(32).toString('base64url'));
+        await user.save();
+        const { deletedCount } = await Session.deleteMany({ userId: user._id });
+        const { token } = await PasswordReset.issue(user._id);
+        sendLater({
+            to: user.email,
+            subject: "Your password was reset",
+            text: `Hi ${user.name},\n\nAn administrator reset the password of your Expenses Tracker account and signed it out everywhere. To choose a new password, open this link within ${RESET_TTL_MINUTES} minutes:\n\n${appLink({ reset: token })}\n\nOnce it expires, use "Forgot password" on the sign-in page for a new link.`
+        });
+        await audit(req, 'user.password-reset', user, { signedOut: deletedCount });
+        res.json({ message: `Password reset. A link to choose a new one was mailed to ${user.email}.`, signedOut: deletedCount });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Deletes the account and its data as closing it from the settings does, see services/users.js
+router.delete('/users/:id', async (req, res) => {
+    try {
+        const user = await findTarget(req, res);
+        if (!user) return;
+
+        const result = await deleteAccount(user._id);
+        if (result.sharedLedger) {
+            return res.status(409).json({ error: `They own "${result.sharedLedger}", which others share. It needs another owner first.` });
+        }
+        await audit(req, 'user.delete', user, result);
+        res.json({ message: "Account deleted", ...result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- USAGE METRICS ---
+
+// ?days= how many days of daily counts, 30 by default
+router.get('/metrics', async (req, res) => {
+    try {
+        res.json(await usageMetrics(req.query.days));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- AUDIT LOG ---
+
+// Newest first. ?user= only entries about that account; ?page=, ?limit=
+router.get('/audit', async (req, res) => {
+    try {
+        const { page, limit } = pageOf(req.query);
+        const filter = {};
+        if (req.query.user) {
+            if (!mongoose.isValidObjectId(req.query.user)) return res.status(400).json({ error: "Invalid user" });
+            filter.targetId = req.query.user;
+        }
+
+        const [items, total] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+        res.json({ items, page, limit, total, hasMore: page * limit < total });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const multer = require('multer');
+const Expense = require('../models/Expense');
+const { authMiddleware } = require('../middleware/auth');
+const { resolveLedger, requireLedgerRole } = require('../middleware/ledger');
+const { getStorage } = require('../services/storage');
+const { ALLOWED_MIME_TYPES, detectFileType, safeFilename } = require('../utils/files');
+
+// Mounted at /api/expenses/:id/attachments, so :id is the expense. Like the expense routes this
+// works in the active ledger: members can see its files, editors can add and delete them.
+const router = express.Router({ mergeParams: true });
+router.use(authMiddleware, resolveLedger);
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS = 20;
+
+// Files are held in memory only long enough to check them and hand them to the storage adapter
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES_PER_UPLOAD }
+}).array('files', MAX_FILES_PER_UPLOAD);
+
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: [413, `Files can be at most ${MAX_FILE_SIZE / 1024 / 1024} MB`],
+    LIMIT_FILE_COUNT: [400, `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`],
+    LIMIT_UNEXPECTED_FILE: [400, `Send the files in a "files" field, at most ${MAX_FILES_PER_UPLOAD} at a time`]
+};
+
+const parseUpload = (req, res) => new Promise((resolve, reject) => {
+    upload(req, res, (err) => (err ? reject(err) : resolve()));
+});
+
+// The expense `id` if it is in the active ledger
+const findLedgerExpense = (scope, id) => (
+    mongoose.isValidObjectId(id) ? Expense.findOne({ _id: id, ...scope }) : null
+);
+
+const sendError = (res, err) => {
+    if (err instanceof multer.MulterError) {
+        const [status, message] = UPLOAD_ERRORS[err.code] || [400, err.message];
+        return res.status(status).json({ error: message });
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// The attachments of one expense
+router.get('/', async (req, res) => {
+    try {
+        const expense = await findLedgerExpense(req.ledgerScope, req.params.id);
+        if (!expense) return res.status(404).json({ error: "Expense not found" });
+        res.json(expense.attachments || []);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Upload up to MAX_FILES_PER_UPLOAD images or PDFs as multipart/form-data in a "files" field.
+// Either every file is stored or none is.
+router.post('/', requireLedgerRole('editor'), async (req, res) => {
+    try {
+        const expense = await findLedgerExpense(req.ledgerScope, req.params.id);
+        if (!expense) return res.status(404).json({ error: "Expense not found" });
+
+        await parseUpload(req, res);
+        const files = req.files || [];
+        if (!files.length) return res.status(400).json({ error: "Choose at least one file to upload" });
+        if ((expense.attachments?.length || 0) + files.length > MAX_ATTACHMENTS) {
+            return res.status(400).json({ error: `A transaction can have at most ${MAX_ATTACHMENTS} attachments` });
+        }
+
+        const attachments = [];
+        for (const file of files) {
+            const mimeType = detectFileType(file.buffer);
+            if (!mimeType) {
+                return res.status(415).json({ error: `"${safeFilename(file.originalname)}" is not an accepted file type (${ALLOWED_MIME_TYPES.join(', ')})` });
+            }
+            attachments.push({
+                key: `${req.user.id}/${expense._id}/${crypto.randomBytes(16).toString('hex')}`,
+                filename: safeFilename(file.originalname),
+                mimeType,
+                size: file.size,
+                buffer: file.buffer
+            });
+        }
+
+        const storage = getStorage();
+        const stored = [];
+        try {
+            for (const { buffer, ...attachment } of attachments) {
+                await storage.put(attachment.key, buffer, attachment.mimeType);
+                stored.push(attachment);
+            }
+            expense.attachments = [...(expense.attachments || []), ...stored];
+            await expense.save();
+        } catch (err) {
+            // Don't leave orphaned files behind when storage or the save failed half-way
+            await Promise.allSettled(stored.map(attachment => storage.remove(attachment.key)));
+            throw err;
+        }
+
+        res.status(201).json(expense.attachments.slice(-stored.length));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// The file itself. Shown inline by default; ?download=true asks the browser to save it instead.
+router.get('/:attachmentId', async (req, res) => {
+    try {
+        const expense = await findLedgerExpense(req.ledgerScope, req.params.id);
+        const attachment = expense?.attachments?.id(req.params.attachmentId);
+        if (!attachment) return res.status(404).json({ error: "Attachment not found" });
+
+        const content = await getStorage().get(attachment.key);
+        if (!content) return res.status(404).json({ error: "The file is missing from storage" });
+
+        const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+        // Plain ASCII for old clients, the exact name for everyone that reads filename*
+        const asciiName = attachment.filename.replace(/[^\x20-\x7e]/g, '_');
+        res.set({
+            'Content-Type': attachment.mimeType,
+            'Content-Length': content.length,
+            'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, no-store'
+        });
+        res.send(content);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete
+router.delete('/:attachmentId', requireLedgerRole('editor'), async (req, res) => {
+    try {
+        const expense = await findLedgerExpense(req.ledgerScope, req.params.id);
+        const attachment = expense?.attachments?.id(req.params.attachmentId);
+        if (!attachment) return res.status(404).json({ error: "Attachment not found" });
+
+        const { key } = attachment;
+        attachment.deleteOne();
+        await expense.save();
+        await getStorage().remove(key);
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { EMAIL_PATTERN, normalizeEmail } = require('../models/User');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const { RESET_TTL_MINUTES } = require('../models/PasswordReset');
+const { authMiddleware, signAccessToken, signTwoFactorChallenge, verifyTwoFactorChallenge } = require('../middleware/auth');
+const { createCounter, rateLimit, tooMany } = require('../middleware/rateLimit');
+const { readCookie } = require('../utils/cookies');
+const { validate, sendValidationErrors } = require('../utils/validate');
+const { passwordProblem, hashPassword, checkPassword } = require('../utils/passwords');
+const { getMailer, sendLater, appLink } = require('../services/mailer');
+const { verifySecondFactor } = require('../services/twoFactor');
+const { profileOf } = require('../services/users');
+
+// Signing in starts a session: a short-lived access token in the response body, sent back in the
+// Authorization header, and a refresh token in an httpOnly cookie that only these routes can read
+const router = express.Router();
+
+const REFRESH_COOKIE = 'refreshToken';
+const COOKIE_OPTIONS = {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/api/auth'
+};
+
+const clientOf = (req) => ({ userAgent: (req.get('User-Agent') || '').slice(0, 500), ip: req.ip });
+
+// Answers with an access token for the session, setting the cookie when the refresh token changed.
+// Access tokens are refreshed every few minutes of use, so this also marks the user as active.
+const sendTokens = async (res, user, session, refreshToken) => {
+    await User.updateOne({ _id: user._id }, { $set: { lastActiveAt: new Date() } });
+    if (refreshToken) res.cookie(REFRESH_COOKIE, refreshToken, { ...COOKIE_OPTIONS, expires: session.expiresAt });
+    res.json({ token: signAccessToken(user._id, session._id), user: profileOf(user) });
+};
+
+const DISABLED = "This account has been disabled. Contact your administrator.";
+
+const endWithoutSession = (res, error) => {
+    res.clearCookie(REFRESH_COOKIE, COOKIE_OPTIONS);
+    res.status(401).json({ error });
+};
+
+// --- LIMITS ---
+const MINUTE = 60 * 1000;
+// Per client address, on every route that takes a password or sends mail
+const signInLimit = rateLimit({ windowMs: 15 * MINUTE, max: 30, message: "Too many sign-in attempts, please try again later" });
+const registerLimit = rateLimit({ windowMs: 60 * MINUTE, max: 10, message: "Too many accounts created, please try again later" });
+const resetLimit = rateLimit({ windowMs: 60 * MINUTE, max: 10, message: "Too many reset attempts, please try again later" });
+// Per account: after this many wrong passwords it is locked until the window ends. Counted by
+// the email as typed, whether or not an account has it, so a lockout gives nothing away.
+const passwordFailures = createCounter({ windowMs: 15 * MINUTE, max: 5 });
+// Reset emails per address, so nobody can flood someone's inbox
+const resetMails = createCounter({ windowMs: 60 * MINUTE, max: 3 });
+
+const lockedOut = (res, seconds) => (
+    tooMany(res, seconds, `Too many failed attempts. Try again in ${Math.ceil(seconds / 60)} minute(s).`)
+);
+
+const notifyPasswordChanged = (user) => sendLater({
+    to: user.email,
+    subject: "Your password was changed",
+    text: `Hi ${user.name},\n\nThe password for your Expenses Tracker account was just changed and your other devices were signed out.\n\nIf this wasn't you, reset your password straight away: ${appLink({ forgot: user.email })}`
+});
+
+const checkNewPassword = (value, values) => {
+    const problem = passwordProblem(value, values);
+    return problem ? { error: problem } : { value };
+};
+
+const REGISTER_SCHEMA = {
+    name: { type: 'string', required: true, trim: true, maxLength: 100, label: 'Name' },
+    email: {
+        type: 'string',
+        required: true,
+        trim: true,
+        maxLength: 254,
+        pattern: EMAIL_PATTERN,
+        label: 'Email',
+        message: "Enter a valid email address",
+        normalize: (value) => ({ value: normalizeEmail(value) })
+    },
+    password: { type: 'string', required: true, label: 'Password', normalize: checkNewPassword }
+};
+
+// Register. An address that already has an account gets the same answer, and its owner an email
+// saying so, so registering can't be used to find out who has an account.
+router.post('/register', registerLimit, async (req, res) => {
+    try {
+        const { values, errors } = validate(REGISTER_SCHEMA, req.body);
+        if (errors.length) return sendValidationErrors(res, errors);
+
+        const hashedPassword = await hashPassword(values.password);
+        const existingUser = await User.findByEmail(values.email);
+        if (existingUser) {
+            sendLater({
+                to: existingUser.email,
+                subject: "You already have an account",
+                text: `Hi ${existingUser.name},\n\nSomeone tried to create an Expenses Tracker account with this email, which already has one. If it was you, sign in instead, or reset your password: ${appLink({ forgot: existingUser.email })}\n\nOtherwise you can ignore this email.`
+            });
+        } else {
+            await User.create({ name: values.name, email: values.email, password: hashedPassword });
+        }
+
+        res.status(201).json({ message: "User registered successfully" });
+    } catch (err) {
+        // Two registrations for the same new address at once: the loser answers as if it won
+        if (err.code === 11000) return res.status(201).json({ message: "User registered successfully" });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Login. A wrong email and a wrong password get the same answer.
+router.post('/login', signInLimit, async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        const wait = passwordFailures.blockedFor(email);
+        if (wait) return lockedOut(res, wait);
+
+        const user = email ? await User.findByEmail(email) : null;
+        if (!(await checkPassword(req.body.password, user))) {
+            passwordFailures.hit(email);
+            return res.status(401).json({ error: "Invalid email or password" });
+        }
+        passwordFailures.reset(email);
+        if (user.disabledAt) return res.status(403).json({ error: DISABLED });
+
+        // With two-factor sign-in on, the session waits for the code: see /login/2fa
+        if (user.twoFactor?.enabledAt) return res.json({ twoFactorRequired: true, challenge: signTwoFactorChallenge(user._id) });
+
+        const { session, token } = await Session.start({ userId: user._id, ...clientOf(req) });
+        await sendTokens(res, user, session, token);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The second login step: { challenge, code }, the code from the authenticator app or a backup code
+router.post('/login/2fa', signInLimit, async (req, res) => {
+    try {
+        const userId = verifyTwoFactorChallenge(req.body.challenge);
+        if (!userId) return res.status(401).json({ error: "Sign-in timed out, please start again" });
+
+        const failureKey = `2fa:${userId}`;
+        const wait = passwordFailures.blockedFor(failureKey);
+        if (wait) return lockedOut(res, wait);
+
+        const method = await verifySecondFactor(userId, req.body.code);
+        if (!method) {
+            passwordFailures.hit(failureKey);
+            return sendValidationErrors(res, [{ field: 'code', message: "That code isn't valid" }]);
+        }
+        passwordFailures.reset(failureKey);
+
+        const user = await User.findById(userId);
+        if (!user) return res.status(401).json({ error: "Sign-in timed out, please start again" });
+        if (user.disabledAt) return res.status(403).json({ error: DISABLED });
+        const { session, token } = await Session.start({ userId: user._id, ...clientOf(req) });
+        await sendTokens(res, user, session, token);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Swaps the refresh token cookie for a new one and a new access token
+router.post('/refresh', async (req, res) => {
+    try {
+        const token = readCookie(req, REFRESH_COOKIE);
+        if (!token) return endWithoutSession(res, "Not signed in");
+
+        const { session, stale, reused } = await Session.findByToken(token);
+        if (reused) {
+            await reused.deleteOne();
+            return endWithoutSession(res, "Session ended");
+        }
+        if (!session) return endWithoutSession(res, "Session ended");
+
+        const user = await User.findById(session.userId);
+        if (!user || user.disabledAt) {
+            await session.deleteOne();
+            return endWithoutSession(res, "Session ended");
+        }
+
+        // A request that lost the race keeps the cookie the winner already set
+        const next = stale ? null : await session.rotate(clientOf(req));
+        await sendTokens(res, user, session, next);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Ends this device's session. Only the cookie is needed, so it works with an expired access token.
+router.post('/logout', async (req, res) => {
+    try {
+        const token = readCookie(req, REFRESH_COOKIE);
+        if (token) await Session.endByToken(token);
+        res.clearCookie(REFRESH_COOKIE, COOKIE_OPTIONS);
+        res.json({ message: "Signed out" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- PASSWORD RESET ---
+
+// Mails a reset link: { email }. The answer is the same whether or not an account has the address.
+router.post('/forgot-password', resetLimit, async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        if (!EMAIL_PATTERN.test(email)) return sendValidationErrors(res, [{ field: 'email', message: "Enter a valid email address" }]);
+
+        if (!resetMails.blockedFor(email)) {
+            resetMails.hit(email);
+            const sendReset = async () => {
+                const user = await User.findByEmail(email);
+                if (!user) return;
+                const { token } = await PasswordReset.issue(user._id);
+                await getMailer().send({
+                    to: user.email,
+                    subject: "Reset your password",
+                    text: `Hi ${user.name},\n\nTo choose a new password for your Expenses Tracker account, open this link within ${RESET_TTL_MINUTES} minutes:\n\n${appLink({ reset: token })}\n\nIf you didn't ask for this, you can ignore this email; your password stays as it is.`
+                });
+            };
+            sendReset().catch(err => console.error('❌ Password Reset Error:', err.message));
+        }
+        res.json({ message: "If an account uses that email, a reset link is on its way" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Sets a new password from a reset link: { token, password }. Every device is signed out.
+router.post('/reset-password', resetLimit, async (req, res) => {
+    try {
+        const token = typeof req.body.token === 'string' ? req.body.token : '';
+        const reset = token && await PasswordReset.findOpen(token);
+        const user = reset && await User.findById(reset.userId);
+        if (!user) return res.status(400).json({ error: "This reset link is invalid or has expired" });
+
+        const problem = passwordProblem(req.body.password, user);
+        if (problem) return sendValidationErrors(res, [{ field: 'password', message: problem }]);
+        // Checked before the link is used up, so a weak password can be retried with the same link
+        if (!(await PasswordReset.redeem(token))) return res.status(400).json({ error: "This reset link is invalid or has expired" });
+
+        user.password = await hashPassword(req.body.password);
+        await user.save();
+        await Session.deleteMany({ userId: user._id });
+        passwordFailures.reset(normalizeEmail(user.email));
+        notifyPasswordChanged(user);
+
+        res.json({ message: "Password changed. Sign in with your new password." });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Changes the password when signed in: { currentPassword, newPassword }. Other devices are signed out.
+router.put('/password', authMiddleware, async (req, res) => {
+    try {
+        const failureKey = `user:${req.user.id}`;
+        const wait = passwordFailures.blockedFor(failureKey);
+        if (wait) return lockedOut(res, wait);
+
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        const { currentPassword, newPassword } = req.body;
+        if (!(await checkPassword(currentPassword, user))) {
+            passwordFailures.hit(failureKey);
+            return sendValidationErrors(res, [{ field: 'currentPassword', message: "Current password is incorrect" }]);
+        }
+        passwordFailures.reset(failureKey);
+
+        const problem = passwordProblem(newPassword, user)
+            || (newPassword === currentPassword ? "Choose a password you aren't using already" : null);
+        if (problem) return sendValidationErrors(res, [{ field: 'newPassword', message: problem }]);
+
+        user.password = await hashPassword(newPassword);
+        await user.save();
+        const { deletedCount } = await Session.deleteMany({ userId: user._id, _id: { $ne: req.user.sid } });
+        notifyPasswordChanged(user);
+
+        res.json({ message: "Password changed", signedOut: deletedCount });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// --- SESSIONS (Protected) ---
+
+// The devices signed in to this account, most recently used first
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await Session.find({ userId: req.user.id, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+        res.json(sessions.map(session => ({ ...session.toJSON(), current: String(session._id) === req.user.sid })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Signs out every other device
+router.delete('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const { deletedCount } = await Session.deleteMany({ userId: req.user.id, _id: { $ne: req.user.sid } });
+        res.json({ revoked: deletedCount });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Signs out one device, which may be this one
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        const session = mongoose.isValidObjectId(req.params.id)
+            ? await Session.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+            : null;
+        if (!session) return res.status(404).json({ error: "Session not found" });
+        if (String(session._id) === req.user.sid) res.clearCookie(REFRESH_COOKIE, COOKIE_OPTIONS);
+        res.json({ message: "Signed out" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const { authMiddleware } = require('../middleware/auth');
+const { BUDGET_PERIODS } = require('../models/Budget');
+const { isValidTimezone } = require('../utils/dates');
+const { validate, sendValidationErrors, modelErrors } = require('../utils/validate');
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const BUDGET_SCHEMA = {
+    category: { type: 'string', required: true, trim: true, maxLength: 100, label: 'Category' },
+    period: { type: 'enum', values: BUDGET_PERIODS, required: true, label: 'Period' },
+    amount: { type: 'number', required: true, positive: true, label: 'Amount' },
+    rollover: {
+        label: 'Rollover',
+        normalize: (value) => (typeof value === 'boolean' ? { value } : { error: "Rollover must be true or false" })
+    },
+    startDate: { type: 'date', label: 'Start date' }
+};
+
+const findOwned = (userId, id) => (
+    mongoose.isValidObjectId(id) ? Budget.findOne({ _id: id, userId }) : null
+);
+
+// Budgets only track spending, so the category has to accept expense transactions
+const checkCategory = async (userId, name) => {
+    const category = await Category.findOne({ userId, name });
+    if (!category) return `Unknown category "${name}"`;
+    if (category.type !== 'any' && category.type !== 'expense') return `Category "${name}" is not used for expenses`;
+    return null;
+};
+
+const sendError = (res, err) => {
+    if (err.code === 11000) return res.status(409).json({ error: "That category already has a budget for this period" });
+    if (err.name === 'ValidationError') return sendValidationErrors(res, modelErrors(err));
+    if (err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// List with spent vs. limit for the period containing ?date (default today), cut in ?tz
+router.get('/', async (req, res) => {
+    try {
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+        if (isNaN(date.getTime())) return res.status(400).json({ error: "Invalid date" });
+        const timeZone = req.query.tz || 'UTC';
+        if (!isValidTimezone(timeZone)) return res.status(400).json({ error: "Invalid timezone" });
+
+        const budgets = await Budget.find({ userId: req.user.id }).sort({ category: 1 });
+        const withStatus = await Promise.all(budgets.map(async (budget) => ({
+            ...budget.toJSON(),
+            ...(await budget.statusAt(date, timeZone))
+        })));
+        res.json(withStatus);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Create
+router.post('/', async (req, res) => {
+    try {
+        const { values, errors } = validate(BUDGET_SCHEMA, req.body);
+        if (errors.length) return sendValidationErrors(res, errors);
+        const categoryError = await checkCategory(req.user.id, values.category);
+        if (categoryError) return sendValidationErrors(res, [{ field: 'category', message: categoryError }]);
+
+        const budget = await Budget.create({ ...values, userId: req.user.id });
+        res.status(201).json(budget);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Update: PUT replaces the budget, so it needs every required field; PATCH only the ones it changes
+const updateBudget = (partial) => async (req, res) => {
+    try {
+        const budget = await findOwned(req.user.id, req.params.id);
+        if (!budget) return res.status(404).json({ error: "Budget not found" });
+
+        const { values, errors } = validate(BUDGET_SCHEMA, req.body, { partial });
+        if (errors.length) return sendValidationErrors(res, errors);
+        if (values.category !== undefined) {
+            const categoryError = await checkCategory(req.user.id, values.category);
+            if (categoryError) return sendValidationErrors(res, [{ field: 'category', message: categoryError }]);
+        }
+
+        budget.set(values);
+        res.json(await budget.save());
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+router.put('/:id', updateBudget(false));
+router.patch('/:id', updateBudget(true));
+
+// Delete
+router.delete('/:id', async (req, res) => {
+    try {
+        const budget = await findOwned(req.user.id, req.params.id);
+        if (!budget) return res.status(404).json({ error: "Budget not found" });
+
+        await budget.deleteOne();
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
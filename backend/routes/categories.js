@@ -0,0 +1,164 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Rule = require('../models/Rule');
+const User = require('../models/User');
+const { authMiddleware } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const CATEGORY_FIELDS = ['name', 'color', 'icon', 'parent', 'type'];
+
+const pickFields = (body) => {
+    const fields = {};
+    for (const field of CATEGORY_FIELDS) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    }
+    if (fields.parent === '') fields.parent = null;
+    return fields;
+};
+
+const findOwned = (userId, id) => (
+    mongoose.isValidObjectId(id) ? Category.findOne({ _id: id, userId }) : null
+);
+
+// A parent must belong to the same user and must not be the category itself or one of its children
+const checkParent = async (userId, parentId, selfId) => {
+    if (!parentId) return null;
+    const parent = await findOwned(userId, parentId);
+    if (!parent) return "Parent category not found";
+    if (selfId) {
+        for (let node = parent; node; node = node.parent ? await Category.findById(node.parent) : null) {
+            if (node._id.equals(selfId)) return "A category cannot be nested inside itself";
+        }
+    }
+    return null;
+};
+
+const sendError = (res, err) => {
+    if (err.code === 11000) return res.status(409).json({ error: "A category with that name already exists" });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// List (seeds the defaults and any legacy names on first use)
+router.get('/', async (req, res) => {
+    try {
+        await Category.ensureForUser(req.user.id);
+        const categories = await Category.find({ userId: req.user.id }).sort({ name: 1 });
+        res.json(categories);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Create
+router.post('/', async (req, res) => {
+    try {
+        const fields = pickFields(req.body);
+        const parentError = await checkParent(req.user.id, fields.parent);
+        if (parentError) return res.status(400).json({ error: parentError });
+
+        const category = await Category.create({ ...fields, userId: req.user.id });
+        res.status(201).json(category);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Update, a rename re-tags every transaction and budget that used the old name
+const updateCategory = async (req, res) => {
+    try {
+        const category = await findOwned(req.user.id, req.params.id);
+        if (!category) return res.status(404).json({ error: "Category not found" });
+
+        const fields = pickFields(req.body);
+        if (fields.parent !== undefined) {
+            const parentError = await checkParent(req.user.id, fields.parent, category._id);
+            if (parentError) return res.status(400).json({ error: parentError });
+        }
+
+        const oldName = category.name;
+        category.set(fields);
+        await category.save();
+
+        if (category.name !== oldName) {
+            await Expense.retag(req.user.id, oldName, category.name);
+            await Budget.retag(req.user.id, oldName, category.name);
+            await Rule.retag(req.user.id, oldName, category.name);
+            await User.retag(req.user.id, oldName, category.name);
+        }
+        res.json(category);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+router.put('/:id', updateCategory);
+router.patch('/:id', updateCategory);
+
+// Merge: moves transactions, budgets and sub-categories into the target, then removes the source
+router.post('/:id/merge', async (req, res) => {
+    try {
+        const source = await findOwned(req.user.id, req.params.id);
+        if (!source) return res.status(404).json({ error: "Category not found" });
+        const target = await findOwned(req.user.id, req.body.targetId);
+        if (!target) return res.status(400).json({ error: "Target category not found" });
+        if (source._id.equals(target._id)) return res.status(400).json({ error: "Cannot merge a category into itself" });
+
+        const retagged = await Expense.retag(req.user.id, source.name, target.name);
+        await Budget.retag(req.user.id, source.name, target.name);
+        await Rule.retag(req.user.id, source.name, target.name);
+        await User.retag(req.user.id, source.name, target.name);
+        // Children of the source move up to the target, except the target itself
+        await Category.updateMany(
+            { userId: req.user.id, parent: source._id, _id: { $ne: target._id } },
+            { $set: { parent: target._id } }
+        );
+        if (target.parent && target.parent.equals(source._id)) {
+            target.parent = source.parent;
+            await target.save();
+        }
+        await source.deleteOne();
+
+        res.json({ message: "Merged", target, retagged });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete, refused while transactions still use the category unless ?reassignTo=<id> is given
+router.delete('/:id', async (req, res) => {
+    try {
+        const category = await findOwned(req.user.id, req.params.id);
+        if (!category) return res.status(404).json({ error: "Category not found" });
+
+        const inUse = await Expense.countDocuments({
+            userId: req.user.id,
+            ledgerId: null,
+            $or: [{ category: category.name }, { 'splits.category': category.name }]
+        });
+        const target = req.query.reassignTo ? await findOwned(req.user.id, req.query.reassignTo) : null;
+        if (inUse > 0) {
+            if (!target || target._id.equals(category._id)) {
+                return res.status(409).json({ error: `${inUse} transaction(s) use this category, choose one to move them to`, inUse });
+            }
+            await Expense.retag(req.user.id, category.name, target.name);
+        }
+        // Rules and the default category follow the transactions, or stop naming a category that no longer exists
+        const movedTo = target && !target._id.equals(category._id) ? target.name : null;
+        await Rule.retag(req.user.id, category.name, movedTo);
+        await User.retag(req.user.id, category.name, movedTo);
+
+        await Category.updateMany({ userId: req.user.id, parent: category._id }, { $set: { parent: category.parent } });
+        await Budget.deleteMany({ userId: req.user.id, category: category.name });
+        await category.deleteOne();
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
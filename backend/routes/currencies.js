@@ -0,0 +1,137 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const ExchangeRate = require('../models/ExchangeRate');
+const { CURRENCY_PATTERN } = require('../models/User');
+const { authMiddleware } = require('../middleware/auth');
+const { rateDay, baseCurrencyOf, reconvertExpenses, changeBaseCurrency, importRates } = require('../services/currency');
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const RATE_FIELDS = ['currency', 'quote', 'date', 'rate'];
+
+const pickFields = (body) => {
+    const fields = {};
+    for (const field of RATE_FIELDS) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    }
+    if (typeof fields.currency === 'string') fields.currency = fields.currency.trim().toUpperCase();
+    if (typeof fields.quote === 'string') fields.quote = fields.quote.trim().toUpperCase();
+    if (fields.date !== undefined) {
+        const date = new Date(fields.date);
+        fields.date = isNaN(date.getTime()) ? fields.date : rateDay(date);
+    }
+    return fields;
+};
+
+const findOwned = (userId, id) => (
+    mongoose.isValidObjectId(id) ? ExchangeRate.findOne({ _id: id, userId }) : null
+);
+
+const sendError = (res, err) => {
+    if (err.code === 11000) return res.status(409).json({ error: "There is already a rate for that pair on this day" });
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// The base currency, every currency in use, and how many transactions still wait for a rate
+router.get('/', async (req, res) => {
+    try {
+        const [baseCurrency, used, rated, unconverted] = await Promise.all([
+            baseCurrencyOf(req.user.id),
+            Expense.distinct('currency', { userId: req.user.id }),
+            ExchangeRate.distinct('currency', { userId: req.user.id }),
+            Expense.countDocuments({ userId: req.user.id, currency: { $exists: true }, baseAmount: { $exists: false } })
+        ]);
+        const currencies = [...new Set([baseCurrency, ...used, ...rated])].filter(Boolean).sort();
+        res.json({ baseCurrency, currencies, unconverted });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Switch the base currency; every transaction is converted again
+router.put('/base', async (req, res) => {
+    try {
+        const currency = String(req.body.currency || '').trim().toUpperCase();
+        if (!CURRENCY_PATTERN.test(currency)) return res.status(400).json({ error: "Currency must be a 3-letter ISO code such as USD" });
+        const updated = await changeBaseCurrency(req.user.id, currency);
+        res.json({ baseCurrency: currency, updated });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Rates, newest first, optionally for one ?currency
+router.get('/rates', async (req, res) => {
+    try {
+        const filter = { userId: req.user.id };
+        if (req.query.currency) filter.currency = String(req.query.currency).toUpperCase();
+        res.json(await ExchangeRate.find(filter).sort({ date: -1, currency: 1 }).limit(1000));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Add one rate; the quote currency defaults to the base currency
+router.post('/rates', async (req, res) => {
+    try {
+        const fields = pickFields(req.body);
+        if (!fields.quote) fields.quote = await baseCurrencyOf(req.user.id);
+        if (fields.currency === fields.quote) return res.status(400).json({ error: "A rate needs two different currencies" });
+
+        const rate = await ExchangeRate.create({ ...fields, userId: req.user.id });
+        await reconvertExpenses(req.user.id, [rate.currency, rate.quote]);
+        res.status(201).json(rate);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Bulk import from CSV: { content, dateFormat? }
+router.post('/rates/import', async (req, res) => {
+    try {
+        if (typeof req.body.content !== 'string' || !req.body.content.trim()) return res.status(400).json({ error: "The file is empty" });
+        const { error, ...result } = await importRates(req.user.id, req.body.content, { dateFormat: req.body.dateFormat });
+        if (error) return res.status(400).json({ error });
+        res.json(result);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Update
+const updateRate = async (req, res) => {
+    try {
+        const rate = await findOwned(req.user.id, req.params.id);
+        if (!rate) return res.status(404).json({ error: "Rate not found" });
+
+        const previous = [rate.currency, rate.quote];
+        rate.set(pickFields(req.body));
+        if (rate.currency === rate.quote) return res.status(400).json({ error: "A rate needs two different currencies" });
+        await rate.save();
+        await reconvertExpenses(req.user.id, [...new Set([...previous, rate.currency, rate.quote])]);
+        res.json(rate);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+router.put('/rates/:id', updateRate);
+router.patch('/rates/:id', updateRate);
+
+// Delete
+router.delete('/rates/:id', async (req, res) => {
+    try {
+        const rate = await findOwned(req.user.id, req.params.id);
+        if (!rate) return res.status(404).json({ error: "Rate not found" });
+
+        await rate.deleteOne();
+        await reconvertExpenses(req.user.id, [rate.currency, rate.quote]);
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
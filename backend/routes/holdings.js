@@ -0,0 +1,140 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Price = require('../models/Price');
+const User = require('../models/User');
+const { authMiddleware } = require('../middleware/auth');
+const { rateDay, baseCurrencyOf } = require('../services/currency');
+const { portfolioFor, importPrices } = require('../services/holdings');
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const { COST_METHODS } = User;
+const PRICE_FIELDS = ['instrument', 'date', 'price', 'currency'];
+
+const pickFields = (body) => {
+    const fields = {};
+    for (const field of PRICE_FIELDS) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    }
+    if (typeof fields.instrument === 'string') fields.instrument = fields.instrument.trim().toUpperCase();
+    if (typeof fields.currency === 'string') fields.currency = fields.currency.trim().toUpperCase();
+    if (fields.date !== undefined) {
+        const date = new Date(fields.date);
+        fields.date = isNaN(date.getTime()) ? fields.date : rateDay(date);
+    }
+    return fields;
+};
+
+const findOwned = (userId, id) => (
+    mongoose.isValidObjectId(id) ? Price.findOne({ _id: id, userId }) : null
+);
+
+const sendError = (res, err) => {
+    if (err.code === 11000) return res.status(409).json({ error: "There is already a price for that instrument on this day" });
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// The portfolio: every instrument traded, its cost basis, gains and market value.
+// ?method=fifo|average overrides the user's saved cost method for this request.
+router.get('/', async (req, res) => {
+    try {
+        const { method } = req.query;
+        if (method && !COST_METHODS.includes(method)) return res.status(400).json({ error: `method must be one of: ${COST_METHODS.join(', ')}` });
+        res.json(await portfolioFor(req.user.id, { method }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Save the cost method used from now on
+router.put('/method', async (req, res) => {
+    try {
+        const { method } = req.body;
+        if (!COST_METHODS.includes(method)) return res.status(400).json({ error: `method must be one of: ${COST_METHODS.join(', ')}` });
+        await User.updateOne({ _id: req.user.id }, { $set: { costMethod: method } });
+        res.json({ method });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Instruments the user has traded or priced, for pickers
+router.get('/instruments', async (req, res) => {
+    try {
+        const [traded, priced] = await Promise.all([
+            Expense.distinct('instrument', { userId: req.user.id, instrument: { $type: 'string' } }),
+            Price.distinct('instrument', { userId: req.user.id })
+        ]);
+        res.json([...new Set([...traded, ...priced])].sort());
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Prices, newest first, optionally for one ?instrument
+router.get('/prices', async (req, res) => {
+    try {
+        const filter = { userId: req.user.id };
+        if (req.query.instrument) filter.instrument = String(req.query.instrument).toUpperCase();
+        res.json(await Price.find(filter).sort({ date: -1, instrument: 1 }).limit(1000));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Add one price; the currency defaults to the base currency
+router.post('/prices', async (req, res) => {
+    try {
+        const fields = pickFields(req.body);
+        if (!fields.currency) fields.currency = await baseCurrencyOf(req.user.id);
+        const price = await Price.create({ ...fields, userId: req.user.id });
+        res.status(201).json(price);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Bulk import from CSV: { content, dateFormat? }
+router.post('/prices/import', async (req, res) => {
+    try {
+        if (typeof req.body.content !== 'string' || !req.body.content.trim()) return res.status(400).json({ error: "The file is empty" });
+        const { error, ...result } = await importPrices(req.user.id, req.body.content, { dateFormat: req.body.dateFormat });
+        if (error) return res.status(400).json({ error });
+        res.json(result);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Update
+const updatePrice = async (req, res) => {
+    try {
+        const price = await findOwned(req.user.id, req.params.id);
+        if (!price) return res.status(404).json({ error: "Price not found" });
+
+        price.set(pickFields(req.body));
+        res.json(await price.save());
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+router.put('/prices/:id', updatePrice);
+router.patch('/prices/:id', updatePrice);
+
+// Delete
+router.delete('/prices/:id', async (req, res) => {
+    try {
+        const price = await findOwned(req.user.id, req.params.id);
+        if (!price) return res.status(404).json({ error: "Price not found" });
+
+        await price.deleteOne();
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
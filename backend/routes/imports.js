@@ -0,0 +1,128 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const { resolveLedger, requireLedgerRole } = require('../middleware/ledger');
+const { parseCsv } = require('../utils/csv');
+const { isOfx, parseOfx } = require('../utils/ofx');
+const { isQif, parseQif } = require('../utils/qif');
+const { isValidTimezone } = require('../utils/dates');
+const { checkAccounts } = require('../utils/expenses');
+const { sendValidationErrors } = require('../utils/validate');
+const { categorizeEntries } = require('../services/rules');
+const {
+    DATE_FORMATS,
+    MAX_IMPORT_ROWS,
+    mapCsvRows,
+    mapStatementTransactions,
+    resolveCategories,
+    flagDuplicates,
+    commitEntries
+} = require('../services/imports');
+
+// Rows go into the active ledger, so importing needs at least the editor role there
+const router = express.Router();
+router.use(authMiddleware, resolveLedger, requireLedgerRole('editor'));
+
+// Header names we recognise when suggesting a column mapping
+const HEADER_GUESSES = {
+    date: /^(date|posted|posting date|transaction date|booking date|value date)$/i,
+    title: /^(description|title|payee|details|narrative|memo|merchant|name)$/i,
+    amount: /^(amount|value|sum|transaction amount)$/i,
+    debit: /^(debit|withdrawal|withdrawals|money out|paid out)$/i,
+    credit: /^(credit|deposit|deposits|money in|paid in)$/i,
+    type: /^(type|transaction type|dr\/cr)$/i,
+    category: /^(category)$/i,
+    currency: /^(currency|ccy)$/i
+};
+
+const guessMapping = (columns) => {
+    const mapping = {};
+    for (const [field, pattern] of Object.entries(HEADER_GUESSES)) {
+        const index = columns.findIndex(name => pattern.test(String(name).trim()));
+        if (index !== -1) mapping[field] = index;
+    }
+    return mapping;
+};
+
+const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+
+const detectFormat = (content) => {
+    if (isOfx(content)) return 'ofx';
+    if (isQif(content)) return 'qif';
+    return 'csv';
+};
+
+// Parses the file and returns every row with its errors and duplicate flag.
+// CSV files use the given column mapping, or one guessed from the header row.
+// OFX and QIF files describe their own fields and need no mapping.
+router.post('/preview', async (req, res) => {
+    try {
+        const { content, mapping: requested, options = {}, defaultCategory } = req.body;
+        if (typeof content !== 'string' || !content.trim()) return res.status(400).json({ error: "The file is empty" });
+        if (options.dateFormat && !DATE_FORMATS.includes(options.dateFormat)) {
+            return res.status(400).json({ error: `dateFormat must be one of: ${DATE_FORMATS.join(', ')}` });
+        }
+        if (options.format && !IMPORT_FORMATS.includes(options.format)) {
+            return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+        }
+        const timeZone = req.body.tz && isValidTimezone(req.body.tz) ? req.body.tz : 'UTC';
+        const format = options.format || detectFormat(content);
+
+        let parsed;
+        let mapping = null;
+        let total;
+        if (format === 'csv') {
+            const rows = parseCsv(content, { delimiter: options.delimiter });
+            const header = options.hasHeader === false ? [] : rows[0] || [];
+            mapping = requested || guessMapping(header);
+            parsed = mapCsvRows(rows, mapping, options);
+            total = rows.length - (options.hasHeader === false ? 0 : 1);
+        } else {
+            const transactions = format === 'ofx' ? parseOfx(content) : parseQif(content);
+            if (!transactions.length) return res.status(400).json({ error: `No transactions found in the ${format.toUpperCase()} file` });
+            // OFX dates are always year first; QIF follows the exporting program's locale, usually US
+            const dateFormat = format === 'ofx' ? 'ymd' : options.dateFormat || 'mdy';
+            parsed = mapStatementTransactions(transactions, { ...options, dateFormat });
+            total = transactions.length;
+        }
+
+        const { columns, entries } = parsed;
+        // Rules pick categories for rows the file left blank, before the default category does
+        await categorizeEntries(req.user.id, entries);
+        await resolveCategories(req.user.id, entries, defaultCategory);
+        await flagDuplicates(req.user.id, entries, timeZone, req.ledgerScope);
+
+        res.json({
+            format,
+            columns,
+            mapping,
+            rows: entries,
+            truncated: total > MAX_IMPORT_ROWS
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Saves the rows the user kept from the preview:
+// { rows: [{ index, title, amount, currency?, date, type, category?, payee?, tags?, externalId? }], accountId? }
+// Rows without a category get one from the rules.
+router.post('/', async (req, res) => {
+    try {
+        if (!Array.isArray(req.body.rows) || !req.body.rows.length) return res.status(400).json({ error: "No rows to import" });
+        const malformed = req.body.rows
+            .map((row, i) => (row && typeof row === 'object' && !Array.isArray(row) ? null : { field: `rows[${i}]`, message: `Row ${i + 1} is not a transaction` }))
+            .filter(Boolean);
+        if (malformed.length) return sendValidationErrors(res, malformed);
+        const { accountId } = req.body;
+        if (accountId) {
+            const accountError = await checkAccounts(req.user.id, { accountId });
+            if (accountError) return res.status(400).json({ error: accountError });
+        }
+        const result = await commitEntries(req.user.id, req.body.rows, { accountId: accountId || undefined, ledgerId: req.ledger?._id });
+        res.status(result.created ? 201 : 200).json(result);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,231 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Ledger = require('../models/Ledger');
+const LedgerInvite = require('../models/LedgerInvite');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const { EMAIL_PATTERN, normalizeEmail } = require('../models/User');
+const { authMiddleware } = require('../middleware/auth');
+const { baseCurrencyOf } = require('../services/currency');
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const INVITE_ROLES = ['editor', 'viewer'];
+
+// The ledger `id` if the caller is a member of it, with their role
+const findMembership = async (userId, id) => {
+    const ledger = mongoose.isValidObjectId(id) ? await Ledger.findById(id) : null;
+    const role = ledger?.roleOf(userId);
+    return role ? { ledger, role } : {};
+};
+
+// A ledger as the client sees it: members with their names and the caller's own role
+const describe = async (ledger, userId) => {
+    const users = await User.find({ _id: { $in: ledger.members.map(m => m.userId) } }).select('name email').lean();
+    const byId = new Map(users.map(u => [String(u._id), u]));
+    return {
+        _id: ledger._id,
+        name: ledger.name,
+        baseCurrency: ledger.baseCurrency,
+        role: ledger.roleOf(userId),
+        members: ledger.members.map(({ userId: memberId, role, joinedAt }) => ({
+            userId: memberId,
+            name: byId.get(String(memberId))?.name || 'Former user',
+            email: byId.get(String(memberId))?.email || null,
+            role,
+            joinedAt
+        })),
+        createdAt: ledger.createdAt
+    };
+};
+
+const sendError = (res, err) => {
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// The caller's shared ledgers. The personal ledger isn't listed, every user has one.
+router.get('/', async (req, res) => {
+    try {
+        const ledgers = await Ledger.forMember(req.user.id);
+        res.json(await Promise.all(ledgers.map(ledger => describe(ledger, req.user.id))));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Create, with the caller as owner and their base currency: { name }
+router.post('/', async (req, res) => {
+    try {
+        const ledger = await Ledger.create({
+            name: req.body.name,
+            baseCurrency: await baseCurrencyOf(req.user.id),
+            members: [{ userId: req.user.id, role: 'owner' }]
+        });
+        res.status(201).json(await describe(ledger, req.user.id));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Accept an invite: { token }. The invite has to be for the caller's email address.
+router.post('/join', async (req, res) => {
+    try {
+        const invite = req.body.token ? await LedgerInvite.findOpen(String(req.body.token).trim()) : null;
+        if (!invite) return res.status(404).json({ error: "This invite is invalid, used or expired" });
+
+        const user = await User.findById(req.user.id).select('email');
+        if (!user || user.email.toLowerCase() !== invite.email) {
+            return res.status(403).json({ error: `This invite is for ${invite.email}` });
+        }
+        const ledger = await Ledger.findById(invite.ledgerId);
+        if (!ledger) return res.status(404).json({ error: "Ledger not found" });
+
+        if (!ledger.roleOf(req.user.id)) {
+            ledger.members.push({ userId: req.user.id, role: invite.role });
+            await ledger.save();
+        }
+        invite.acceptedAt = new Date();
+        invite.acceptedBy = req.user.id;
+        await invite.save();
+        res.json(await describe(ledger, req.user.id));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Rename (owner only): { name }
+router.patch('/:id', async (req, res) => {
+    try {
+        const { ledger, role } = await findMembership(req.user.id, req.params.id);
+        if (!ledger) return res.status(404).json({ error: "Ledger not found" });
+        if (role !== 'owner') return res.status(403).json({ error: "Only the ledger owner can do that" });
+
+        if (req.body.name !== undefined) ledger.name = req.body.name;
+        await ledger.save();
+        res.json(await describe(ledger, req.user.id));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete (owner only), refused while the ledger still has transactions
+router.delete('/:id', async (req, res) => {
+    try {
+        const { ledger, role } = await findMembership(req.user.id, req.params.id);
+        if (!ledger) return res.status(404).json({ error: "Ledger not found" });
+        if (role !== 'owner') return res.status(403).json({ error: "Only the ledger owner can do that" });
+
+        const inUse = await Expense.countDocuments({ ledgerId: ledger._id });
+        if (inUse) return res.status(409).json({ error: `This ledger still has ${inUse} transaction(s)`, inUse });
+
+        await LedgerInvite.deleteMany({ ledgerId: ledger._id });
+        await ledger.deleteOne();
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- MEMBERS ---
+
+// Change a member's role (owner only): { role }. Handing over 'owner' makes the caller an editor.
+router.patch('/:id/members/:userId', async (req, res) => {
+    try {
+        const { ledger, role } = await findMembership(req.user.id, req.params.id);
+        if (!ledger) return res.status(404).json({ error: "Ledger not found" });
+        if (role !== 'owner') return res.status(403).json({ error: "Only the ledger owner can do that" });
+
+        const member = mongoose.isValidObjectId(req.params.userId) && ledger.members.find(m => m.userId.equals(req.params.userId));
+        if (!member) return res.status(404).json({ error: "Member not found" });
+        if (!Ledger.LEDGER_ROLES.includes(req.body.role)) {
+            return res.status(400).json({ error: `Role must be one of: ${Ledger.LEDGER_ROLES.join(', ')}` });
+        }
+        if (member.userId.equals(req.user.id)) return res.status(400).json({ error: "Hand ownership to another member instead" });
+
+        if (req.body.role === 'owner') ledger.members.find(m => m.userId.equals(req.user.id)).role = 'editor';
+        member.role = req.body.role;
+        await ledger.save();
+        res.json(await describe(ledger, req.user.id));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Remove a member (owner), or leave (anyone but the owner). Their transactions stay in the ledger.
+router.delete('/:id/members/:userId', async (req, res) => {
+    try {
+        const { ledger, role } = await findMembership(req.user.id, req.params.id);
+        if (!ledger) return res.status(404).json({ error: "Ledger not found" });
+
+        const leaving = req.params.userId === String(req.user.id);
+        if (!leaving && role !== 'owner') return res.status(403).json({ error: "Only the ledger owner can do that" });
+        if (leaving && role === 'owner') return res.status(400).json({ error: "Hand ownership to another member before leaving" });
+
+        const before = ledger.members.length;
+        ledger.members = ledger.members.filter(m => String(m.userId) !== req.params.userId);
+        if (ledger.members.length === before) return res.status(404).json({ error: "Member not found" });
+        await ledger.save();
+        res.json({ message: leaving ? "Left the ledger" : "Removed" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- INVITES ---
+
+// Open and past invites, newest first (owner only)
+router.get('/:id/invites', async (req, res) => {
+    try {
+        const { ledger, role } = await findMembership(req.user.id, req.params.id);
+        if (!ledger) return res.status(404).json({ error: "Ledger not found" });
+        if (role !== 'owner') return res.status(403).json({ error: "Only the ledger owner can do that" });
+
+        res.json(await LedgerInvite.find({ ledgerId: ledger._id }).sort({ createdAt: -1 }).limit(100));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Invite someone by email (owner only): { email, role = 'editor' }. No mail is sent: the response
+// carries the token once, for the owner to pass on; the invitee redeems it through POST /join.
+router.post('/:id/invites', async (req, res) => {
+    try {
+        const { ledger, role } = await findMembership(req.user.id, req.params.id);
+        if (!ledger) return res.status(404).json({ error: "Ledger not found" });
+        if (role !== 'owner') return res.status(403).json({ error: "Only the ledger owner can do that" });
+
+        const email = normalizeEmail(req.body.email);
+        if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ error: "Enter a valid email address" });
+        const inviteRole = req.body.role || 'editor';
+        if (!INVITE_ROLES.includes(inviteRole)) return res.status(400).json({ error: `Role must be one of: ${INVITE_ROLES.join(', ')}` });
+
+        const members = await User.find({ _id: { $in: ledger.members.map(m => m.userId) } }).select('email').lean();
+        if (members.some(m => m.email.toLowerCase() === email)) return res.status(409).json({ error: "They are already a member" });
+
+        const { invite, token } = await LedgerInvite.issue({ ledgerId: ledger._id, email, role: inviteRole, createdBy: req.user.id });
+        res.status(201).json({ ...invite.toJSON(), token });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Withdraw an invite (owner only)
+router.delete('/:id/invites/:inviteId', async (req, res) => {
+    try {
+        const { ledger, role } = await findMembership(req.user.id, req.params.id);
+        if (!ledger) return res.status(404).json({ error: "Ledger not found" });
+        if (role !== 'owner') return res.status(403).json({ error: "Only the ledger owner can do that" });
+
+        const invite = mongoose.isValidObjectId(req.params.inviteId)
+            ? await LedgerInvite.findOneAndDelete({ _id: req.params.inviteId, ledgerId: ledger._id })
+            : null;
+        if (!invite) return res.status(404).json({ error: "Invite not found" });
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
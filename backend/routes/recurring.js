@@ -0,0 +1,252 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const RecurringRule = require('../models/RecurringRule');
+const { FREQUENCIES } = require('../models/RecurringRule');
+const { authMiddleware } = require('../middleware/auth');
+const { EXPENSE_SCHEMA, validateExpense, checkCategory, checkAccounts } = require('../utils/expenses');
+const { validate, sendValidationErrors, modelErrors } = require('../utils/validate');
+const { processRule } = require('../services/recurring');
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const DEFAULT_UPCOMING_DAYS = 60;
+const MAX_UPCOMING_DAYS = 366;
+
+const INTERVAL_MESSAGE = "Interval must be a whole number of at least 1";
+
+// The schedule half of a rule body (see utils/validate); the template is checked as an expense is
+const RECURRING_SCHEMA = {
+    frequency: { type: 'enum', values: FREQUENCIES, required: true, label: 'Frequency' },
+    interval: {
+        type: 'number', required: true, label: 'Interval', message: INTERVAL_MESSAGE,
+        normalize: (value) => (Number.isInteger(value) && value >= 1 ? { value } : { error: INTERVAL_MESSAGE })
+    },
+    startDate: { type: 'date', required: true, label: 'Start date' },
+    endDate: { type: 'date', nullable: true, label: 'End date' },
+    active: {
+        label: 'Active',
+        normalize: (value) => (typeof value === 'boolean' ? { value } : { error: "Active must be true or false" })
+    }
+};
+// What a new rule, or one replaced with PUT, gets for the schedule fields it leaves out
+const SCHEDULE_DEFAULTS = { frequency: 'monthly', interval: 1 };
+// The expense fields a template keeps (see models/RecurringRule.js); splits, sharing, trades and
+// transfers are refused rather than dropped
+const TEMPLATE_FIELDS = ['title', 'amount', 'currency', 'type', 'category', 'payee', 'notes', 'tags', 'accountId'];
+
+const findOwned = (userId, id) => (
+    mongoose.isValidObjectId(id) ? RecurringRule.findOne({ _id: id, userId }) : null
+);
+
+const startOfTodayUtc = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+// Checks the schedule half of a rule body. Returns { fields, errors }.
+const validateSchedule = (body, { partial = false } = {}) => {
+    const { values, errors } = validate(RECURRING_SCHEMA, partial ? body : { ...SCHEDULE_DEFAULTS, ...body }, { partial });
+    return { fields: values, errors };
+};
+
+// Validates the transaction template the same way a POST /api/expenses body is validated.
+// Returns { template } or { errors }, with fields named 'template.<field>'.
+const validateTemplate = async (userId, template, existing) => {
+    const inTemplate = (field, message) => ({ errors: [{ field: `template.${field}`, message }] });
+    const { errors = [], updates } = validateExpense({ ...existing, ...template });
+    if (errors.length) return { errors: errors.map(({ field, message }) => ({ field: `template.${field}`, message })) };
+    if (updates.type === 'transfer') return inTemplate('type', "Transfers cannot repeat yet, add them one at a time");
+    const unkept = Object.keys(updates).find(field => (
+        !TEMPLATE_FIELDS.includes(field) && field !== 'date' && ![null, undefined].includes(updates[field])
+        && !(Array.isArray(updates[field]) && !updates[field].length)
+    ));
+    if (unkept) {
+        const label = EXPENSE_SCHEMA[unkept].label || `${unkept[0].toUpperCase()}${unkept.slice(1)}`;
+        return inTemplate(unkept, `${label} can't be set on a recurring transaction`);
+    }
+    const categoryError = await checkCategory(userId, updates.category, updates.type);
+    if (categoryError) return inTemplate('category', categoryError);
+    const accountError = await checkAccounts(userId, updates);
+    if (accountError) return inTemplate('accountId', accountError);
+    return { template: Object.fromEntries(TEMPLATE_FIELDS.filter(field => field in updates).map(field => [field, updates[field]])) };
+};
+
+// Where generation should continue from after the schedule changed or the rule was resumed:
+// from today, or right after the last generated entry if that is later. With ?backfill=true
+// on create, from the very first occurrence instead.
+const resetNextRun = async (rule, backfill = false) => {
+    const today = startOfTodayUtc();
+    const last = await Expense.findOne({ recurringRuleId: rule._id }).sort({ occurrenceDate: -1 }).select('occurrenceDate');
+    if (last && (backfill || last.occurrenceDate >= today)) {
+        rule.nextRun = rule.occurrenceAfter(last.occurrenceDate);
+    } else if (backfill) {
+        rule.nextRun = rule.occurrenceAfter(null);
+    } else {
+        rule.nextRun = rule.occurrenceAfter(new Date(today.getTime() - 1));
+    }
+};
+
+const parseOccurrence = (rule, value) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return { error: "Occurrence date is invalid" };
+    if (!rule.nextRun || date < rule.nextRun) return { error: "That occurrence has already been created, edit the transaction instead" };
+    const [match] = rule.occurrencesBetween(date, date, 1);
+    if (!match) return { error: "No occurrence is scheduled on that date" };
+    return { date };
+};
+
+const sendError = (res, err) => {
+    if (err.name === 'ValidationError') return sendValidationErrors(res, modelErrors(err));
+    if (err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// List
+router.get('/', async (req, res) => {
+    try {
+        const rules = await RecurringRule.find({ userId: req.user.id }).sort({ nextRun: 1 });
+        res.json(rules);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Occurrences of every active rule due in the next ?days (default 60)
+router.get('/upcoming', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_UPCOMING_DAYS, 1), MAX_UPCOMING_DAYS);
+        const until = new Date(Date.now() + days * 86400000);
+
+        const rules = await RecurringRule.find({ userId: req.user.id, active: true, nextRun: { $ne: null } });
+        const upcoming = rules.flatMap(rule => rule.occurrencesBetween(rule.nextRun, until).map(date => ({
+            ruleId: rule._id,
+            ...rule.entryFor(date),
+            skipped: rule.isSkipped(date),
+            overridden: Boolean(rule.overrideFor(date))
+        })));
+        upcoming.sort((a, b) => a.date - b.date);
+        res.json(upcoming);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Create (?backfill=true also generates occurrences between startDate and today)
+router.post('/', async (req, res) => {
+    try {
+        const { fields, errors } = validateSchedule(req.body);
+        const { errors: templateErrors = [], template } = await validateTemplate(req.user.id, req.body?.template);
+        if (errors.length || templateErrors.length) return sendValidationErrors(res, [...errors, ...templateErrors]);
+
+        const rule = new RecurringRule({ ...fields, template, userId: req.user.id });
+        await resetNextRun(rule, req.query.backfill === 'true');
+        await rule.save();
+        await processRule(rule);
+        res.status(201).json(rule);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Update; schedule changes only affect occurrences that have not been created yet
+const updateRule = (partial) => async (req, res) => {
+    try {
+        const rule = await findOwned(req.user.id, req.params.id);
+        if (!rule) return res.status(404).json({ error: "Recurring rule not found" });
+
+        const { fields, errors } = validateSchedule(req.body, { partial });
+        let template;
+        if (req.body?.template !== undefined || !partial) {
+            const existing = partial ? rule.template.toObject() : {};
+            const checked = await validateTemplate(req.user.id, req.body?.template, existing);
+            if (checked.errors) errors.push(...checked.errors);
+            template = checked.template;
+        }
+        if (errors.length) return sendValidationErrors(res, errors);
+        if (template) rule.template = template;
+
+        const sameValue = (a, b) => (a instanceof Date || b instanceof Date ? a?.getTime() === b?.getTime() : a === b);
+        const scheduleChanged = ['frequency', 'interval', 'startDate', 'endDate']
+            .some(f => fields[f] !== undefined && !sameValue(fields[f], rule[f]));
+        // Resuming a paused rule continues from today rather than catching up on the pause
+        const resumed = fields.active === true && !rule.active;
+        rule.set(fields);
+        if (scheduleChanged) {
+            // Old single-occurrence edits may no longer line up with the new schedule
+            rule.skipped = [];
+            rule.overrides = [];
+        }
+        if (scheduleChanged || resumed) await resetNextRun(rule);
+        await rule.save();
+        await processRule(rule);
+        res.json(rule);
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+router.put('/:id', updateRule(false));
+router.patch('/:id', updateRule(true));
+
+// Skip or edit one upcoming occurrence: { skip: true } or { title, amount, category }
+router.put('/:id/occurrences/:date', async (req, res) => {
+    try {
+        const rule = await findOwned(req.user.id, req.params.id);
+        if (!rule) return res.status(404).json({ error: "Recurring rule not found" });
+        const { error, date } = parseOccurrence(rule, req.params.date);
+        if (error) return sendValidationErrors(res, [{ field: 'date', message: error }]);
+
+        rule.skipped = rule.skipped.filter(d => d.getTime() !== date.getTime());
+        rule.overrides = rule.overrides.filter(o => o.date.getTime() !== date.getTime());
+
+        if (req.body.skip) {
+            rule.skipped.push(date);
+        } else {
+            const { errors, updates } = validateExpense(
+                { title: req.body.title, amount: req.body.amount, category: req.body.category },
+                { partial: true }
+            );
+            if (errors) return sendValidationErrors(res, errors);
+            if (updates.category) {
+                const categoryError = await checkCategory(req.user.id, updates.category, rule.template.type);
+                if (categoryError) return sendValidationErrors(res, [{ field: 'category', message: categoryError }]);
+            }
+            rule.overrides.push({ ...updates, date });
+        }
+
+        await rule.save();
+        res.json(rule);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Undo a skip or edit so the occurrence uses the template again
+router.delete('/:id/occurrences/:date', async (req, res) => {
+    try {
+        const rule = await findOwned(req.user.id, req.params.id);
+        if (!rule) return res.status(404).json({ error: "Recurring rule not found" });
+        const { error, date } = parseOccurrence(rule, req.params.date);
+        if (error) return sendValidationErrors(res, [{ field: 'date', message: error }]);
+
+        rule.skipped = rule.skipped.filter(d => d.getTime() !== date.getTime());
+        rule.overrides = rule.overrides.filter(o => o.date.getTime() !== date.getTime());
+        await rule.save();
+        res.json(rule);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete (transactions it already created are kept)
+router.delete('/:id', async (req, res) => {
+    try {
+        const rule = await findOwned(req.user.id, req.params.id);
+        if (!rule) return res.status(404).json({ error: "Recurring rule not found" });
+
+        await rule.deleteOne();
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Rule = require('../models/Rule');
+const Category = require('../models/Category');
+const { authMiddleware } = require('../middleware/auth');
+const { normalizeTags } = require('../utils/expenses');
+const { loadRules, applyRules, reapplyRules, suggestRules } = require('../services/rules');
+
+const router = express.Router();
+router.use(authMiddleware);
+
+const RULE_FIELDS = ['name', 'priority', 'match', 'conditions', 'actions', 'enabled'];
+
+// Copies the editable fields and cleans up the actions; returns { fields } or { error }
+const pickFields = (body) => {
+    const fields = {};
+    for (const field of RULE_FIELDS) {
+        if (body[field] !== undefined) fields[field] = body[field];
+    }
+    if (Array.isArray(fields.conditions)) {
+        fields.conditions = fields.conditions.map(condition => ({
+            field: condition?.field,
+            operator: condition?.operator,
+            value: typeof condition?.value === 'string' ? condition.value.trim() : condition?.value
+        }));
+    }
+    if (fields.actions !== undefined) {
+        const { category, tags, payee } = fields.actions || {};
+        const { error, tags: cleanTags } = normalizeTags(tags ?? null);
+        if (error) return { error };
+        fields.actions = {
+            category: typeof category === 'string' && category.trim() ? category.trim() : undefined,
+            tags: cleanTags.length ? cleanTags : undefined,
+            payee: typeof payee === 'string' && payee.trim() ? payee.trim() : undefined
+        };
+    }
+    return { fields };
+};
+
+const findOwned = (userId, id) => (
+    mongoose.isValidObjectId(id) ? Rule.findOne({ _id: id, userId }) : null
+);
+
+const checkCategory = async (userId, actions) => {
+    if (!actions?.category) return null;
+    await Category.ensureForUser(userId);
+    return (await Category.exists({ userId, name: actions.category })) ? null : `Unknown category "${actions.category}"`;
+};
+
+const sendError = (res, err) => {
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// The optional from (inclusive) and to (exclusive) dates of a request body
+const readRange = (body) => {
+    const range = {};
+    for (const key of ['from', 'to']) {
+        if (!body[key]) continue;
+        const date = new Date(body[key]);
+        if (isNaN(date.getTime())) return { error: `Invalid '${key}' date` };
+        range[key] = date;
+    }
+    return { range };
+};
+
+// List, in the order they run
+router.get('/', async (req, res) => {
+    try {
+        res.json(await Rule.find({ userId: req.user.id }).sort({ priority: 1, createdAt: 1 }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Rules learned from how past transactions were categorized, ready to POST back as they are
+router.get('/suggestions', async (req, res) => {
+    try {
+        res.json(await suggestRules(req.user.id));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// What the rules would do to a transaction being entered: { title, amount, type, payee, ... }.
+// Only fills gaps, as POST /api/expenses does.
+router.post('/match', async (req, res) => {
+    try {
+        const { rules, categories } = await loadRules(req.user.id);
+        const { changes, rules: applied } = applyRules(rules, req.body || {}, { categories });
+        res.json({ changes, rules: applied.map(rule => ({ _id: rule._id, name: rule.name })) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Re-run the rules over past transactions: { dryRun = true, overwrite = true, from?, to? }.
+// A dry run lists the changes without saving them.
+router.post('/apply', async (req, res) => {
+    try {
+        const { range, error } = readRange(req.body);
+        if (error) return res.status(400).json({ error });
+        res.json(await reapplyRules(req.user.id, {
+            ...range,
+            dryRun: req.body.dryRun !== false,
+            overwrite: req.body.overwrite !== false
+        }));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Create
+router.post('/', async (req, res) => {
+    try {
+        const { fields, error } = pickFields(req.body);
+        if (error) return res.status(400).json({ error });
+        const categoryError = await checkCategory(req.user.id, fields.actions);
+        if (categoryError) return res.status(400).json({ error: categoryError });
+
+        const rule = await Rule.create({ ...fields, userId: req.user.id });
+        res.status(201).json(rule);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Update
+const updateRule = async (req, res) => {
+    try {
+        const rule = await findOwned(req.user.id, req.params.id);
+        if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+        const { fields, error } = pickFields(req.body);
+        if (error) return res.status(400).json({ error });
+        const categoryError = await checkCategory(req.user.id, fields.actions);
+        if (categoryError) return res.status(400).json({ error: categoryError });
+
+        rule.set(fields);
+        res.json(await rule.save());
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+router.put('/:id', updateRule);
+router.patch('/:id', updateRule);
+
+// Delete
+router.delete('/:id', async (req, res) => {
+    try {
+        const rule = await findOwned(req.user.id, req.params.id);
+        if (!rule) return res.status(404).json({ error: "Rule not found" });
+
+        await rule.deleteOne();
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Settlement = require('../models/Settlement');
+const { authMiddleware } = require('../middleware/auth');
+const { resolveLedger, requireLedgerRole } = require('../middleware/ledger');
+const { baseCurrencyOf } = require('../services/currency');
+const { sharingBalances } = require('../services/sharing');
+
+// Balances and settlements are kept per ledger, like the expenses they come from
+const router = express.Router();
+router.use(authMiddleware, resolveLedger);
+
+const MAX_SETTLEMENTS = 500;
+
+const defaultCurrencyOf = (req) => req.ledger?.baseCurrency || baseCurrencyOf(req.user.id);
+
+// { name, userId? } from a request body, or null
+const readPerson = (person) => {
+    const name = typeof person?.name === 'string' ? person.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name) return null;
+    if (person.userId && !mongoose.isValidObjectId(person.userId)) return null;
+    return person.userId ? { name, userId: person.userId } : { name };
+};
+
+const sendError = (res, err) => {
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+};
+
+// Everyone's balance, what they owe you or you owe them, and the transfers that would settle up
+router.get('/balances', async (req, res) => {
+    try {
+        res.json(await sharingBalances(req.ledgerScope, req.user.id, await defaultCurrencyOf(req)));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Settlements, newest first
+router.get('/settlements', async (req, res) => {
+    try {
+        res.json(await Settlement.find(req.ledgerScope).sort({ date: -1, _id: -1 }).limit(MAX_SETTLEMENTS));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Record a payment: { from: { name, userId? }, to: { name, userId? }, amount, currency?, date?, note? }
+router.post('/settlements', requireLedgerRole('editor'), async (req, res) => {
+    try {
+        const from = readPerson(req.body.from);
+        const to = readPerson(req.body.to);
+        if (!from || !to) return res.status(400).json({ error: "Say who paid and who was paid" });
+        const amount = Number(req.body.amount);
+        if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ error: "Amount must be a positive number" });
+
+        const settlement = await Settlement.create({
+            userId: req.user.id,
+            ledgerId: req.ledger?._id,
+            from,
+            to,
+            amount: Math.round(amount * 100) / 100,
+            currency: req.body.currency || await defaultCurrencyOf(req),
+            date: req.body.date || undefined,
+            note: req.body.note || undefined
+        });
+        res.status(201).json(settlement);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete
+router.delete('/settlements/:id', requireLedgerRole('editor'), async (req, res) => {
+    try {
+        const settlement = mongoose.isValidObjectId(req.params.id)
+            ? await Settlement.findOneAndDelete({ _id: req.params.id, ...req.ledgerScope })
+            : null;
+        if (!settlement) return res.status(404).json({ error: "Settlement not found" });
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const User = require('../models/User');
+const { authMiddleware } = require('../middleware/auth');
+const { createCounter, tooMany } = require('../middleware/rateLimit');
+const { sendValidationErrors } = require('../utils/validate');
+const { checkPassword } = require('../utils/passwords');
+const { sendLater } = require('../services/mailer');
+const { twoFactorStatus, beginSetup, completeSetup, verifySecondFactor, regenerateBackupCodes, disableTwoFactor } = require('../services/twoFactor');
+
+// Managing two-factor sign-in for the signed-in user. The login step that asks for the code is
+// in routes/auth.js. Anything that weakens it or shows secrets asks for the password or a
+// current code again, so a device left signed in isn't enough.
+const router = express.Router();
+router.use(authMiddleware);
+
+// Wrong passwords and codes here, per user
+const reauthFailures = createCounter({ windowMs: 15 * 60 * 1000, max: 5 });
+
+// Checks the password and/or code in the body, as asked, answering the request when one is wrong
+const reauthenticate = async (req, res, { password = false, code = false }) => {
+    const key = req.user.id;
+    const wait = reauthFailures.blockedFor(key);
+    if (wait) {
+        tooMany(res, wait, `Too many failed attempts. Try again in ${Math.ceil(wait / 60)} minute(s).`);
+        return false;
+    }
+
+    const errors = [];
+    if (password) {
+        const user = await User.findById(req.user.id);
+        if (!(await checkPassword(req.body.password, user))) errors.push({ field: 'password', message: "Password is incorrect" });
+    }
+    if (code && !errors.length && !(await verifySecondFactor(req.user.id, req.body.code))) {
+        errors.push({ field: 'code', message: "That code isn't valid" });
+    }
+    if (errors.length) {
+        reauthFailures.hit(key);
+        sendValidationErrors(res, errors);
+        return false;
+    }
+    reauthFailures.reset(key);
+    return true;
+};
+
+const notify = async (userId, subject, text) => {
+    const user = await User.findById(userId).select('name email');
+    if (user) sendLater({ to: user.email, subject, text: `Hi ${user.name},\n\n${text}\n\nIf this wasn't you, reset your password and check your signed-in devices straight away.` });
+};
+
+// { enabled, enabledAt, backupCodesLeft }
+router.get('/', async (req, res) => {
+    try {
+        res.json(await twoFactorStatus(req.user.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Starts setup: { password }. Returns { secret, uri, qrCode } for the authenticator app.
+router.post('/setup', async (req, res) => {
+    try {
+        if ((await twoFactorStatus(req.user.id)).enabled) return res.status(409).json({ error: "Two-factor sign-in is already on" });
+        if (!(await reauthenticate(req, res, { password: true }))) return;
+
+        const user = await User.findById(req.user.id).select('email');
+        res.json(await beginSetup(user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Finishes setup: { code } from the app. Returns { backupCodes }, shown this once.
+router.post('/enable', async (req, res) => {
+    try {
+        const backupCodes = await completeSetup(req.user.id, req.body.code);
+        if (!backupCodes) return sendValidationErrors(res, [{ field: 'code', message: "That code isn't valid. Check the time on your phone and try the newest code." }]);
+
+        await notify(req.user.id, "Two-factor sign-in is on", "Two-factor sign-in was just turned on for your Expenses Tracker account.");
+        res.json({ backupCodes });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Replaces the backup codes: { code }. Returns { backupCodes }.
+router.post('/backup-codes', async (req, res) => {
+    try {
+        if (!(await twoFactorStatus(req.user.id)).enabled) return res.status(400).json({ error: "Two-factor sign-in is off" });
+        if (!(await reauthenticate(req, res, { code: true }))) return;
+
+        res.json({ backupCodes: await regenerateBackupCodes(req.user.id) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Turns two-factor sign-in off: { password, code }, where the code may be a backup code
+router.post('/disable', async (req, res) => {
+    try {
+        if (!(await twoFactorStatus(req.user.id)).enabled) return res.status(400).json({ error: "Two-factor sign-in is off" });
+        if (!(await reauthenticate(req, res, { password: true, code: true }))) return;
+
+        await disableTwoFactor(req.user.id);
+        await notify(req.user.id, "Two-factor sign-in is off", "Two-factor sign-in was just turned off for your Expenses Tracker account.");
+        res.json({ message: "Two-factor sign-in is off" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { CURRENCY_PATTERN, EMAIL_PATTERN, WEEK_STARTS, normalizeEmail } = require('../models/User');
+const { authMiddleware } = require('../middleware/auth');
+const { createCounter, tooMany } = require('../middleware/rateLimit');
+const { validate, sendValidationErrors, modelErrors } = require('../utils/validate');
+const { checkPassword } = require('../utils/passwords');
+const { changeBaseCurrency } = require('../services/currency');
+const { verifySecondFactor } = require('../services/twoFactor');
+const { sendLater } = require('../services/mailer');
+const { profileOf, deleteAccount } = require('../services/users');
+
+// The signed-in user's profile and settings, and closing the account
+const router = express.Router();
+router.use(authMiddleware);
+
+// Wrong passwords and codes when changing the email or deleting the account, per user
+const passwordFailures = createCounter({ windowMs: 15 * 60 * 1000, max: 5 });
+
+const SETTINGS_SCHEMA = {
+    name: { type: 'string', required: true, trim: true, maxLength: 100, label: 'Name' },
+    email: {
+        type: 'string',
+        required: true,
+        trim: true,
+        maxLength: 254,
+        pattern: EMAIL_PATTERN,
+        label: 'Email',
+        message: "Enter a valid email address",
+        normalize: (value) => ({ value: normalizeEmail(value) })
+    },
+    baseCurrency: {
+        type: 'string',
+        required: true,
+        trim: true,
+        uppercase: true,
+        pattern: CURRENCY_PATTERN,
+        label: 'Base currency',
+        message: "Currency must be a 3-letter ISO code such as USD"
+    },
+    locale: {
+        type: 'string',
+        trim: true,
+        nullable: true,
+        label: 'Locale',
+        normalize: (value) => (
+            User.isValidLocale(value) ? { value: Intl.getCanonicalLocales(value)[0] } : { error: "Locale must be a language tag such as en-US" }
+        )
+    },
+    weekStart: {
+        type: 'number',
+        required: true,
+        label: 'Week start',
+        normalize: (value) => (WEEK_STARTS.includes(value) ? { value } : { error: "The week can start on Sunday, Monday or Saturday" })
+    },
+    defaultCategory: { type: 'string', trim: true, nullable: true, label: 'Default category' }
+};
+
+// Checks the password, and the two-factor code when that is on, before something that can't be
+// undone; answers the request and returns false when either is wrong
+const confirmIdentity = async (req, res, user) => {
+    const key = String(user._id);
+    const wait = passwordFailures.blockedFor(key);
+    if (wait) {
+        tooMany(res, wait, `Too many failed attempts. Try again in ${Math.ceil(wait / 60)} minute(s).`);
+        return false;
+    }
+
+    let error = null;
+    if (!(await checkPassword(req.body.currentPassword, user))) {
+        error = { field: 'currentPassword', message: "Password is incorrect" };
+    } else if (user.twoFactor?.enabledAt && !(await verifySecondFactor(user._id, req.body.code))) {
+        error = { field: 'code', message: "Enter a valid code from your authenticator app" };
+    }
+    if (error) {
+        passwordFailures.hit(key);
+        sendValidationErrors(res, [error]);
+        return false;
+    }
+    passwordFailures.reset(key);
+    return true;
+};
+
+router.get('/me', async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: "User not found" });
+        res.json(profileOf(user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Update any of name, email, baseCurrency, locale, weekStart and defaultCategory. A new email
+// needs { currentPassword } (and { code } with two-factor sign-in), as the email is where
+// password resets go. A new base currency converts every transaction again.
+router.patch('/me', async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        const { values, errors } = validate(SETTINGS_SCHEMA, req.body, { partial: true });
+        if (values.defaultCategory && !(await Category.exists({ userId: user._id, name: values.defaultCategory }))) {
+            errors.push({ field: 'defaultCategory', message: "Category not found" });
+        }
+        if (errors.length) return sendValidationErrors(res, errors);
+
+        const previousEmail = user.email;
+        if (values.email && values.email !== previousEmail) {
+            // Identity first, so only the account's owner learns whether another account has the email
+            if (!(await confirmIdentity(req, res, user))) return;
+            if (await User.findByEmail(values.email)) {
+                return sendValidationErrors(res, [{ field: 'email', message: "That email is already in use" }]);
+            }
+        }
+
+        const { baseCurrency, ...settings } = values;
+        for (const [field, value] of Object.entries(settings)) {
+            if (value === null) user[field] = undefined;
+            else user[field] = value;
+        }
+        await user.save();
+
+        let reconverted = 0;
+        if (baseCurrency && baseCurrency !== user.baseCurrency) {
+            reconverted = await changeBaseCurrency(user._id, baseCurrency);
+            user.baseCurrency = baseCurrency;
+        }
+
+        if (user.email !== previousEmail) {
+            sendLater({
+                to: previousEmail,
+                subject: "Your email address was changed",
+                text: `Hi ${user.name},\n\nThe email address of your Expenses Tracker account was just changed to ${user.email}. Sign-in and password resets now use the new address.\n\nIf this wasn't you, contact your administrator straight away.`
+            });
+        }
+        res.json({ ...profileOf(user), reconverted });
+    } catch (err) {
+        if (err.code === 11000) return sendValidationErrors(res, [{ field: 'email', message: "That email is already in use" }]);
+        if (err.name === 'ValidationError') return sendValidationErrors(res, modelErrors(err));
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Delete the account and all of its data: { currentPassword, code } (the code only with
+// two-factor sign-in). See services/users.js for what goes.
+router.delete('/me', async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: "User not found" });
+        if (!(await confirmIdentity(req, res, user))) return;
+
+        const result = await deleteAccount(user._id);
+        if (result.sharedLedger) {
+            return res.status(409).json({ error: `You own "${result.sharedLedger}", which others share. Hand it to another member first.` });
+        }
+        res.json({ message: "Account deleted", ...result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
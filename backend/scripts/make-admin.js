@@ -0,0 +1,35 @@
+// Gives an existing account the admin role, or takes it away with --revoke. The first admin has
+// to be made this way; after that admins can change roles in the admin console. Logged in the
+// audit log with no actor.
+//   node scripts/make-admin.js someone@example.com [--revoke]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+
+const run = async () => {
+    const [email, flag] = process.argv.slice(2);
+    if (!email) throw new Error('Usage: node scripts/make-admin.js <email> [--revoke]');
+    const role = flag === '--revoke' ? 'user' : 'admin';
+
+    await mongoose.connect(process.env.MONGO_URI);
+    const user = await User.findByEmail(email);
+    if (!user) throw new Error(`No account uses ${email}`);
+
+    const from = user.role || 'user';
+    if (from === role) {
+        console.log(`ℹ️ ${user.email} is already ${role === 'admin' ? 'an admin' : 'not an admin'}`);
+        return;
+    }
+    user.role = role;
+    await user.save();
+    await AuditLog.record({ actor: null, action: 'user.role', target: user, details: { from, to: role } });
+    console.log(`✅ ${user.email} is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+};
+
+run()
+    .catch(err => {
+        console.error('❌ Failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// One-off migration: turns the free-form category strings on existing transactions
+// into Category documents. Safe to run more than once.
+//   node scripts/migrate-categories.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const userIds = await Expense.distinct('userId');
+    let created = 0;
+
+    for (const userId of userIds) {
+        await Category.ensureForUser(userId);
+
+        // Users who already had categories may still have transactions with names outside them
+        const [used, existing] = await Promise.all([
+            Expense.distinct('category', { userId }),
+            Category.distinct('name', { userId })
+        ]);
+        const known = new Set(existing);
+        const missing = used.filter(name => typeof name === 'string' && name.trim() && !known.has(name));
+        if (missing.length) {
+            await Category.insertMany(missing.map(name => ({ userId, name: name.trim() })));
+            created += missing.length;
+        }
+    }
+
+    console.log(`✅ Migrated categories for ${userIds.length} user(s), ${created} extra categories created`);
+};
+
+migrate()
+    .catch(err => {
+        console.error('❌ Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+// One-off migration: replaces the unique { userId, externalId } index of databases created before
+// shared ledgers, which would refuse a statement imported into one ledger when it goes into
+// another. The new index also has ledgerId. Safe to run more than once.
+//   node scripts/migrate-import-index.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+
+const OLD_INDEX_KEY = JSON.stringify({ userId: 1, externalId: 1 });
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const indexes = await Expense.collection.indexes().catch(err => {
+        // No expenses yet, so nothing to replace
+        if (err.codeName === 'NamespaceNotFound') return [];
+        throw err;
+    });
+    const old = indexes.find(index => JSON.stringify(index.key) === OLD_INDEX_KEY);
+    if (old) await Expense.collection.dropIndex(old.name);
+    await Expense.createIndexes();
+
+    console.log(old
+        ? '✅ Replaced the old { userId, externalId } import index'
+        : '✅ The import index is already up to date');
+};
+
+migrate()
+    .catch(err => {
+        console.error('❌ Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
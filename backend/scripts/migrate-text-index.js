@@ -0,0 +1,33 @@
+// One-off migration: replaces the search index of databases created before shared ledgers, whose
+// { userId, text } key would keep a ledger's search from using it. The new index has the same name,
+// so the server can't build it until the old one is gone. Safe to run more than once.
+//   node scripts/migrate-text-index.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+
+const INDEX_NAME = 'expense_text_search';
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const indexes = await Expense.collection.indexes().catch(err => {
+        // No expenses yet, so nothing to replace
+        if (err.codeName === 'NamespaceNotFound') return [];
+        throw err;
+    });
+    const old = indexes.find(index => index.name === INDEX_NAME && 'userId' in index.key);
+    if (old) await Expense.collection.dropIndex(INDEX_NAME);
+    await Expense.createIndexes();
+
+    console.log(old
+        ? '✅ Replaced the old { userId, text } search index'
+        : '✅ The search index is already up to date');
+};
+
+migrate()
+    .catch(err => {
+        console.error('❌ Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
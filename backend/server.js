@@ -2,119 +2,517 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const Expense = require('./models/Expense');
+const Budget = require('./models/Budget');
+const Account = require('./models/Account');
+const { authMiddleware } = require('./middleware/auth');
+const { resolveLedger, requireLedgerRole } = require('./middleware/ledger');
+const { isValidTimezone } = require('./utils/dates');
+const { sendValidationErrors, modelErrors } = require('./utils/validate');
+const { normalizeSplits, normalizeSharing, validateExpense, checkCategory, checkSplits, checkAccounts, checkTrade, TRADE_TYPES } = require('./utils/expenses');
+const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const categoryRoutes = require('./routes/categories');
+const budgetRoutes = require('./routes/budgets');
+const recurringRoutes = require('./routes/recurring');
+const importRoutes = require('./routes/imports');
+const currencyRoutes = require('./routes/currencies');
+const holdingRoutes = require('./routes/holdings');
+const accountRoutes = require('./routes/accounts');
+const attachmentRoutes = require('./routes/attachments');
+const ruleRoutes = require('./routes/rules');
+const ledgerRoutes = require('./routes/ledgers');
+const sharingRoutes = require('./routes/sharing');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const { startRecurringScheduler } = require('./services/recurring');
+const { baseCurrencyOf } = require('./services/currency');
+const { getStorage } = require('./services/storage');
+const { rulesForNewExpense } = require('./services/rules');
+const { startOfWeekFor } = require('./services/users');
+const { EXPORT_FORMATS, MAX_EXPORT_ROWS, toExportRecords, toCsvExport, categoryLines, renderStatement } = require('./services/exports');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const JWT_SECRET = process.env.JWT_SECRET || 'secret123';
 
-app.use(cors());
+// Behind nginx every request comes from the proxy. TRUST_PROXY (a number of hops, or an address
+// such as 'loopback') lets req.ip be the client's, which rate limits and sessions rely on.
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+// The refresh token cookie only crosses origins when the client's origin is named here
+app.use(cors(process.env.CLIENT_ORIGIN ? { origin: process.env.CLIENT_ORIGIN, credentials: true } : undefined));
+// Statement, price history and exchange rate imports send whole files, so they get a larger body
+// limit than the default 100kb
+app.use(['/api/expenses/import', '/api/holdings/prices/import', '/api/currencies/rates/import'], express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // --- DATABASE CONNECTION ---
 mongoose.connect(process.env.MONGO_URI)
-    .then(() => console.log('✅ Connected to MongoDB Atlas'))
+    .then(() => {
+        console.log('✅ Connected to MongoDB Atlas');
+        startRecurringScheduler();
+    })
     .catch(err => console.error('❌ MongoDB Error:', err));
 
 // --- MODELS ---
-// 1. User Model
-const userSchema = new mongoose.Schema({
-    name: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
-    password: { type: String, required: true }
-});
-const User = mongoose.model('User', userSchema);
-
-// 2. Expense Model
-const expenseSchema = new mongoose.Schema({
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Linked to User
-    title: String,
-    amount: Number,
-    type: String,
-    category: String,
-    date: { type: Date, default: Date.now }
+// All models live in ./models
+
+// --- AUTH & SESSION ROUTES ---
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth', authRoutes);
+
+// --- PROFILE & SETTINGS (Protected) ---
+app.use('/api/users', userRoutes);
+
+// --- ADMIN CONSOLE (Admins only) ---
+app.use('/api/admin', adminRoutes);
+
+// --- CATEGORY ROUTES (Protected) ---
+app.use('/api/categories', categoryRoutes);
+
+// --- BUDGET ROUTES (Protected) ---
+app.use('/api/budgets', budgetRoutes);
+
+// --- RECURRING TRANSACTION ROUTES (Protected) ---
+app.use('/api/recurring', recurringRoutes);
+
+// --- CURRENCY & EXCHANGE RATE ROUTES (Protected) ---
+app.use('/api/currencies', currencyRoutes);
+
+// --- INVESTMENT HOLDING & PRICE ROUTES (Protected) ---
+app.use('/api/holdings', holdingRoutes);
+
+// --- ACCOUNT ROUTES (Protected) ---
+app.use('/api/accounts', accountRoutes);
+
+// --- AUTO-CATEGORIZATION RULE ROUTES (Protected) ---
+app.use('/api/rules', ruleRoutes);
+
+// --- SHARED LEDGER ROUTES (Protected) ---
+app.use('/api/ledgers', ledgerRoutes);
+
+// --- SHARED EXPENSE BALANCES & SETTLEMENT ROUTES (Protected) ---
+app.use('/api/sharing', sharingRoutes);
+
+// --- EXPENSE ROUTES (Protected) ---
+// Every expense route works in the ledger picked by the X-Ledger-Id header (see middleware/ledger):
+// the caller's personal transactions by default, or a shared ledger they are a member of.
+
+// --- EXPENSE QUERY HELPERS ---
+const SORT_FIELDS = ['date', 'amount', 'title', 'category', 'type'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Turns ?from&to&type&category&account&tags&search into a Mongo filter within `scope`, the
+// active ledger's req.ledgerScope.
+// `from` is inclusive and `to` is exclusive so consecutive periods never overlap.
+// A category matches split lines too; `categories` lists the requested ones so per-category
+// totals can leave out the other lines of a matching split.
+const buildExpenseFilter = (scope, query) => {
+    const filter = { ...scope };
+    const conditions = [];
+    let categories;
+
+    if (query.from || query.to) {
+        filter.date = {};
+        if (query.from) {
+            const from = new Date(query.from);
+            if (isNaN(from.getTime())) return { error: "Invalid 'from' date" };
+            filter.date.$gte = from;
+        }
+        if (query.to) {
+            const to = new Date(query.to);
+            if (isNaN(to.getTime())) return { error: "Invalid 'to' date" };
+            filter.date.$lt = to;
+        }
+    }
+
+    // type and category accept a single value or a comma separated list
+    if (query.type) {
+        const types = String(query.type).split(',');
+        filter.type = types.length > 1 ? { $in: types } : types[0];
+    }
+    if (query.category && query.category !== 'All') {
+        categories = String(query.category).split(',');
+        conditions.push({ $or: [{ category: { $in: categories } }, { 'splits.category': { $in: categories } }] });
+    }
+
+    // Transactions booked against an account, including transfers into it
+    if (query.account) {
+        if (!mongoose.isValidObjectId(query.account)) return { error: "Invalid account" };
+        const account = new mongoose.Types.ObjectId(String(query.account));
+        conditions.push({ $or: [{ accountId: account }, { toAccountId: account }] });
+    }
+    // Any of the listed tags
+    if (query.tags) {
+        const tags = String(query.tags).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+        if (tags.length) conditions.push({ tags: { $in: tags } });
+    }
+    if (conditions.length) filter.$and = conditions;
+
+    // Whole-word search over title, payee and notes through the text index. Quoted phrases and
+    // -excluded words work as in MongoDB's $text.
+    if (query.search && String(query.search).trim()) {
+        filter.$text = { $search: String(query.search).trim() };
+    }
+
+    return { filter, categories };
+};
+
+// ?sort=-date / ?sort=amount, a leading "-" means descending
+const buildExpenseSort = (sortParam = '-date') => {
+    const desc = sortParam.startsWith('-');
+    const field = desc ? sortParam.slice(1) : sortParam;
+    if (!SORT_FIELDS.includes(field)) return { error: `Sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    // _id breaks ties so pages stay stable when many rows share a value
+    return { sort: { [field]: desc ? -1 : 1, _id: desc ? -1 : 1 } };
+};
+
+// List (filtered, sorted and paginated)
+app.get('/api/expenses', authMiddleware, resolveLedger, async (req, res) => {
+    try {
+        const { filter, error: filterError } = buildExpenseFilter(req.ledgerScope, req.query);
+        if (filterError) return res.status(400).json({ error: filterError });
+
+        const { sort, error: sortError } = buildExpenseSort(req.query.sort);
+        if (sortError) return res.status(400).json({ error: sortError });
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const [items, total] = await Promise.all([
+            Expense.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+            Expense.countDocuments(filter)
+        ]);
+
+        res.json({ items, page, limit, total, hasMore: page * limit < total });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
-const Expense = mongoose.model('Expense', expenseSchema);
 
-// --- AUTH ROUTES ---
+// Whose categories and accounts a transaction in the active ledger may use: the caller's own, or
+// in a shared ledger those of every member, since each books to their own and others edit them
+const bookingOwners = (req) => (
+    req.ledger
+        ? [req.user.id, ...req.ledger.members.map(m => String(m.userId)).filter(id => id !== req.user.id)]
+        : [req.user.id]
+);
 
-// Register
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/expenses', authMiddleware, resolveLedger, requireLedgerRole('editor'), async (req, res) => {
     try {
-        const { name, email, password } = req.body;
+        // Only declared fields are taken from the body, so it can't set userId, attachments and the like
+        const { updates: fields, errors = [] } = validateExpense(req.body);
+        // A missing category may still come from the user's rules, checked once they have run
+        const problems = errors.filter(e => e.field !== 'category' || (req.body.category !== undefined && req.body.category !== ''));
+        if (problems.length) return sendValidationErrors(res, problems);
 
-        // Check if user exists
-        const existingUser = await User.findOne({ email });
-        if (existingUser) return res.status(400).json({ error: "User already exists" });
+        if (fields.splits?.length) {
+            const splitError = await checkSplits(bookingOwners(req), fields.splits, fields.type);
+            if (splitError) return sendValidationErrors(res, [{ field: 'splits', message: splitError }]);
+        }
+        // The user's rules fill in a missing category or payee and add their tags
+        const { changes: ruleChanges, rules: appliedRules } = await rulesForNewExpense(req.user.id, fields);
+        Object.assign(fields, ruleChanges);
+        if (fields.type !== 'transfer' || fields.category) {
+            const categoryError = await checkCategory(bookingOwners(req), fields.category, fields.type);
+            if (categoryError) return sendValidationErrors(res, [{ field: 'category', message: categoryError }]);
+        }
+        const accountError = await checkAccounts(bookingOwners(req), fields);
+        if (accountError) return sendValidationErrors(res, [{ field: 'accountId', message: accountError }]);
+        const tradeError = checkTrade(fields);
+        if (tradeError) return sendValidationErrors(res, [{ field: 'instrument', message: tradeError }]);
 
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+        // In a shared ledger, userId records which member entered the transaction
+        const newExpense = new Expense({ ...fields, userId: req.user.id, ledgerId: req.ledger?._id });
+        const saved = await newExpense.save();
 
-        // Save user
-        const newUser = new User({ name, email, password: hashedPassword });
-        await newUser.save();
+        // Tell the client straight away if this pushed a budget over its limit (?tz sets the period boundaries)
+        const timeZone = req.query.tz && isValidTimezone(req.query.tz) ? req.query.tz : 'UTC';
+        const budgetWarnings = await Budget.warningsFor(saved, timeZone);
+        res.status(201).json({ ...saved.toJSON(), budgetWarnings, appliedRules: appliedRules.map(rule => rule.name) });
+    } catch (err) {
+        if (err.name === 'ValidationError') return sendValidationErrors(res, modelErrors(err));
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        res.status(201).json({ message: "User registered successfully" });
+// Every tag in use, most used first, for the tag filter and suggestions
+app.get('/api/expenses/tags', authMiddleware, resolveLedger, async (req, res) => {
+    try {
+        const tags = await Expense.aggregate([
+            { $match: { ...req.ledgerScope, tags: { $type: 'array' } } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ]);
+        res.json(tags.map(({ _id, count }) => ({ tag: _id, count })));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Login
-app.post('/api/auth/login', async (req, res) => {
+// Bulk import (preview, then commit)
+app.use('/api/expenses/import', importRoutes);
+
+// Receipts and other files kept with a transaction
+app.use('/api/expenses/:id/attachments', attachmentRoutes);
+
+// --- SUMMARY ---
+const PERIOD_UNITS = ['day', 'week', 'month', 'year'];
+
+// Folds { _id: type, total } rows into the five dashboard totals.
+// Investments leave the balance like expenses, withdrawals return to it like income.
+const toTotals = (rows) => {
+    const totals = { totalBalance: 0, totalIncome: 0, totalExpense: 0, totalInvested: 0, totalWithdrawn: 0 };
+    for (const { type, total } of rows) {
+        switch (type) {
+            case 'income': totals.totalIncome += total; totals.totalBalance += total; break;
+            case 'expense': totals.totalExpense += total; totals.totalBalance -= total; break;
+            case 'investment': totals.totalInvested += total; totals.totalBalance -= total; break;
+            case 'withdrawal': totals.totalWithdrawn += total; totals.totalBalance += total; break;
+            default: break;
+        }
+    }
+    return totals;
+};
+
+// Groups { key, type, total, count } rows by key and folds each group into totals
+const groupTotals = (rows, keyName) => {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = row.key instanceof Date ? row.key.toISOString() : row.key;
+        if (!groups.has(key)) groups.set(key, { [keyName]: row.key, count: 0, rows: [] });
+        const group = groups.get(key);
+        group.count += row.count;
+        group.rows.push(row);
+    }
+    return [...groups.values()].map(({ rows: groupRows, ...group }) => ({ ...group, ...toTotals(groupRows) }));
+};
+
+// Totals, per-category breakdown and per-period buckets for the same filters as the list,
+// in the base currency of the user or shared ledger. `unconverted` counts transactions still waiting for an exchange rate.
+// ?groupBy=day|week|month|year picks the bucket size, ?tz is the IANA zone buckets are cut in.
+// Weeks start on the day the user chose in their settings.
+app.get('/api/expenses/summary', authMiddleware, resolveLedger, async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { filter, categories, error } = buildExpenseFilter(req.ledgerScope, req.query);
+        if (error) return res.status(400).json({ error });
 
-        // Find user
-        const user = await User.findOne({ email });
-        if (!user) return res.status(400).json({ error: "User not found" });
+        const unit = req.query.groupBy || 'month';
+        if (!PERIOD_UNITS.includes(unit)) return res.status(400).json({ error: `groupBy must be one of: ${PERIOD_UNITS.join(', ')}` });
+        const timezone = req.query.tz || 'UTC';
+        if (!isValidTimezone(timezone)) return res.status(400).json({ error: "Invalid timezone" });
+        const startOfWeek = await startOfWeekFor(req.user.id);
 
-        // Check password
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(400).json({ error: "Invalid credentials" });
+        // Split transactions are summed line by line, so each line lands in its own category and a
+        // category filter only counts the matching lines. Counts are of transactions, not lines,
+        // except in the per-category breakdown.
+        const [result] = await Expense.aggregate([
+            { $match: filter },
+            ...Expense.SPLIT_LINES,
+            ...(categories ? [{ $match: { category: { $in: categories } } }] : []),
+            {
+                $facet: {
+                    totals: [
+                        { $group: { _id: { type: '$type', id: '$_id' }, total: { $sum: '$lineAmount' } } },
+                        { $group: { _id: '$_id.type', total: { $sum: '$total' }, count: { $sum: 1 } } }
+                    ],
+                    // Transfers only move money between accounts, so they belong to no category total
+                    categories: [
+                        { $match: { type: { $ne: 'transfer' } } },
+                        { $group: { _id: { key: '$category', type: '$type' }, total: { $sum: '$lineAmount' }, count: { $sum: 1 } } }
+                    ],
+                    periods: [
+                        {
+                            $group: {
+                                _id: {
+                                    key: { $dateTrunc: { date: '$date', unit, timezone, startOfWeek } },
+                                    type: '$type',
+                                    id: '$_id'
+                                },
+                                total: { $sum: '$lineAmount' }
+                            }
+                        },
+                        { $group: { _id: { key: '$_id.key', type: '$_id.type' }, total: { $sum: '$total' }, count: { $sum: 1 } } }
+                    ],
+                    unconverted: [
+                        { $match: { currency: { $exists: true }, baseAmount: { $exists: false } } },
+                        { $group: { _id: '$_id' } },
+                        { $count: 'count' }
+                    ]
+                }
+            }
+        ]);
+        const baseCurrency = req.ledger?.baseCurrency || await baseCurrencyOf(req.user.id);
 
-        // Generate Token
-        const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: '1h' });
+        const flatten = (rows) => rows.map(({ _id, total, count }) => ({ ...(typeof _id === 'object' && _id !== null ? _id : { type: _id }), total, count }));
 
         res.json({
-            token,
-            user: { id: user._id, name: user.name, email: user.email }
+            totals: { ...toTotals(flatten(result.totals)), count: result.totals.reduce((n, row) => n + row.count, 0) },
+            categories: groupTotals(flatten(result.categories), 'category').sort((a, b) => String(a.category).localeCompare(String(b.category))),
+            periods: groupTotals(flatten(result.periods), 'period').sort((a, b) => a.period - b.period),
+            groupBy: unit,
+            baseCurrency,
+            unconverted: result.unconverted[0]?.count || 0
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// --- EXPENSE ROUTES (Protected) ---
-// Middleware to verify Token
-const authMiddleware = (req, res, next) => {
-    const token = req.header('Authorization');
-    if (!token) return res.status(401).json({ error: "Access Denied" });
+// --- EXPORT ---
+// Every transaction matching the dashboard filters, oldest first unless ?sort says otherwise.
+// ?format=csv|json downloads a file, ?format=html returns a printable statement titled with ?label.
+app.get('/api/expenses/export', authMiddleware, resolveLedger, async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        const timeZone = req.query.tz || 'UTC';
+        if (!isValidTimezone(timeZone)) return res.status(400).json({ error: "Invalid timezone" });
+
+        const { filter, categories, error: filterError } = buildExpenseFilter(req.ledgerScope, req.query);
+        if (filterError) return res.status(400).json({ error: filterError });
+        const { sort, error: sortError } = buildExpenseSort(req.query.sort || 'date');
+        if (sortError) return res.status(400).json({ error: sortError });
+
+        const [expenses, baseCurrency, accounts] = await Promise.all([
+            Expense.find(filter).sort(sort).limit(MAX_EXPORT_ROWS).lean(),
+            req.ledger?.baseCurrency || baseCurrencyOf(req.user.id),
+            // Members book against their own accounts, so a shared ledger needs all of theirs
+            Account.find({ userId: req.ledger ? { $in: req.ledger.members.map(m => m.userId) } : req.user.id }).select('name').lean()
+        ]);
+        const accountNames = new Map(accounts.map(a => [String(a._id), a.name]));
+        const records = toExportRecords(expenses, timeZone, baseCurrency, accountNames);
+        const filename = `transactions-${new Date().toISOString().slice(0, 10)}`;
 
+        if (format === 'json') {
+            res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+            return res.json(records);
+        }
+        if (format === 'csv') {
+            res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            return res.type('text/csv').send(toCsvExport(records));
+        }
+
+        const totalsByType = new Map();
+        const categoryRows = new Map();
+        for (const record of records) {
+            if (record.type === 'transfer') continue;
+            // Transactions still waiting for an exchange rate are listed but not totalled
+            for (const { category, baseAmount } of categoryLines(record, categories)) {
+                totalsByType.set(record.type, (totalsByType.get(record.type) || 0) + baseAmount);
+                const key = `${category}|${record.type}`;
+                if (!categoryRows.has(key)) categoryRows.set(key, { key: category, type: record.type, total: 0, count: 0 });
+                const row = categoryRows.get(key);
+                row.total += baseAmount;
+                row.count += 1;
+            }
+        }
+
+        res.type('html').send(renderStatement({
+            label: String(req.query.label || 'All transactions'),
+            records,
+            totals: toTotals([...totalsByType].map(([type, total]) => ({ type, total }))),
+            categories: groupTotals([...categoryRows.values()], 'category').sort((a, b) => String(a.category).localeCompare(String(b.category))),
+            baseCurrency,
+            timeZone
+        }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Update (PUT replaces the editable fields, PATCH only touches the ones sent)
+const updateExpense = (partial) => async (req, res) => {
     try {
-        const verified = jwt.verify(token, JWT_SECRET);
-        req.user = verified;
-        next();
+        const { errors, updates } = validateExpense(req.body, { partial });
+        if (errors) return sendValidationErrors(res, errors);
+
+        // Only match documents in the active ledger so ids from elsewhere 404
+        const expense = await Expense.findOne({ _id: req.params.id, ...req.ledgerScope });
+        if (!expense) return res.status(404).json({ error: "Expense not found" });
+
+        const type = updates.type ?? expense.type;
+        // Choosing a single category undoes a split
+        if (updates.category !== undefined && updates.splits === undefined && expense.splits?.length) updates.splits = [];
+        // Split lines must still add up when only the amount or only the lines changed
+        const splits = updates.splits ?? expense.toObject().splits ?? [];
+        if (splits.length && (updates.splits !== undefined || updates.amount !== undefined || updates.type !== undefined)) {
+            const { error: splitError } = normalizeSplits(splits, updates.amount ?? expense.amount);
+            const categoryError = splitError || await checkSplits(bookingOwners(req), splits, type);
+            if (categoryError) return sendValidationErrors(res, [{ field: 'splits', message: categoryError }]);
+        }
+        if ((updates.category !== undefined || updates.type !== undefined) && (type !== 'transfer' || updates.category)) {
+            const categoryError = await checkCategory(bookingOwners(req), updates.category ?? expense.category, type);
+            if (categoryError) return sendValidationErrors(res, [{ field: 'category', message: categoryError }]);
+        }
+
+        // A transaction that stops being a transfer no longer has a destination
+        if (updates.type !== undefined && type !== 'transfer') {
+            updates.toAccountId ??= null;
+            updates.toAmount ??= null;
+        }
+        // Only expenses are shared, and the parts follow the amount
+        if (updates.type !== undefined && type !== 'expense' && updates.sharing === undefined) updates.sharing = null;
+        const sharing = updates.sharing !== undefined ? updates.sharing : expense.toObject().sharing;
+        if (sharing && (updates.sharing !== undefined || updates.amount !== undefined || updates.type !== undefined)) {
+            const { error: sharingError, sharing: normalized } = normalizeSharing(sharing, updates.amount ?? expense.amount, type);
+            if (sharingError) return sendValidationErrors(res, [{ field: 'sharing', message: sharingError }]);
+            updates.sharing = normalized;
+        }
+        // Only investments and withdrawals carry an instrument
+        if (updates.type !== undefined && !TRADE_TYPES.includes(type)) {
+            updates.instrument ??= null;
+            updates.quantity ??= null;
+            updates.unitPrice ??= null;
+        }
+        if (['type', 'instrument', 'quantity'].some(field => updates[field] !== undefined)) {
+            const tradeError = checkTrade({
+                type,
+                instrument: updates.instrument !== undefined ? updates.instrument : expense.instrument,
+                quantity: updates.quantity !== undefined ? updates.quantity : expense.quantity
+            });
+            if (tradeError) return sendValidationErrors(res, [{ field: 'instrument', message: tradeError }]);
+        }
+        if (['type', 'accountId', 'toAccountId'].some(field => updates[field] !== undefined)) {
+            const accountError = await checkAccounts(bookingOwners(req), {
+                type,
+                accountId: updates.accountId !== undefined ? updates.accountId : expense.accountId,
+                toAccountId: updates.toAccountId !== undefined ? updates.toAccountId : expense.toAccountId
+            });
+            if (accountError) return sendValidationErrors(res, [{ field: 'accountId', message: accountError }]);
+        }
+
+        expense.set(updates);
+        res.json(await expense.save());
     } catch (err) {
-        res.status(400).json({ error: "Invalid Token" });
+        if (err.name === 'ValidationError') return sendValidationErrors(res, modelErrors(err));
+        if (err.name === 'CastError') return res.status(404).json({ error: "Expense not found" });
+        res.status(500).json({ error: err.message });
     }
 };
 
-app.get('/api/expenses', authMiddleware, async (req, res) => {
-    const expenses = await Expense.find({ userId: req.user.id }).sort({ date: -1 });
-    res.json(expenses);
-});
-
-app.post('/api/expenses', authMiddleware, async (req, res) => {
-    const newExpense = new Expense({ ...req.body, userId: req.user.id });
-    const saved = await newExpense.save();
-    res.json(saved);
-});
+app.put('/api/expenses/:id', authMiddleware, resolveLedger, requireLedgerRole('editor'), updateExpense(false));
+app.patch('/api/expenses/:id', authMiddleware, resolveLedger, requireLedgerRole('editor'), updateExpense(true));
 
-app.delete('/api/expenses/:id', authMiddleware, async (req, res) => {
-    await Expense.findByIdAndDelete(req.params.id);
-    res.json({ message: "Deleted" });
+app.delete('/api/expenses/:id', authMiddleware, resolveLedger, requireLedgerRole('editor'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Expense not found" });
+        const deleted = await Expense.findOneAndDelete({ _id: req.params.id, ...req.ledgerScope });
+        if (!deleted) return res.status(404).json({ error: "Expense not found" });
+        // The files go with the transaction; a missing one is no reason to fail the delete
+        if (deleted.attachments?.length) {
+            const storage = getStorage();
+            await Promise.allSettled(deleted.attachments.map(attachment => storage.remove(attachment.key)));
+        }
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
\ No newline at end of file
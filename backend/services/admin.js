@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const { profileOf } = require('./users');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_METRIC_DAYS = 365;
+
+// What admins see of an account: the profile plus whether it is disabled and when it was last used
+const adminViewOf = (user) => ({
+    ...profileOf(user),
+    disabledAt: user.disabledAt || null,
+    lastActiveAt: user.lastActiveAt || null
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A page of accounts, newest first, optionally those whose name or email contains `search`.
+// Resolves to { items, page, limit, total, hasMore } like the transaction list.
+const listUsers = async ({ search, page, limit }) => {
+    const text = typeof search === 'string' ? search.trim() : '';
+    const pattern = text && new RegExp(escapeRegex(text), 'i');
+    const filter = pattern ? { $or: [{ name: pattern }, { email: pattern }] } : {};
+
+    const [users, total] = await Promise.all([
+        User.find(filter).sort({ _id: -1 }).skip((page - 1) * limit).limit(limit),
+        User.countDocuments(filter)
+    ]);
+    return { items: users.map(adminViewOf), page, limit, total, hasMore: page * limit < total };
+};
+
+// Documents created per UTC day since `since`, from the time in their ids, which every document
+// has whether or not its model keeps timestamps. Resolves to a Map of YYYY-MM-DD to count.
+const createdPerDay = async (Model, since) => {
+    const rows = await Model.aggregate([
+        { $match: { _id: { $gte: mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000)) } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: { $toDate: '$_id' } } }, count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id, row.count]));
+};
+
+// Usage across every account, as counts only: nothing in it says who did what.
+//   users         { total, admins, disabled, twoFactor }
+//   activeUsers   { day, week, month }, signed in or refreshed a session in the last 1, 7 or 30 days
+//   transactions  { total }
+//   days          [{ date, transactions, signups }] for the last `days` UTC days, oldest first
+const usageMetrics = async (days) => {
+    const span = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_METRIC_DAYS);
+    const now = Date.now();
+    const today = new Date(now);
+    today.setUTCHours(0, 0, 0, 0);
+    const since = new Date(today.getTime() - (span - 1) * DAY_MS);
+    const activeWithin = (ms) => User.countDocuments({ lastActiveAt: { $gte: new Date(now - ms) } });
+
+    const [total, admins, disabled, twoFactor, day, week, month, transactions, created, signups] = await Promise.all([
+        User.estimatedDocumentCount(),
+        User.countDocuments({ role: 'admin' }),
+        User.countDocuments({ disabledAt: { $ne: null } }),
+        User.countDocuments({ 'twoFactor.enabledAt': { $ne: null } }),
+        activeWithin(DAY_MS),
+        activeWithin(7 * DAY_MS),
+        activeWithin(30 * DAY_MS),
+        Expense.estimatedDocumentCount(),
+        createdPerDay(Expense, since),
+        createdPerDay(User, since)
+    ]);
+
+    const perDay = Array.from({ length: span }, (_, i) => {
+        const date = new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+        return { date, transactions: created.get(date) || 0, signups: signups.get(date) || 0 };
+    });
+    return {
+        users: { total, admins, disabled, twoFactor },
+        activeUsers: { day, week, month },
+        transactions: { total: transactions },
+        days: perDay
+    };
+};
+
+module.exports = { adminViewOf, listUsers, usageMetrics, MAX_METRIC_DAYS };
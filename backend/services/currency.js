@@ -0,0 +1,126 @@
+const Expense = require('../models/Expense');
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const Ledger = require('../models/Ledger');
+const { parseCsv } = require('../utils/csv');
+const { parseDate, parseAmount, DATE_FORMATS } = require('./imports');
+
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY } = User;
+const BATCH_SIZE = 500;
+
+// Rates apply from the start of their (UTC) day, so a same-day transaction finds them
+const rateDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const baseCurrencyOf = async (userId) => {
+    const user = await User.findById(userId).select('baseCurrency');
+    return user?.baseCurrency || DEFAULT_CURRENCY;
+};
+
+// Recomputes baseAmount for the user's expenses in the given currencies (all of them when
+// omitted) after rates or the base currency changed. Lookups are cached per currency and day.
+// Expenses in a shared ledger are converted into the ledger's base currency instead.
+const reconvertExpenses = async (userId, currencies) => {
+    const base = await baseCurrencyOf(userId);
+    const filter = { userId, currency: currencies ? { $in: currencies } : { $exists: true } };
+    const cache = new Map();
+    const ledgerBases = new Map();
+    const targetOf = async (ledgerId) => {
+        if (!ledgerId) return base;
+        const key = String(ledgerId);
+        if (!ledgerBases.has(key)) ledgerBases.set(key, (await Ledger.findById(ledgerId).select('baseCurrency'))?.baseCurrency || base);
+        return ledgerBases.get(key);
+    };
+
+    let ops = [];
+    let updated = 0;
+    const flush = async () => {
+        if (!ops.length) return;
+        await Expense.bulkWrite(ops);
+        updated += ops.length;
+        ops = [];
+    };
+
+    for await (const expense of Expense.find(filter).select('amount currency date ledgerId').lean().cursor()) {
+        const target = await targetOf(expense.ledgerId);
+        const key = `${expense.currency}|${target}|${expense.date.toISOString().slice(0, 10)}`;
+        if (!cache.has(key)) cache.set(key, await ExchangeRate.rateFor(userId, expense.currency, target, expense.date));
+        const rate = cache.get(key);
+
+        const update = rate
+            ? { $set: { rate, baseAmount: Math.round(expense.amount * rate * 100) / 100 } }
+            : { $unset: { rate: 1, baseAmount: 1 } };
+        ops.push({ updateOne: { filter: { _id: expense._id }, update } });
+        if (ops.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+    return updated;
+};
+
+// Entries from before multi-currency were in the old base currency, so they are tagged
+// with it before everything is converted into the new one
+const changeBaseCurrency = async (userId, currency) => {
+    const previous = await baseCurrencyOf(userId);
+    if (previous === currency) return 0;
+    await Expense.updateMany({ userId, currency: { $exists: false } }, { $set: { currency: previous } });
+    await User.updateOne({ _id: userId }, { $set: { baseCurrency: currency } });
+    return reconvertExpenses(userId);
+};
+
+// Reads a rates file with a header row naming date, currency and rate columns, plus an
+// optional quote column (defaults to the base currency). Existing rates for the same day are replaced.
+// Returns { imported, failed } or { error } when the file itself cannot be used.
+const importRates = async (userId, content, { dateFormat = 'ymd' } = {}) => {
+    if (!DATE_FORMATS.includes(dateFormat)) return { error: `dateFormat must be one of: ${DATE_FORMATS.join(', ')}` };
+    const base = await baseCurrencyOf(userId);
+    const [header = [], ...rows] = parseCsv(content);
+    const column = (pattern) => header.findIndex(name => pattern.test(String(name).trim()));
+    const columns = {
+        date: column(/^date$/i),
+        currency: column(/^(currency|from|code)$/i),
+        quote: column(/^(quote|to|base)$/i),
+        rate: column(/^(rate|value)$/i)
+    };
+    if (columns.date === -1 || columns.currency === -1 || columns.rate === -1) {
+        return { error: "The file needs date, currency and rate columns" };
+    }
+
+    const ops = [];
+    const failed = [];
+    const touched = new Set();
+    rows.forEach((row, i) => {
+        const parsed = parseDate(row[columns.date], dateFormat);
+        const date = parsed && rateDay(parsed);
+        const currency = String(row[columns.currency] || '').trim().toUpperCase();
+        const quote = columns.quote === -1 ? base : String(row[columns.quote] || '').trim().toUpperCase();
+        const rate = parseAmount(row[columns.rate]);
+        if (!date) return failed.push({ index: i, error: "Invalid date" });
+        if (!CURRENCY_PATTERN.test(currency) || !CURRENCY_PATTERN.test(quote) || currency === quote) {
+            return failed.push({ index: i, error: "Invalid currency pair" });
+        }
+        if (!rate || rate <= 0) return failed.push({ index: i, error: "Invalid rate" });
+
+        touched.add(currency);
+        touched.add(quote);
+        ops.push({
+            updateOne: {
+                filter: { userId, currency, quote, date },
+                update: { $set: { rate } },
+                upsert: true
+            }
+        });
+    });
+
+    for (let i = 0; i < ops.length; i += BATCH_SIZE) {
+        await ExchangeRate.bulkWrite(ops.slice(i, i + BATCH_SIZE));
+    }
+    if (ops.length) await reconvertExpenses(userId, [...touched]);
+    return { imported: ops.length, failed };
+};
+
+module.exports = {
+    rateDay,
+    baseCurrencyOf,
+    reconvertExpenses,
+    changeBaseCurrency,
+    importRates
+};
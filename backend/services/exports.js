@@ -0,0 +1,163 @@
+const { toCsv } = require('../utils/csv');
+const { zonedDay } = require('../utils/dates');
+
+const EXPORT_FORMATS = ['csv', 'json', 'html'];
+const MAX_EXPORT_ROWS = 50000;
+
+const EXPORT_COLUMNS = ['date', 'title', 'type', 'category', 'splits', 'account', 'toAccount', 'amount', 'currency', 'baseAmount', 'instrument', 'quantity', 'unitPrice', 'payee', 'tags', 'notes'];
+
+// Split lines fit one CSV cell as "Food 12.50; Household 4.00"
+const formatSplits = (splits) => splits.map(split => `${split.category} ${split.amount.toFixed(2)}`).join('; ');
+
+// Flat records with the date as the calendar day the user saw it on. `amount` is in `currency`,
+// `baseAmount` in the base currency (null while no exchange rate is known).
+// Accounts are exported by name, looked up in `accountNames` (id -> name).
+const toExportRecords = (expenses, timeZone = 'UTC', baseCurrency = 'USD', accountNames = new Map()) => expenses.map(e => ({
+    id: String(e._id),
+    date: zonedDay(e.date, timeZone),
+    title: e.title || '',
+    type: e.type,
+    category: e.category || '',
+    account: accountNames.get(String(e.accountId)) || '',
+    toAccount: accountNames.get(String(e.toAccountId)) || '',
+    amount: Number(e.amount),
+    currency: e.currency || baseCurrency,
+    baseAmount: e.baseAmount ?? (e.currency ? null : Number(e.amount)),
+    splits: (e.splits || []).map(({ category, amount, note }) => (note ? { category, amount, note } : { category, amount })),
+    instrument: e.instrument || '',
+    quantity: e.quantity ?? null,
+    unitPrice: e.unitPrice ?? null,
+    payee: e.payee || '',
+    tags: e.tags || [],
+    notes: e.notes || ''
+}));
+
+// Cells that hold a list
+const CELL_FORMATS = {
+    splits: formatSplits,
+    tags: (tags) => tags.join(', ')
+};
+
+const toCsvExport = (records) => toCsv([
+    EXPORT_COLUMNS,
+    ...records.map(record => EXPORT_COLUMNS.map(column => (CELL_FORMATS[column] ? CELL_FORMATS[column](record[column]) : record[column])))
+]);
+
+// A record's category lines with their share of the base amount: one per split line, or the whole
+// record. Lines outside `categories` are left out, as in the dashboard summary.
+const categoryLines = (record, categories) => {
+    const lines = record.splits.length ? record.splits : [{ category: record.category, amount: record.amount }];
+    return lines
+        .filter(line => !categories || categories.includes(line.category))
+        .map(line => ({ category: line.category, baseAmount: (record.baseAmount ?? 0) * line.amount / record.amount }));
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+const money = (value, currency = 'USD') => {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(value || 0));
+    } catch {
+        return `${Number(value || 0).toFixed(2)} ${currency}`;
+    }
+};
+
+// Transfers only move money between accounts and stay uncoloured
+const MONEY_CLASSES = { income: 'in', withdrawal: 'in', expense: 'out', investment: 'out' };
+
+const TOTAL_LABELS = [
+    ['totalBalance', 'Net Balance'],
+    ['totalIncome', 'Income'],
+    ['totalExpense', 'Expenses'],
+    ['totalInvested', 'Invested'],
+    ['totalWithdrawn', 'Withdrawn']
+];
+
+// A self-contained HTML statement with the dashboard totals, the category breakdown and
+// every transaction. It has print styles so the browser's "Save as PDF" gives a clean page.
+// Totals are in the base currency; each transaction shows its original amount.
+const renderStatement = ({ label, records, totals, categories, baseCurrency = 'USD', generatedAt = new Date(), timeZone = 'UTC' }) => {
+    const totalCells = TOTAL_LABELS.map(([key, name]) => `
+        <div class="total"><span>${name}</span><strong>${money(totals[key], baseCurrency)}</strong></div>`).join('');
+
+    const categoryRows = categories.map(c => `
+        <tr>
+            <td>${escapeHtml(c.category)}</td>
+            <td class="num">${c.count}</td>
+            <td class="num">${money(c.totalIncome + c.totalWithdrawn, baseCurrency)}</td>
+            <td class="num">${money(c.totalExpense + c.totalInvested, baseCurrency)}</td>
+        </tr>`).join('');
+
+    const transactionRows = records.map(r => `
+        <tr>
+            <td>${r.date}</td>
+            <td>${escapeHtml(r.title)}</td>
+            <td>${escapeHtml(r.splits.length ? r.splits.map(split => split.category).join(', ') : r.category)}</td>
+            <td class="type">${escapeHtml(r.type)}</td>
+            <td class="num ${MONEY_CLASSES[r.type] || ''}">${money(r.amount, r.currency)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Statement - ${escapeHtml(label)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #1e293b; margin: 2rem auto; max-width: 56rem; padding: 0 1rem; }
+    h1 { margin: 0; font-size: 1.5rem; }
+    h2 { font-size: 1rem; margin: 2rem 0 0.5rem; }
+    .meta { color: #64748b; font-size: 0.8rem; margin-top: 0.25rem; }
+    .totals { display: grid; grid-template-columns: repeat(5, 1fr); gap: 0.5rem; margin-top: 1.5rem; }
+    .total { border: 1px solid #e2e8f0; border-radius: 0.5rem; padding: 0.75rem; }
+    .total span { display: block; color: #64748b; font-size: 0.75rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #f1f5f9; }
+    th { color: #64748b; font-weight: 600; border-bottom-color: #e2e8f0; }
+    .num { text-align: right; white-space: nowrap; }
+    .type { text-transform: capitalize; }
+    .in { color: #16a34a; }
+    .out { color: #dc2626; }
+    .print { float: right; padding: 0.4rem 0.9rem; border: 0; border-radius: 0.4rem; background: #4f46e5; color: #fff; cursor: pointer; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        .print { display: none; }
+        tr { break-inside: avoid; }
+    }
+</style>
+</head>
+<body>
+    <button class="print" onclick="window.print()">Print</button>
+    <h1>Statement &middot; ${escapeHtml(label)}</h1>
+    <p class="meta">${records.length} transaction(s) &middot; totals in ${escapeHtml(baseCurrency)} &middot; generated ${zonedDay(generatedAt, timeZone)} (${escapeHtml(timeZone)})</p>
+
+    <div class="totals">${totalCells}
+    </div>
+
+    <h2>By category</h2>
+    <table>
+        <thead><tr><th>Category</th><th class="num">Count</th><th class="num">Money in</th><th class="num">Money out</th></tr></thead>
+        <tbody>${categoryRows || '<tr><td colspan="4">No transactions</td></tr>'}
+        </tbody>
+    </table>
+
+    <h2>Transactions</h2>
+    <table>
+        <thead><tr><th>Date</th><th>Title</th><th>Category</th><th>Type</th><th class="num">Amount</th></tr></thead>
+        <tbody>${transactionRows || '<tr><td colspan="5">No transactions</td></tr>'}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    MAX_EXPORT_ROWS,
+    toExportRecords,
+    toCsvExport,
+    categoryLines,
+    renderStatement
+};
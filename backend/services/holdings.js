@@ -0,0 +1,191 @@
+const Expense = require('../models/Expense');
+const ExchangeRate = require('../models/ExchangeRate');
+const Price = require('../models/Price');
+const User = require('../models/User');
+const { parseCsv } = require('../utils/csv');
+const { TRADE_TYPES } = require('../utils/expenses');
+const { parseDate, parseAmount, DATE_FORMATS } = require('./imports');
+const { rateDay } = require('./currency');
+
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY, COST_METHODS } = User;
+const { INSTRUMENT_PATTERN } = Price;
+const BATCH_SIZE = 500;
+// Quantities are fractional (crypto, fund units), so leftovers below this count as zero
+const EPSILON = 1e-9;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// What a trade was worth in the base currency, null while it waits for an exchange rate
+const baseValue = (trade) => trade.baseAmount ?? (trade.currency ? null : trade.amount);
+
+// Replays one instrument's trades, oldest first. Investments buy a lot of units; withdrawals
+// sell units, taken from the oldest lots first (fifo) or at the running average cost (average).
+// All money is in the base currency. `oversold` counts units sold that were never bought.
+const replayTrades = (trades, method = 'fifo') => {
+    let lots = []; // { quantity, cost } where cost is what the remaining units of the lot cost
+    const sales = [];
+    let realizedGain = 0;
+    let oversold = 0;
+    let unconverted = 0;
+
+    for (const trade of trades) {
+        const value = baseValue(trade);
+        if (value === null) unconverted++;
+        if (trade.type === 'investment') {
+            lots.push({ quantity: trade.quantity, cost: value ?? 0 });
+            continue;
+        }
+
+        let remaining = trade.quantity;
+        let costOfSold = 0;
+        if (method === 'average') {
+            const held = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+            const cost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+            const sold = Math.min(remaining, held);
+            costOfSold = held > EPSILON ? cost * sold / held : 0;
+            lots = held - sold > EPSILON ? [{ quantity: held - sold, cost: cost - costOfSold }] : [];
+            remaining -= sold;
+        } else {
+            while (remaining > EPSILON && lots.length) {
+                const lot = lots[0];
+                const taken = Math.min(remaining, lot.quantity);
+                const cost = lot.cost * taken / lot.quantity;
+                costOfSold += cost;
+                lot.cost -= cost;
+                lot.quantity -= taken;
+                remaining -= taken;
+                if (lot.quantity <= EPSILON) lots.shift();
+            }
+        }
+        if (remaining > EPSILON) oversold += remaining;
+
+        const gain = (value ?? 0) - costOfSold;
+        realizedGain += gain;
+        sales.push({
+            expenseId: trade._id,
+            date: trade.date,
+            quantity: trade.quantity,
+            proceeds: round(value ?? 0),
+            costBasis: round(costOfSold),
+            gain: round(gain)
+        });
+    }
+
+    const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const costBasis = lots.reduce((sum, lot) => sum + lot.cost, 0);
+    return {
+        quantity: round(quantity, 8),
+        costBasis: round(costBasis),
+        averageCost: quantity > EPSILON ? round(costBasis / quantity, 4) : null,
+        realizedGain: round(realizedGain),
+        sales,
+        oversold: round(oversold, 8),
+        unconverted
+    };
+};
+
+// Every instrument the user ever traded in their personal ledger, with units held, cost basis and realized gain from
+// replaying the trades, and market value and unrealized gain from the latest price.
+// `method` defaults to the user's costMethod. Holdings without a price have null market figures.
+const portfolioFor = async (userId, { method } = {}) => {
+    const now = new Date();
+    const [user, trades] = await Promise.all([
+        User.findById(userId).select('baseCurrency costMethod'),
+        Expense.find({ userId, ledgerId: null, instrument: { $type: 'string' }, type: { $in: TRADE_TYPES }, quantity: { $gt: 0 } })
+            .sort({ date: 1, _id: 1 })
+            .select('type instrument quantity amount currency baseAmount date')
+            .lean()
+    ]);
+    const baseCurrency = user?.baseCurrency || DEFAULT_CURRENCY;
+    const costMethod = method || user?.costMethod || COST_METHODS[0];
+
+    const byInstrument = new Map();
+    for (const trade of trades) {
+        if (!byInstrument.has(trade.instrument)) byInstrument.set(trade.instrument, []);
+        byInstrument.get(trade.instrument).push(trade);
+    }
+
+    const holdings = await Promise.all([...byInstrument].map(async ([instrument, list]) => {
+        const replay = replayTrades(list, costMethod);
+        const price = await Price.latestFor(userId, instrument, now);
+        const rate = price ? await ExchangeRate.rateFor(userId, price.currency, baseCurrency, now) : null;
+        const marketValue = price && rate ? round(replay.quantity * price.price * rate) : null;
+        return {
+            instrument,
+            ...replay,
+            price: price ? { price: price.price, currency: price.currency, date: price.date } : null,
+            marketValue,
+            unrealizedGain: marketValue === null ? null : round(marketValue - replay.costBasis)
+        };
+    }));
+    holdings.sort((a, b) => a.instrument.localeCompare(b.instrument));
+
+    // Market totals only cover open holdings that have a price
+    const open = holdings.filter(h => h.quantity > EPSILON);
+    const priced = open.filter(h => h.marketValue !== null);
+    const sum = (list, field) => round(list.reduce((total, h) => total + h[field], 0));
+    return {
+        method: costMethod,
+        baseCurrency,
+        holdings,
+        totals: {
+            costBasis: sum(open, 'costBasis'),
+            realizedGain: sum(holdings, 'realizedGain'),
+            marketValue: sum(priced, 'marketValue'),
+            unrealizedGain: sum(priced, 'unrealizedGain'),
+            unpriced: open.length - priced.length
+        }
+    };
+};
+
+// Reads a prices file with a header row naming date, instrument and price columns, plus an
+// optional currency column (defaults to the base currency). Existing prices for the same day are replaced.
+// Returns { imported, failed } or { error } when the file itself cannot be used.
+const importPrices = async (userId, content, { dateFormat = 'ymd' } = {}) => {
+    if (!DATE_FORMATS.includes(dateFormat)) return { error: `dateFormat must be one of: ${DATE_FORMATS.join(', ')}` };
+    const user = await User.findById(userId).select('baseCurrency');
+    const base = user?.baseCurrency || DEFAULT_CURRENCY;
+    const [header = [], ...rows] = parseCsv(content);
+    const column = (pattern) => header.findIndex(name => pattern.test(String(name).trim()));
+    const columns = {
+        date: column(/^date$/i),
+        instrument: column(/^(instrument|symbol|ticker)$/i),
+        price: column(/^(price|close|value)$/i),
+        currency: column(/^(currency|ccy)$/i)
+    };
+    if (columns.date === -1 || columns.instrument === -1 || columns.price === -1) {
+        return { error: "The file needs date, instrument (or symbol) and price columns" };
+    }
+
+    const ops = [];
+    const failed = [];
+    rows.forEach((row, i) => {
+        const parsed = parseDate(row[columns.date], dateFormat);
+        const instrument = String(row[columns.instrument] || '').trim().toUpperCase();
+        const currency = columns.currency === -1 ? base : String(row[columns.currency] || base).trim().toUpperCase();
+        const price = parseAmount(row[columns.price]);
+        if (!parsed) return failed.push({ index: i, error: "Invalid date" });
+        if (!INSTRUMENT_PATTERN.test(instrument)) return failed.push({ index: i, error: "Invalid instrument" });
+        if (!CURRENCY_PATTERN.test(currency)) return failed.push({ index: i, error: "Invalid currency" });
+        if (price === null || price < 0) return failed.push({ index: i, error: "Invalid price" });
+
+        ops.push({
+            updateOne: {
+                filter: { userId, instrument, date: rateDay(parsed) },
+                update: { $set: { price, currency } },
+                upsert: true
+            }
+        });
+    });
+
+    for (let i = 0; i < ops.length; i += BATCH_SIZE) {
+        await Price.bulkWrite(ops.slice(i, i + BATCH_SIZE));
+    }
+    return { imported: ops.length, failed };
+};
+
+module.exports = {
+    replayTrades,
+    portfolioFor,
+    importPrices
+};
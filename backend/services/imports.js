@@ -0,0 +1,255 @@
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const { EXPENSE_TYPES, validateExpense, checkTrade } = require('../utils/expenses');
+const { zonedParts } = require('../utils/dates');
+const { loadRules, applyRules } = require('./rules');
+
+const DATE_FORMATS = ['ymd', 'dmy', 'mdy'];
+const MAX_IMPORT_ROWS = 10000;
+
+// Words banks use in a type column, mapped onto our transaction types
+const TYPE_ALIASES = {
+    debit: 'expense', dr: 'expense', withdrawal: 'expense', payment: 'expense',
+    credit: 'income', cr: 'income', deposit: 'income'
+};
+
+// Statement dates carry no time, so they are stored at noon UTC,
+// which falls on the same calendar day in every time zone from UTC-11 to UTC+11
+const parseDate = (value, format = 'ymd') => {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const parts = text.split(/[^0-9]+/).filter(Boolean).map(Number);
+    if (parts.length < 3) return null;
+
+    let [y, m, d] = parts;
+    if (format === 'dmy') [d, m, y] = parts;
+    if (format === 'mdy') [m, d, y] = parts;
+    if (y < 100) y += 2000;
+
+    const date = new Date(Date.UTC(y, m - 1, d, 12));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+    return date;
+};
+
+// Accepts "1,234.56", "-12.50", "(12.50)", "$ 40" and, with decimalSeparator ',', "1.234,56"
+const parseAmount = (value, decimalSeparator = '.') => {
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    text = text.replace(/[^0-9.,]/g, '');
+    text = decimalSeparator === ','
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    const amount = Number(text);
+    if (!text || !Number.isFinite(amount)) return null;
+    return negative ? -amount : amount;
+};
+
+const normalizeType = (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    // Transfers need a second account that a statement line cannot name
+    if (EXPENSE_TYPES.includes(text) && text !== 'transfer') return text;
+    return TYPE_ALIASES[text] || null;
+};
+
+// Turns CSV rows into import entries using the column mapping
+//   mapping: { title, date, amount | debit + credit, type?, category?, currency? } as column indexes
+//   options: { hasHeader = true, dateFormat = 'ymd', decimalSeparator = '.', invertSign = false }
+// A signed amount column is read as money in (positive) or out (negative) unless invertSign is set.
+const mapCsvRows = (rows, mapping = {}, options = {}) => {
+    const { hasHeader = true, dateFormat = 'ymd', decimalSeparator = '.', invertSign = false } = options;
+    const columns = hasHeader ? rows[0] || [] : (rows[0] || []).map((_, i) => `Column ${i + 1}`);
+    const dataRows = (hasHeader ? rows.slice(1) : rows).slice(0, MAX_IMPORT_ROWS);
+    const cell = (row, key) => (mapping[key] === undefined || mapping[key] === null || mapping[key] === '' ? undefined : row[Number(mapping[key])]);
+
+    const entries = dataRows.map((row, i) => {
+        const errors = [];
+        const entry = { index: i, raw: row };
+
+        entry.title = String(cell(row, 'title') ?? '').trim().replace(/\s+/g, ' ');
+        if (!entry.title) errors.push("Missing title");
+
+        entry.date = parseDate(cell(row, 'date'), dateFormat);
+        if (!entry.date) errors.push("Invalid date");
+
+        let signed = null;
+        if (mapping.amount !== undefined && mapping.amount !== null && mapping.amount !== '') {
+            signed = parseAmount(cell(row, 'amount'), decimalSeparator);
+            if (signed !== null && invertSign) signed = -signed;
+        } else {
+            const debit = parseAmount(cell(row, 'debit'), decimalSeparator);
+            const credit = parseAmount(cell(row, 'credit'), decimalSeparator);
+            if (debit) signed = -Math.abs(debit);
+            else if (credit) signed = Math.abs(credit);
+        }
+        if (!signed) errors.push("Invalid amount");
+        entry.amount = signed ? Math.abs(signed) : null;
+
+        const typeCell = cell(row, 'type');
+        entry.type = typeCell !== undefined ? normalizeType(typeCell) : null;
+        if (!entry.type) entry.type = signed !== null && signed < 0 ? 'expense' : 'income';
+
+        entry.category = String(cell(row, 'category') ?? '').trim();
+        entry.currency = String(cell(row, 'currency') ?? '').trim().toUpperCase() || undefined;
+        entry.errors = errors;
+        return entry;
+    });
+
+    return { columns, entries };
+};
+
+// Turns parsed OFX/QIF transactions into import entries. Their amounts are signed,
+// negative for money out, and their ids are kept so a re-import is recognised.
+const mapStatementTransactions = (transactions, options = {}) => {
+    const { dateFormat = 'ymd', decimalSeparator = '.' } = options;
+
+    const entries = transactions.slice(0, MAX_IMPORT_ROWS).map((transaction, i) => {
+        const errors = [];
+        const entry = { index: i, raw: [transaction.date, transaction.title, transaction.amount, transaction.memo].filter(Boolean) };
+
+        entry.title = String(transaction.title || '').trim().replace(/\s+/g, ' ');
+        if (!entry.title) errors.push("Missing title");
+
+        entry.date = parseDate(transaction.date, dateFormat);
+        if (!entry.date) errors.push("Invalid date");
+
+        const signed = parseAmount(transaction.amount, decimalSeparator);
+        if (!signed) errors.push("Invalid amount");
+        entry.amount = signed ? Math.abs(signed) : null;
+        entry.type = signed !== null && signed < 0 ? 'expense' : 'income';
+
+        entry.category = String(transaction.category || '').trim();
+        entry.currency = String(transaction.currency || '').trim().toUpperCase() || undefined;
+        if (transaction.id) entry.externalId = transaction.id;
+        entry.errors = errors;
+        return entry;
+    });
+
+    return { columns: [], entries };
+};
+
+// Matches each entry's category against the user's categories (case-insensitively),
+// falling back to defaultCategory when the name is blank or unknown
+const resolveCategories = async (userId, entries, defaultCategory) => {
+    await Category.ensureForUser(userId);
+    const categories = await Category.find({ userId });
+    const byName = new Map(categories.map(c => [c.name.toLowerCase(), c]));
+    const fallback = defaultCategory ? byName.get(String(defaultCategory).toLowerCase()) : null;
+
+    for (const entry of entries) {
+        let category = entry.category ? byName.get(entry.category.toLowerCase()) : null;
+        if (!category) category = fallback;
+        if (!category) {
+            entry.errors.push(entry.category ? `Unknown category "${entry.category}"` : "Missing category");
+            continue;
+        }
+        if (category.type !== 'any' && category.type !== entry.type) {
+            entry.errors.push(`Category "${category.name}" is only for ${category.type} transactions`);
+        }
+        entry.category = category.name;
+    }
+    return entries;
+};
+
+// Calendar day as seen by the user, so manual entries made late at night still line up
+const dayKey = (date, timeZone) => {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${month + 1}-${day}`;
+};
+const duplicateKey = (entry, timeZone) => (
+    `${dayKey(entry.date, timeZone)}|${Number(entry.amount).toFixed(2)}|${entry.title.trim().toLowerCase()}`
+);
+
+// Flags entries matching an existing transaction (or an earlier row of the same file)
+// on date, amount and title within `scope` (the ledger being imported into). Flagged rows are
+// only suggestions, the user decides. Rows whose bank id the user imported into the same ledger
+// before are errors instead, as saving them would fail.
+const flagDuplicates = async (userId, entries, timeZone = 'UTC', scope = { userId }) => {
+    const externalIds = entries.filter(e => e.externalId).map(e => e.externalId);
+    if (externalIds.length) {
+        const imported = new Set(await Expense.distinct('externalId', {
+            userId,
+            ledgerId: scope.ledgerId ?? null,
+            externalId: { $in: externalIds }
+        }));
+        for (const entry of entries) {
+            if (imported.has(entry.externalId)) entry.errors.push("Already imported");
+        }
+    }
+
+    const dated = entries.filter(e => e.date && e.amount && e.title);
+    if (!dated.length) return entries;
+
+    const times = dated.map(e => e.date.getTime());
+    const existing = await Expense.find({
+        ...scope,
+        date: { $gte: new Date(Math.min(...times) - 86400000), $lte: new Date(Math.max(...times) + 86400000) }
+    }).select('title amount date');
+
+    const seen = new Set(existing.filter(e => e.title && e.date).map(e => duplicateKey(e, timeZone)));
+    for (const entry of dated) {
+        const key = duplicateKey(entry, timeZone);
+        entry.duplicate = seen.has(key);
+        seen.add(key);
+    }
+    return entries;
+};
+
+// Saves the reviewed rows one by one so a bad row is reported without aborting the rest. Every
+// row must be an object; the route checks that first.
+// `accountId` books every row against that (already checked) account, `ledgerId` puts them in
+// that shared ledger rather than the user's personal one.
+const commitEntries = async (userId, rows, { accountId, ledgerId } = {}) => {
+    const { rules, categories } = await loadRules(userId);
+
+    const docs = [];
+    const failed = [];
+    rows.slice(0, MAX_IMPORT_ROWS).forEach((row, i) => {
+        const index = row.index ?? i;
+        // As for a new transaction the rules add tags and a payee, but the row's own category wins
+        const { changes } = applyRules(rules, row, { categories });
+        const { error, updates } = validateExpense({ ...row, ...changes });
+        if (error) return failed.push({ index, error });
+        if (updates.type === 'transfer') return failed.push({ index, error: "Transfers cannot be imported" });
+        const tradeError = checkTrade(updates);
+        if (tradeError) return failed.push({ index, error: tradeError });
+        const category = categories.get(updates.category);
+        if (!category) return failed.push({ index, error: `Unknown category "${updates.category}"` });
+        if (category.type !== 'any' && category.type !== updates.type) {
+            return failed.push({ index, error: `Category "${updates.category}" is only for ${category.type} transactions` });
+        }
+        const doc = { ...updates, userId, importIndex: index };
+        delete doc.splits;
+        delete doc.toAccountId;
+        delete doc.toAmount;
+        delete doc.sharing;
+        if (accountId) doc.accountId = accountId;
+        if (ledgerId) doc.ledgerId = ledgerId;
+        if (row.externalId) doc.externalId = String(row.externalId);
+        docs.push(doc);
+    });
+
+    let created = 0;
+    for (const { importIndex, ...doc } of docs) {
+        try {
+            await Expense.create(doc);
+            created++;
+        } catch (err) {
+            failed.push({ index: importIndex, error: err.code === 11000 ? "Already imported" : err.message });
+        }
+    }
+
+    return { created, failed: failed.sort((a, b) => a.index - b.index) };
+};
+
+module.exports = {
+    DATE_FORMATS,
+    MAX_IMPORT_ROWS,
+    parseDate,
+    parseAmount,
+    mapCsvRows,
+    mapStatementTransactions,
+    resolveCategories,
+    flagDuplicates,
+    commitEntries
+};
@@ -0,0 +1,83 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Sends the app's emails. Every transport takes the same call:
+//   send({ to, subject, text })
+// Pick one with MAIL_DRIVER=console (the default), MAIL_DRIVER=file or MAIL_DRIVER=http; the
+// sender is MAIL_FROM. Console and file are for development: nothing leaves the machine.
+
+const FROM = process.env.MAIL_FROM || 'Expenses Tracker <no-reply@localhost>';
+
+// The message as RFC 822 text, which mail clients open as it is
+const toRfc822 = ({ from, to, subject, text }) => [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text
+].join('\r\n');
+
+// --- CONSOLE ---
+// Prints each message to the server log
+const createConsoleMailer = () => ({
+    send: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`);
+    }
+});
+
+// --- FILE ---
+// Writes each message as an .eml file under MAIL_DIR (backend/mail by default)
+const createFileMailer = ({ dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail') } = {}) => ({
+    send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        await fs.writeFile(path.join(dir, name), toRfc822({ from: FROM, ...message }));
+    }
+});
+
+// --- HTTP ---
+// POSTs each message as JSON { from, to, subject, text } to MAIL_HTTP_URL, with MAIL_HTTP_TOKEN
+// as a bearer token when set: the shape of most transactional mail APIs, or of a small relay
+// in front of one
+const createHttpMailer = ({ url = process.env.MAIL_HTTP_URL, token = process.env.MAIL_HTTP_TOKEN } = {}) => {
+    if (!url) throw new Error("HTTP mail needs MAIL_HTTP_URL");
+    return {
+        send: async (message) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) headers.Authorization = `Bearer ${token}`;
+            const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify({ from: FROM, ...message }) });
+            if (!response.ok) throw new Error(`Sending mail failed with status ${response.status}`);
+        }
+    };
+};
+
+const MAIL_DRIVERS = { console: createConsoleMailer, file: createFileMailer, http: createHttpMailer };
+
+const createMailer = (driver = process.env.MAIL_DRIVER || 'console') => {
+    const create = MAIL_DRIVERS[driver];
+    if (!create) throw new Error(`Unknown MAIL_DRIVER "${driver}", expected one of: ${Object.keys(MAIL_DRIVERS).join(', ')}`);
+    return create();
+};
+
+// The transport the app uses, created on first use so a misconfigured driver only fails sending
+let mailer;
+const getMailer = () => {
+    mailer ??= createMailer();
+    return mailer;
+};
+
+// Sends after the caller has answered, so a slow or failing transport doesn't hold up or fail
+// the request, and response times don't tell whether an account exists
+const sendLater = (message) => {
+    Promise.resolve()
+        .then(() => getMailer().send(message))
+        .catch(err => console.error('❌ Mail Error:', err.message));
+};
+
+// Links in emails point at the web app, which is served from APP_URL
+const appLink = (query) => `${(process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '')}/?${new URLSearchParams(query)}`;
+
+module.exports = { createMailer, createConsoleMailer, createFileMailer, createHttpMailer, getMailer, sendLater, appLink };
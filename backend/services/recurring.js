@@ -0,0 +1,67 @@
+const Expense = require('../models/Expense');
+const RecurringRule = require('../models/RecurringRule');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Creates every due occurrence of one rule up to `now` and moves nextRun past them.
+// Entries that already exist are skipped by the unique index, so re-running is harmless.
+const processRule = async (rule, now = new Date()) => {
+    if (!rule.active || !rule.nextRun || rule.nextRun > now) return 0;
+
+    const dates = rule.occurrencesBetween(rule.nextRun, now);
+    let created = 0;
+    for (const date of dates) {
+        if (rule.isSkipped(date)) continue;
+        try {
+            await Expense.create({
+                ...rule.entryFor(date),
+                userId: rule.userId,
+                recurringRuleId: rule._id,
+                occurrenceDate: date
+            });
+            created++;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+        }
+    }
+
+    rule.nextRun = rule.occurrenceAfter(dates.length ? dates[dates.length - 1] : rule.nextRun);
+    await rule.save();
+    return created;
+};
+
+// Catches up every rule whose next run is due, including occurrences missed while the server was down
+const runDueRules = async (now = new Date()) => {
+    const rules = await RecurringRule.find({ active: true, nextRun: { $ne: null, $lte: now } });
+    let created = 0;
+    for (const rule of rules) {
+        try {
+            created += await processRule(rule, now);
+        } catch (err) {
+            console.error(`❌ Recurring rule ${rule._id} failed:`, err.message);
+        }
+    }
+    return created;
+};
+
+// Runs once straight away and then on an interval (RECURRING_INTERVAL_MS, default hourly)
+const startRecurringScheduler = (intervalMs = Number(process.env.RECURRING_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+    let running = false;
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const created = await runDueRules();
+            if (created) console.log(`🔁 Created ${created} recurring transaction(s)`);
+        } catch (err) {
+            console.error('❌ Recurring scheduler error:', err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    tick();
+    return setInterval(tick, intervalMs);
+};
+
+module.exports = { processRule, runDueRules, startRecurringScheduler };
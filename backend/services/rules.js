@@ -0,0 +1,240 @@
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const Rule = require('../models/Rule');
+
+const { RULE_FIELDS } = Rule;
+const BATCH_SIZE = 500;
+const MAX_PREVIEW_CHANGES = 500;
+// Suggestions need a few transactions that (nearly) always went into the same category
+const MIN_SUGGESTION_MATCHES = 3;
+const MIN_SUGGESTION_SHARE = 0.8;
+const MAX_SUGGESTIONS = 20;
+const SUGGESTION_HISTORY = 5000;
+
+// Lower case with punctuation folded into single spaces: "UBER *TRIP-123" -> "uber trip 123"
+const normalizeText = (value) => String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const TEXT_TESTS = {
+    contains: (text, value) => text.includes(value),
+    equals: (text, value) => text === value,
+    startsWith: (text, value) => text.startsWith(value),
+    endsWith: (text, value) => text.endsWith(value)
+};
+const NUMBER_TESTS = {
+    equals: (actual, value) => Math.abs(actual - value) < 0.005,
+    gt: (actual, value) => actual > value,
+    gte: (actual, value) => actual >= value,
+    lt: (actual, value) => actual < value,
+    lte: (actual, value) => actual <= value
+};
+
+const matchesCondition = ({ field, operator, value }, expense) => {
+    const actual = expense[field];
+    switch (RULE_FIELDS[field]) {
+        case 'number': {
+            const amount = Number(actual);
+            return actual !== undefined && actual !== null && actual !== '' && Number.isFinite(amount)
+                && Boolean(NUMBER_TESTS[operator]?.(amount, Number(value)));
+        }
+        case 'choice':
+            return String(actual ?? '').toLowerCase() === String(value).toLowerCase();
+        case 'text': {
+            const expected = normalizeText(value);
+            return Boolean(expected) && Boolean(TEXT_TESTS[operator]?.(normalizeText(actual), expected));
+        }
+        default:
+            return false;
+    }
+};
+
+const ruleMatches = (rule, expense) => (
+    rule.match === 'any'
+        ? rule.conditions.some(condition => matchesCondition(condition, expense))
+        : rule.conditions.every(condition => matchesCondition(condition, expense))
+);
+
+// The category a rule may give this transaction: it has to exist and allow the type.
+// Transfers have no category and a split's category follows its lines, so neither gets one.
+const canCategorize = (expense, name, categories) => {
+    if (expense.type === 'transfer' || expense.splits?.length) return false;
+    const category = categories.get(name);
+    return Boolean(category) && (category.type === 'any' || category.type === expense.type);
+};
+
+// Runs `rules` (in order) over one transaction and returns { changes, rules } with only the
+// fields that would change and the rules that contributed. Without `overwrite` a rule only fills
+// in a missing category or payee; with it, matching rules replace them. Tags are always added to.
+const applyRules = (rules, expense, { categories, overwrite = false }) => {
+    let category = overwrite ? undefined : expense.category || undefined;
+    let payee = overwrite ? undefined : expense.payee || undefined;
+    const tags = new Set(expense.tags || []);
+    const applied = [];
+
+    for (const rule of rules) {
+        if (!ruleMatches(rule, expense)) continue;
+        const { actions = {} } = rule;
+        let used = false;
+        if (actions.category && category === undefined && canCategorize(expense, actions.category, categories)) {
+            category = actions.category;
+            used = true;
+        }
+        if (actions.payee && payee === undefined) {
+            payee = actions.payee;
+            used = true;
+        }
+        for (const tag of actions.tags || []) {
+            if (tags.has(tag)) continue;
+            tags.add(tag);
+            used = true;
+        }
+        if (used) applied.push(rule);
+    }
+
+    const changes = {};
+    if (category !== undefined && category !== expense.category) changes.category = category;
+    if (payee !== undefined && payee !== expense.payee) changes.payee = payee;
+    if (tags.size > (expense.tags || []).length) changes.tags = [...tags];
+    return { changes, rules: Object.keys(changes).length ? applied : [] };
+};
+
+// The user's active rules and categories (by name), loaded once per request
+const loadRules = async (userId) => {
+    await Category.ensureForUser(userId);
+    const [rules, categories] = await Promise.all([Rule.activeFor(userId), Category.find({ userId }).lean()]);
+    return { rules, categories: new Map(categories.map(c => [c.name, c])) };
+};
+
+// Fills in what a new transaction left out. Returns { changes, rules }.
+const rulesForNewExpense = async (userId, expense) => {
+    const { rules, categories } = await loadRules(userId);
+    if (!rules.length) return { changes: {}, rules: [] };
+    return applyRules(rules, expense, { categories });
+};
+
+// Import preview: rows without a category from the file get one from the rules, plus tags and a payee.
+// Each entry that a rule touched lists the rule names in `rules`.
+const categorizeEntries = async (userId, entries) => {
+    const { rules, categories } = await loadRules(userId);
+    if (!rules.length) return entries;
+    for (const entry of entries) {
+        const { changes, rules: applied } = applyRules(rules, entry, { categories });
+        Object.assign(entry, changes);
+        if (applied.length) entry.rules = applied.map(rule => rule.name);
+    }
+    return entries;
+};
+
+// Runs the rules over the user's personal transactions between `from` (inclusive) and `to` (exclusive).
+// A dry run only reports what would change; otherwise the changes are saved.
+// Returns { dryRun, matched, updated, changes: [{ _id, date, title, before, after, rules }], truncated }.
+const reapplyRules = async (userId, { from, to, overwrite = true, dryRun = true } = {}) => {
+    const { rules, categories } = await loadRules(userId);
+    const result = { dryRun, matched: 0, updated: 0, changes: [], truncated: false };
+    if (!rules.length) return result;
+
+    const filter = { userId, ledgerId: null };
+    if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = from;
+        if (to) filter.date.$lt = to;
+    }
+
+    let ops = [];
+    const flush = async () => {
+        if (!ops.length) return;
+        await Expense.bulkWrite(ops);
+        result.updated += ops.length;
+        ops = [];
+    };
+
+    const cursor = Expense.find(filter).sort({ date: -1 })
+        .select('title payee notes amount type currency category tags splits date').lean().cursor();
+    for await (const expense of cursor) {
+        const { changes, rules: applied } = applyRules(rules, expense, { categories, overwrite });
+        if (!applied.length) continue;
+
+        result.matched++;
+        if (result.changes.length < MAX_PREVIEW_CHANGES) {
+            const before = {};
+            for (const field of Object.keys(changes)) before[field] = expense[field] ?? null;
+            result.changes.push({ _id: expense._id, date: expense.date, title: expense.title, before, after: changes, rules: applied.map(rule => rule.name) });
+        }
+        if (!dryRun) {
+            ops.push({ updateOne: { filter: { _id: expense._id }, update: { $set: changes } } });
+            if (ops.length >= BATCH_SIZE) await flush();
+        }
+    }
+    await flush();
+    result.truncated = result.matched > result.changes.length;
+    return result;
+};
+
+// The first one or two words of a title that make a good "title contains" condition:
+// letters only, at least three of them, so dates, card numbers and references drop out
+const titleKeys = (title) => {
+    const words = normalizeText(title).split(' ');
+    const start = words.findIndex(word => word.length >= 3 && !/\d/.test(word));
+    if (start === -1) return [];
+    const next = words[start + 1];
+    return next && next.length >= 2 && !/\d/.test(next) ? [words[start], `${words[start]} ${next}`] : [words[start]];
+};
+
+// Rules the user might want, learned from how their recent personal transactions were categorized:
+// a title word (or two, when one word is ambiguous) that nearly always went into the same category.
+// Anything the existing rules already do is left out.
+const suggestRules = async (userId) => {
+    const { rules, categories } = await loadRules(userId);
+    const groups = new Map();
+
+    const cursor = Expense.find({ userId, ledgerId: null, type: { $ne: 'transfer' }, category: { $type: 'string' }, 'splits.0': { $exists: false } })
+        .sort({ date: -1 }).limit(SUGGESTION_HISTORY).select('title type category').lean().cursor();
+    for await (const expense of cursor) {
+        for (const key of titleKeys(expense.title)) {
+            if (!groups.has(key)) groups.set(key, { key, total: 0, byCategory: new Map() });
+            const group = groups.get(key);
+            group.total++;
+            const entry = group.byCategory.get(expense.category) || { count: 0, sample: expense };
+            entry.count++;
+            group.byCategory.set(expense.category, entry);
+        }
+    }
+
+    const qualifies = (group) => {
+        if (!group || group.total < MIN_SUGGESTION_MATCHES) return null;
+        const [category, { count, sample }] = [...group.byCategory].reduce((best, item) => (item[1].count > best[1].count ? item : best));
+        if (count / group.total < MIN_SUGGESTION_SHARE || !canCategorize(sample, category, categories)) return null;
+        return { category, count, sample };
+    };
+
+    const suggestions = [];
+    for (const group of groups.values()) {
+        const [firstWord] = group.key.split(' ');
+        // Two-word keys only where the single word is too mixed to make a rule on its own
+        if (group.key !== firstWord && qualifies(groups.get(firstWord))) continue;
+        const best = qualifies(group);
+        if (!best) continue;
+        const { changes } = applyRules(rules, { ...best.sample, category: undefined }, { categories });
+        if (changes.category === best.category) continue;
+
+        suggestions.push({
+            name: `${group.key} → ${best.category}`,
+            match: 'all',
+            conditions: [{ field: 'title', operator: 'contains', value: group.key }],
+            actions: { category: best.category },
+            matches: best.count,
+            total: group.total
+        });
+    }
+    return suggestions.sort((a, b) => b.matches - a.matches || a.name.localeCompare(b.name)).slice(0, MAX_SUGGESTIONS);
+};
+
+module.exports = {
+    normalizeText,
+    ruleMatches,
+    applyRules,
+    loadRules,
+    rulesForNewExpense,
+    categorizeEntries,
+    reapplyRules,
+    suggestRules
+};
@@ -0,0 +1,101 @@
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+
+// People are told apart by their user when they have one, otherwise by name, ignoring case
+const personKey = ({ name, userId }) => (userId ? `user:${userId}` : `name:${String(name).trim().toLowerCase()}`);
+
+const addCents = (map, currency, cents) => map.set(currency, (map.get(currency) || 0) + cents);
+const toAmounts = (map) => Object.fromEntries([...map].filter(([, cents]) => cents !== 0).map(([currency, cents]) => [currency, cents / 100]));
+
+// Transfers that clear every balance in `balances` ([{ person, cents }], positive when owed).
+// People who owe exactly what someone else is owed pay them directly; after that the largest
+// debt goes to the largest credit. That needs at most one transfer fewer than there are people,
+// and usually fewer still.
+const suggestTransfers = (balances) => {
+    const debtors = balances.filter(b => b.cents < 0).map(b => ({ person: b.person, left: -b.cents }));
+    const creditors = balances.filter(b => b.cents > 0).map(b => ({ person: b.person, left: b.cents }));
+    const transfers = [];
+    const pay = (debtor, creditor, cents) => {
+        transfers.push({ from: debtor.person, to: creditor.person, cents });
+        debtor.left -= cents;
+        creditor.left -= cents;
+    };
+
+    for (const debtor of debtors) {
+        const match = creditors.find(creditor => creditor.left > 0 && creditor.left === debtor.left);
+        if (match) pay(debtor, match, debtor.left);
+    }
+    const largest = (list) => list.reduce((best, entry) => (entry.left > (best?.left || 0) ? entry : best), null);
+    for (let debtor = largest(debtors), creditor = largest(creditors); debtor && creditor; debtor = largest(debtors), creditor = largest(creditors)) {
+        pay(debtor, creditor, Math.min(debtor.left, creditor.left));
+    }
+    return transfers;
+};
+
+// Who owes what within `scope` (a ledger's expense filter), from its shared expenses and settlements.
+// Every person gets `balances` per currency, positive when the others owe them, and `withYou`,
+// positive when they owe `userId` and negative when `userId` owes them. `transfers` settles
+// everything in as few payments as it can. Expenses without a currency count in `defaultCurrency`.
+const sharingBalances = async (scope, userId, defaultCurrency) => {
+    const me = `user:${userId}`;
+    const people = new Map();
+    const personFor = (person) => {
+        const key = personKey(person);
+        if (!people.has(key)) {
+            people.set(key, { key, name: person.name, userId: person.userId || null, you: key === me, balances: new Map(), withYou: new Map() });
+        }
+        return people.get(key);
+    };
+
+    const expenses = Expense.find({ ...scope, 'sharing.paidBy': { $type: 'string' } })
+        .sort({ date: 1, _id: 1 }).select('amount currency sharing').lean().cursor();
+    for await (const { amount, currency = defaultCurrency, sharing } of expenses) {
+        const paidBy = sharing.participants.find(p => p.name === sharing.paidBy);
+        if (!paidBy) continue;
+        const payer = personFor(paidBy);
+        addCents(payer.balances, currency, Math.round(amount * 100));
+        for (const participant of sharing.participants) {
+            const person = personFor(participant);
+            const cents = Math.round(participant.amount * 100);
+            addCents(person.balances, currency, -cents);
+            // Between you and someone else, only what one of you paid for the other counts
+            if (payer.key === me && person.key !== me) addCents(person.withYou, currency, cents);
+            if (person.key === me && payer.key !== me) addCents(payer.withYou, currency, -cents);
+        }
+    }
+
+    for await (const settlement of Settlement.find(scope).select('from to amount currency').lean().cursor()) {
+        const from = personFor(settlement.from);
+        const to = personFor(settlement.to);
+        const cents = Math.round(settlement.amount * 100);
+        addCents(from.balances, settlement.currency, cents);
+        addCents(to.balances, settlement.currency, -cents);
+        if (to.key === me) addCents(from.withYou, settlement.currency, -cents);
+        if (from.key === me) addCents(to.withYou, settlement.currency, cents);
+    }
+
+    const currencies = [...new Set([...people.values()].flatMap(person => [...person.balances.keys()]))].sort();
+    const transfers = currencies.flatMap(currency => (
+        suggestTransfers([...people.values()].map(person => ({ person, cents: person.balances.get(currency) || 0 })))
+            .map(({ from, to, cents }) => ({
+                currency,
+                from: { key: from.key, name: from.name, userId: from.userId },
+                to: { key: to.key, name: to.name, userId: to.userId },
+                amount: cents / 100
+            }))
+    ));
+
+    return {
+        currencies,
+        people: [...people.values()]
+            .map(({ balances, withYou, ...person }) => ({ ...person, balances: toAmounts(balances), withYou: toAmounts(withYou) }))
+            .sort((a, b) => Number(b.you) - Number(a.you) || a.name.localeCompare(b.name)),
+        transfers
+    };
+};
+
+module.exports = {
+    personKey,
+    suggestTransfers,
+    sharingBalances
+};
@@ -0,0 +1,128 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Where uploaded files live. Every adapter stores opaque keys and exposes the same three calls:
+//   put(key, buffer, contentType), get(key) -> Buffer or null when missing, remove(key)
+// Pick one with STORAGE_DRIVER=local (the default) or STORAGE_DRIVER=s3.
+
+// --- LOCAL DISK ---
+// Files under UPLOAD_DIR (backend/uploads by default), one sub-directory per key segment
+const createLocalStorage = ({ root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads') } = {}) => {
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        // Keys are generated by the server, but never let one climb out of the upload directory
+        if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return file;
+    };
+
+    return {
+        put: async (key, buffer) => {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+        },
+        get: async (key) => {
+            try {
+                return await fs.readFile(resolve(key));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        remove: async (key) => {
+            await fs.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+// --- S3-COMPATIBLE ---
+// Any service speaking the S3 object API: AWS itself, or a local stand-in such as MinIO.
+// Requests are signed with AWS Signature Version 4 and use path-style URLs (endpoint/bucket/key),
+// which every stand-in supports.
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const encodeKey = (key) => key.split('/').map(segment => (
+    encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+)).join('/');
+
+const createS3Storage = ({
+    endpoint = process.env.S3_ENDPOINT,
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) => {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error("S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+    }
+    const base = new URL(endpoint);
+
+    const send = async (method, key, { body, contentType } = {}) => {
+        const url = new URL(`${base.pathname.replace(/\/$/, '')}/${bucket}/${encodeKey(key)}`, base);
+        const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+        const day = amzDate.slice(0, 8);
+        const payloadHash = sha256(body || '');
+        const scope = `${day}/${region}/s3/aws4_request`;
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            '',
+            `host:${url.host}`,
+            `x-amz-content-sha256:${payloadHash}`,
+            `x-amz-date:${amzDate}`,
+            '',
+            'host;x-amz-content-sha256;x-amz-date',
+            payloadHash
+        ].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        const headers = {
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=${signature}`
+        };
+        if (contentType) headers['Content-Type'] = contentType;
+        return fetch(url, { method, headers, body });
+    };
+
+    const check = async (response, action) => {
+        if (!response.ok) throw new Error(`Storage ${action} failed with status ${response.status}`);
+    };
+
+    return {
+        put: async (key, buffer, contentType) => {
+            await check(await send('PUT', key, { body: buffer, contentType }), 'upload');
+        },
+        get: async (key) => {
+            const response = await send('GET', key);
+            if (response.status === 404) return null;
+            await check(response, 'download');
+            return Buffer.from(await response.arrayBuffer());
+        },
+        remove: async (key) => {
+            const response = await send('DELETE', key);
+            if (response.status !== 404) await check(response, 'delete');
+        }
+    };
+};
+
+const STORAGE_DRIVERS = { local: createLocalStorage, s3: createS3Storage };
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+    const create = STORAGE_DRIVERS[driver];
+    if (!create) throw new Error(`Unknown STORAGE_DRIVER "${driver}", expected one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+    return create();
+};
+
+// The adapter the app uses, created on first use so a misconfigured driver only fails uploads
+let storage;
+const getStorage = () => {
+    storage ??= createStorage();
+    return storage;
+};
+
+module.exports = { createStorage, createLocalStorage, createS3Storage, getStorage };
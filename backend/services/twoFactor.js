@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generateSecret, matchStep, otpauthUri } = require('../utils/totp');
+const { qrSvg } = require('../utils/qrcode');
+
+// Two-factor sign-in with an authenticator app. Setup keeps a pending secret until the first
+// code confirms the app has it; only then is it switched on, with a set of one-time backup codes
+// for when the phone is lost. Only hashes of the backup codes are kept.
+
+const ISSUER = process.env.TOTP_ISSUER || 'Expenses Tracker';
+const BACKUP_CODE_COUNT = 10;
+
+// Backup codes are typed by hand, so case, spaces and dashes don't matter
+const hashBackupCode = (code) => (
+    crypto.createHash('sha256').update(String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex')
+);
+
+// Fresh backup codes like "3f9a1-c07be"; returns the codes to show once and the hashes to keep
+const newBackupCodes = () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+    return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// { enabled, enabledAt, backupCodesLeft } for the profile
+const twoFactorStatus = async (userId) => {
+    const user = await User.findById(userId).select('twoFactor.enabledAt +twoFactor.backupCodes');
+    const enabledAt = user?.twoFactor?.enabledAt || null;
+    return { enabled: Boolean(enabledAt), enabledAt, backupCodesLeft: enabledAt ? user.twoFactor.backupCodes?.length || 0 : 0 };
+};
+
+// Starts setup with a new secret. Returns it with the otpauth:// link and that link as a QR code
+// (SVG), for the app to scan.
+const beginSetup = async (user) => {
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+    const uri = otpauthUri({ secret, account: user.email, issuer: ISSUER });
+    return { secret, uri, qrCode: qrSvg(uri) };
+};
+
+// Switches two-factor sign-in on once `code` shows the app has the pending secret. Returns the
+// backup codes, or null when the code is wrong or setup wasn't started.
+const completeSetup = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    const secret = user?.twoFactor?.pendingSecret;
+    if (!secret) return null;
+    const step = matchStep(secret, code);
+    if (step === null) return null;
+
+    const { codes, hashes } = newBackupCodes();
+    await User.updateOne({ _id: userId }, {
+        $set: { 'twoFactor.secret': secret, 'twoFactor.enabledAt': new Date(), 'twoFactor.lastStep': step, 'twoFactor.backupCodes': hashes },
+        $unset: { 'twoFactor.pendingSecret': '' }
+    });
+    return codes;
+};
+
+// Checks a code from the app, or an unused backup code, and uses it up. The check and the use
+// are one update, so two requests can't both get in with the same code. Returns 'app',
+// 'backup' or null when the code doesn't match.
+const verifySecondFactor = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    const secret = user?.twoFactor?.enabledAt && user.twoFactor.secret;
+    if (!secret) return null;
+
+    const step = matchStep(secret, code);
+    if (step !== null) {
+        const { modifiedCount } = await User.updateOne(
+            { _id: userId, $or: [{ 'twoFactor.lastStep': { $lt: step } }, { 'twoFactor.lastStep': { $exists: false } }] },
+            { $set: { 'twoFactor.lastStep': step } }
+        );
+        return modifiedCount ? 'app' : null;
+    }
+
+    const hash = hashBackupCode(code);
+    const { modifiedCount } = await User.updateOne(
+        { _id: userId, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return modifiedCount ? 'backup' : null;
+};
+
+// Replaces the backup codes with a fresh set and returns it
+const regenerateBackupCodes = async (userId) => {
+    const { codes, hashes } = newBackupCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+    return codes;
+};
+
+const disableTwoFactor = (userId) => User.updateOne({ _id: userId }, { $unset: { twoFactor: '' } });
+
+module.exports = { twoFactorStatus, beginSetup, completeSetup, verifySecondFactor, regenerateBackupCodes, disableTwoFactor };
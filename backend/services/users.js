@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const Budget = require('../models/Budget');
+const RecurringRule = require('../models/RecurringRule');
+const Account = require('../models/Account');
+const Rule = require('../models/Rule');
+const ExchangeRate = require('../models/ExchangeRate');
+const Price = require('../models/Price');
+const Ledger = require('../models/Ledger');
+const LedgerInvite = require('../models/LedgerInvite');
+const Settlement = require('../models/Settlement');
+const Session = require('../models/Session');
+const PasswordReset = require('../models/PasswordReset');
+const { getStorage } = require('./storage');
+
+// Names MongoDB's $dateTrunc takes for the first day of the week, by Date#getDay number
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// What the API shows of a user: who they are and their settings
+const profileOf = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role || 'user',
+    createdAt: user.joinedAt,
+    baseCurrency: user.baseCurrency,
+    locale: user.locale || null,
+    weekStart: user.weekStart ?? 1,
+    defaultCategory: user.defaultCategory || null,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabledAt)
+});
+
+// The user's first day of the week as $dateTrunc names it
+const startOfWeekFor = async (userId) => {
+    const user = await User.findById(userId).select('weekStart').lean();
+    return WEEKDAY_NAMES[user?.weekStart ?? 1];
+};
+
+// Deletes an account with everything that is only the user's: personal transactions and their
+// files, categories, budgets, recurring rules, accounts, rules, rates, prices, personal
+// settlements, sessions, and ledgers nobody else is in. In ledgers shared with others their
+// transactions stay, as when a member leaves, since the others' balances are built from them.
+// Refused with { sharedLedger } naming a ledger the user owns and others are in, which would be
+// left without an owner. Returns { transactions } deleted and { keptInSharedLedgers }.
+const deleteAccount = async (userId) => {
+    const ledgers = await Ledger.forMember(userId);
+    const shared = ledgers.find(ledger => ledger.members.length > 1 && ledger.roleOf(userId) === 'owner');
+    if (shared) return { sharedLedger: shared.name };
+
+    const soloLedgers = ledgers.filter(ledger => ledger.members.length === 1).map(ledger => ledger._id);
+    const scope = { $or: [{ userId, ledgerId: null }, { ledgerId: { $in: soloLedgers } }] };
+    const keptInSharedLedgers = await Expense.countDocuments({ userId, ledgerId: { $nin: [null, ...soloLedgers] } });
+
+    // The files go first: once the transactions are gone nothing leads to them
+    const withFiles = await Expense.find({ ...scope, 'attachments.0': { $exists: true } }).select('attachments.key');
+    if (withFiles.length) {
+        const storage = getStorage();
+        await Promise.allSettled(withFiles.flatMap(expense => expense.attachments.map(attachment => storage.remove(attachment.key))));
+    }
+
+    const { deletedCount: transactions } = await Expense.deleteMany(scope);
+    await Promise.all([
+        Settlement.deleteMany(scope),
+        LedgerInvite.deleteMany({ ledgerId: { $in: soloLedgers } }),
+        Ledger.deleteMany({ _id: { $in: soloLedgers } }),
+        Ledger.updateMany({ 'members.userId': userId }, { $pull: { members: { userId } } }),
+        ...[Category, Budget, RecurringRule, Account, Rule, ExchangeRate, Price, Session, PasswordReset]
+            .map(Model => Model.deleteMany({ userId }))
+    ]);
+    await User.deleteOne({ _id: userId });
+    return { transactions, keptInSharedLedgers };
+};
+
+module.exports = { profileOf, startOfWeekFor, deleteAccount };
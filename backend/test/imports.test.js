@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseOfx } = require('../utils/ofx');
+const { parseQif } = require('../utils/qif');
+const { parseDate, parseAmount, mapStatementTransactions } = require('../services/imports');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const day = (date) => date.toISOString().slice(0, 10);
+
+test('maps signed OFX amounts onto expense and income', () => {
+    const { entries } = mapStatementTransactions(parseOfx(fixture('statement-v1.ofx')));
+
+    assert.deepEqual(entries.map(e => [e.type, e.amount]), [
+        ['expense', 42.5],
+        ['income', 1500],
+        ['expense', 3],
+        ['expense', 19.99]
+    ]);
+    assert.deepEqual(entries.map(e => e.currency), ['USD', 'USD', 'USD', 'EUR']);
+    assert.equal(entries[0].externalId, '000123456:2024010501');
+    assert.ok(entries.every(e => e.errors.length === 0));
+});
+
+test('reads QIF dates in the chosen order, including the apostrophe year', () => {
+    const { entries } = mapStatementTransactions(parseQif(fixture('statement.qif')), { dateFormat: 'mdy' });
+
+    assert.deepEqual(entries.map(e => day(e.date)), ['2024-01-05', '2024-01-10', '2024-01-12', '2024-01-15', '2024-01-15', '2024-01-22']);
+    assert.deepEqual(entries.map(e => e.type), ['expense', 'income', 'expense', 'expense', 'expense', 'expense']);
+    assert.equal(entries[1].amount, 1500);
+    assert.equal(entries[0].category, 'Groceries');
+});
+
+test('parses each date format and rejects impossible dates', () => {
+    assert.equal(day(parseDate('2024-02-29')), '2024-02-29');
+    assert.equal(day(parseDate('29/02/2024', 'dmy')), '2024-02-29');
+    assert.equal(day(parseDate('02/29/2024', 'mdy')), '2024-02-29');
+    assert.equal(day(parseDate("2/29'24", 'mdy')), '2024-02-29');
+    // Stored at noon UTC, the same calendar day nearly everywhere
+    assert.equal(parseDate('2024-01-05').getUTCHours(), 12);
+    assert.equal(parseDate('2023-02-29'), null);
+    assert.equal(parseDate('13/13/2024', 'mdy'), null);
+    assert.equal(parseDate(''), null);
+});
+
+test('parses amounts with signs, brackets and either decimal separator', () => {
+    assert.equal(parseAmount('-12.50'), -12.5);
+    assert.equal(parseAmount('(12.50)'), -12.5);
+    assert.equal(parseAmount('1,234.56'), 1234.56);
+    assert.equal(parseAmount('1.234,56', ','), 1234.56);
+    assert.equal(parseAmount('$ 40'), 40);
+    assert.equal(parseAmount('abc'), null);
+});
+
+test('reports rows that have no title, date or amount', () => {
+    const { entries } = mapStatementTransactions([{ id: 'x', date: 'soon', amount: '', title: '' }]);
+    assert.deepEqual(entries[0].errors, ["Missing title", "Invalid date", "Invalid amount"]);
+});
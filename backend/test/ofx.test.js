@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { isOfx, parseOfx } = require('../utils/ofx');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('recognises OFX 1.x and 2.x statements', () => {
+    assert.equal(isOfx(fixture('statement-v1.ofx')), true);
+    assert.equal(isOfx(fixture('statement-v2.ofx')), true);
+    assert.equal(isOfx(fixture('statement.qif')), false);
+    assert.equal(isOfx('Date,Description,Amount\n2024-01-01,Coffee,-3'), false);
+});
+
+test('reads the bank and credit card lines of an OFX 1.x (SGML) statement', () => {
+    const transactions = parseOfx(fixture('statement-v1.ofx'));
+
+    assert.deepEqual(transactions.map(t => t.amount), ['-42.50', '1500.00', '-3.00', '-19.99']);
+    assert.deepEqual(transactions[0], {
+        id: '000123456:2024010501',
+        date: '2024-01-05',
+        amount: '-42.50',
+        title: 'Corner Shop & Deli',
+        memo: 'Card 1234 <contactless>',
+        type: 'DEBIT',
+        currency: 'USD'
+    });
+    assert.equal(transactions[3].currency, 'EUR');
+});
+
+test('builds ids from the account and the FITID, which is only unique per account', () => {
+    const ids = parseOfx(fixture('statement-v1.ofx')).map(t => t.id);
+
+    // The checking and card accounts both use FITID 2024010501
+    assert.ok(ids.includes('000123456:2024010501'));
+    assert.ok(ids.includes('4111-9999:2024010501'));
+    assert.equal(new Set(ids).size, ids.length);
+    // Parsing again gives the same ids, so a re-import is recognised
+    assert.deepEqual(parseOfx(fixture('statement-v1.ofx')).map(t => t.id), ids);
+});
+
+test('leaves transactions without a FITID with no id', () => {
+    const [transaction] = parseOfx('<OFX><STMTRS><ACCTID>1<STMTTRN><TRNAMT>-1.00<NAME>No id</STMTTRN></STMTRS></OFX>');
+    assert.equal(transaction.id, '');
+});
+
+test('skips the cash lines of investment statements', () => {
+    const transactions = parseOfx(fixture('statement-v1.ofx'));
+    assert.equal(transactions.some(t => t.title === 'Dividend sweep'), false);
+    assert.equal(transactions.some(t => t.id.startsWith('INV-777')), false);
+});
+
+test('reads an OFX 2.x (XML) statement', () => {
+    const transactions = parseOfx(fixture('statement-v2.ofx'));
+
+    assert.equal(transactions.length, 2);
+    assert.deepEqual(transactions.map(t => t.id), ['87654321:GB-0001', '87654321:GB-0002']);
+    assert.deepEqual(transactions.map(t => t.currency), ['GBP', 'GBP']);
+    // The transaction's own NAME wins over the one in its PAYEE aggregate
+    assert.equal(transactions[0].title, 'Tea & Cake "Café"');
+    // Without NAME or MEMO the type stands in for the title
+    assert.equal(transactions[1].title, 'INT');
+});
+
+test('keeps only the calendar day of OFX dates, falling back to DTUSER', () => {
+    const [sgml] = parseOfx(fixture('statement-v1.ofx'));
+    const [xml] = parseOfx(fixture('statement-v2.ofx'));
+    assert.equal(sgml.date, '2024-01-05'); // 20240105120000.000[-5:EST]
+    assert.equal(xml.date, '2024-02-03'); // 20240203143000.000[+0:GMT]
+
+    const dates = parseOfx([
+        '<OFX><STMTRS><ACCTID>1',
+        '<STMTTRN><DTPOSTED>20240105<TRNAMT>-1<FITID>a</STMTTRN>',
+        '<STMTTRN><DTPOSTED>20240105120000<TRNAMT>-1<FITID>b</STMTTRN>',
+        '<STMTTRN><DTUSER>20240107<TRNAMT>-1<FITID>c</STMTTRN>',
+        '<STMTTRN><DTPOSTED>yesterday<TRNAMT>-1<FITID>d</STMTTRN>',
+        '</STMTRS></OFX>'
+    ].join('\n')).map(t => t.date);
+    assert.deepEqual(dates, ['2024-01-05', '2024-01-05', '2024-01-07', '']);
+});
+
+test('decodes named and numeric entities once', () => {
+    const [transaction] = parseOfx(fixture('statement-v2.ofx'));
+    assert.equal(transaction.memo, "Ref 'A-1'");
+
+    const [escaped] = parseOfx('<OFX><STMTRS><ACCTID>1<STMTTRN><NAME>&amp;#233; &#xE9; &lt;b&gt;&nbsp;<FITID>x</STMTTRN></STMTRS></OFX>');
+    assert.equal(escaped.title, '&#233; é <b>');
+});
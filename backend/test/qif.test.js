@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { isQif, parseQif } = require('../utils/qif');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('recognises QIF files, with or without a byte order mark', () => {
+    assert.equal(isQif(fixture('statement.qif')), true);
+    assert.equal(isQif(`\uFEFF${fixture('statement.qif')}`), true);
+    assert.equal(isQif(fixture('statement-v1.ofx')), false);
+});
+
+test('reads bank and credit card records and skips the other sections', () => {
+    const transactions = parseQif(fixture('statement.qif'));
+
+    assert.deepEqual(transactions.map(t => t.title), [
+        'Corner Shop', 'ACME Payroll', 'Transfer to savings', 'Coffee', 'Coffee', 'Streaming Service'
+    ]);
+    // Nothing from the category list, the account header or the investment buy
+    assert.equal(transactions.some(t => t.title === 'Groceries' || t.title === 'Everyday Checking'), false);
+    assert.equal(transactions.some(t => t.amount === '-50.00'), false);
+});
+
+test('keeps dates and amounts as written and maps the fields', () => {
+    const [shop, payroll, transfer, , , card] = parseQif(fixture('statement.qif'));
+
+    assert.equal(shop.date, "1/ 5'24");
+    assert.equal(shop.amount, '-42.50');
+    assert.equal(shop.memo, 'Card 1234');
+    // Only the top level of a Category:Subcategory
+    assert.equal(shop.category, 'Groceries');
+    assert.equal(payroll.amount, '1,500.00');
+    // U stands in when there is no T, and a [bracketed] category is a transfer, not a category
+    assert.equal(transfer.amount, '-60.00');
+    assert.equal(transfer.category, '');
+    // The memo stands in for a missing payee
+    assert.equal(card.title, 'Streaming Service');
+});
+
+test('derives stable ids that tell identical records apart', () => {
+    const transactions = parseQif(fixture('statement.qif'));
+    const ids = transactions.map(t => t.id);
+
+    assert.ok(ids.every(id => /^qif:[0-9a-f]{20}$/.test(id)));
+    assert.equal(new Set(ids).size, ids.length);
+    assert.deepEqual(parseQif(fixture('statement.qif')).map(t => t.id), ids);
+    // Adding a record after them leaves the earlier ids alone
+    const longer = parseQif(`${fixture('statement.qif')}D01/31/2024\r\nT-1.00\r\nPLate\r\n^\r\n`);
+    assert.deepEqual(longer.slice(0, ids.length).map(t => t.id), ids);
+});
+
+test('tolerates a missing caret after the last record', () => {
+    const transactions = parseQif('!Type:Bank\nD2024-03-01\nT-5.00\nPBakery');
+    assert.equal(transactions.length, 1);
+    assert.equal(transactions[0].title, 'Bakery');
+});
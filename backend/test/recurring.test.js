@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RecurringRule = require('../models/RecurringRule');
+
+const ruleOf = (fields) => new RecurringRule({
+    userId: '64b000000000000000000001',
+    template: { title: 'Rent', amount: 100, type: 'expense', category: 'Home' },
+    ...fields
+});
+const day = (date) => date.toISOString().slice(0, 10);
+const utc = (text) => new Date(`${text}T00:00:00Z`);
+
+test('keeps a monthly rule on the 31st, clamped to shorter months', () => {
+    const rule = ruleOf({ frequency: 'monthly', startDate: utc('2023-01-31') });
+
+    assert.deepEqual([0, 1, 2, 3, 4].map(n => day(rule.occurrenceAt(n))), [
+        '2023-01-31', '2023-02-28', '2023-03-31', '2023-04-30', '2023-05-31'
+    ]);
+    // Clamping one month doesn't carry over into the next
+    assert.equal(day(rule.occurrenceAt(13)), '2024-02-29');
+    assert.equal(day(rule.occurrenceAt(14)), '2024-03-31');
+});
+
+test('steps over months that are too short with an interval', () => {
+    const rule = ruleOf({ frequency: 'monthly', interval: 3, startDate: utc('2024-08-31') });
+    assert.deepEqual([0, 1, 2, 3].map(n => day(rule.occurrenceAt(n))), ['2024-08-31', '2024-11-30', '2025-02-28', '2025-05-31']);
+});
+
+test('moves a yearly rule on the 29th of February to the 28th outside leap years', () => {
+    const rule = ruleOf({ frequency: 'yearly', startDate: utc('2024-02-29') });
+    assert.deepEqual([0, 1, 2, 3, 4].map(n => day(rule.occurrenceAt(n))), [
+        '2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29'
+    ]);
+});
+
+test('finds the first occurrence on or after a date', () => {
+    const rule = ruleOf({ frequency: 'monthly', startDate: utc('2023-01-31') });
+
+    // On an occurrence, that occurrence; a moment later, the next one
+    assert.equal(rule.indexAtOrAfter(utc('2023-02-28')), 1);
+    assert.equal(rule.indexAtOrAfter(new Date(utc('2023-02-28').getTime() + 1)), 2);
+    // Between two, the later one, even where the day of month is past the clamped one
+    assert.equal(rule.indexAtOrAfter(utc('2023-03-01')), 2);
+    assert.equal(rule.indexAtOrAfter(utc('2023-03-31')), 2);
+    // On or before the start, the first
+    assert.equal(rule.indexAtOrAfter(utc('2023-01-31')), 0);
+    assert.equal(rule.indexAtOrAfter(utc('2020-01-01')), 0);
+    assert.equal(rule.indexAtOrAfter(null), 0);
+});
+
+test('finds the first daily and weekly occurrence on or after a date', () => {
+    const weekly = ruleOf({ frequency: 'weekly', interval: 2, startDate: utc('2024-01-01') });
+    assert.equal(weekly.indexAtOrAfter(utc('2024-01-15')), 1);
+    assert.equal(weekly.indexAtOrAfter(new Date(utc('2024-01-15').getTime() + 1)), 2);
+    assert.equal(weekly.indexAtOrAfter(utc('2024-01-14')), 1);
+
+    const daily = ruleOf({ frequency: 'daily', startDate: utc('2024-02-28') });
+    assert.equal(day(daily.occurrenceAt(daily.indexAtOrAfter(utc('2024-03-01')))), '2024-03-01');
+    assert.equal(daily.indexAtOrAfter(utc('2024-03-01')), 2);
+});
+
+test('agrees with walking the schedule from the start', () => {
+    const starts = ['2020-01-31', '2020-02-29', '2021-08-30', '2022-12-15'];
+    for (const frequency of ['daily', 'weekly', 'monthly', 'yearly']) {
+        for (const interval of [1, 2, 5]) {
+            for (const start of starts) {
+                const rule = ruleOf({ frequency, interval, startDate: utc(start) });
+                const walked = Array.from({ length: 40 }, (_, n) => rule.occurrenceAt(n));
+                for (const date of walked.slice(0, 20)) {
+                    for (const probe of [date, new Date(date.getTime() - 1), new Date(date.getTime() + 1)]) {
+                        const expected = walked.findIndex(d => d >= probe);
+                        assert.equal(rule.indexAtOrAfter(probe), expected, `${frequency}/${interval} from ${start} at ${probe.toISOString()}`);
+                    }
+                }
+            }
+        }
+    }
+});
+
+test('lists occurrences in a window far from the start, and stops at the end date', () => {
+    const rule = ruleOf({ frequency: 'daily', startDate: utc('2000-01-01'), endDate: utc('2024-01-03') });
+    assert.deepEqual(rule.occurrencesBetween(utc('2024-01-01'), utc('2024-01-10')).map(day), ['2024-01-01', '2024-01-02', '2024-01-03']);
+
+    assert.equal(day(rule.occurrenceAfter(utc('2024-01-01'))), '2024-01-02');
+    assert.equal(rule.occurrenceAfter(utc('2024-01-03')), null);
+    assert.equal(day(rule.occurrenceAfter(null)), '2000-01-01');
+});
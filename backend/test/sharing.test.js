@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+const { allocateCents, normalizeSharing } = require('../utils/expenses');
+const { suggestTransfers, sharingBalances } = require('../services/sharing');
+
+const ME = '64b000000000000000000001';
+const SAM = '64b000000000000000000002';
+
+// What Model.find(...).sort().select().lean().cursor() hands sharingBalances, without a database
+const findReturning = (docs) => () => {
+    const query = {
+        sort: () => query,
+        select: () => query,
+        lean: () => query,
+        cursor: async function* () {
+            yield* docs;
+        }
+    };
+    return query;
+};
+
+const balancesOf = async (t, expenses, settlements = []) => {
+    t.mock.method(Expense, 'find', findReturning(expenses));
+    t.mock.method(Settlement, 'find', findReturning(settlements));
+    return sharingBalances({ ledgerId: 'ledger' }, ME, 'USD');
+};
+const personNamed = (result, name) => result.people.find(p => p.name === name);
+const sharedExpense = (amount, paidBy, participants, currency) => {
+    const { sharing } = normalizeSharing({ method: 'equal', paidBy, participants }, amount, 'expense');
+    return { amount, currency, sharing };
+};
+
+test('gives the cents lost to rounding to the largest remainders', () => {
+    assert.deepEqual(allocateCents(1000, [1, 1, 1]), [334, 333, 333]);
+    assert.deepEqual(allocateCents(1001, [1, 1, 1]), [334, 334, 333]);
+    assert.deepEqual(allocateCents(100, [1, 2]), [33, 67]);
+    assert.deepEqual(allocateCents(1000, [0, 1, 1]), [0, 500, 500]);
+    for (const weights of [[1, 1, 1], [3, 5, 7], [1, 1, 1, 1, 1, 1, 1], [2, 0, 9]]) {
+        for (const cents of [1, 99, 1000, 12345]) {
+            assert.equal(allocateCents(cents, weights).reduce((sum, part) => sum + part, 0), cents);
+        }
+    }
+});
+
+test('splits 10.00 three ways into parts that add up exactly', () => {
+    const { sharing } = normalizeSharing({
+        paidBy: 'Ann',
+        participants: [{ name: 'Ann' }, { name: 'Ben' }, { name: 'Cy' }]
+    }, 10, 'expense');
+    assert.deepEqual(sharing.participants.map(p => p.amount), [3.34, 3.33, 3.33]);
+    assert.equal(sharing.method, 'equal');
+});
+
+test('splits by shares and checks exact amounts add up', () => {
+    const { sharing } = normalizeSharing({
+        method: 'shares',
+        paidBy: 'ann',
+        participants: [{ name: 'Ann', shares: 1 }, { name: 'Ben', shares: 2 }]
+    }, 1, 'expense');
+    assert.deepEqual(sharing.participants.map(p => p.amount), [0.33, 0.67]);
+    // The payer is matched by name without regard to case, and stored as written on the participant
+    assert.equal(sharing.paidBy, 'Ann');
+
+    const exact = { method: 'exact', paidBy: 'Ann', participants: [{ name: 'Ann', amount: 4 }, { name: 'Ben', amount: 5.99 }] };
+    assert.equal(normalizeSharing(exact, 10, 'expense').error, "Shared amounts add up to 9.99 instead of 10.00");
+    assert.deepEqual(normalizeSharing(exact, 9.99, 'expense').sharing.participants.map(p => p.amount), [4, 5.99]);
+});
+
+test('refuses sharing that cannot be worked out', () => {
+    const twoPeople = [{ name: 'Ann' }, { name: 'Ben' }];
+    assert.equal(normalizeSharing({ paidBy: 'Ann', participants: twoPeople }, 10, 'income').error, "Only expenses can be shared");
+    assert.equal(normalizeSharing({ paidBy: 'Ann', participants: [{ name: 'Ann' }] }, 10).error, "Share between at least two people");
+    assert.equal(normalizeSharing({ paidBy: 'Cy', participants: twoPeople }, 10).error, "Say which participant paid");
+    assert.equal(normalizeSharing({ paidBy: 'Ann', participants: [{ name: 'Ann' }, { name: 'ann ' }] }, 10).error, '"ann" is listed twice');
+    assert.deepEqual(normalizeSharing(null, 10), { sharing: null });
+});
+
+test('pays exact matches directly before settling the rest largest first', () => {
+    const ann = { name: 'Ann' };
+    const ben = { name: 'Ben' };
+    const cy = { name: 'Cy' };
+    const dee = { name: 'Dee' };
+
+    // Cy owes exactly what Ben is owed, so pays Ben rather than part of Ann's credit
+    const transfers = suggestTransfers([
+        { person: ann, cents: 700 },
+        { person: ben, cents: 300 },
+        { person: cy, cents: -300 },
+        { person: dee, cents: -700 }
+    ]);
+    assert.deepEqual(transfers.map(({ from, to, cents }) => [from.name, to.name, cents]), [['Cy', 'Ben', 300], ['Dee', 'Ann', 700]]);
+
+    const chain = suggestTransfers([
+        { person: ann, cents: 1000 },
+        { person: ben, cents: -600 },
+        { person: cy, cents: -400 },
+        { person: dee, cents: 0 }
+    ]);
+    assert.deepEqual(chain.map(({ from, to, cents }) => [from.name, to.name, cents]), [['Ben', 'Ann', 600], ['Cy', 'Ann', 400]]);
+    assert.deepEqual(suggestTransfers([{ person: ann, cents: 0 }]), []);
+});
+
+test('works out balances between people from shared expenses', async (t) => {
+    const result = await balancesOf(t, [
+        sharedExpense(10, 'Me', [{ name: 'Me', userId: ME }, { name: 'Sam', userId: SAM }, { name: 'Kim' }]),
+        sharedExpense(4, 'Kim', [{ name: 'Me', userId: ME }, { name: 'Kim' }], 'EUR')
+    ]);
+
+    assert.deepEqual(result.currencies, ['EUR', 'USD']);
+    // Your own balance comes first
+    assert.equal(result.people[0].you, true);
+    assert.deepEqual(personNamed(result, 'Me').balances, { USD: 6.66, EUR: -2 });
+    assert.deepEqual(personNamed(result, 'Sam').balances, { USD: -3.33 });
+    assert.deepEqual(personNamed(result, 'Kim').balances, { USD: -3.33, EUR: 2 });
+    assert.deepEqual(personNamed(result, 'Kim').withYou, { USD: 3.33, EUR: -2 });
+    assert.deepEqual(
+        result.transfers.map(({ currency, from, to, amount }) => [currency, from.name, to.name, amount]),
+        [['EUR', 'Me', 'Kim', 2], ['USD', 'Sam', 'Me', 3.33], ['USD', 'Kim', 'Me', 3.33]]
+    );
+});
+
+test('takes settlements off the balances', async (t) => {
+    const expenses = [sharedExpense(10, 'Me', [{ name: 'Me', userId: ME }, { name: 'Kim' }])];
+    const settlement = { from: { name: 'Kim' }, to: { name: 'Me', userId: ME }, currency: 'USD' };
+
+    const partly = await balancesOf(t, expenses, [{ ...settlement, amount: 3 }]);
+    assert.deepEqual(personNamed(partly, 'Kim').balances, { USD: -2 });
+    assert.deepEqual(personNamed(partly, 'Kim').withYou, { USD: 2 });
+    assert.deepEqual(partly.transfers.map(({ from, to, amount }) => [from.name, to.name, amount]), [['Kim', 'Me', 2]]);
+
+    t.mock.restoreAll();
+    const settled = await balancesOf(t, expenses, [{ ...settlement, amount: 5 }]);
+    // Settled balances are left out rather than listed as zero
+    assert.deepEqual(personNamed(settled, 'Kim').balances, {});
+    assert.deepEqual(personNamed(settled, 'Me').balances, {});
+    assert.deepEqual(settled.transfers, []);
+});
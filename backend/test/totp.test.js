@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { base32Encode, base32Decode, generateSecret, codeAt, matchStep, otpauthUri } = require('../utils/totp');
+
+// The SHA-1 key of RFC 6238 Appendix B, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+test('encodes and decodes base32 as RFC 4648 does', () => {
+    assert.equal(base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+    assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+    assert.equal(base32Decode('MZXW6YTBOI======').toString(), 'foobar');
+    // Groups, lower case and dashes as apps show them
+    assert.equal(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq').toString(), '12345678901234567890');
+    assert.throws(() => base32Decode('GEZ1'), /Invalid base32 secret/);
+
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(base32Decode(secret).length, 20);
+});
+
+test('matches the RFC 6238 Appendix B test vectors', () => {
+    // The RFC's codes have 8 digits; authenticator apps show the last 6
+    const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+        [20000000000, '65353130']
+    ];
+    for (const [seconds, code] of vectors) {
+        assert.equal(codeAt(RFC_SECRET, stepAt(seconds)), code.slice(-6), `at ${seconds}s`);
+    }
+});
+
+test('accepts a code from one step either side of now', () => {
+    const now = 1234567890 * 1000;
+    const step = stepAt(1234567890);
+
+    assert.equal(matchStep(RFC_SECRET, codeAt(RFC_SECRET, step), now), step);
+    assert.equal(matchStep(RFC_SECRET, codeAt(RFC_SECRET, step - 1), now), step - 1);
+    assert.equal(matchStep(RFC_SECRET, codeAt(RFC_SECRET, step + 1), now), step + 1);
+    // Spaces inside the code, as some apps show it
+    const code = codeAt(RFC_SECRET, step);
+    assert.equal(matchStep(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, now), step);
+});
+
+test('rejects codes outside the window and anything that is not a code', () => {
+    const now = 1234567890 * 1000;
+    const step = stepAt(1234567890);
+
+    assert.equal(matchStep(RFC_SECRET, codeAt(RFC_SECRET, step - 2), now), null);
+    assert.equal(matchStep(RFC_SECRET, codeAt(RFC_SECRET, step + 2), now), null);
+    assert.equal(matchStep(RFC_SECRET, '89005924', now), null);
+    assert.equal(matchStep(RFC_SECRET, '12345', now), null);
+    assert.equal(matchStep(RFC_SECRET, 'abcdef', now), null);
+    assert.equal(matchStep(RFC_SECRET, '', now), null);
+    assert.equal(matchStep(RFC_SECRET, undefined, now), null);
+    // The right code for another secret
+    assert.equal(matchStep('MZXW6YTBOI', codeAt(RFC_SECRET, step), now), null);
+});
+
+test('builds the otpauth link authenticator apps read', () => {
+    assert.equal(
+        otpauthUri({ secret: RFC_SECRET, account: 'ann@example.com', issuer: 'Expenses Tracker' }),
+        `otpauth://totp/Expenses%20Tracker%3Aann%40example.com?secret=${RFC_SECRET}&issuer=Expenses%20Tracker&algorithm=SHA1&digits=6&period=30`
+    );
+});
@@ -0,0 +1,19 @@
+// Reads cookies from the Cookie header; Express sets cookies itself but does not parse them
+
+// The value of cookie `name` on the request, or null
+const readCookie = (req, name) => {
+    const header = req.get('Cookie');
+    if (!header) return null;
+    for (const pair of header.split(';')) {
+        const index = pair.indexOf('=');
+        if (index === -1 || pair.slice(0, index).trim() !== name) continue;
+        try {
+            return decodeURIComponent(pair.slice(index + 1).trim());
+        } catch {
+            return null;
+        }
+    }
+    return null;
+};
+
+module.exports = { readCookie };
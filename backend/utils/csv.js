@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV reader and writer. The reader handles quoted fields, doubled quotes inside quotes,
+// delimiters and line breaks inside quotes, and \n or \r\n line endings.
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Picks whichever common delimiter splits the first line into the most columns
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    let best = ',';
+    let bestCount = 0;
+    for (const delimiter of DELIMITERS) {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+    return best;
+};
+
+// Returns an array of rows, each an array of strings. Blank lines are dropped.
+const parseCsv = (text, { delimiter } = {}) => {
+    const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+    const sep = delimiter || detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === sep) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Quotes a cell only when it needs it. Text starting with = + - or @ gets a leading
+// apostrophe so spreadsheet apps show it instead of evaluating it as a formula.
+const formatCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Writes an array of rows (arrays of cells) as CSV with \r\n line endings, as RFC 4180 asks
+const toCsv = (rows) => rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, detectDelimiter, toCsv };
@@ -0,0 +1,61 @@
+// Calendar maths in an IANA time zone, using only Intl so no date library is needed
+
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Wall-clock parts of an instant as seen in `timeZone`
+const zonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find(p => p.type === type).value);
+    return { year: get('year'), month: get('month') - 1, day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+};
+
+// Calendar day of an instant in `timeZone` as YYYY-MM-DD
+const zonedDay = (date, timeZone) => {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Instant at which the wall clock in `timeZone` reads year/month/day 00:00.
+// Out of range months and days roll over like they do with `new Date(y, m, d)`.
+const zonedMidnight = (year, month, day, timeZone) => {
+    const wall = Date.UTC(year, month, day);
+    let guess = wall;
+    // Two passes settle the offset even when midnight sits next to a DST change
+    for (let i = 0; i < 2; i++) {
+        const p = zonedParts(new Date(guess), timeZone);
+        const seen = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+        guess += wall - seen;
+    }
+    return new Date(guess);
+};
+
+// Start (inclusive) and end (exclusive) of the week/month/year containing `date`. Weeks start on
+// `weekStart`, numbered as Date#getDay does; Monday unless the user chose otherwise.
+const periodBounds = (date, unit, timeZone = 'UTC', weekStart = 1) => {
+    const { year, month, day } = zonedParts(date, timeZone);
+    switch (unit) {
+        case 'week': {
+            const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+            const first = day - ((weekday - weekStart + 7) % 7);
+            return { start: zonedMidnight(year, month, first, timeZone), end: zonedMidnight(year, month, first + 7, timeZone) };
+        }
+        case 'year':
+            return { start: zonedMidnight(year, 0, 1, timeZone), end: zonedMidnight(year + 1, 0, 1, timeZone) };
+        default:
+            return { start: zonedMidnight(year, month, 1, timeZone), end: zonedMidnight(year, month + 1, 1, timeZone) };
+    }
+};
+
+module.exports = { isValidTimezone, zonedParts, zonedDay, zonedMidnight, periodBounds };
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Account = require('../models/Account');
+const { CURRENCY_PATTERN } = require('../models/User');
+const { INSTRUMENT_PATTERN } = require('../models/Price');
+const { EXPENSE_TYPES, MAX_TITLE_LENGTH } = require('../models/Expense');
+const { validate } = require('./validate');
+
+// Types that buy (investment) or sell (withdrawal) units of an instrument
+const TRADE_TYPES = ['investment', 'withdrawal'];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_PAYEE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+// How an expense shared between people is divided: evenly, in proportion to each person's
+// shares, or by exact amounts
+const SHARE_METHODS = ['equal', 'shares', 'exact'];
+const MAX_PARTICIPANTS = 50;
+const MAX_PARTICIPANT_NAME_LENGTH = 60;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Tags are lower-cased and stored once each, without a leading "#". Accepts a list or a
+// comma separated string; an empty value clears them.
+const normalizeTags = (tags) => {
+    if (tags === null || tags === '') return { tags: [] };
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) return { error: "Tags must be a list of words" };
+
+    const cleaned = [...new Set(list.map(tag => tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+    if (cleaned.length > MAX_TAGS) return { error: `A transaction can have at most ${MAX_TAGS} tags` };
+    if (cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+    return { tags: cleaned };
+};
+
+// Cleans up split lines and checks they add up to `amount` (skipped while the amount is unknown).
+// Returns { splits, category } with category set to the largest line's, or { error }.
+// An empty list or null means the transaction is not split.
+const normalizeSplits = (splits, amount) => {
+    if (splits === null || splits === '' || (Array.isArray(splits) && !splits.length)) return { splits: [] };
+    if (!Array.isArray(splits)) return { error: "Splits must be a list of lines" };
+    if (splits.length < 2) return { error: "A split needs at least two lines" };
+
+    const lines = [];
+    for (const line of splits) {
+        const category = typeof line?.category === 'string' ? line.category.trim() : '';
+        const value = Number(line?.amount);
+        if (!category) return { error: "Every split line needs a category" };
+        if (line.amount === '' || line.amount === null || !Number.isFinite(value) || value <= 0) {
+            return { error: "Every split line needs a positive amount" };
+        }
+        const note = typeof line.note === 'string' ? line.note.trim() : '';
+        lines.push(note ? { category, amount: roundAmount(value), note } : { category, amount: roundAmount(value) });
+    }
+    if (amount !== undefined && amount !== null) {
+        const total = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+        if (Math.abs(total - amount) >= 0.005) {
+            return { error: `Split lines add up to ${total.toFixed(2)} instead of ${Number(amount).toFixed(2)}` };
+        }
+    }
+    const main = lines.reduce((largest, line) => (line.amount > largest.amount ? line : largest));
+    return { splits: lines, category: main.category };
+};
+
+// Divides `cents` in proportion to `weights`. The cents lost to rounding go to the largest
+// remainders, so the parts always add up exactly.
+const allocateCents = (cents, weights) => {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const parts = weights.map(weight => Math.floor((cents * weight) / total));
+    const order = weights
+        .map((weight, i) => ({ i, rest: (cents * weight) / total - parts[i] }))
+        .sort((a, b) => b.rest - a.rest || a.i - b.i);
+    let left = cents - parts.reduce((sum, part) => sum + part, 0);
+    for (let k = 0; left > 0; k++, left--) parts[order[k % order.length].i]++;
+    return parts;
+};
+
+// Cleans up how an expense of `amount` is shared between people and works out each one's part.
+// `sharing` is { method, paidBy, participants: [{ name, userId?, shares?, amount? }] }: 'equal'
+// divides evenly, 'shares' in proportion to the shares, 'exact' takes the amounts as given, which
+// must add up. paidBy is the name of the participant who paid. A participant who is a user of the
+// app carries their userId. Returns { sharing } with every `amount` filled in, or { error };
+// null or an empty value means the expense isn't shared. `type` is checked when known.
+const normalizeSharing = (sharing, amount, type) => {
+    if (sharing === null || sharing === '') return { sharing: null };
+    if (typeof sharing !== 'object' || Array.isArray(sharing)) return { error: "Sharing must say who paid and who shares" };
+    if (type !== undefined && type !== 'expense') return { error: "Only expenses can be shared" };
+
+    const method = sharing.method || 'equal';
+    if (!SHARE_METHODS.includes(method)) return { error: `Sharing method must be one of: ${SHARE_METHODS.join(', ')}` };
+    if (!Array.isArray(sharing.participants) || sharing.participants.length < 2) return { error: "Share between at least two people" };
+    if (sharing.participants.length > MAX_PARTICIPANTS) return { error: `Share between at most ${MAX_PARTICIPANTS} people` };
+
+    const participants = [];
+    const seen = new Set();
+    for (const person of sharing.participants) {
+        const name = typeof person?.name === 'string' ? person.name.trim().replace(/\s+/g, ' ') : '';
+        if (!name) return { error: "Every participant needs a name" };
+        if (name.length > MAX_PARTICIPANT_NAME_LENGTH) return { error: `Names can be at most ${MAX_PARTICIPANT_NAME_LENGTH} characters` };
+        if (seen.has(name.toLowerCase())) return { error: `"${name}" is listed twice` };
+        seen.add(name.toLowerCase());
+
+        const participant = { name };
+        if (person.userId) {
+            if (!mongoose.isValidObjectId(person.userId)) return { error: `Invalid user for "${name}"` };
+            participant.userId = String(person.userId);
+        }
+        const value = method === 'shares' ? person.shares : person.amount;
+        if (method !== 'equal') {
+            const number = Number(value);
+            if (value === '' || value === null || value === undefined || !Number.isFinite(number) || number < 0) {
+                return { error: method === 'shares' ? `Give ${name} a number of shares` : `Give ${name} an amount` };
+            }
+            if (method === 'shares') participant.shares = number;
+            else participant.amount = roundAmount(number);
+        }
+        participants.push(participant);
+    }
+
+    const payer = participants.find(p => p.name.toLowerCase() === String(sharing.paidBy ?? '').trim().toLowerCase());
+    if (!payer) return { error: "Say which participant paid" };
+
+    const cents = Math.round(Number(amount) * 100);
+    if (method === 'exact') {
+        const total = participants.reduce((sum, p) => sum + Math.round(p.amount * 100), 0);
+        if (total !== cents) return { error: `Shared amounts add up to ${(total / 100).toFixed(2)} instead of ${(cents / 100).toFixed(2)}` };
+    } else {
+        const weights = participants.map(p => (method === 'shares' ? p.shares : 1));
+        if (!weights.some(weight => weight > 0)) return { error: "Give at least one person a share" };
+        allocateCents(cents, weights).forEach((part, i) => {
+            participants[i].amount = part / 100;
+        });
+    }
+    return { sharing: { method, paidBy: payer.name, participants } };
+};
+
+// The fields a client may set on an expense, in the order they are checked (see utils/validate).
+// A transfer moves `amount` out of accountId and `toAmount` (defaults to amount) into toAccountId,
+// so it changes account balances but is never counted as income or spending.
+const EXPENSE_SCHEMA = {
+    title: { type: 'string', required: true, trim: true, maxLength: MAX_TITLE_LENGTH, label: 'Title' },
+    amount: { type: 'number', required: true, positive: true, label: 'Amount' },
+    // Optional: without one the transaction is in the user's base currency
+    currency: {
+        type: 'string', trim: true, uppercase: true, pattern: CURRENCY_PATTERN, label: 'Currency',
+        message: "Currency must be a 3-letter ISO code such as USD"
+    },
+    type: { type: 'enum', values: EXPENSE_TYPES, required: true, label: 'Type' },
+    // Transfers may go without a category, and a split takes its largest line's
+    category: {
+        type: 'string', trim: true, label: 'Category',
+        required: (values, body) => values.type !== 'transfer' && !(Array.isArray(body.splits) && body.splits.length)
+    },
+    splits: {
+        normalize: (value, values) => {
+            const { error, splits, category } = normalizeSplits(value, values.amount);
+            if (error) return { error };
+            if (category) values.category = category;
+            return { value: splits };
+        }
+    },
+    date: { type: 'date', label: 'Date' },
+    // Accounts are optional; an empty value detaches the transaction from its account
+    accountId: { type: 'id', nullable: true, label: 'Account', message: "Account not found" },
+    toAccountId: { type: 'id', nullable: true, label: 'Destination account', message: "Account not found" },
+    toAmount: { type: 'number', nullable: true, positive: true, label: 'Received amount' },
+    // Instrument details are optional; an empty instrument turns the trade back into a plain transaction
+    instrument: {
+        type: 'string', nullable: true, trim: true, uppercase: true, pattern: INSTRUMENT_PATTERN, label: 'Instrument',
+        message: "Instrument must be a symbol of up to 20 letters, digits, dots, dashes or colons"
+    },
+    quantity: { type: 'number', nullable: true, positive: true, label: 'Quantity' },
+    unitPrice: { type: 'number', nullable: true, positive: true, label: 'Unit price' },
+    payee: { type: 'string', nullable: true, trim: true, maxLength: MAX_PAYEE_LENGTH, label: 'Payee' },
+    notes: { type: 'string', nullable: true, trim: true, maxLength: MAX_NOTES_LENGTH, label: 'Notes' },
+    tags: {
+        normalize: (value) => {
+            const { error, tags } = normalizeTags(value);
+            return error ? { error } : { value: tags };
+        }
+    },
+    // Parts are worked out from the amount; a partial update without one does that later
+    sharing: {
+        normalize: (value, values) => {
+            if (values.amount === undefined) return { value };
+            const { error, sharing } = normalizeSharing(value, values.amount, values.type);
+            return error ? { error } : { value: sharing };
+        }
+    }
+};
+const EXPENSE_FIELDS = Object.keys(EXPENSE_SCHEMA);
+
+// Checks and cleans up an expense body. Returns { updates } with only the allowed fields, or
+// { error, errors } listing every problem as { field, message } (updates holds what did pass).
+// `partial` only checks the fields that are sent, for PATCH.
+const validateExpense = (body, { partial = false } = {}) => {
+    const { values, errors } = validate(EXPENSE_SCHEMA, body, { partial });
+    if (errors.length) return { error: errors[0].message, errors, updates: values };
+    return { updates: values };
+};
+
+// The category must be one of the user's own and allow the transaction's type. `userId` may
+// list several users, e.g. a shared ledger's members, any of whose categories will do; the first
+// is the one given the default categories if they have none yet.
+const checkCategory = async (userId, name, type) => {
+    if (!name) return "Category is required";
+    const owners = [].concat(userId);
+    await Category.ensureForUser(owners[0]);
+    const matches = await Category.find({ userId: { $in: owners }, name });
+    if (!matches.length) return `Unknown category "${name}"`;
+    if (!matches.some(category => category.type === 'any' || category.type === type)) {
+        return `Category "${name}" is only for ${matches[0].type} transactions`;
+    }
+    return null;
+};
+
+// Every split line's category must be usable for the transaction's type. Transfers have no categories to split.
+const checkSplits = async (userId, splits, type) => {
+    if (!splits?.length) return null;
+    if (type === 'transfer') return "Transfers cannot be split";
+    for (const name of new Set(splits.map(split => split.category))) {
+        const categoryError = await checkCategory(userId, name, type);
+        if (categoryError) return categoryError;
+    }
+    return null;
+};
+
+// Accounts must belong to the user (or one of `userId` when given several). A transfer needs
+// two different ones, any other type books against at most one.
+const checkAccounts = async (userId, { type, accountId, toAccountId }) => {
+    if (type === 'transfer') {
+        if (!accountId || !toAccountId) return "A transfer needs a from and a to account";
+        if (String(accountId) === String(toAccountId)) return "A transfer needs two different accounts";
+    } else if (toAccountId) {
+        return "Only transfers have a destination account";
+    }
+    for (const id of [accountId, toAccountId].filter(Boolean)) {
+        if (!mongoose.isValidObjectId(id) || !(await Account.exists({ _id: id, userId: { $in: [].concat(userId) } }))) return "Account not found";
+    }
+    return null;
+};
+
+// An instrument only makes sense on a buy or sell, and needs to say how many units changed hands
+const checkTrade = ({ type, instrument, quantity }) => {
+    if (!instrument) return null;
+    if (!TRADE_TYPES.includes(type)) return "Only investments and withdrawals can hold an instrument";
+    if (!(Number(quantity) > 0)) return "Quantity must be a positive number";
+    return null;
+};
+
+module.exports = {
+    EXPENSE_TYPES,
+    EXPENSE_FIELDS,
+    EXPENSE_SCHEMA,
+    TRADE_TYPES,
+    SHARE_METHODS,
+    allocateCents,
+    normalizeSplits,
+    normalizeSharing,
+    normalizeTags,
+    validateExpense,
+    checkCategory,
+    checkSplits,
+    checkAccounts,
+    checkTrade
+};
@@ -0,0 +1,25 @@
+// Recognises the file types accepted as receipts from their leading bytes, so an upload is
+// judged by what it is rather than by the name or Content-Type the browser sent.
+
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mimeType: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/gif', test: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+    { mimeType: 'image/webp', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { mimeType: 'application/pdf', test: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+
+const ALLOWED_MIME_TYPES = SIGNATURES.map(signature => signature.mimeType);
+
+// The MIME type of `buffer`, or null when it is none of the accepted types
+const detectFileType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    return SIGNATURES.find(signature => signature.test(buffer))?.mimeType || null;
+};
+
+// A file name that is safe to echo back in a Content-Disposition header
+const safeFilename = (name) => (
+    String(name || '').replace(/[\\/\r\n"]/g, '_').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, 200) || 'attachment'
+);
+
+module.exports = { ALLOWED_MIME_TYPES, detectFileType, safeFilename };
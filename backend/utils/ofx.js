@@ -0,0 +1,71 @@
+// Reads the transaction list out of an OFX/QFX statement. Handles both OFX 1.x (SGML,
+// where leaf elements have no closing tag) and OFX 2.x (XML), since banks still ship both.
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&nbsp;': ' ' };
+
+// &#233; or &#xE9;, left as written when it names no character
+const decodeNumeric = (entity, hex, decimal) => {
+    const code = hex ? parseInt(hex, 16) : Number(decimal);
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+};
+
+// Numeric entities go first, so an escaped "&amp;#233;" stays as the text "&#233;"
+const decode = (value) => value
+    .replace(/&#(?:x([0-9a-f]+)|(\d+));/gi, decodeNumeric)
+    .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, entity => ENTITIES[entity])
+    .trim();
+
+const isOfx = (text) => /OFXHEADER|<OFX>/i.test(text.slice(0, 2000));
+
+// Leaf values inside one aggregate. The first occurrence wins, so the transaction's own NAME
+// is preferred over one nested in a PAYEE aggregate further down.
+const readFields = (block) => {
+    const fields = {};
+    const pattern = /<([A-Z0-9.]+)>([^<\r\n]*)/gi;
+    let match;
+    while ((match = pattern.exec(block))) {
+        const tag = match[1].toUpperCase();
+        const value = decode(match[2]);
+        if (value && fields[tag] === undefined) fields[tag] = value;
+    }
+    return fields;
+};
+
+// DTPOSTED looks like 20240105, 20240105120000 or 20240105120000.000[-5:EST].
+// Only the calendar day matters for a statement line.
+const toIsoDay = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+};
+
+// Returns [{ id, date: 'YYYY-MM-DD', amount: signed string, title, memo, type, currency }], where id combines
+// the account and the bank's FITID, which is only unique within one account. Only bank and credit
+// card statements are read; each ends at its closing tag, which aggregates have in SGML too, so
+// the cash lines of an investment statement further down are not taken for its own.
+const parseOfx = (text) => {
+    const transactions = [];
+    const statements = [...text.matchAll(/<(STMTRS|CCSTMTRS)>([\s\S]*?)(?:<\/\1>|$)/gi)].map(match => match[2]);
+
+    for (const statement of statements) {
+        const account = /<ACCTID>([^<\r\n]+)/i.exec(statement);
+        const accountId = account ? decode(account[1]) : '';
+        const currency = /<CURDEF>([^<\r\n]+)/i.exec(statement);
+        const blocks = statement.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+        for (const block of blocks) {
+            const fields = readFields(block);
+            transactions.push({
+                id: fields.FITID ? `${accountId}:${fields.FITID}` : '',
+                date: toIsoDay(fields.DTPOSTED || fields.DTUSER),
+                amount: fields.TRNAMT || '',
+                title: fields.NAME || fields.MEMO || fields.TRNTYPE || '',
+                memo: fields.MEMO || '',
+                type: fields.TRNTYPE || '',
+                currency: currency ? decode(currency[1]) : ''
+            });
+        }
+    }
+    return transactions;
+};
+
+module.exports = { isOfx, parseOfx };
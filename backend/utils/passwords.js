@@ -0,0 +1,51 @@
+const bcrypt = require('bcryptjs');
+
+const MIN_PASSWORD_LENGTH = 10;
+// bcrypt ignores everything past the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+// Long enough that it needs no mix of characters
+const PASSPHRASE_LENGTH = 16;
+
+// The passwords tried first in any guessing attack, lower-cased
+const COMMON_PASSWORDS = new Set([
+    '1234567890', '12345678910', '0123456789', '1q2w3e4r5t', 'qwertyuiop', 'qwerty1234', 'qwerty123456',
+    'password12', 'password123', 'password1234', 'password!1', 'passw0rd12', 'iloveyou12', 'abcdefghij',
+    'abc1234567', 'welcome123', 'letmein123', 'admin12345', 'administrator', 'changeme123', 'football12',
+    'baseball12', 'sunshine12', 'princess12', 'dragon1234', 'monkey1234', 'trustno1234', 'superman12'
+]);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// Why `password` is too weak, or null when it will do. Passwords shorter than a passphrase need
+// three kinds of character out of lower case, upper case, digits and symbols. `email` and `name`
+// are the account's, which the password mustn't simply repeat.
+const passwordProblem = (password, { email, name } = {}) => {
+    if (typeof password !== 'string' || !password) return "Password is required";
+    if (password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) return `Password can be at most ${MAX_PASSWORD_BYTES} bytes`;
+
+    const lower = password.toLowerCase();
+    if (COMMON_PASSWORDS.has(lower)) return "That password is too common";
+    if (/^(.)\1+$/.test(password)) return "Password can't be one character repeated";
+    const personal = [email && email.split('@')[0], name].filter(part => part && part.length >= 3);
+    if (personal.some(part => lower.includes(part.toLowerCase()))) return "Password can't contain your name or email";
+
+    const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+    if (password.length < PASSPHRASE_LENGTH && classes < 3) {
+        return `Use at least three of: lower case, upper case, digits and symbols, or a passphrase of ${PASSPHRASE_LENGTH}+ characters`;
+    }
+    return null;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+// Compared against when there is no account, so a wrong email takes as long as a wrong password
+const NO_ACCOUNT_HASH = bcrypt.hashSync('no account', 10);
+
+// Whether `password` belongs to `user`, which may be null
+const checkPassword = (password, user) => (
+    bcrypt.compare(typeof password === 'string' ? password : '', user?.password || NO_ACCOUNT_HASH)
+        .then(match => Boolean(user) && match)
+);
+
+module.exports = { MIN_PASSWORD_LENGTH, passwordProblem, hashPassword, checkPassword };
@@ -0,0 +1,67 @@
+// Reads bank and card transactions out of a Quicken Interchange Format file.
+// Each record is a run of lines starting with a one-letter code and ends with "^".
+
+const crypto = require('crypto');
+
+// Account types holding ordinary transactions. Investment, memorised and category lists are skipped.
+const TRANSACTION_SECTIONS = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+const isQif = (text) => /^\s*!Type:/i.test(text.replace(/^\uFEFF/, ''));
+
+// Returns [{ id, date, amount: signed string, title, memo, category }] with the date left
+// as written, since QIF date order depends on the exporting program's locale.
+// QIF has no transaction ids, so one is derived from the record's content plus how many
+// identical records came before it; the same file always produces the same ids.
+const parseQif = (text) => {
+    const transactions = [];
+    const seen = new Map();
+    let section = '';
+    let record = {};
+
+    const finish = () => {
+        if (TRANSACTION_SECTIONS.includes(section) && (record.date || record.amount)) {
+            const content = [record.date, record.amount, record.title, record.number].join('|');
+            const count = seen.get(content) || 0;
+            seen.set(content, count + 1);
+            const hash = crypto.createHash('sha1').update(`${content}|${count}`).digest('hex').slice(0, 20);
+            transactions.push({
+                id: `qif:${hash}`,
+                date: record.date || '',
+                amount: record.amount || '',
+                title: record.title || record.memo || '',
+                memo: record.memo || '',
+                // Square brackets mark a transfer to another account, not a category
+                category: record.category && !record.category.startsWith('[') ? record.category.split(':')[0] : ''
+            });
+        }
+        record = {};
+    };
+
+    for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = rawLine.trimEnd();
+        if (!line) continue;
+        if (line.startsWith('!')) {
+            const header = /^!Type:(.*)$/i.exec(line);
+            if (header) section = header[1].trim().toLowerCase();
+            else if (/^!Account/i.test(line)) section = 'account';
+            record = {};
+            continue;
+        }
+
+        const code = line[0];
+        const value = line.slice(1).trim();
+        if (code === '^') finish();
+        else if (code === 'D') record.date = value;
+        else if (code === 'T' || (code === 'U' && !record.amount)) record.amount = value;
+        else if (code === 'P') record.title = value;
+        else if (code === 'M') record.memo = value;
+        else if (code === 'L') record.category = value;
+        else if (code === 'N') record.number = value;
+    }
+    // Tolerate a missing "^" after the last record
+    finish();
+
+    return transactions;
+};
+
+module.exports = { isQif, parseQif };
@@ -0,0 +1,275 @@
+// QR codes as SVG, for the authenticator setup link: byte mode, error correction level M,
+// versions 1 to 15 (up to 412 bytes). Follows ISO/IEC 18004; made here so the secret inside
+// never goes to an outside service.
+
+const MAX_VERSION = 15;
+// Level M, indexed by version: error correction bytes per block, and number of blocks
+const ECC_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24];
+const BLOCK_COUNT = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10];
+// Format information bits for level M
+const ECC_LEVEL_BITS = 0;
+
+const bit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// --- REED-SOLOMON over GF(256) ---
+const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+const rsDivisor = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+};
+
+const rsRemainder = (data, divisor) => {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+};
+
+// --- LAYOUT ---
+const sizeOf = (version) => version * 4 + 17;
+
+// Modules left for data and error correction once the fixed patterns are placed
+const rawDataModules = (version) => {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignCount - 10) * alignCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+};
+
+const dataCodewords = (version) => Math.floor(rawDataModules(version) / 8) - ECC_PER_BLOCK[version] * BLOCK_COUNT[version];
+
+const alignmentPositions = (version) => {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = sizeOf(version) - 7; result.length < count; position -= step) result.splice(1, 0, position);
+    return result;
+};
+
+// The data bits: mode, length, the bytes, a terminator and padding up to the version's capacity
+const encodeData = (bytes, version) => {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push(bit(value, i) ? 1 : 0);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version <= 9 ? 8 : 16);
+    for (const byte of bytes) push(byte, 8);
+
+    const capacity = dataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    return codewords;
+};
+
+// Splits the data into blocks, adds each block's error correction and interleaves them
+const addErrorCorrection = (data, version) => {
+    const blockCount = BLOCK_COUNT[version];
+    const eccLength = ECC_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = rsDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = rsRemainder(block, divisor);
+        // A placeholder keeps short and long blocks aligned; it is skipped when interleaving
+        if (i < shortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+};
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+const buildMatrix = (codewords, version, mask) => {
+    const size = sizeOf(version);
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const fixed = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        fixed[y][x] = true;
+    };
+
+    // Timing patterns, then finder patterns with their separators, then alignment patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+        // Not where a finder pattern already is
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    // Format information: level and mask, BCH-protected, in two copies, plus the dark module
+    const formatData = (ECC_LEVEL_BITS << 3) | mask;
+    let remainder = formatData;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const format = ((formatData << 10) | remainder) ^ 0x5412;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(format, i));
+    set(8, 7, bit(format, 6));
+    set(8, 8, bit(format, 7));
+    set(7, 8, bit(format, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(format, i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(format, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(format, i));
+    set(8, size - 8, true);
+
+    // Version information, from version 7
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+        const info = (version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, bit(info, i));
+            set(b, a, bit(info, i));
+        }
+    }
+
+    // Data in two-module columns, zigzagging up and down from the bottom right, masked as placed
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (fixed[y][x]) continue;
+                const dark = index < codewords.length * 8 && bit(codewords[index >>> 3], 7 - (index & 7));
+                modules[y][x] = dark !== MASKS[mask](x, y);
+                index++;
+            }
+        }
+    }
+    return modules;
+};
+
+// How hard a mask makes the code to read: long runs, 2x2 blocks, finder-like patterns and an
+// uneven balance of dark and light all count against it
+const FINDER_LIKE = ['10111010000', '00001011101'];
+const penalty = (modules) => {
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i].map(Number).join(''));
+        lines.push(modules.map(row => Number(row[i])).join(''));
+    }
+    for (const line of lines) {
+        for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+        for (const pattern of FINDER_LIKE) {
+            for (let at = line.indexOf(pattern); at >= 0; at = line.indexOf(pattern, at + 1)) score += 40;
+        }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const colour = modules[y][x];
+                if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) score += 3;
+            }
+        }
+    }
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+};
+
+// The modules of the smallest code holding `text`, as rows of booleans (true is dark)
+const qrMatrix = (text) => {
+    const bytes = [...Buffer.from(String(text), 'utf8')];
+    let version = 1;
+    // Mode and length take 12 bits up to version 9, 20 after
+    while (version <= MAX_VERSION && bytes.length * 8 + (version <= 9 ? 12 : 20) > dataCodewords(version) * 8) version++;
+    if (version > MAX_VERSION) throw new Error('Too much data for a QR code');
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const modules = buildMatrix(codewords, version, mask);
+        const score = penalty(modules);
+        if (!best || score < best.score) best = { modules, score };
+    }
+    return best.modules;
+};
+
+// An SVG image of the code, with the four-module quiet zone scanners need around it
+const qrSvg = (text, { scale = 4 } = {}) => {
+    const modules = qrMatrix(text);
+    const size = modules.length + 8;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + 4} ${y + 4}h1v1h-1z`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * scale}" height="${size * scale}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+};
+
+module.exports = { qrMatrix, qrSvg };
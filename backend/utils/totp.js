@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238), as authenticator apps make them: HMAC-SHA1 over the
+// number of 30-second steps since 1970, cut down to 6 digits. Everything is worked out here;
+// no outside service sees the secret.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are still accepted, for clocks that have drifted a little
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let text = '';
+    for (let i = 0; i < bits.length; i += 5) text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    return text;
+};
+
+// Apps show secrets in groups and sometimes lower case; spaces, dashes and padding are ignored
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value < 0) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+// A new secret: 160 random bits, the size RFC 4226 recommends, in base32
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for one time step (RFC 4226 HOTP with the step as counter)
+const codeAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hash = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hash[hash.length - 1] & 0x0f;
+    const number = hash.readUInt32BE(offset) & 0x7fffffff;
+    return String(number % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// The time step `code` belongs to, within the drift allowed around `time`, or null when it
+// matches none. Callers keep the last step used so a code can't be replayed.
+const matchStep = (secret, code, time = Date.now()) => {
+    const given = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(given)) return null;
+    const now = currentStep(time);
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, step)), Buffer.from(given))) return step;
+    }
+    return null;
+};
+
+// The otpauth:// link authenticator apps read from the QR code
+const otpauthUri = ({ secret, account, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    // Spaces as %20: some apps show the + that URLSearchParams would use
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+module.exports = { DIGITS, base32Encode, base32Decode, generateSecret, codeAt, matchStep, otpauthUri };
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Checks a request body against a declared schema and collects every problem, so the client can
+// show each one next to its field. A schema maps field names to rules, checked in order:
+//   type       'string', 'number', 'date', 'id' (an ObjectId) or 'enum' (one of `values`)
+//   required   the field must be given and not empty; a function of (values checked so far,
+//              body) decides per body. A partial update only checks the fields it sends, but
+//              can't clear a required one.
+//   nullable   an empty value ('' or null) clears the field to null; otherwise it is left out
+//   trim, uppercase, maxLength, pattern   for strings; positive for numbers
+//   normalize  (value, values) => { value } or { error }, for anything more involved. A rule
+//              with only `normalize` gets the value as sent, empty or not.
+//   label      names the field in messages; `message` replaces the message for a wrong value
+// Returns { values, errors: [{ field, message }] }. Fields the schema doesn't name are dropped.
+
+const isEmpty = (value) => value === '' || value === null;
+
+const checkType = (rule, value) => {
+    const label = rule.label;
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return { error: rule.message || `${label} must be text` };
+            let text = rule.trim ? value.trim() : value;
+            if (rule.uppercase) text = text.toUpperCase();
+            if (rule.maxLength && text.length > rule.maxLength) return { error: `${label} can be at most ${rule.maxLength} characters` };
+            if (text && rule.pattern && !rule.pattern.test(text)) return { error: rule.message || `${label} is invalid` };
+            return { value: text };
+        }
+        case 'number': {
+            const number = Number(value);
+            if (typeof value === 'boolean' || !Number.isFinite(number) || (rule.positive && number <= 0)) {
+                return { error: rule.message || `${label} must be a ${rule.positive ? 'positive ' : ''}number` };
+            }
+            return { value: number };
+        }
+        case 'date': {
+            const date = new Date(value);
+            if (typeof value === 'boolean' || isNaN(date.getTime())) return { error: rule.message || `${label} is invalid` };
+            return { value: date };
+        }
+        case 'id':
+            if (!mongoose.isValidObjectId(value)) return { error: rule.message || `${label} is invalid` };
+            return { value };
+        case 'enum':
+            if (!rule.values.includes(value)) return { error: rule.message || `${label} must be one of: ${rule.values.join(', ')}` };
+            return { value };
+        default:
+            return { value };
+    }
+};
+
+const validate = (schema, body, { partial = false } = {}) => {
+    const values = {};
+    const errors = [];
+    const source = body && typeof body === 'object' ? body : {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const given = source[field];
+        const required = typeof rule.required === 'function' ? rule.required(values, source) : Boolean(rule.required);
+        const fail = (message) => errors.push({ field, message });
+
+        if (rule.type) {
+            if (given === undefined && (partial || !required)) continue;
+            const checked = given === undefined || isEmpty(given) ? { value: '' } : checkType(rule, given);
+            if (checked.error) {
+                fail(checked.error);
+                continue;
+            }
+            if (isEmpty(checked.value)) {
+                if (required) fail(`${rule.label} is required`);
+                else if (rule.nullable) values[field] = null;
+                continue;
+            }
+            values[field] = checked.value;
+        } else if (given === undefined) {
+            continue;
+        } else {
+            values[field] = given;
+        }
+
+        if (rule.normalize) {
+            const { value, error } = rule.normalize(values[field], values);
+            if (error) {
+                fail(error);
+                delete values[field];
+            } else {
+                values[field] = value;
+            }
+        }
+    }
+    return { values, errors };
+};
+
+// Validation problems answer 422, with every field's message in `errors` and the first as `error`
+// for clients that only show one
+const sendValidationErrors = (res, errors) => res.status(422).json({ error: errors[0].message, errors });
+
+// The same shape from a Mongoose ValidationError, for anything the model itself rejects
+const modelErrors = (err) => Object.values(err.errors).map(({ path, message }) => ({ field: path, message }));
+
+module.exports = { validate, sendValidationErrors, modelErrors };
@@ -1,9 +1,11 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import {
   Plus,
+  Pencil,
   Trash2,
   PieChart,
-  DollarSign,
+  Coins,
+  Banknote,
   Calendar,
   Tag,
   ArrowUpCircle,
@@ -19,153 +21,115 @@ import {
   Mail,
   Lock,
   ChevronDown,
-  Shield
+  Shield,
+  Settings,
+  AlertTriangle,
+  Repeat,
+  Upload,
+  ArrowLeftRight,
+  Split,
+  Paperclip,
+  Search,
+  Hash,
+  Wand2,
+  Users,
+  HandCoins,
+  KeyRound
 } from 'lucide-react';
+import { Card, CategoryBadge, Highlight, FieldError } from './components/ui.jsx';
+import PeriodSelector from './components/PeriodSelector.jsx';
+import CategoryManager from './components/CategoryManager.jsx';
+import BudgetsPanel from './components/BudgetsPanel.jsx';
+import AccountsPanel from './components/AccountsPanel.jsx';
+import SplitEditor from './components/SplitEditor.jsx';
+import RecurringManager from './components/RecurringManager.jsx';
+import ImportWizard from './components/ImportWizard.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import CurrencyManager from './components/CurrencyManager.jsx';
+import PortfolioManager from './components/PortfolioManager.jsx';
+import AttachmentViewer from './components/AttachmentViewer.jsx';
+import RulesManager from './components/RulesManager.jsx';
+import LedgerManager from './components/LedgerManager.jsx';
+import SessionList from './components/SessionList.jsx';
+import ChangePasswordForm from './components/ChangePasswordForm.jsx';
+import TwoFactorSettings from './components/TwoFactorSettings.jsx';
+import AccountSettings from './components/AccountSettings.jsx';
+import DeleteAccountForm from './components/DeleteAccountForm.jsx';
+import AdminConsole from './components/AdminConsole.jsx';
+import SharingEditor from './components/SharingEditor.jsx';
+import SettleUpPanel from './components/SettleUpPanel.jsx';
+import { formatMoney, currencyOptions } from './currency.js';
+import { PASSWORD_HINT } from './passwords.js';
+import { applyPreferences, formatDate } from './preferences.js';
+import { newSharing, sharingRemainder, sharingToForm, sharingToPayload } from './sharing.js';
+import { getPeriodBounds, formatPeriodLabel, readPeriodFromUrl, writePeriodToUrl } from './period.js';
+import api, { EMPTY_TOTALS, PAGE_SIZE, TIME_ZONE, getActiveLedger, setActiveLedger, onSessionEnd } from './api.js';
 
-/**
- * DEVOPS TRAINING NOTE:
- * ---------------------
- * Currently, this app uses 'localStorage' to simulate a database so you can 
- * see it working immediately in this preview.
- * * * TO CONNECT TO YOUR AWS BACKEND:
- * 1. Set 'USE_MOCK_API' to false below.
- * 2. Set 'API_BASE_URL' to your EC2 public IP or Load Balancer URL.
- * e.g., const API_BASE_URL = "http://54.123.45.67:5000/api";
- */
-
-const USE_MOCK_API = false;
-const API_BASE_URL = "/api"; // "http://localhost:5000/api"; // Change this for production
-
-// --- MOCK API SERVICE ---
-const mockApi = {
-  fetchExpenses: async () => {
-    return JSON.parse(localStorage.getItem('expenses') || '[]');
-  },
-  addExpense: async (expense) => {
-    const current = JSON.parse(localStorage.getItem('expenses') || '[]');
-    const newExpense = { ...expense, _id: Date.now().toString(), date: new Date().toISOString() };
-    const updated = [newExpense, ...current];
-    localStorage.setItem('expenses', JSON.stringify(updated));
-    return newExpense;
-  },
-  deleteExpense: async (id) => {
-    const current = JSON.parse(localStorage.getItem('expenses') || '[]');
-    const updated = current.filter(e => e._id !== id);
-    localStorage.setItem('expenses', JSON.stringify(updated));
-    return id;
-  },
-  // Mock Auth Methods
-  login: async (credentials) => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 800));
-    // Accept any login for demo
-    return {
-      id: "user_123",
-      name: "DevOps Engineer",
-      email: credentials.email,
-      role: "Admin",
-      joined: new Date().toISOString()
-    };
-  }
-};
+// Transaction form inputs that show the server's validation message for their field; the
+// messages for any other field go above the buttons
+const FORM_FIELDS = [
+  'title', 'amount', 'currency', 'type', 'accountId', 'toAccountId', 'toAmount', 'instrument', 'quantity', 'unitPrice',
+  'category', 'splits', 'sharing', 'payee', 'tags', 'notes'
+];
 
-// --- REAL API SERVICE ---
-const realApi = {
-  // Helper to get headers with token
-  getHeaders: () => {
-    const user = JSON.parse(localStorage.getItem('tracker_user'));
-    return {
-      'Content-Type': 'application/json',
-      'Authorization': user ? user.token : ''
-    };
-  },
+// --- AUTH COMPONENT ---
 
-  fetchExpenses: async () => {
-    const res = await fetch(`${API_BASE_URL}/expenses`, {
-      headers: realApi.getHeaders()
-    });
-    return await res.json();
-  },
-  addExpense: async (expense) => {
-    const res = await fetch(`${API_BASE_URL}/expenses`, {
-      method: 'POST',
-      headers: realApi.getHeaders(),
-      body: JSON.stringify(expense)
-    });
-    return await res.json();
-  },
-  deleteExpense: async (id) => {
-    await fetch(`${API_BASE_URL}/expenses/${id}`, {
-      method: 'DELETE',
-      headers: realApi.getHeaders()
-    });
-    return id;
-  },
-  login: async (credentials) => {
-    const res = await fetch(`${API_BASE_URL}/auth/login`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(credentials)
-    });
-    if (!res.ok) {
-      const err = await res.json();
-      throw new Error(err.error || "Login failed");
-    }
-    return await res.json();
-  },
-  register: async (userData) => {
-    const res = await fetch(`${API_BASE_URL}/auth/register`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(userData)
-    });
-    if (!res.ok) {
-      const err = await res.json();
-      throw new Error(err.error || "Registration failed");
-    }
-    return await res.json();
-  }
+// Links in emails open the app with ?reset=<token> (choose a new password) or ?forgot=<email>
+const readAuthLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('reset')) return { mode: 'reset', token: params.get('reset'), email: '' };
+  if (params.has('forgot')) return { mode: 'forgot', token: '', email: params.get('forgot') || '' };
+  return { mode: 'login', token: '', email: '' };
 };
-const api = USE_MOCK_API ? mockApi : realApi;
-
-// --- SHARED COMPONENTS ---
-
-const Card = ({ children, className = "" }) => (
-  <div className={`bg-white rounded-xl shadow-sm border border-slate-100 p-6 ${className}`}>
-    {children}
-  </div>
-);
-
-const TabButton = ({ active, onClick, children }) => (
-  <button
-    onClick={onClick}
-    className={`px-4 py-2 text-sm font-medium rounded-lg transition-all ${active
-      ? 'bg-indigo-600 text-white shadow-md'
-      : 'bg-white text-slate-600 hover:bg-slate-50 border border-slate-200'
-      }`}
-  >
-    {children}
-  </button>
-);
 
-// --- AUTH COMPONENT ---
+const clearAuthLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('reset');
+  params.delete('forgot');
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
+
+const AUTH_FIELDS = ['name', 'email', 'password', 'code'];
+const SUBMIT_LABELS = { login: 'Sign In', register: 'Create Account', forgot: 'Send Reset Link', reset: 'Set New Password', 'two-factor': 'Verify' };
+const SWITCH_PROMPTS = { login: 'New to the platform?', register: 'Already have an account?', forgot: 'Remembered it?', reset: 'Remembered it?', 'two-factor': 'Wrong account?' };
 
 const AuthScreen = ({ onLogin }) => {
-  const [isLogin, setIsLogin] = useState(true);
+  const [link] = useState(readAuthLink);
+  const [mode, setMode] = useState(link.mode);
   const [loading, setLoading] = useState(false);
-  const [formData, setFormData] = useState({ email: '', password: '', name: '' });
+  const [formData, setFormData] = useState({ email: link.email, password: '', name: '', code: '' });
+  // Proof from the first login step that only the two-factor code is missing
+  const [challenge, setChallenge] = useState('');
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState('');
+
+  const switchMode = (next) => {
+    if (mode === 'reset') clearAuthLink();
+    setMode(next);
+    setErrors({});
+    setNotice('');
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
+    setErrors({});
+    setNotice('');
     try {
-      if (isLogin) {
+      if (mode === 'login') {
         // LOGIN FLOW
         const data = await api.login({ email: formData.email, password: formData.password });
+        if (data.twoFactorRequired) {
+          setChallenge(data.challenge);
+          setFormData({ ...formData, password: '', code: '' });
+          setMode('two-factor');
+          return;
+        }
         // The backend now returns { token, user: {...} }
         // We combine them to store in local storage
         onLogin({ ...data.user, token: data.token });
-      } else {
+      } else if (mode === 'register') {
         // REGISTER FLOW
         await api.register({
           name: formData.name,
@@ -173,15 +137,33 @@ const AuthScreen = ({ onLogin }) => {
           password: formData.password
         });
         alert("Account created! Please sign in.");
-        setIsLogin(true); // Switch to login mode
+        switchMode('login');
+      } else if (mode === 'two-factor') {
+        const data = await api.verifyTwoFactorLogin(challenge, formData.code);
+        onLogin({ ...data.user, token: data.token });
+      } else if (mode === 'forgot') {
+        const { message } = await api.requestPasswordReset(formData.email);
+        setNotice(message);
+      } else {
+        const { message } = await api.resetPassword(link.token, formData.password);
+        switchMode('login');
+        setFormData({ ...formData, password: '' });
+        setNotice(message);
       }
     } catch (err) {
-      alert(err.message);
+      const fieldErrors = {};
+      for (const { field, message } of err.errors || []) {
+        if (AUTH_FIELDS.includes(field)) fieldErrors[field] ??= message;
+      }
+      if (Object.keys(fieldErrors).length) setErrors(fieldErrors);
+      else alert(err.message);
     } finally {
       setLoading(false);
     }
   };
 
+  const choosingPassword = mode === 'register' || mode === 'reset';
+
   return (
     <div className="min-h-screen bg-slate-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8 font-sans">
       <div className="sm:mx-auto sm:w-full sm:max-w-md">
@@ -194,14 +176,21 @@ const AuthScreen = ({ onLogin }) => {
           Personal Expenses Tracker
         </h2>
         <p className="mt-2 text-center text-sm text-slate-600">
-          MERN Stack Training Environment
+          {mode === 'forgot' ? "We'll email you a link to choose a new password"
+            : mode === 'reset' ? 'Choose a new password for your account'
+            : mode === 'two-factor' ? 'Enter the code from your authenticator app'
+            : 'MERN Stack Training Environment'}
         </p>
       </div>
 
       <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
         <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 border border-slate-100">
           <form className="space-y-6" onSubmit={handleSubmit}>
-            {!isLogin && (
+            {notice && (
+              <div className="text-sm text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>
+            )}
+
+            {mode === 'register' && (
               <div>
                 <label className="block text-sm font-medium text-slate-700">Full Name</label>
                 <div className="mt-1 relative">
@@ -210,49 +199,91 @@ const AuthScreen = ({ onLogin }) => {
                   </div>
                   <input
                     type="text"
-                    required={!isLogin}
+                    required
                     className="block w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
                     placeholder="John Doe"
                     value={formData.name}
                     onChange={e => setFormData({ ...formData, name: e.target.value })}
                   />
                 </div>
+                <FieldError message={errors.name} />
               </div>
             )}
 
-            <div>
-              <label className="block text-sm font-medium text-slate-700">Email address</label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-slate-400" />
+            {mode === 'two-factor' && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700">Verification code</label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <KeyRound className="h-5 w-5 text-slate-400" />
+                  </div>
+                  <input
+                    type="text"
+                    required
+                    autoFocus
+                    autoComplete="one-time-code"
+                    className="block w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm tracking-widest"
+                    placeholder="123456"
+                    value={formData.code}
+                    onChange={e => setFormData({ ...formData, code: e.target.value })}
+                  />
                 </div>
-                <input
-                  type="email"
-                  required
-                  className="block w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-                  placeholder="admin@example.com"
-                  value={formData.email}
-                  onChange={e => setFormData({ ...formData, email: e.target.value })}
-                />
+                {errors.code
+                  ? <FieldError message={errors.code} />
+                  : <p className="text-xs text-slate-400 mt-1">Lost your phone? Enter one of your backup codes instead.</p>}
               </div>
-            </div>
+            )}
 
-            <div>
-              <label className="block text-sm font-medium text-slate-700">Password</label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-slate-400" />
+            {mode !== 'reset' && mode !== 'two-factor' && (
+              <div>
+                <label className="block text-sm font-medium text-slate-700">Email address</label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-slate-400" />
+                  </div>
+                  <input
+                    type="email"
+                    required
+                    autoComplete="email"
+                    className="block w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    placeholder="admin@example.com"
+                    value={formData.email}
+                    onChange={e => setFormData({ ...formData, email: e.target.value })}
+                  />
                 </div>
-                <input
-                  type="password"
-                  required
-                  className="block w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-                  placeholder="••••••••"
-                  value={formData.password}
-                  onChange={e => setFormData({ ...formData, password: e.target.value })}
-                />
+                <FieldError message={errors.email} />
               </div>
-            </div>
+            )}
+
+            {mode !== 'forgot' && mode !== 'two-factor' && (
+              <div>
+                <div className="flex justify-between items-baseline">
+                  <label className="block text-sm font-medium text-slate-700">{mode === 'reset' ? 'New password' : 'Password'}</label>
+                  {mode === 'login' && (
+                    <button type="button" onClick={() => switchMode('forgot')} className="text-xs text-indigo-600 hover:underline">
+                      Forgot password?
+                    </button>
+                  )}
+                </div>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-slate-400" />
+                  </div>
+                  <input
+                    type="password"
+                    required
+                    autoComplete={choosingPassword ? 'new-password' : 'current-password'}
+                    className="block w-full pl-10 pr-3 py-2 border border-slate-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    placeholder="••••••••"
+                    value={formData.password}
+                    onChange={e => setFormData({ ...formData, password: e.target.value })}
+                  />
+                </div>
+                {errors.password
+                  ? <FieldError message={errors.password} />
+                  : choosingPassword && <p className="text-xs text-slate-400 mt-1">{PASSWORD_HINT}</p>}
+              </div>
+            )}
 
             <div>
               <button
@@ -260,7 +291,7 @@ const AuthScreen = ({ onLogin }) => {
                 disabled={loading}
                 className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-70 disabled:cursor-not-allowed transition-colors"
               >
-                {loading ? 'Processing...' : (isLogin ? 'Sign In' : 'Create Account')}
+                {loading ? 'Processing...' : SUBMIT_LABELS[mode]}
               </button>
             </div>
           </form>
@@ -272,17 +303,17 @@ const AuthScreen = ({ onLogin }) => {
               </div>
               <div className="relative flex justify-center text-sm">
                 <span className="px-2 bg-white text-slate-500">
-                  {isLogin ? 'New to the platform?' : 'Already have an account?'}
+                  {SWITCH_PROMPTS[mode]}
                 </span>
               </div>
             </div>
 
             <div className="mt-6">
               <button
-                onClick={() => setIsLogin(!isLogin)}
+                onClick={() => switchMode(mode === 'login' ? 'register' : 'login')}
                 className="w-full flex justify-center py-2 px-4 border border-slate-300 rounded-md shadow-sm text-sm font-medium text-slate-700 bg-white hover:bg-slate-50 transition-colors"
               >
-                {isLogin ? 'Create an account' : 'Sign in existing account'}
+                {mode === 'login' ? 'Create an account' : 'Sign in existing account'}
               </button>
             </div>
           </div>
@@ -293,11 +324,13 @@ const AuthScreen = ({ onLogin }) => {
 };
 
 // --- PROFILE MODAL ---
-const ProfileModal = ({ user, onClose, onLogout }) => {
+const ProfileModal = ({ user, baseCurrency, categories, onClose, onLogout, onProfileChange, onDeleted }) => {
+  // Bumped when the password changes, which signs out other devices, to reload the device list
+  const [sessionsVersion, setSessionsVersion] = useState(0);
   if (!user) return null;
   return (
     <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200">
-      <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm overflow-hidden">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm max-h-[90vh] overflow-y-auto">
         <div className="bg-indigo-600 px-6 py-8 text-center relative">
           <button onClick={onClose} className="absolute top-4 right-4 text-white/70 hover:text-white">
             <X size={24} />
@@ -311,7 +344,7 @@ const ProfileModal = ({ user, onClose, onLogout }) => {
         <div className="p-6 space-y-4">
           <div className="flex justify-between items-center py-2 border-b border-slate-100">
             <span className="text-slate-500 text-sm">Role</span>
-            <span className="font-medium text-slate-800 bg-slate-100 px-2 py-1 rounded text-xs">{user.role || 'User'}</span>
+            <span className="font-medium text-slate-800 bg-slate-100 px-2 py-1 rounded text-xs">{user.role === 'admin' ? 'Admin' : 'User'}</span>
           </div>
           <div className="flex justify-between items-center py-2 border-b border-slate-100">
             <span className="text-slate-500 text-sm">User ID</span>
@@ -319,9 +352,19 @@ const ProfileModal = ({ user, onClose, onLogout }) => {
           </div>
           <div className="flex justify-between items-center py-2 border-b border-slate-100">
             <span className="text-slate-500 text-sm">Joined</span>
-            <span className="font-medium text-slate-800 text-sm">{new Date(user.joined || Date.now()).toLocaleDateString()}</span>
+            <span className="font-medium text-slate-800 text-sm">{user.createdAt ? formatDate(user.createdAt) : '—'}</span>
           </div>
 
+          <AccountSettings user={{ ...user, baseCurrency }} categories={categories} onSaved={onProfileChange} />
+
+          <ChangePasswordForm onChanged={() => setSessionsVersion(version => version + 1)} />
+
+          <TwoFactorSettings onChanged={() => api.fetchProfile().then(profile => onProfileChange(profile, {})).catch(() => {})} />
+
+          <SessionList key={sessionsVersion} />
+
+          <DeleteAccountForm twoFactorEnabled={user.twoFactorEnabled} onDeleted={onDeleted} />
+
           <button
             onClick={onLogout}
             className="w-full mt-4 flex items-center justify-center gap-2 text-red-600 hover:bg-red-50 py-3 rounded-lg transition-colors font-medium border border-red-100"
@@ -341,106 +384,508 @@ export default function App() {
   const [user, setUser] = useState(null);
   const [showProfile, setShowProfile] = useState(false);
   const [expenses, setExpenses] = useState([]);
+  const [summary, setSummary] = useState({ totals: EMPTY_TOTALS, categories: [], periods: [] });
+  const [categories, setCategories] = useState([]);
+  const [showCategories, setShowCategories] = useState(false);
+  const [budgets, setBudgets] = useState([]);
+  const [budgetWarnings, setBudgetWarnings] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [showRecurring, setShowRecurring] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showCurrencies, setShowCurrencies] = useState(false);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  // Shared ledgers the user belongs to, and the one being looked at ('' for the personal ledger)
+  const [ledgers, setLedgers] = useState([]);
+  const [ledgerId, setLedgerId] = useState(() => getActiveLedger());
+  const [showLedgers, setShowLedgers] = useState(false);
+  const [showSettleUp, setShowSettleUp] = useState(false);
+  const [showAdmin, setShowAdmin] = useState(false);
+  // The transaction whose receipts are open, or null
+  const [attachmentsFor, setAttachmentsFor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
   const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
   const [filterCategory, setFilterCategory] = useState("All");
-  const [timeRange, setTimeRange] = useState("monthly");
+  const [filterTags, setFilterTags] = useState([]);
+  const [tags, setTags] = useState([]);
+  // What is typed in the search box, and what was last sent once typing paused
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  // The selected period lives in the URL so a view can be bookmarked
+  const [initialView] = useState(() => readPeriodFromUrl());
+  const [period, setPeriod] = useState(initialView.period);
+  const [fiscalStart, setFiscalStart] = useState(
+    () => initialView.fiscalStart || Number(localStorage.getItem('tracker_fiscal_start')) || 1
+  );
+
+  useEffect(() => {
+    writePeriodToUrl(period, fiscalStart);
+  }, [period, fiscalStart]);
+
+  const handleFiscalStartChange = (month) => {
+    setFiscalStart(month);
+    localStorage.setItem('tracker_fiscal_start', String(month));
+  };
+
+  // The first day of the week comes from the user's settings
+  const weekStart = user?.weekStart ?? 1;
+  const periodBounds = useMemo(() => getPeriodBounds(period, fiscalStart, weekStart), [period, fiscalStart, weekStart]);
 
   // Check for persisted user
   useEffect(() => {
     const savedUser = localStorage.getItem('tracker_user');
     if (savedUser) {
-      setUser(JSON.parse(savedUser));
+      const saved = JSON.parse(savedUser);
+      applyPreferences(saved);
+      setUser(saved);
+    }
+  }, []);
+
+  // Merges a profile from the server into the signed-in user, keeping the session token, which
+  // may have been refreshed since the user was last saved
+  const updateUser = useCallback((profile) => {
+    const next = { ...JSON.parse(localStorage.getItem('tracker_user') || '{}'), ...profile };
+    applyPreferences(next);
+    setUser(next);
+    localStorage.setItem('tracker_user', JSON.stringify(next));
+  }, []);
+
+  // The settings may have been changed on another device since they were saved here
+  const userId = user?.id;
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+    api.fetchProfile()
+      .then(profile => !cancelled && updateUser(profile))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, updateUser]);
+
+  // The time range tab, category dropdown, tag filter and search box are sent to the server as filters
+  const listFilters = useMemo(() => ({
+    ...periodBounds,
+    category: filterCategory,
+    tags: filterTags.join(','),
+    search,
+    ledger: ledgerId
+  }), [periodBounds, filterCategory, filterTags, search, ledgerId]);
+  const queryParams = useMemo(() => ({ ...listFilters, limit: PAGE_SIZE }), [listFilters]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const loadCategories = useCallback(async () => {
+    try {
+      setCategories(await api.fetchCategories());
+    } catch (err) {
+      console.error("Failed to fetch categories", err);
     }
   }, []);
 
-  // Fetch Data when user is logged in
   useEffect(() => {
     if (user) {
-      loadData();
+      loadCategories();
+    }
+  }, [user, loadCategories]);
+
+  // Budgets show the period the dashboard is looking at (today for All Time)
+  const budgetDate = periodBounds.from;
+  const loadBudgets = useCallback(async () => {
+    try {
+      setBudgets(await api.fetchBudgets({ date: budgetDate }));
+    } catch (err) {
+      console.error("Failed to fetch budgets", err);
+    }
+  }, [budgetDate]);
+
+  useEffect(() => {
+    if (user) {
+      loadBudgets();
+    }
+  }, [user, loadBudgets]);
+
+  const loadTags = useCallback(async () => {
+    try {
+      setTags(await api.fetchTags({ ledger: ledgerId }));
+    } catch (err) {
+      console.error("Failed to fetch tags", err);
+    }
+  }, [ledgerId]);
+
+  useEffect(() => {
+    if (user) {
+      loadTags();
+    }
+  }, [user, loadTags]);
+
+  // Balances are always as of today, whatever period is selected
+  const loadAccounts = useCallback(async () => {
+    try {
+      setAccounts(await api.fetchAccounts());
+    } catch (err) {
+      console.error("Failed to fetch accounts", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadAccounts();
+    }
+  }, [user, loadAccounts]);
+
+  const loadLedgers = useCallback(async () => {
+    try {
+      const list = await api.fetchLedgers();
+      setLedgers(list);
+      // A ledger the user left or lost access to falls back to the personal one
+      if (!list.some(l => l._id === getActiveLedger())) {
+        setActiveLedger('');
+        setLedgerId('');
+      }
+    } catch (err) {
+      console.error("Failed to fetch ledgers", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadLedgers();
     }
-  }, [user]);
+  }, [user, loadLedgers]);
+
+  const activeLedger = ledgers.find(l => l._id === ledgerId) || null;
+  // Viewers of a shared ledger can look but not add, edit or delete
+  const canEdit = activeLedger?.role !== 'viewer';
+  // Who entered each transaction of a shared ledger
+  const memberNames = useMemo(() => new Map((activeLedger?.members || []).map(m => [m.userId, m.name])), [activeLedger]);
+
+  // Refetches everything derived from the transactions
+  const refreshTransactions = () => {
+    loadData();
+    loadSummary();
+    loadBudgets();
+    loadAccounts();
+    loadTags();
+  };
+
+  // Every request after this goes to the chosen ledger. The list, summary and tags also name it
+  // in their parameters, so they reload from it.
+  const switchLedger = (id) => {
+    setActiveLedger(id);
+    setLedgerId(id);
+    setFilterTags([]);
+  };
+
+  // Renames and merges re-tag transactions and budgets, so everything is refetched afterwards
+  const handleCategoriesChanged = async () => {
+    await loadCategories();
+    refreshTransactions();
+  };
+
+  // Dashboard totals cover the whole period, not just the pages loaded so far
+  const summaryParams = useMemo(() => ({
+    ...periodBounds,
+    tz: TIME_ZONE,
+    ledger: ledgerId
+  }), [periodBounds, ledgerId]);
 
-  const loadData = async () => {
+  const loadSummary = useCallback(async () => {
+    try {
+      setSummary(await api.fetchSummary(summaryParams));
+    } catch (err) {
+      console.error("Failed to fetch summary", err);
+    }
+  }, [summaryParams]);
+
+  // Loads the first `pages` pages for the current filters, replacing whatever was listed
+  const loadData = useCallback(async (pages = 1) => {
     setLoading(true);
     try {
-      const data = await api.fetchExpenses();
-      setExpenses(data);
+      const results = await Promise.all(
+        Array.from({ length: pages }, (_, i) => api.fetchExpenses({ ...queryParams, page: i + 1 }))
+      );
+      setExpenses(results.flatMap(data => data.items));
+      setPage(pages);
+      setHasMore(results[results.length - 1].hasMore);
     } catch (err) {
       console.error("Failed to fetch expenses", err);
     } finally {
       setLoading(false);
     }
-  };
+  }, [queryParams]);
+
+  const loadMore = useCallback(async () => {
+    if (loading || loadingMore || !hasMore) return;
+    setLoadingMore(true);
+    try {
+      const data = await api.fetchExpenses({ ...queryParams, page: page + 1 });
+      setExpenses(prev => [...prev, ...data.items]);
+      setPage(page + 1);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      console.error("Failed to fetch more expenses", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [queryParams, page, hasMore, loading, loadingMore]);
+
+  // Fetch Data when user is logged in or the filters change
+  useEffect(() => {
+    if (user) {
+      loadData();
+    }
+  }, [user, loadData]);
+
+  useEffect(() => {
+    if (user) {
+      loadSummary();
+    }
+  }, [user, loadSummary]);
+
+  // Fetch the next page once the bottom of the list scrolls into view
+  const sentinelRef = useRef(null);
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore();
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [loadMore]);
 
   const handleLogin = (userData) => {
+    applyPreferences(userData);
     setUser(userData);
     localStorage.setItem('tracker_user', JSON.stringify(userData));
   };
 
-  const handleLogout = () => {
+  // Back to the sign-in screen
+  const endSession = () => {
+    applyPreferences(null);
     setUser(null);
     localStorage.removeItem('tracker_user');
+    switchLedger('');
     setShowProfile(false);
+    setShowAdmin(false);
   };
 
-  const [formData, setFormData] = useState({
-    title: "",
-    amount: "",
-    category: "Food",
-    type: "expense"
-  });
+  const handleLogout = async () => {
+    await api.logout();
+    endSession();
+  };
+
+  // Also when the server ends the session, e.g. signed out from another device
+  useEffect(() => onSessionEnd(endSession));
+
+  // Totals, budgets and summaries are all in the base currency
+  const baseCurrency = summary.baseCurrency || user?.baseCurrency || 'USD';
+
+  const emptyForm = { title: "", amount: "", currency: "", category: "", type: "expense", accountId: "", toAccountId: "", toAmount: "", instrument: "", quantity: "", unitPrice: "", splits: [], payee: "", tags: "", notes: "", sharing: null };
+  const [formData, setFormData] = useState(emptyForm);
+  // Rules suggest a category, payee and tags while a new transaction's title is typed,
+  // until a category is picked by hand. ruleHint names the rules behind the suggestion.
+  const [categoryPicked, setCategoryPicked] = useState(false);
+  const [ruleHint, setRuleHint] = useState([]);
+  // What the server rejected on the last save, by field ('form' for the rest)
+  const [formErrors, setFormErrors] = useState({});
+
+  // Only categories that allow the selected transaction type can be picked
+  const allowsType = (category, type) => category.type === 'any' || category.type === type;
+  const formCategories = categories.filter(c => allowsType(c, formData.type));
+  const categoryByName = useMemo(() => new Map(categories.map(c => [c.name, c])), [categories]);
+  const accountById = useMemo(() => new Map(accounts.map(a => [a._id, a])), [accounts]);
+  const isTransfer = formData.type === 'transfer';
+  // A transfer between accounts in different currencies asks how much arrived
+  const toAccountCurrency = accountById.get(formData.toAccountId)?.currency;
+  const needsToAmount = isTransfer && toAccountCurrency && toAccountCurrency !== (formData.currency || baseCurrency);
+
+  // A split shares the amount out over several categories; the lines must add up before saving
+  const isSplitForm = !isTransfer && formData.splits.length > 0;
+  const splitBalanced = !isSplitForm || formData.splits.reduce((sum, line) => sum + Math.round(Number(line.amount || 0) * 100), 0)
+    === Math.round(Number(formData.amount || 0) * 100);
 
-  const categories = ["Food", "Transport", "Housing", "Utilities", "Entertainment", "Healthcare", "Salary", "Stocks", "Crypto", "Savings"];
+  // An expense shared with other people; exact amounts must add up before saving
+  const isSharedForm = formData.type === 'expense' && Boolean(formData.sharing);
+  const sharingBalanced = !isSharedForm || formData.sharing.method !== 'exact' || sharingRemainder(formData.sharing, formData.amount) === 0;
+  // Names to suggest for a shared expense: ledger members, then people from loaded expenses
+  const sharingPeople = useMemo(() => {
+    const people = new Map();
+    for (const m of activeLedger?.members || []) people.set(m.name.toLowerCase(), { name: m.name, userId: m.userId });
+    for (const expense of expenses) {
+      for (const p of expense.sharing?.participants || []) {
+        if (!people.has(p.name.toLowerCase())) people.set(p.name.toLowerCase(), { name: p.name, userId: p.userId || null });
+      }
+    }
+    return [...people.values()];
+  }, [activeLedger, expenses]);
+
+  const startSplit = () => {
+    const half = Math.round(Number(formData.amount || 0) * 50) / 100;
+    const second = formCategories.find(c => c.name !== formData.category)?.name || formData.category;
+    setFormData({
+      ...formData,
+      splits: [
+        { category: formData.category || formCategories[0]?.name || '', amount: half ? String(half) : '' },
+        { category: second, amount: half ? String(Math.round((Number(formData.amount) - half) * 100) / 100) : '' }
+      ]
+    });
+  };
+
+  // Investments buy and withdrawals sell units of an instrument
+  const isTrade = formData.type === 'investment' || formData.type === 'withdrawal';
+
+  // Units times the quoted price fills in the amount, which can still be edited to add fees
+  const handleTradeChange = (changes) => {
+    const next = { ...formData, ...changes };
+    const total = Number(next.quantity) * Number(next.unitPrice);
+    setFormData(total > 0 ? { ...next, amount: String(Math.round(total * 100) / 100) } : next);
+  };
+
+  // Picking an account switches the amount to that account's currency
+  const handleAccountChange = (accountId) => {
+    const account = accountById.get(accountId);
+    setFormData({ ...formData, accountId, currency: account?.currency || formData.currency });
+  };
+
+  useEffect(() => {
+    if (!isFormOpen || editingId || !formData.title.trim()) return;
+    const draft = { title: formData.title, type: formData.type, amount: formData.amount, currency: formData.currency };
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      api.matchRules(draft).then(({ changes, rules }) => {
+        if (cancelled) return;
+        setRuleHint(changes.category && !categoryPicked ? rules.map(r => r.name) : []);
+        setFormData(prev => ({
+          ...prev,
+          ...(changes.category && !categoryPicked && !prev.splits.length ? { category: changes.category } : {}),
+          ...(changes.payee && !prev.payee ? { payee: changes.payee } : {}),
+          ...(changes.tags && !prev.tags.trim() ? { tags: changes.tags.join(', ') } : {})
+        }));
+      }).catch(err => console.error("Failed to run rules", err));
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isFormOpen, editingId, formData.title, formData.type, formData.amount, formData.currency, categoryPicked]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!formData.title || !formData.amount) return;
+    if (!formData.title || !formData.amount || !splitBalanced || !sharingBalanced) return;
+    setFormErrors({});
     try {
-      const newExp = await api.addExpense({ ...formData, amount: Number(formData.amount) });
-      setExpenses(prev => [newExp, ...prev]);
-      setFormData({ title: "", amount: "", category: "Food", type: "expense" });
-      setIsFormOpen(false);
-    } catch (err) { console.error(err); }
+      const { toAccountId, toAmount, instrument, quantity, unitPrice, splits, tags: tagText, sharing, ...fields } = formData;
+      const payload = { ...fields, amount: Number(formData.amount), accountId: formData.accountId || null };
+      // Typed as "trip, work"; stored lower case without duplicates, as on the server
+      payload.tags = [...new Set(tagText.split(',').map(tag => tag.trim().replace(/^#+/, '').toLowerCase()).filter(Boolean))];
+      // The largest line names the transaction's category, the server does the same
+      if (isSplitForm) {
+        payload.splits = splits.map(line => ({ category: line.category, amount: Number(line.amount) }));
+        payload.category = payload.splits.reduce((largest, line) => (line.amount > largest.amount ? line : largest)).category;
+      } else if (editingId && !isTransfer) {
+        payload.splits = [];
+      }
+      if (isSharedForm) {
+        payload.sharing = sharingToPayload(sharing, formData.amount);
+      } else if (editingId) {
+        payload.sharing = null;
+      }
+      if (isTrade) {
+        payload.instrument = instrument.trim() || null;
+        payload.quantity = payload.instrument ? Number(quantity) : null;
+        payload.unitPrice = payload.instrument && unitPrice ? Number(unitPrice) : null;
+      }
+      // Transfers have no category; everything else has no destination account
+      if (isTransfer) {
+        delete payload.category;
+        payload.toAccountId = toAccountId || null;
+        payload.toAmount = needsToAmount ? Number(toAmount) : null;
+      }
+      if (editingId) {
+        // Editing keeps the original date, only the form fields are patched
+        await api.updateExpense(editingId, payload);
+      } else {
+        const created = await api.addExpense(payload);
+        setBudgetWarnings(created.budgetWarnings || []);
+      }
+      closeForm();
+      // Refetch so the list reflects the server's filters and ordering
+      refreshTransactions();
+    } catch (err) {
+      const errors = {};
+      for (const { field, message } of err.errors || []) {
+        errors[FORM_FIELDS.includes(field) ? field : 'form'] ??= message;
+      }
+      if (!Object.keys(errors).length) errors.form = err.message;
+      setFormErrors(errors);
+    }
+  };
+
+  const openAddForm = () => {
+    setEditingId(null);
+    setFormErrors({});
+    setCategoryPicked(false);
+    setRuleHint([]);
+    // The default category from the settings, when it takes this type, else the first that does
+    const category = categories.find(c => c.name === user.defaultCategory && allowsType(c, emptyForm.type))
+      || categories.find(c => allowsType(c, emptyForm.type));
+    setFormData({ ...emptyForm, currency: baseCurrency, category: category?.name || "" });
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (expense) => {
+    setEditingId(expense._id);
+    setFormErrors({});
+    setFormData({
+      title: expense.title,
+      amount: String(expense.amount),
+      currency: expense.currency || baseCurrency,
+      category: expense.category || "",
+      type: expense.type,
+      accountId: expense.accountId || "",
+      toAccountId: expense.toAccountId || "",
+      toAmount: expense.toAmount ? String(expense.toAmount) : "",
+      instrument: expense.instrument || "",
+      quantity: expense.quantity ? String(expense.quantity) : "",
+      unitPrice: expense.unitPrice ? String(expense.unitPrice) : "",
+      splits: (expense.splits || []).map(line => ({ category: line.category, amount: String(line.amount) })),
+      payee: expense.payee || "",
+      tags: (expense.tags || []).join(', '),
+      notes: expense.notes || "",
+      sharing: expense.sharing ? sharingToForm(expense.sharing) : null
+    });
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingId(null);
+    setFormData(emptyForm);
   };
 
   const handleDelete = async (id) => {
     if (!window.confirm("Delete this transaction?")) return;
     try {
       await api.deleteExpense(id);
-      setExpenses(prev => prev.filter(e => e._id !== id));
-    } catch (err) { console.error(err); }
+      // Reload the pages already shown, so the next page starts where the list now ends
+      loadData(page);
+      loadSummary();
+      loadBudgets();
+      loadAccounts();
+      loadTags();
+    } catch (err) { alert(err.message); }
   };
 
-  // Calculations
-  const timeFilteredExpenses = useMemo(() => {
-    const now = new Date();
-    return expenses.filter(item => {
-      const itemDate = new Date(item.date);
-      if (timeRange === 'daily') return itemDate.toDateString() === now.toDateString();
-      if (timeRange === 'monthly') return itemDate.getMonth() === now.getMonth() && itemDate.getFullYear() === now.getFullYear();
-      if (timeRange === 'yearly') return itemDate.getFullYear() === now.getFullYear();
-      return true;
-    });
-  }, [expenses, timeRange]);
-
-  const stats = useMemo(() => {
-    return timeFilteredExpenses.reduce((acc, curr) => {
-      const amt = Number(curr.amount);
-      switch (curr.type) {
-        case 'income': acc.totalIncome += amt; acc.totalBalance += amt; break;
-        case 'expense': acc.totalExpense += amt; acc.totalBalance -= amt; break;
-        case 'investment': acc.totalInvested += amt; acc.totalBalance -= amt; break;
-        case 'withdrawal': acc.totalWithdrawn += amt; acc.totalBalance += amt; break;
-        default: break;
-      }
-      return acc;
-    }, { totalBalance: 0, totalIncome: 0, totalExpense: 0, totalInvested: 0, totalWithdrawn: 0 });
-  }, [timeFilteredExpenses]);
-
-  const filteredList = filterCategory === "All"
-    ? timeFilteredExpenses
-    : timeFilteredExpenses.filter(e => e.category === filterCategory);
+  const stats = summary.totals;
 
   const getIcon = (type) => {
     switch (type) {
@@ -448,6 +893,7 @@ export default function App() {
       case 'expense': return <Tag size={20} />;
       case 'investment': return <TrendingUp size={20} />;
       case 'withdrawal': return <TrendingDown size={20} />;
+      case 'transfer': return <ArrowLeftRight size={20} />;
       default: return <Tag size={20} />;
     }
   };
@@ -458,6 +904,7 @@ export default function App() {
       case 'expense': return 'bg-red-100 text-red-600';
       case 'investment': return 'bg-purple-100 text-purple-600';
       case 'withdrawal': return 'bg-orange-100 text-orange-600';
+      case 'transfer': return 'bg-sky-100 text-sky-600';
       default: return 'bg-slate-100 text-slate-600';
     }
   };
@@ -475,7 +922,7 @@ export default function App() {
         <div className="max-w-5xl mx-auto flex justify-between items-center gap-4">
           <div>
             <h1 className="text-xl sm:text-2xl font-bold flex items-center gap-2">
-              <DollarSign className="w-6 h-6 sm:w-8 sm:h-8 opacity-80" />
+              <Coins className="w-6 h-6 sm:w-8 sm:h-8 opacity-80" />
               Personal Expenses Tracker
             </h1>
             <p className="text-indigo-200 text-xs sm:text-sm mt-1">Developed by Thanvir Assif</p>
@@ -483,13 +930,73 @@ export default function App() {
 
           <div className="flex items-center gap-4">
             <button
-              onClick={() => setIsFormOpen(true)}
-              className="bg-indigo-500 hover:bg-indigo-400 text-white px-3 py-2 rounded-lg font-medium shadow-md transition-all flex items-center gap-2 text-sm"
+              onClick={() => setShowCurrencies(true)}
+              className="bg-indigo-700 hover:bg-indigo-800 text-white px-3 py-2 rounded-lg font-medium transition-all flex items-center gap-2 text-sm border border-indigo-500"
+              title="Currencies and exchange rates"
+            >
+              <Coins size={18} />
+              <span className="hidden sm:inline">{baseCurrency}</span>
+            </button>
+
+            <button
+              onClick={() => setShowRecurring(true)}
+              className="bg-indigo-700 hover:bg-indigo-800 text-white px-3 py-2 rounded-lg font-medium transition-all flex items-center gap-2 text-sm border border-indigo-500"
+              title="Recurring transactions"
+            >
+              <Repeat size={18} />
+              <span className="hidden sm:inline">Recurring</span>
+            </button>
+
+            {canEdit && (
+              <button
+                onClick={openAddForm}
+                className="bg-indigo-500 hover:bg-indigo-400 text-white px-3 py-2 rounded-lg font-medium shadow-md transition-all flex items-center gap-2 text-sm"
+              >
+                <Plus size={18} />
+                <span className="hidden sm:inline">Add</span>
+              </button>
+            )}
+
+            <button
+              onClick={() => setShowSettleUp(true)}
+              className="bg-indigo-700 hover:bg-indigo-800 text-white px-3 py-2 rounded-lg font-medium transition-all flex items-center gap-2 text-sm border border-indigo-500"
+              title="Shared expenses and settling up"
             >
-              <Plus size={18} />
-              <span className="hidden sm:inline">Add</span>
+              <HandCoins size={18} />
+              <span className="hidden sm:inline">Settle up</span>
             </button>
 
+            {/* Ledger switcher: personal or one of the shared ledgers */}
+            <div className="flex items-center bg-indigo-700 rounded-lg border border-indigo-500">
+              <select
+                value={ledgerId}
+                onChange={(e) => switchLedger(e.target.value)}
+                className="bg-transparent border-none text-white text-sm font-medium py-2 pl-3 pr-8 max-w-[10rem] truncate focus:ring-2 focus:ring-indigo-300 cursor-pointer"
+                title="Ledger"
+              >
+                <option value="" className="text-slate-800">Personal</option>
+                {ledgers.map(l => <option key={l._id} value={l._id} className="text-slate-800">{l.name}</option>)}
+              </select>
+              <button
+                onClick={() => setShowLedgers(true)}
+                className="px-2 py-2 text-indigo-200 hover:text-white border-l border-indigo-500"
+                title="Shared ledgers"
+              >
+                <Users size={18} />
+              </button>
+            </div>
+
+            {user.role === 'admin' && (
+              <button
+                onClick={() => setShowAdmin(true)}
+                className="bg-indigo-700 hover:bg-indigo-800 text-white px-3 py-2 rounded-lg font-medium transition-all flex items-center gap-2 text-sm border border-indigo-500"
+                title="Admin console"
+              >
+                <Shield size={18} />
+                <span className="hidden sm:inline">Admin</span>
+              </button>
+            )}
+
             <button
               onClick={() => setShowProfile(true)}
               className="flex items-center gap-2 bg-indigo-700 hover:bg-indigo-800 pl-2 pr-3 py-1.5 rounded-full transition-colors border border-indigo-500"
@@ -499,7 +1006,7 @@ export default function App() {
               </div>
               <div className="hidden sm:block text-left">
                 <p className="text-xs font-medium text-white">{user.name}</p>
-                <p className="text-[10px] text-indigo-200">{user.role || 'User'}</p>
+                <p className="text-[10px] text-indigo-200">{user.role === 'admin' ? 'Admin' : 'User'}</p>
               </div>
               <ChevronDown size={14} className="text-indigo-200" />
             </button>
@@ -507,17 +1014,49 @@ export default function App() {
         </div>
 
         {/* Time Range Selector */}
-        <div className="max-w-5xl mx-auto mt-6 flex justify-center md:justify-start gap-2 overflow-x-auto">
-          <TabButton active={timeRange === 'daily'} onClick={() => setTimeRange('daily')}>Daily</TabButton>
-          <TabButton active={timeRange === 'monthly'} onClick={() => setTimeRange('monthly')}>Monthly</TabButton>
-          <TabButton active={timeRange === 'yearly'} onClick={() => setTimeRange('yearly')}>Yearly</TabButton>
-          <TabButton active={timeRange === 'all'} onClick={() => setTimeRange('all')}>All Time</TabButton>
-        </div>
+        <PeriodSelector
+          period={period}
+          fiscalStart={fiscalStart}
+          weekStart={weekStart}
+          onChange={setPeriod}
+          onFiscalStartChange={handleFiscalStartChange}
+        />
       </div>
 
       {/* Main Content */}
       <div className="max-w-5xl mx-auto px-4 sm:px-6 -mt-10 space-y-6">
 
+        {/* Over-budget warning for the transaction just added */}
+        {budgetWarnings.length > 0 && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-xl p-4 flex items-start justify-between gap-4 shadow-sm">
+            <div className="flex gap-3">
+              <AlertTriangle size={20} className="shrink-0 mt-0.5" />
+              <div className="text-sm">
+                <p className="font-semibold">Over budget</p>
+                {budgetWarnings.map(w => (
+                  <p key={w.budgetId}>
+                    {w.category}: {formatMoney(w.spent, baseCurrency)} spent of {formatMoney(w.limit, baseCurrency)} this {w.period}
+                  </p>
+                ))}
+              </div>
+            </div>
+            <button onClick={() => setBudgetWarnings([])} className="text-red-400 hover:text-red-600">
+              <X size={18} />
+            </button>
+          </div>
+        )}
+
+        {/* Transactions in other currencies with no stored rate are left out of the totals */}
+        {summary.unconverted > 0 && (
+          <div className="bg-amber-50 border border-amber-200 text-amber-800 rounded-xl p-4 flex items-center justify-between gap-4 shadow-sm text-sm">
+            <span className="flex items-center gap-2">
+              <AlertTriangle size={18} className="shrink-0" />
+              {summary.unconverted} transaction(s) have no exchange rate to {baseCurrency} and are not counted below.
+            </span>
+            <button onClick={() => setShowCurrencies(true)} className="font-medium underline shrink-0">Add rates</button>
+          </div>
+        )}
+
         {/* Main Stats Grid */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <Card className="flex flex-col justify-between border-l-4 border-l-indigo-500">
@@ -525,7 +1064,7 @@ export default function App() {
               <Wallet size={16} /> Net Balance
             </span>
             <span className={`text-3xl font-bold mt-2 ${stats.totalBalance >= 0 ? 'text-indigo-700' : 'text-red-600'}`}>
-              ${stats.totalBalance.toFixed(2)}
+              {formatMoney(stats.totalBalance, baseCurrency)}
             </span>
             <span className="text-xs text-slate-400 mt-2">Cash on hand</span>
           </Card>
@@ -537,7 +1076,7 @@ export default function App() {
               </div>
               <span className="text-slate-500 text-sm font-medium">Total Income</span>
             </div>
-            <span className="text-2xl font-bold text-slate-800">${stats.totalIncome.toFixed(2)}</span>
+            <span className="text-2xl font-bold text-slate-800">{formatMoney(stats.totalIncome, baseCurrency)}</span>
           </Card>
 
           <Card className="border-l-4 border-l-red-500">
@@ -547,7 +1086,7 @@ export default function App() {
               </div>
               <span className="text-slate-500 text-sm font-medium">Total Expenses</span>
             </div>
-            <span className="text-2xl font-bold text-slate-800">${stats.totalExpense.toFixed(2)}</span>
+            <span className="text-2xl font-bold text-slate-800">{formatMoney(stats.totalExpense, baseCurrency)}</span>
           </Card>
         </div>
 
@@ -559,7 +1098,10 @@ export default function App() {
                 <span className="text-purple-600 text-sm font-bold flex items-center gap-2 mb-1">
                   <TrendingUp size={16} /> Total Invested
                 </span>
-                <span className="text-2xl font-bold text-slate-800">${stats.totalInvested.toFixed(2)}</span>
+                <span className="text-2xl font-bold text-slate-800">{formatMoney(stats.totalInvested, baseCurrency)}</span>
+                <button onClick={() => setShowPortfolio(true)} className="block text-xs font-medium text-purple-600 hover:underline mt-1">
+                  View portfolio
+                </button>
               </div>
               <div className="text-purple-300">
                 <PieChart size={40} />
@@ -573,84 +1115,244 @@ export default function App() {
                 <span className="text-orange-600 text-sm font-bold flex items-center gap-2 mb-1">
                   <TrendingDown size={16} /> Withdrawn (Gains)
                 </span>
-                <span className="text-2xl font-bold text-slate-800">${stats.totalWithdrawn.toFixed(2)}</span>
+                <span className="text-2xl font-bold text-slate-800">{formatMoney(stats.totalWithdrawn, baseCurrency)}</span>
               </div>
               <div className="text-orange-300">
-                <DollarSign size={40} />
+                <Banknote size={40} />
               </div>
             </div>
           </Card>
         </div>
 
+        {/* Accounts & Net Worth */}
+        <AccountsPanel accounts={accounts} currency={baseCurrency} onChanged={loadAccounts} />
+
+        {/* Budgets */}
+        <BudgetsPanel budgets={budgets} categories={categories} currency={baseCurrency} onChanged={loadBudgets} />
+
         {/* Filters & List */}
         <div className="bg-white rounded-xl shadow-sm border border-slate-100 overflow-hidden">
           <div className="p-4 border-b border-slate-100 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
             <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
               <Clock size={18} className="text-slate-400" />
-              Transactions ({timeRange})
+              Transactions ({formatPeriodLabel(period, fiscalStart, weekStart)})
             </h2>
 
-            <div className="flex items-center gap-2 overflow-x-auto pb-2 sm:pb-0">
-              <Filter size={16} className="text-slate-400 shrink-0" />
-              <select
-                value={filterCategory}
-                onChange={(e) => setFilterCategory(e.target.value)}
-                className="bg-slate-50 border-none text-sm font-medium text-slate-600 rounded-md py-1 pl-2 pr-8 focus:ring-2 focus:ring-indigo-500 cursor-pointer"
-              >
-                <option value="All">All Categories</option>
-                {categories.map(c => <option key={c} value={c}>{c}</option>)}
-              </select>
+            <div className="flex flex-wrap items-center gap-2">
+              <div className="relative">
+                <Search size={14} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-slate-400" />
+                <input
+                  type="search"
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  placeholder="Search title, payee, notes"
+                  className="bg-slate-50 border-none text-sm text-slate-600 rounded-md py-1 pl-8 pr-2 w-52 focus:ring-2 focus:ring-indigo-500 outline-none"
+                />
+              </div>
+              <div className="flex items-center gap-2 overflow-x-auto pb-2 sm:pb-0">
+                <Filter size={16} className="text-slate-400 shrink-0" />
+                <select
+                  value={filterCategory}
+                  onChange={(e) => setFilterCategory(e.target.value)}
+                  className="bg-slate-50 border-none text-sm font-medium text-slate-600 rounded-md py-1 pl-2 pr-8 focus:ring-2 focus:ring-indigo-500 cursor-pointer"
+                >
+                  <option value="All">All Categories</option>
+                  {categories.map(c => <option key={c._id} value={c.name}>{c.name}</option>)}
+                </select>
+                {tags.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => setFilterTags([...filterTags, e.target.value])}
+                    className="bg-slate-50 border-none text-sm font-medium text-slate-600 rounded-md py-1 pl-2 pr-8 focus:ring-2 focus:ring-indigo-500 cursor-pointer"
+                  >
+                    <option value="">{filterTags.length ? 'Add tag' : 'All Tags'}</option>
+                    {tags.filter(t => !filterTags.includes(t.tag)).map(t => <option key={t.tag} value={t.tag}>#{t.tag} ({t.count})</option>)}
+                  </select>
+                )}
+                <button
+                  onClick={() => setShowCategories(true)}
+                  className="text-slate-400 hover:text-indigo-600 p-1.5 rounded-md hover:bg-indigo-50 transition-colors shrink-0"
+                  title="Manage categories"
+                >
+                  <Settings size={16} />
+                </button>
+                <button
+                  onClick={() => setShowRules(true)}
+                  className="text-slate-400 hover:text-indigo-600 p-1.5 rounded-md hover:bg-indigo-50 transition-colors shrink-0"
+                  title="Auto-categorization rules"
+                >
+                  <Wand2 size={16} />
+                </button>
+                {canEdit && (
+                  <button
+                    onClick={() => setShowImport(true)}
+                    className="text-slate-400 hover:text-indigo-600 p-1.5 rounded-md hover:bg-indigo-50 transition-colors shrink-0"
+                    title="Import statement"
+                  >
+                    <Upload size={16} />
+                  </button>
+                )}
+              </div>
+              <ExportMenu
+                params={listFilters}
+                label={filterCategory === 'All' ? formatPeriodLabel(period, fiscalStart, weekStart) : `${formatPeriodLabel(period, fiscalStart, weekStart)} · ${filterCategory}`}
+              />
             </div>
           </div>
 
+          {filterTags.length > 0 && (
+            <div className="px-4 py-2 border-b border-slate-100 flex flex-wrap items-center gap-2 text-xs">
+              <span className="text-slate-500">Tagged with any of</span>
+              {filterTags.map(tag => (
+                <button
+                  key={tag}
+                  onClick={() => setFilterTags(filterTags.filter(t => t !== tag))}
+                  className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 hover:bg-indigo-100"
+                  title="Remove filter"
+                >
+                  #{tag} <X size={12} />
+                </button>
+              ))}
+              <button onClick={() => setFilterTags([])} className="text-slate-400 hover:text-slate-600 hover:underline">Clear</button>
+            </div>
+          )}
+
           <div className="divide-y divide-slate-50">
             {loading ? (
               <div className="p-8 text-center text-slate-400">Loading transactions...</div>
-            ) : filteredList.length === 0 ? (
+            ) : expenses.length === 0 ? (
               <div className="p-12 text-center">
                 <div className="bg-slate-50 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
                   <Tag className="text-slate-300" size={32} />
                 </div>
-                <p className="text-slate-500">No transactions found for this period.</p>
-                <button
-                  onClick={() => setIsFormOpen(true)}
-                  className="text-indigo-600 font-medium text-sm mt-2 hover:underline"
-                >
-                  Create one now
-                </button>
+                <p className="text-slate-500">{search || filterTags.length ? 'No transactions match your search.' : 'No transactions found for this period.'}</p>
+                {canEdit && (
+                  <button
+                    onClick={openAddForm}
+                    className="text-indigo-600 font-medium text-sm mt-2 hover:underline"
+                  >
+                    Create one now
+                  </button>
+                )}
               </div>
             ) : (
-              filteredList.map((expense) => (
+              expenses.map((expense) => (
                 <div key={expense._id} className="p-4 hover:bg-slate-50 transition-colors flex items-center justify-between group">
                   <div className="flex items-center gap-4">
                     <div className={`w-10 h-10 rounded-full flex items-center justify-center shrink-0 ${getColorClass(expense.type)}`}>
                       {getIcon(expense.type)}
                     </div>
                     <div>
-                      <h3 className="font-semibold text-slate-800">{expense.title}</h3>
+                      <h3 className="font-semibold text-slate-800">
+                        <Highlight text={expense.title} query={search} />
+                        {expense.payee && (
+                          <span className="font-normal text-slate-500"> · <Highlight text={expense.payee} query={search} /></span>
+                        )}
+                      </h3>
                       <div className="flex items-center gap-2 text-xs text-slate-500 mt-0.5">
-                        <span>{new Date(expense.date || Date.now()).toLocaleDateString()}</span>
+                        <span>{formatDate(expense.date || Date.now())}</span>
+                        {activeLedger && <span className="text-slate-400">by {memberNames.get(expense.userId) || 'a former member'}</span>}
                         <span>•</span>
-                        <span className="bg-slate-100 px-1.5 py-0.5 rounded text-slate-600">{expense.category}</span>
+                        {expense.type === 'transfer' ? (
+                          <span>{accountById.get(expense.accountId)?.name || 'Deleted account'} → {accountById.get(expense.toAccountId)?.name || 'Deleted account'}</span>
+                        ) : (
+                          <>
+                            <CategoryBadge category={categoryByName.get(expense.category)} name={expense.category} />
+                            {expense.splits?.length > 1 && (
+                              <span
+                                className="text-slate-400"
+                                title={expense.splits.map(line => `${line.category}: ${formatMoney(line.amount, expense.currency || baseCurrency)}`).join('\n')}
+                              >
+                                +{expense.splits.length - 1} split
+                              </span>
+                            )}
+                            {accountById.has(expense.accountId) && <span className="text-slate-400">{accountById.get(expense.accountId).name}</span>}
+                            {expense.instrument && <span className="text-slate-400">{expense.quantity} × {expense.instrument}</span>}
+                            {expense.sharing && (
+                              <span
+                                className="text-slate-400"
+                                title={[
+                                  `Paid by ${expense.sharing.paidBy}`,
+                                  ...expense.sharing.participants.map(p => `${p.name}: ${formatMoney(p.amount, expense.currency || baseCurrency)}`)
+                                ].join('\n')}
+                              >
+                                Shared · {expense.sharing.participants.length}
+                              </span>
+                            )}
+                          </>
+                        )}
+                        {expense.tags?.map(tag => (
+                          <button
+                            key={tag}
+                            onClick={() => !filterTags.includes(tag) && setFilterTags([...filterTags, tag])}
+                            className="text-indigo-500 hover:underline"
+                            title={`Show transactions tagged #${tag}`}
+                          >
+                            #{tag}
+                          </button>
+                        ))}
                       </div>
+                      {expense.notes && (
+                        <p className="text-xs text-slate-400 mt-0.5 max-w-md truncate" title={expense.notes}>
+                          <Highlight text={expense.notes} query={search} />
+                        </p>
+                      )}
                     </div>
                   </div>
 
-                  <div className="flex items-center gap-4">
-                    <span className={`font-bold ${(expense.type === 'income' || expense.type === 'withdrawal') ? 'text-green-600' : 'text-slate-900'
-                      }`}>
-                      {(expense.type === 'income' || expense.type === 'withdrawal') ? '+' : '-'}${Number(expense.amount).toFixed(2)}
-                    </span>
+                  <div className="flex items-center gap-2">
+                    <div className="text-right">
+                      {expense.type === 'transfer' ? (
+                        <span className="font-bold text-slate-500">{formatMoney(expense.amount, expense.currency || baseCurrency)}</span>
+                      ) : (
+                        <span className={`font-bold ${(expense.type === 'income' || expense.type === 'withdrawal') ? 'text-green-600' : 'text-slate-900'
+                          }`}>
+                          {(expense.type === 'income' || expense.type === 'withdrawal') ? '+' : '-'}{formatMoney(expense.amount, expense.currency || baseCurrency)}
+                        </span>
+                      )}
+                      {expense.currency && expense.currency !== baseCurrency && (
+                        <p className="text-xs text-slate-400">
+                          {expense.baseAmount === undefined || expense.baseAmount === null ? 'No rate yet' : `≈ ${formatMoney(expense.baseAmount, baseCurrency)}`}
+                        </p>
+                      )}
+                    </div>
                     <button
-                      onClick={() => handleDelete(expense._id)}
-                      className="text-slate-300 hover:text-red-500 p-2 rounded-full hover:bg-red-50 transition-colors opacity-0 group-hover:opacity-100 focus:opacity-100"
+                      onClick={() => setAttachmentsFor(expense)}
+                      title={expense.attachments?.length ? `${expense.attachments.length} attachment(s)` : 'Attach a receipt'}
+                      className={`p-2 rounded-full hover:bg-indigo-50 transition-colors flex items-center gap-0.5 text-xs ${expense.attachments?.length
+                        ? 'text-slate-500 hover:text-indigo-500'
+                        : 'text-slate-300 hover:text-indigo-500 opacity-0 group-hover:opacity-100 focus:opacity-100'}`}
                     >
-                      <Trash2 size={18} />
+                      <Paperclip size={18} />
+                      {expense.attachments?.length > 1 && expense.attachments.length}
                     </button>
+                    {canEdit && (
+                      <>
+                        <button
+                          onClick={() => openEditForm(expense)}
+                          className="text-slate-300 hover:text-indigo-500 p-2 rounded-full hover:bg-indigo-50 transition-colors opacity-0 group-hover:opacity-100 focus:opacity-100"
+                        >
+                          <Pencil size={18} />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(expense._id)}
+                          className="text-slate-300 hover:text-red-500 p-2 rounded-full hover:bg-red-50 transition-colors opacity-0 group-hover:opacity-100 focus:opacity-100"
+                        >
+                          <Trash2 size={18} />
+                        </button>
+                      </>
+                    )}
                   </div>
                 </div>
               ))
             )}
+            {!loading && hasMore && (
+              <div ref={sentinelRef} className="p-4 text-center text-sm text-slate-400">
+                {loadingMore ? 'Loading more...' : (
+                  <button onClick={loadMore} className="text-indigo-600 font-medium hover:underline">Load more</button>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -659,23 +1361,124 @@ export default function App() {
       {showProfile && (
         <ProfileModal
           user={user}
+          baseCurrency={baseCurrency}
+          categories={categories}
           onClose={() => setShowProfile(false)}
           onLogout={handleLogout}
+          onProfileChange={(profile, { currencyChanged }) => {
+            updateUser(profile);
+            if (currencyChanged) refreshTransactions();
+          }}
+          onDeleted={endSession}
         />
       )}
 
-      {/* Add Transaction Modal */}
+      {/* Category Manager */}
+      {showCategories && (
+        <CategoryManager
+          categories={categories}
+          onClose={() => setShowCategories(false)}
+          onChanged={handleCategoriesChanged}
+        />
+      )}
+
+      {/* Recurring Transactions */}
+      {showRecurring && (
+        <RecurringManager
+          categories={categories}
+          baseCurrency={baseCurrency}
+          onClose={() => setShowRecurring(false)}
+          onChanged={refreshTransactions}
+        />
+      )}
+
+      {/* Currencies & Exchange Rates */}
+      {showCurrencies && (
+        <CurrencyManager
+          baseCurrency={baseCurrency}
+          onClose={() => setShowCurrencies(false)}
+          onChanged={refreshTransactions}
+        />
+      )}
+
+      {/* Portfolio & Prices */}
+      {showPortfolio && (
+        <PortfolioManager
+          baseCurrency={baseCurrency}
+          onClose={() => setShowPortfolio(false)}
+        />
+      )}
+
+      {/* Auto-Categorization Rules */}
+      {showRules && (
+        <RulesManager
+          categories={categories}
+          onClose={() => setShowRules(false)}
+          onChanged={refreshTransactions}
+        />
+      )}
+
+      {/* Shared Ledgers */}
+      {showLedgers && (
+        <LedgerManager
+          ledgers={ledgers}
+          activeId={ledgerId}
+          userId={user.id}
+          onSwitch={switchLedger}
+          onClose={() => setShowLedgers(false)}
+          onChanged={loadLedgers}
+        />
+      )}
+
+      {/* Admin Console */}
+      {showAdmin && (
+        <AdminConsole
+          currentUserId={user.id}
+          onClose={() => setShowAdmin(false)}
+        />
+      )}
+
+      {/* Shared Expenses & Settling Up */}
+      {showSettleUp && (
+        <SettleUpPanel
+          baseCurrency={baseCurrency}
+          canEdit={canEdit}
+          onClose={() => setShowSettleUp(false)}
+        />
+      )}
+
+      {/* Receipts & Attachments */}
+      {attachmentsFor && (
+        <AttachmentViewer
+          expense={attachmentsFor}
+          readOnly={!canEdit}
+          onClose={() => setAttachmentsFor(null)}
+          onChanged={(attachments) => setExpenses(list => list.map(e => (e._id === attachmentsFor._id ? { ...e, attachments } : e)))}
+        />
+      )}
+
+      {/* Statement Import */}
+      {showImport && (
+        <ImportWizard
+          categories={categories}
+          accounts={accounts}
+          onClose={() => setShowImport(false)}
+          onImported={refreshTransactions}
+        />
+      )}
+
+      {/* Add / Edit Transaction Modal */}
       {isFormOpen && (
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
-          <div className="bg-white rounded-2xl shadow-xl w-full max-w-md overflow-hidden animate-in fade-in zoom-in duration-200">
+          <div className="bg-white rounded-2xl shadow-xl w-full max-w-md overflow-hidden max-h-[90vh] flex flex-col animate-in fade-in zoom-in duration-200">
             <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
-              <h3 className="font-bold text-lg text-slate-800">Add Transaction</h3>
-              <button onClick={() => setIsFormOpen(false)} className="text-slate-400 hover:text-slate-600">
+              <h3 className="font-bold text-lg text-slate-800">{editingId ? 'Edit Transaction' : 'Add Transaction'}</h3>
+              <button onClick={closeForm} className="text-slate-400 hover:text-slate-600">
                 <X size={24} />
               </button>
             </div>
 
-            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            <form onSubmit={handleSubmit} className="p-6 space-y-4 overflow-y-auto">
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-1">Description</label>
                 <input
@@ -686,22 +1489,30 @@ export default function App() {
                   value={formData.title}
                   onChange={e => setFormData({ ...formData, title: e.target.value })}
                 />
+                <FieldError message={formErrors.title} />
               </div>
 
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-1">Amount</label>
-                  <div className="relative">
-                    <span className="absolute left-3 top-2.5 text-slate-400">$</span>
+                  <div className="flex rounded-lg border border-slate-200 focus-within:ring-2 focus-within:ring-indigo-500 transition-all">
+                    <select
+                      className="pl-2 pr-1 py-2 rounded-l-lg bg-slate-50 text-sm text-slate-600 outline-none border-r border-slate-200 cursor-pointer"
+                      value={formData.currency || baseCurrency}
+                      onChange={e => setFormData({ ...formData, currency: e.target.value })}
+                    >
+                      {currencyOptions(baseCurrency, formData.currency).map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
                     <input
                       required
                       type="number"
                       placeholder="0.00"
-                      className="w-full pl-8 pr-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none transition-all"
+                      className="w-full min-w-0 px-3 py-2 rounded-r-lg outline-none"
                       value={formData.amount}
                       onChange={e => setFormData({ ...formData, amount: e.target.value })}
                     />
                   </div>
+                  <FieldError message={formErrors.amount || formErrors.currency} />
                 </div>
 
                 <div>
@@ -715,34 +1526,223 @@ export default function App() {
                     <option value="income">Income</option>
                     <option value="investment">Investment (Out)</option>
                     <option value="withdrawal">Withdrawal (In)</option>
+                    {(accounts.length > 1 || formData.type === 'transfer') && <option value="transfer">Transfer</option>}
                   </select>
+                  <FieldError message={formErrors.type} />
                 </div>
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-1">Category</label>
-                <div className="grid grid-cols-3 gap-2">
-                  {categories.map(cat => (
+              {(accounts.length > 0 || isTransfer) && (
+                <div className={`grid gap-4 ${isTransfer ? 'grid-cols-2' : 'grid-cols-1'}`}>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">{isTransfer ? 'From account' : 'Account'}</label>
+                    <select
+                      required={isTransfer}
+                      className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none bg-white cursor-pointer"
+                      value={formData.accountId}
+                      onChange={e => handleAccountChange(e.target.value)}
+                    >
+                      <option value="">{isTransfer ? 'Choose…' : 'No account'}</option>
+                      {accounts.map(a => <option key={a._id} value={a._id}>{a.name}</option>)}
+                    </select>
+                  </div>
+                  {isTransfer && (
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">To account</label>
+                      <select
+                        required
+                        className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none bg-white cursor-pointer"
+                        value={formData.toAccountId}
+                        onChange={e => setFormData({ ...formData, toAccountId: e.target.value })}
+                      >
+                        <option value="">Choose…</option>
+                        {accounts.filter(a => a._id !== formData.accountId).map(a => <option key={a._id} value={a._id}>{a.name}</option>)}
+                      </select>
+                    </div>
+                  )}
+                  <FieldError message={formErrors.accountId || formErrors.toAccountId} className="col-span-full" />
+                </div>
+              )}
+
+              {needsToAmount && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Amount received ({toAccountCurrency})</label>
+                  <input
+                    required
+                    type="number"
+                    placeholder="0.00"
+                    className="w-full px-4 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none"
+                    value={formData.toAmount}
+                    onChange={e => setFormData({ ...formData, toAmount: e.target.value })}
+                  />
+                  <FieldError message={formErrors.toAmount} />
+                </div>
+              )}
+
+              {isTrade && (
+                <div className="grid grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Instrument</label>
+                    <input
+                      type="text"
+                      placeholder="e.g. AAPL"
+                      className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none uppercase"
+                      value={formData.instrument}
+                      onChange={e => setFormData({ ...formData, instrument: e.target.value.toUpperCase() })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Units</label>
+                    <input
+                      required={Boolean(formData.instrument.trim())}
+                      type="number"
+                      min="0"
+                      step="any"
+                      placeholder="0"
+                      className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none"
+                      value={formData.quantity}
+                      onChange={e => handleTradeChange({ quantity: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Unit price</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      placeholder="0.00"
+                      className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none"
+                      value={formData.unitPrice}
+                      onChange={e => handleTradeChange({ unitPrice: e.target.value })}
+                    />
+                  </div>
+                  <FieldError message={formErrors.instrument || formErrors.quantity || formErrors.unitPrice} className="col-span-full" />
+                </div>
+              )}
+
+              {!isTransfer && (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm font-medium text-slate-700">{isSplitForm ? 'Split across categories' : 'Category'}</label>
                     <button
-                      key={cat}
                       type="button"
-                      onClick={() => setFormData({ ...formData, category: cat })}
-                      className={`text-xs py-2 px-1 rounded-md border transition-all ${formData.category === cat
-                        ? 'bg-indigo-600 text-white border-indigo-600'
-                        : 'bg-white text-slate-600 border-slate-200 hover:border-indigo-300'
-                        }`}
+                      onClick={() => (isSplitForm ? setFormData({ ...formData, splits: [] }) : startSplit())}
+                      className="text-xs text-indigo-600 hover:underline flex items-center gap-1"
                     >
-                      {cat}
+                      <Split size={12} /> {isSplitForm ? 'Single category' : 'Split'}
                     </button>
-                  ))}
+                  </div>
+                  {ruleHint.length > 0 && !isSplitForm && (
+                    <p className="text-xs text-indigo-500 mb-1 flex items-center gap-1"><Wand2 size={12} /> Picked by rule: {ruleHint.join(', ')}</p>
+                  )}
+                  {isSplitForm ? (
+                    <SplitEditor
+                      splits={formData.splits}
+                      amount={formData.amount}
+                      currency={formData.currency || baseCurrency}
+                      categories={formCategories}
+                      onChange={splits => setFormData({ ...formData, splits })}
+                    />
+                  ) : (
+                    <div className="grid grid-cols-3 gap-2">
+                      {formCategories.map(cat => (
+                        <button
+                          key={cat._id}
+                          type="button"
+                          onClick={() => {
+                            setFormData({ ...formData, category: cat.name });
+                            setCategoryPicked(true);
+                            setRuleHint([]);
+                          }}
+                          className={`text-xs py-2 px-1 rounded-md border transition-all flex items-center justify-center gap-1 ${formData.category === cat.name
+                            ? 'bg-indigo-600 text-white border-indigo-600'
+                            : 'bg-white text-slate-600 border-slate-200 hover:border-indigo-300'
+                            }`}
+                        >
+                          <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: cat.color }} />
+                          {cat.name}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <FieldError message={formErrors.category || formErrors.splits} />
+                </div>
+              )}
+
+              {formData.type === 'expense' && (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="block text-sm font-medium text-slate-700">{isSharedForm ? 'Shared with' : 'Sharing'}</label>
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, sharing: isSharedForm ? null : newSharing(user) })}
+                      className="text-xs text-indigo-600 hover:underline flex items-center gap-1"
+                    >
+                      <HandCoins size={12} /> {isSharedForm ? 'Not shared' : 'Share with others'}
+                    </button>
+                  </div>
+                  {isSharedForm && (
+                    <SharingEditor
+                      sharing={formData.sharing}
+                      amount={formData.amount}
+                      currency={formData.currency || baseCurrency}
+                      people={sharingPeople}
+                      onChange={sharing => setFormData({ ...formData, sharing })}
+                    />
+                  )}
+                  <FieldError message={formErrors.sharing} />
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Payee</label>
+                  <input
+                    type="text"
+                    maxLength={200}
+                    placeholder="e.g. Amazon"
+                    className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none"
+                    value={formData.payee}
+                    onChange={e => setFormData({ ...formData, payee: e.target.value })}
+                  />
+                  <FieldError message={formErrors.payee} />
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-slate-700 mb-1 flex items-center gap-1"><Hash size={12} /> Tags</label>
+                  <input
+                    type="text"
+                    placeholder="e.g. trip, work"
+                    className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none"
+                    value={formData.tags}
+                    onChange={e => setFormData({ ...formData, tags: e.target.value })}
+                  />
+                  <FieldError message={formErrors.tags} />
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Notes</label>
+                <textarea
+                  rows={2}
+                  maxLength={5000}
+                  placeholder="Anything worth remembering"
+                  className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none resize-y"
+                  value={formData.notes}
+                  onChange={e => setFormData({ ...formData, notes: e.target.value })}
+                />
+                <FieldError message={formErrors.notes} />
+              </div>
+
+              {formErrors.form && (
+                <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{formErrors.form}</div>
+              )}
+
               <button
                 type="submit"
-                className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 rounded-xl mt-4 transition-colors shadow-lg shadow-indigo-200"
+                disabled={!splitBalanced || !sharingBalanced}
+                className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 rounded-xl mt-4 transition-colors shadow-lg shadow-indigo-200 disabled:opacity-60 disabled:cursor-not-allowed"
               >
-                Save Transaction
+                {editingId ? 'Update Transaction' : 'Save Transaction'}
               </button>
             </form>
           </div>
@@ -0,0 +1,1317 @@
+/**
+ * DEVOPS TRAINING NOTE:
+ * ---------------------
+ * Currently, this app uses 'localStorage' to simulate a database so you can 
+ * see it working immediately in this preview.
+ * * * TO CONNECT TO YOUR AWS BACKEND:
+ * 1. Set 'USE_MOCK_API' to false below.
+ * 2. Set 'API_BASE_URL' to your EC2 public IP or Load Balancer URL.
+ * e.g., const API_BASE_URL = "http://54.123.45.67:5000/api";
+ */
+
+import { formatDay } from './period.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+
+const USE_MOCK_API = false;
+const API_BASE_URL = "/api"; // "http://localhost:5000/api"; // Change this for production
+export const PAGE_SIZE = 25;
+
+// Builds the ?from&to&type&category&tags&search&sort&page&limit string, skipping empty values
+const toQueryString = (params = {}) => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '' || value === 'All') return;
+    search.set(key, value instanceof Date ? value.toISOString() : value);
+  });
+  const str = search.toString();
+  return str ? `?${str}` : '';
+};
+
+export const EMPTY_TOTALS = { totalBalance: 0, totalIncome: 0, totalExpense: 0, totalInvested: 0, totalWithdrawn: 0 };
+
+// Same rules as the server summary: investments leave the balance, withdrawals return to it.
+// Amounts are in the base currency; entries without an exchange rate count as zero.
+const toTotals = (list) => list.reduce((acc, curr) => {
+  const amt = Number(curr.baseAmount ?? 0);
+  switch (curr.type) {
+    case 'income': acc.totalIncome += amt; acc.totalBalance += amt; break;
+    case 'expense': acc.totalExpense += amt; acc.totalBalance -= amt; break;
+    case 'investment': acc.totalInvested += amt; acc.totalBalance -= amt; break;
+    case 'withdrawal': acc.totalWithdrawn += amt; acc.totalBalance += amt; break;
+    default: break;
+  }
+  acc.count += 1;
+  return acc;
+}, { ...EMPTY_TOTALS, count: 0 });
+
+// Local start of the day/week/month/year bucket a date falls in (weeks start on Monday)
+const startOfPeriod = (date, unit) => {
+  const d = new Date(date);
+  switch (unit) {
+    case 'day': return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    case 'week': return new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+    case 'year': return new Date(d.getFullYear(), 0, 1);
+    default: return new Date(d.getFullYear(), d.getMonth(), 1);
+  }
+};
+
+const addPeriods = (start, unit, count) => {
+  switch (unit) {
+    case 'day': return new Date(start.getFullYear(), start.getMonth(), start.getDate() + count);
+    case 'week': return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * count);
+    case 'year': return new Date(start.getFullYear() + count, start.getMonth(), 1);
+    default: return new Date(start.getFullYear(), start.getMonth() + count, 1);
+  }
+};
+
+export const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// The shared ledger requests work in, sent as X-Ledger-Id on every call. Empty means the
+// personal ledger.
+export const getActiveLedger = () => localStorage.getItem('ledgerId') || '';
+export const setActiveLedger = (id) => {
+  if (id) localStorage.setItem('ledgerId', id);
+  else localStorage.removeItem('ledgerId');
+};
+
+// A failed call. `errors` lists the problems with single fields as { field, message } when the
+// server named them (422 validation errors), so forms can show each one by its input.
+export class ApiError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.errors = errors;
+  }
+}
+
+// Called when the session is over, e.g. signed out from another device, so the app can show the
+// sign-in screen again
+let sessionEndHandler = () => {};
+export const onSessionEnd = (handler) => {
+  sessionEndHandler = handler;
+};
+
+// The categories a new account starts with (kept in step with backend/models/Category.js)
+export const DEFAULT_CATEGORIES = [
+  { name: 'Food', color: '#f97316', icon: 'Utensils', type: 'expense' },
+  { name: 'Transport', color: '#0ea5e9', icon: 'Car', type: 'expense' },
+  { name: 'Housing', color: '#8b5cf6', icon: 'Home', type: 'expense' },
+  { name: 'Utilities', color: '#eab308', icon: 'Zap', type: 'expense' },
+  { name: 'Entertainment', color: '#ec4899', icon: 'Film', type: 'expense' },
+  { name: 'Healthcare', color: '#ef4444', icon: 'HeartPulse', type: 'expense' },
+  { name: 'Salary', color: '#22c55e', icon: 'Briefcase', type: 'income' },
+  { name: 'Stocks', color: '#6366f1', icon: 'TrendingUp', type: 'any' },
+  { name: 'Crypto', color: '#f59e0b', icon: 'Bitcoin', type: 'any' },
+  { name: 'Savings', color: '#14b8a6', icon: 'PiggyBank', type: 'any' }
+];
+
+// --- MOCK API SERVICE ---
+const readStore = (key) => JSON.parse(localStorage.getItem(key) || '[]');
+const writeStore = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+const mockBaseCurrency = () => localStorage.getItem('baseCurrency') || DEFAULT_CURRENCY;
+
+// ExchangeRate.rateFor: latest rate on or before the date, else the earliest after, either direction
+const mockRateFor = (from, to, date) => {
+  if (from === to) return 1;
+  const rates = readStore('exchangeRates');
+  const day = new Date(date).getTime();
+  for (const before of [true, false]) {
+    const candidates = rates
+      .filter(r => (r.currency === from && r.quote === to) || (r.currency === to && r.quote === from))
+      .filter(r => (before ? new Date(r.date).getTime() <= day : new Date(r.date).getTime() > day))
+      .sort((a, b) => (new Date(b.date) - new Date(a.date)) * (before ? 1 : -1));
+    if (candidates.length) return candidates[0].currency === from ? candidates[0].rate : 1 / candidates[0].rate;
+  }
+  return null;
+};
+
+// The server stores baseAmount; the mock works it out whenever expenses are read
+const withBaseAmount = (expense) => {
+  if (!expense.currency) return { ...expense, baseAmount: Number(expense.amount) };
+  const rate = mockRateFor(expense.currency, mockBaseCurrency(), expense.date);
+  return { ...expense, rate: rate ?? undefined, baseAmount: rate ? Math.round(expense.amount * rate * 100) / 100 : undefined };
+};
+
+// Account.withBalances: the opening balance plus everything booked against the account,
+// with transfers leaving one account and arriving (as toAmount, if given) in the other
+const mockAccountBalance = (account, expenses) => {
+  const balance = expenses.reduce((sum, e) => {
+    if (e.type === 'transfer' && e.toAccountId === account._id) sum += Number(e.toAmount ?? e.amount);
+    if (e.accountId !== account._id) return sum;
+    return ['income', 'withdrawal'].includes(e.type) ? sum + Number(e.amount) : sum - Number(e.amount);
+  }, Number(account.openingBalance) || 0);
+  return Math.round(balance * 100) / 100;
+};
+
+// services/holdings.js replayTrades: buys add lots, sells take units from the oldest lots
+// (fifo) or at the running average cost (average). Money is in the base currency.
+const mockReplayTrades = (trades, method) => {
+  let lots = [];
+  let realizedGain = 0;
+  for (const trade of trades) {
+    const value = Number(trade.baseAmount ?? 0);
+    if (trade.type === 'investment') {
+      lots.push({ quantity: trade.quantity, cost: value });
+      continue;
+    }
+    let remaining = trade.quantity;
+    let costOfSold = 0;
+    if (method === 'average') {
+      const held = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const cost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+      const sold = Math.min(remaining, held);
+      costOfSold = held ? cost * sold / held : 0;
+      lots = held - sold > 1e-9 ? [{ quantity: held - sold, cost: cost - costOfSold }] : [];
+    } else {
+      while (remaining > 1e-9 && lots.length) {
+        const lot = lots[0];
+        const taken = Math.min(remaining, lot.quantity);
+        const cost = lot.cost * taken / lot.quantity;
+        costOfSold += cost;
+        lot.cost -= cost;
+        lot.quantity -= taken;
+        remaining -= taken;
+        if (lot.quantity <= 1e-9) lots.shift();
+      }
+    }
+    realizedGain += value - costOfSold;
+  }
+  const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  const costBasis = lots.reduce((sum, lot) => sum + lot.cost, 0);
+  return { quantity, costBasis, averageCost: quantity > 1e-9 ? costBasis / quantity : null, realizedGain };
+};
+
+const isSplit = (expense) => Boolean(expense.splits?.length);
+const usesCategory = (expense, names) => names.includes(expense.category) || (expense.splits || []).some(line => names.includes(line.category));
+
+// Expense.SPLIT_LINES: one entry per split line carrying its share of baseAmount,
+// limited to `categories` when a category filter is set
+const mockSplitLines = (expense, categories) => {
+  const lines = isSplit(expense) ? expense.splits : [{ category: expense.category, amount: expense.amount }];
+  return lines
+    .filter(line => !categories || categories.includes(line.category))
+    .map(line => ({
+      ...expense,
+      category: line.category,
+      baseAmount: expense.baseAmount === undefined ? undefined : expense.baseAmount * line.amount / expense.amount
+    }));
+};
+
+// Spent vs. limit like Budget#statusAt: expense transactions in the category or its
+// sub-categories, plus whatever earlier periods left unspent when rollover is on
+// Close to the server's text search: every word must start a word of the title, payee or notes
+const mockMatchesSearch = (expense, search) => {
+  const words = [expense.title, expense.payee, expense.notes].join(' ').toLowerCase().split(/\W+/);
+  return search.toLowerCase().split(/\s+/).filter(Boolean).every(term => words.some(word => word.startsWith(term)));
+};
+
+const mockBudgetStatus = (budget, date = new Date()) => {
+  const categories = readStore('categories');
+  const parent = categories.find(c => c.name === budget.category);
+  const names = [budget.category, ...categories.filter(c => parent && c.parent === parent._id).map(c => c.name)];
+  const spentBetween = (start, end) => readStore('expenses')
+    .filter(e => e.type === 'expense' && usesCategory(e, names))
+    .filter(e => new Date(e.date) >= start && new Date(e.date) < end)
+    .flatMap(e => mockSplitLines(withBaseAmount(e), names))
+    .reduce((sum, line) => sum + Number(line.baseAmount ?? 0), 0);
+
+  const periodStart = startOfPeriod(date, budget.period);
+  const periodEnd = addPeriods(periodStart, budget.period, 1);
+  let carried = 0;
+  if (budget.rollover) {
+    for (let start = startOfPeriod(budget.startDate, budget.period); start < periodStart; start = addPeriods(start, budget.period, 1)) {
+      carried = Math.max(0, carried + budget.amount - spentBetween(start, addPeriods(start, budget.period, 1)));
+    }
+  }
+  const spent = spentBetween(periodStart, periodEnd);
+  const limit = budget.amount + carried;
+  return { periodStart, periodEnd, carried, limit, spent, remaining: limit - spent, overBudget: spent > limit };
+};
+
+// Occurrence maths of models/RecurringRule.js: the nth date counted from the start,
+// with monthly/yearly rules clamped to the end of shorter months
+const mockOccurrenceAt = (rule, n) => {
+  const start = new Date(rule.startDate);
+  const steps = n * rule.interval;
+  if (rule.frequency === 'daily') return new Date(start.getTime() + steps * 86400000);
+  if (rule.frequency === 'weekly') return new Date(start.getTime() + steps * 7 * 86400000);
+  const target = new Date(start);
+  target.setUTCDate(1);
+  target.setUTCMonth(target.getUTCMonth() + (rule.frequency === 'yearly' ? steps * 12 : steps));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return target;
+};
+
+const mockOccurrencesBetween = (rule, from, to) => {
+  const dates = [];
+  for (let n = 0; n < 5000; n++) {
+    const date = mockOccurrenceAt(rule, n);
+    if (date > to || (rule.endDate && date > new Date(rule.endDate))) break;
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+};
+
+const mockOccurrenceAfter = (rule, after) => {
+  for (let n = 0; n < 5000; n++) {
+    const date = mockOccurrenceAt(rule, n);
+    if (rule.endDate && date > new Date(rule.endDate)) return null;
+    if (!after || date > after) return date;
+  }
+  return null;
+};
+
+const mockEntryFor = (rule, date) => {
+  const iso = date.toISOString();
+  const override = (rule.overrides || []).find(o => o.date === iso) || {};
+  return {
+    title: override.title ?? rule.template.title,
+    amount: override.amount ?? rule.template.amount,
+    currency: rule.template.currency,
+    type: rule.template.type,
+    category: override.category ?? rule.template.category,
+    payee: rule.template.payee,
+    notes: rule.template.notes,
+    tags: rule.template.tags,
+    accountId: rule.template.accountId,
+    date: iso
+  };
+};
+
+// Stand-in for the backend scheduler: creates every due occurrence when data is read
+const runMockRecurring = () => {
+  const now = new Date();
+  let expenses = readStore('expenses');
+  const rules = readStore('recurring').map(rule => {
+    if (!rule.active || !rule.nextRun || new Date(rule.nextRun) > now) return rule;
+    const dates = mockOccurrencesBetween(rule, new Date(rule.nextRun), now);
+    dates
+      .filter(date => !(rule.skipped || []).includes(date.toISOString()))
+      .filter(date => !expenses.some(e => e.recurringRuleId === rule._id && e.occurrenceDate === date.toISOString()))
+      .forEach((date, i) => {
+        expenses = [{ ...mockEntryFor(rule, date), _id: `${Date.now()}_${rule._id}_${i}`, recurringRuleId: rule._id, occurrenceDate: date.toISOString() }, ...expenses];
+      });
+    const next = mockOccurrenceAfter(rule, dates.length ? dates[dates.length - 1] : new Date(rule.nextRun));
+    return { ...rule, nextRun: next ? next.toISOString() : null };
+  });
+  writeStore('expenses', expenses);
+  writeStore('recurring', rules);
+};
+
+const startOfTodayUtc = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+// Renames the category on every stored expense, like the server's re-tagging
+const retagMockExpenses = (from, to) => {
+  writeStore('expenses', readStore('expenses').map(e => ({
+    ...e,
+    category: e.category === from ? to : e.category,
+    ...(e.splits ? { splits: e.splits.map(line => line.category === from ? { ...line, category: to } : line) } : {})
+  })));
+  // Rules that filed into the old category follow it
+  writeStore('rules', readStore('rules').map(r => (r.actions?.category === from ? { ...r, actions: { ...r.actions, category: to } } : r)));
+};
+
+// Same matching as services/rules on the server: text ignores case and punctuation,
+// rules run by ascending priority and the first to set a field wins it, tags add up
+const mockNormalizeText = (value) => String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+const MOCK_RULE_TESTS = {
+  contains: (a, b) => a.includes(b),
+  startsWith: (a, b) => a.startsWith(b),
+  endsWith: (a, b) => a.endsWith(b),
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b
+};
+const mockConditionMatches = ({ field, operator, value }, expense) => {
+  if (field === 'amount') {
+    const amount = Number(expense.amount);
+    if (expense.amount === undefined || expense.amount === '' || !Number.isFinite(amount)) return false;
+    return operator === 'equals' ? Math.abs(amount - Number(value)) < 0.005 : MOCK_RULE_TESTS[operator](amount, Number(value));
+  }
+  if (field === 'type' || field === 'currency') return String(expense[field] ?? '').toLowerCase() === String(value).toLowerCase();
+  const text = mockNormalizeText(expense[field]);
+  const expected = mockNormalizeText(value);
+  return Boolean(expected) && (operator === 'equals' ? text === expected : MOCK_RULE_TESTS[operator](text, expected));
+};
+// Tags arrive as a list or "a, b" text and are stored like the server does
+const mockRuleActions = ({ category, tags, payee } = {}) => ({
+  category: category || undefined,
+  tags: (typeof tags === 'string' ? tags.split(',') : tags || []).map(tag => tag.trim().replace(/^#+/, '').toLowerCase()).filter(Boolean),
+  payee: payee || undefined
+});
+const mockRulesInOrder = () => readStore('rules').filter(r => r.enabled !== false).sort((a, b) => a.priority - b.priority);
+const mockApplyRules = (expense, { overwrite = false } = {}) => {
+  const categories = readStore('categories');
+  let category = overwrite ? undefined : expense.category || undefined;
+  let payee = overwrite ? undefined : expense.payee || undefined;
+  const tags = new Set(expense.tags || []);
+  const applied = [];
+  mockRulesInOrder().forEach(rule => {
+    const test = (condition) => mockConditionMatches(condition, expense);
+    if (!(rule.match === 'any' ? rule.conditions.some(test) : rule.conditions.every(test))) return;
+    const { actions = {} } = rule;
+    let used = false;
+    const target = categories.find(c => c.name === actions.category);
+    if (target && category === undefined && expense.type !== 'transfer' && !isSplit(expense) && (target.type === 'any' || target.type === expense.type)) {
+      category = actions.category;
+      used = true;
+    }
+    if (actions.payee && payee === undefined) {
+      payee = actions.payee;
+      used = true;
+    }
+    (actions.tags || []).forEach(tag => {
+      if (tags.has(tag)) return;
+      tags.add(tag);
+      used = true;
+    });
+    if (used) applied.push(rule);
+  });
+  const changes = {};
+  if (category !== undefined && category !== expense.category) changes.category = category;
+  if (payee !== undefined && payee !== expense.payee) changes.payee = payee;
+  if (tags.size > (expense.tags || []).length) changes.tags = [...tags];
+  return { changes, rules: Object.keys(changes).length ? applied : [] };
+};
+
+// People on shared expenses: by user when linked to one, otherwise by name (ignoring case)
+const mockPersonKey = ({ name, userId }) => (userId ? `user:${userId}` : `name:${String(name).trim().toLowerCase()}`);
+
+// Same idea as the server: exact matches pay each other, then the largest debt pays the largest credit
+const mockSuggestTransfers = (balances) => {
+  const debtors = balances.filter(b => b.cents < 0).map(b => ({ person: b.person, left: -b.cents }));
+  const creditors = balances.filter(b => b.cents > 0).map(b => ({ person: b.person, left: b.cents }));
+  const transfers = [];
+  const pay = (debtor, creditor, cents) => {
+    transfers.push({ from: debtor.person, to: creditor.person, cents });
+    debtor.left -= cents;
+    creditor.left -= cents;
+  };
+  debtors.forEach(debtor => {
+    const match = creditors.find(c => c.left > 0 && c.left === debtor.left);
+    if (match) pay(debtor, match, debtor.left);
+  });
+  const largest = (list) => list.reduce((best, entry) => (entry.left > (best?.left || 0) ? entry : best), null);
+  for (let debtor = largest(debtors), creditor = largest(creditors); debtor && creditor; debtor = largest(debtors), creditor = largest(creditors)) {
+    pay(debtor, creditor, Math.min(debtor.left, creditor.left));
+  }
+  return transfers;
+};
+
+const mockSharingBalances = () => {
+  const me = `user:${JSON.parse(localStorage.getItem('tracker_user') || '{}').id}`;
+  const people = new Map();
+  const personFor = (person) => {
+    const key = mockPersonKey(person);
+    if (!people.has(key)) people.set(key, { key, name: person.name, userId: person.userId || null, you: key === me, balances: {}, withYou: {} });
+    return people.get(key);
+  };
+  const add = (map, currency, cents) => { map[currency] = (map[currency] || 0) + cents; };
+
+  readStore('expenses').filter(e => e.sharing?.participants?.length).forEach(e => {
+    const currency = e.currency || mockBaseCurrency();
+    const paidBy = e.sharing.participants.find(p => p.name === e.sharing.paidBy);
+    if (!paidBy) return;
+    const payer = personFor(paidBy);
+    add(payer.balances, currency, Math.round(e.amount * 100));
+    e.sharing.participants.forEach(participant => {
+      const person = personFor(participant);
+      const cents = Math.round(participant.amount * 100);
+      add(person.balances, currency, -cents);
+      if (payer.key === me && person.key !== me) add(person.withYou, currency, cents);
+      if (person.key === me && payer.key !== me) add(payer.withYou, currency, -cents);
+    });
+  });
+  readStore('settlements').forEach(s => {
+    const from = personFor(s.from);
+    const to = personFor(s.to);
+    const cents = Math.round(s.amount * 100);
+    add(from.balances, s.currency, cents);
+    add(to.balances, s.currency, -cents);
+    if (to.key === me) add(from.withYou, s.currency, -cents);
+    if (from.key === me) add(to.withYou, s.currency, cents);
+  });
+
+  const list = [...people.values()];
+  const currencies = [...new Set(list.flatMap(p => Object.keys(p.balances)))].sort();
+  const toAmounts = (map) => Object.fromEntries(Object.entries(map).filter(([, cents]) => cents !== 0).map(([currency, cents]) => [currency, cents / 100]));
+  const transfers = currencies.flatMap(currency => mockSuggestTransfers(list.map(person => ({ person, cents: person.balances[currency] || 0 })))
+    .map(({ from, to, cents }) => ({
+      currency,
+      from: { key: from.key, name: from.name, userId: from.userId },
+      to: { key: to.key, name: to.name, userId: to.userId },
+      amount: cents / 100
+    })));
+  return {
+    currencies,
+    people: list.map(p => ({ ...p, balances: toAmounts(p.balances), withYou: toAmounts(p.withYou) }))
+      .sort((a, b) => Number(b.you) - Number(a.you) || a.name.localeCompare(b.name)),
+    transfers
+  };
+};
+
+// The server's required fields, so the form's inline errors work without it too
+const mockValidateExpense = (expense) => {
+  const errors = [];
+  if (!String(expense.title || '').trim()) errors.push({ field: 'title', message: "Title is required" });
+  if (!(Number(expense.amount) > 0)) errors.push({ field: 'amount', message: "Amount must be a positive number" });
+  if (expense.type !== 'transfer' && !expense.category) errors.push({ field: 'category', message: "Category is required" });
+  if (errors.length) throw new ApiError(errors[0].message, errors);
+};
+
+const mockApi = {
+  // Mirrors the filtering, sorting and paging of GET /api/expenses
+  fetchExpenses: async ({ from, to, type, category, account, tags, search, sort = '-date', page = 1, limit = PAGE_SIZE } = {}) => {
+    runMockRecurring();
+    const all = JSON.parse(localStorage.getItem('expenses') || '[]');
+    const desc = sort.startsWith('-');
+    const field = desc ? sort.slice(1) : sort;
+    const filtered = all
+      .filter(e => !from || new Date(e.date) >= new Date(from))
+      .filter(e => !to || new Date(e.date) < new Date(to))
+      .filter(e => !type || type.split(',').includes(e.type))
+      .filter(e => !category || category === 'All' || usesCategory(e, category.split(',')))
+      .filter(e => !account || e.accountId === account || e.toAccountId === account)
+      .filter(e => !tags || (e.tags || []).some(tag => tags.split(',').includes(tag)))
+      .filter(e => !search || mockMatchesSearch(e, search))
+      .sort((a, b) => {
+        const av = field === 'date' ? new Date(a.date) : a[field];
+        const bv = field === 'date' ? new Date(b.date) : b[field];
+        return (av > bv ? 1 : av < bv ? -1 : 0) * (desc ? -1 : 1);
+      });
+    const items = filtered.slice((page - 1) * limit, page * limit).map(withBaseAmount);
+    return { items, page, limit, total: filtered.length, hasMore: page * limit < filtered.length };
+  },
+  fetchSummary: async ({ groupBy = 'month', ...filters } = {}) => {
+    const { items } = await mockApi.fetchExpenses({ ...filters, page: 1, limit: Infinity });
+    // Split transactions are summed line by line, as on the server
+    const categories = filters.category && filters.category !== 'All' ? filters.category.split(',') : null;
+    const lines = items.flatMap(e => mockSplitLines(e, categories));
+    const groupInto = (keyName, keyOf, list = lines) => {
+      const groups = new Map();
+      list.forEach(e => {
+        const key = keyOf(e);
+        const id = key instanceof Date ? key.toISOString() : key;
+        if (!groups.has(id)) groups.set(id, { key, list: [] });
+        groups.get(id).list.push(e);
+      });
+      return [...groups.values()].map(({ key, list }) => ({ [keyName]: key, ...toTotals(list) }));
+    };
+    return {
+      totals: { ...toTotals(lines), count: items.length },
+      categories: groupInto('category', e => e.category, lines.filter(e => e.type !== 'transfer')).sort((a, b) => String(a.category).localeCompare(String(b.category))),
+      periods: groupInto('period', e => startOfPeriod(e.date, groupBy)).sort((a, b) => a.period - b.period),
+      groupBy,
+      baseCurrency: mockBaseCurrency(),
+      unconverted: items.filter(e => e.baseAmount === undefined).length
+    };
+  },
+  addExpense: async (expense) => {
+    mockValidateExpense(expense);
+    const current = JSON.parse(localStorage.getItem('expenses') || '[]');
+    const { changes, rules } = mockApplyRules(expense);
+    const newExpense = { ...expense, ...changes, _id: Date.now().toString(), date: new Date().toISOString() };
+    const updated = [newExpense, ...current];
+    localStorage.setItem('expenses', JSON.stringify(updated));
+
+    const parentId = readStore('categories').find(c => c.name === expense.category)?.parent;
+    const parentName = readStore('categories').find(c => c._id === parentId)?.name;
+    const budgetWarnings = expense.type !== 'expense' || isSplit(expense) ? [] : readStore('budgets')
+      .filter(b => b.category === expense.category || b.category === parentName)
+      .map(b => ({ budgetId: b._id, category: b.category, period: b.period, ...mockBudgetStatus(b, new Date(newExpense.date)) }))
+      .filter(status => status.overBudget);
+    return { ...newExpense, budgetWarnings, appliedRules: rules.map(r => r.name) };
+  },
+  fetchTags: async () => {
+    const counts = new Map();
+    readStore('expenses').flatMap(e => e.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  },
+  updateExpense: async (id, changes) => {
+    const current = JSON.parse(localStorage.getItem('expenses') || '[]');
+    const existing = current.find(e => e._id === id);
+    if (!existing) throw new Error("Expense not found");
+    mockValidateExpense({ ...existing, ...changes });
+    const updatedExpense = { ...existing, ...changes };
+    const updated = current.map(e => e._id === id ? updatedExpense : e);
+    localStorage.setItem('expenses', JSON.stringify(updated));
+    return updatedExpense;
+  },
+  deleteExpense: async (id) => {
+    const current = JSON.parse(localStorage.getItem('expenses') || '[]');
+    const updated = current.filter(e => e._id !== id);
+    localStorage.setItem('expenses', JSON.stringify(updated));
+    return id;
+  },
+  fetchCategories: async () => {
+    let categories = readStore('categories');
+    if (!categories.length) {
+      const used = [...new Set(readStore('expenses').map(e => e.category))]
+        .filter(name => name && !DEFAULT_CATEGORIES.some(c => c.name === name));
+      categories = [...DEFAULT_CATEGORIES, ...used.map(name => ({ name, color: '#64748b', icon: 'Tag', type: 'any' }))]
+        .map((c, i) => ({ parent: null, ...c, _id: `cat_${Date.now()}_${i}` }));
+      writeStore('categories', categories);
+    }
+    return [...categories].sort((a, b) => a.name.localeCompare(b.name));
+  },
+  addCategory: async (category) => {
+    const current = readStore('categories');
+    if (current.some(c => c.name === category.name)) throw new Error("A category with that name already exists");
+    const newCategory = { color: '#64748b', icon: 'Tag', type: 'any', parent: null, ...category, _id: Date.now().toString() };
+    writeStore('categories', [...current, newCategory]);
+    return newCategory;
+  },
+  updateCategory: async (id, changes) => {
+    const current = readStore('categories');
+    const existing = current.find(c => c._id === id);
+    if (!existing) throw new Error("Category not found");
+    if (changes.name && changes.name !== existing.name && current.some(c => c.name === changes.name)) {
+      throw new Error("A category with that name already exists");
+    }
+    const updatedCategory = { ...existing, ...changes };
+    writeStore('categories', current.map(c => c._id === id ? updatedCategory : c));
+    if (updatedCategory.name !== existing.name) retagMockExpenses(existing.name, updatedCategory.name);
+    return updatedCategory;
+  },
+  mergeCategory: async (id, targetId) => {
+    const current = readStore('categories');
+    const source = current.find(c => c._id === id);
+    const target = current.find(c => c._id === targetId);
+    if (!source || !target || source === target) throw new Error("Target category not found");
+    retagMockExpenses(source.name, target.name);
+    writeStore('categories', current
+      .filter(c => c._id !== id)
+      .map(c => (c.parent === id && c._id !== targetId) ? { ...c, parent: targetId } : c)
+      .map(c => (c._id === targetId && c.parent === id) ? { ...c, parent: source.parent } : c));
+    return { target };
+  },
+  deleteCategory: async (id, reassignTo) => {
+    const current = readStore('categories');
+    const category = current.find(c => c._id === id);
+    if (!category) throw new Error("Category not found");
+    const inUse = readStore('expenses').filter(e => usesCategory(e, [category.name])).length;
+    if (inUse) {
+      const target = current.find(c => c._id === reassignTo && c._id !== id);
+      if (!target) throw new Error(`${inUse} transaction(s) use this category, choose one to move them to`);
+      retagMockExpenses(category.name, target.name);
+    }
+    writeStore('categories', current
+      .filter(c => c._id !== id)
+      .map(c => c.parent === id ? { ...c, parent: category.parent } : c));
+    return id;
+  },
+  fetchBudgets: async ({ date } = {}) => {
+    return readStore('budgets')
+      .sort((a, b) => a.category.localeCompare(b.category))
+      .map(b => ({ ...b, ...mockBudgetStatus(b, date ? new Date(date) : new Date()) }));
+  },
+  addBudget: async (budget) => {
+    const current = readStore('budgets');
+    if (current.some(b => b.category === budget.category && b.period === budget.period)) {
+      throw new Error("That category already has a budget for this period");
+    }
+    const newBudget = { period: 'month', rollover: false, startDate: new Date().toISOString(), ...budget, _id: Date.now().toString() };
+    writeStore('budgets', [...current, newBudget]);
+    return newBudget;
+  },
+  updateBudget: async (id, changes) => {
+    const current = readStore('budgets');
+    const existing = current.find(b => b._id === id);
+    if (!existing) throw new Error("Budget not found");
+    const updatedBudget = { ...existing, ...changes };
+    writeStore('budgets', current.map(b => b._id === id ? updatedBudget : b));
+    return updatedBudget;
+  },
+  deleteBudget: async (id) => {
+    writeStore('budgets', readStore('budgets').filter(b => b._id !== id));
+    return id;
+  },
+  fetchRecurring: async () => {
+    return readStore('recurring');
+  },
+  fetchUpcoming: async ({ days = 60 } = {}) => {
+    const until = new Date(Date.now() + days * 86400000);
+    return readStore('recurring')
+      .filter(rule => rule.active && rule.nextRun)
+      .flatMap(rule => mockOccurrencesBetween(rule, new Date(rule.nextRun), until).map(date => ({
+        ruleId: rule._id,
+        ...mockEntryFor(rule, date),
+        skipped: (rule.skipped || []).includes(date.toISOString()),
+        overridden: (rule.overrides || []).some(o => o.date === date.toISOString())
+      })))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  },
+  addRecurring: async (rule, { backfill = false } = {}) => {
+    const newRule = { frequency: 'monthly', interval: 1, endDate: null, active: true, skipped: [], overrides: [], ...rule, _id: Date.now().toString() };
+    const next = mockOccurrenceAfter(newRule, backfill ? null : new Date(startOfTodayUtc().getTime() - 1));
+    newRule.nextRun = next ? next.toISOString() : null;
+    writeStore('recurring', [...readStore('recurring'), newRule]);
+    runMockRecurring();
+    return newRule;
+  },
+  updateRecurring: async (id, changes) => {
+    const current = readStore('recurring');
+    const existing = current.find(r => r._id === id);
+    if (!existing) throw new Error("Recurring rule not found");
+    const updatedRule = { ...existing, ...changes, template: { ...existing.template, ...changes.template } };
+    const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+    const scheduleChanged = ['frequency', 'interval'].some(f => changes[f] !== undefined && changes[f] !== existing[f])
+      || ['startDate', 'endDate'].some(f => changes[f] !== undefined && !sameDate(changes[f], existing[f]));
+    if (scheduleChanged || (changes.active && !existing.active)) {
+      if (scheduleChanged) Object.assign(updatedRule, { skipped: [], overrides: [] });
+      const last = readStore('expenses')
+        .filter(e => e.recurringRuleId === id)
+        .map(e => new Date(e.occurrenceDate))
+        .sort((a, b) => b - a)[0];
+      const after = last && last >= startOfTodayUtc() ? last : new Date(startOfTodayUtc().getTime() - 1);
+      const next = mockOccurrenceAfter(updatedRule, after);
+      updatedRule.nextRun = next ? next.toISOString() : null;
+    }
+    writeStore('recurring', current.map(r => r._id === id ? updatedRule : r));
+    runMockRecurring();
+    return updatedRule;
+  },
+  deleteRecurring: async (id) => {
+    writeStore('recurring', readStore('recurring').filter(r => r._id !== id));
+    return id;
+  },
+  updateOccurrence: async (ruleId, date, changes) => {
+    const current = readStore('recurring');
+    const rule = current.find(r => r._id === ruleId);
+    if (!rule) throw new Error("Recurring rule not found");
+    const skipped = (rule.skipped || []).filter(d => d !== date);
+    const overrides = (rule.overrides || []).filter(o => o.date !== date);
+    if (changes.skip) skipped.push(date);
+    else overrides.push({ ...changes, date });
+    const updatedRule = { ...rule, skipped, overrides };
+    writeStore('recurring', current.map(r => r._id === ruleId ? updatedRule : r));
+    return updatedRule;
+  },
+  resetOccurrence: async (ruleId, date) => {
+    const current = readStore('recurring');
+    const rule = current.find(r => r._id === ruleId);
+    if (!rule) throw new Error("Recurring rule not found");
+    const updatedRule = {
+      ...rule,
+      skipped: (rule.skipped || []).filter(d => d !== date),
+      overrides: (rule.overrides || []).filter(o => o.date !== date)
+    };
+    writeStore('recurring', current.map(r => r._id === ruleId ? updatedRule : r));
+    return updatedRule;
+  },
+  // Statement parsing lives on the server only
+  previewImport: async () => {
+    throw new Error("Importing statements needs the backend API");
+  },
+  commitImport: async () => {
+    throw new Error("Importing statements needs the backend API");
+  },
+  // Same columns as GET /api/expenses/export; the printable statement is rendered by the server
+  exportExpenses: async ({ format = 'csv', ...filters } = {}) => {
+    if (format === 'html') throw new Error("Printable statements need the backend API");
+    const { items } = await mockApi.fetchExpenses({ ...filters, sort: 'date', page: 1, limit: Infinity });
+    const accountNames = new Map(readStore('accounts').map(a => [a._id, a.name]));
+    const records = items.map(e => ({
+      id: e._id,
+      date: formatDay(new Date(e.date)),
+      title: e.title || '',
+      type: e.type,
+      category: e.category || '',
+      splits: (e.splits || []).map(line => `${line.category} ${Number(line.amount).toFixed(2)}`).join('; '),
+      account: accountNames.get(e.accountId) || '',
+      toAccount: accountNames.get(e.toAccountId) || '',
+      amount: Number(e.amount),
+      currency: e.currency || mockBaseCurrency(),
+      baseAmount: e.baseAmount ?? null,
+      instrument: e.instrument || '',
+      quantity: e.quantity ?? null,
+      unitPrice: e.unitPrice ?? null,
+      payee: e.payee || '',
+      tags: e.tags || [],
+      notes: e.notes || ''
+    }));
+    if (format === 'json') return new Blob([JSON.stringify(records)], { type: 'application/json' });
+    const cell = (value) => {
+      let text = String(value ?? '');
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const columns = ['date', 'title', 'type', 'category', 'splits', 'account', 'toAccount', 'amount', 'currency', 'baseAmount', 'instrument', 'quantity', 'unitPrice', 'payee', 'tags', 'notes'];
+    const lines = [columns, ...records.map(r => columns.map(c => (c === 'tags' ? r.tags.join(', ') : r[c])))].map(row => row.map(cell).join(','));
+    return new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' });
+  },
+  fetchCurrencies: async () => {
+    const expenses = readStore('expenses').map(withBaseAmount);
+    const baseCurrency = mockBaseCurrency();
+    const codes = [baseCurrency, ...expenses.map(e => e.currency), ...readStore('exchangeRates').map(r => r.currency)];
+    return {
+      baseCurrency,
+      currencies: [...new Set(codes.filter(Boolean))].sort(),
+      unconverted: expenses.filter(e => e.baseAmount === undefined).length
+    };
+  },
+  setBaseCurrency: async (currency) => {
+    const previous = mockBaseCurrency();
+    // Entries without a currency were in the old base currency, as on the server
+    writeStore('expenses', readStore('expenses').map(e => (e.currency ? e : { ...e, currency: previous })));
+    localStorage.setItem('baseCurrency', currency);
+    return { baseCurrency: currency };
+  },
+  fetchRates: async () => readStore('exchangeRates').sort((a, b) => new Date(b.date) - new Date(a.date)),
+  addRate: async (rate) => {
+    const quote = rate.quote || mockBaseCurrency();
+    if (rate.currency === quote) throw new Error("A rate needs two different currencies");
+    const newRate = { ...rate, quote, rate: Number(rate.rate), _id: Date.now().toString() };
+    const rates = readStore('exchangeRates');
+    if (rates.some(r => r.currency === newRate.currency && r.quote === quote && r.date === newRate.date)) {
+      throw new Error("There is already a rate for that pair on this day");
+    }
+    writeStore('exchangeRates', [newRate, ...rates]);
+    return newRate;
+  },
+  deleteRate: async (id) => {
+    writeStore('exchangeRates', readStore('exchangeRates').filter(r => r._id !== id));
+    return { message: "Deleted" };
+  },
+  importRates: async () => {
+    throw new Error("Importing rates needs the backend API");
+  },
+  fetchHoldings: async ({ method } = {}) => {
+    const costMethod = method || localStorage.getItem('costMethod') || 'fifo';
+    const baseCurrency = mockBaseCurrency();
+    const trades = readStore('expenses')
+      .filter(e => e.instrument && ['investment', 'withdrawal'].includes(e.type) && e.quantity > 0)
+      .map(withBaseAmount)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    const prices = readStore('prices').sort((a, b) => new Date(b.date) - new Date(a.date));
+    const holdings = [...new Set(trades.map(t => t.instrument))].sort().map(instrument => {
+      const replay = mockReplayTrades(trades.filter(t => t.instrument === instrument), costMethod);
+      const price = prices.find(p => p.instrument === instrument && new Date(p.date) <= new Date()) || null;
+      const rate = price ? mockRateFor(price.currency, baseCurrency, new Date()) : null;
+      const marketValue = price && rate ? replay.quantity * price.price * rate : null;
+      return { instrument, ...replay, price, marketValue, unrealizedGain: marketValue === null ? null : marketValue - replay.costBasis };
+    });
+    const open = holdings.filter(h => h.quantity > 1e-9);
+    const priced = open.filter(h => h.marketValue !== null);
+    const sum = (list, field) => list.reduce((total, h) => total + h[field], 0);
+    return {
+      method: costMethod,
+      baseCurrency,
+      holdings,
+      totals: {
+        costBasis: sum(open, 'costBasis'),
+        realizedGain: sum(holdings, 'realizedGain'),
+        marketValue: sum(priced, 'marketValue'),
+        unrealizedGain: sum(priced, 'unrealizedGain'),
+        unpriced: open.length - priced.length
+      }
+    };
+  },
+  setCostMethod: async (method) => {
+    localStorage.setItem('costMethod', method);
+    return { method };
+  },
+  fetchInstruments: async () => {
+    const codes = [...readStore('expenses').map(e => e.instrument), ...readStore('prices').map(p => p.instrument)];
+    return [...new Set(codes.filter(Boolean))].sort();
+  },
+  fetchPrices: async () => readStore('prices').sort((a, b) => new Date(b.date) - new Date(a.date)),
+  addPrice: async (price) => {
+    const newPrice = {
+      ...price,
+      instrument: price.instrument.trim().toUpperCase(),
+      currency: price.currency || mockBaseCurrency(),
+      price: Number(price.price),
+      _id: Date.now().toString()
+    };
+    const prices = readStore('prices');
+    if (prices.some(p => p.instrument === newPrice.instrument && p.date === newPrice.date)) {
+      throw new Error("There is already a price for that instrument on this day");
+    }
+    writeStore('prices', [newPrice, ...prices]);
+    return newPrice;
+  },
+  deletePrice: async (id) => {
+    writeStore('prices', readStore('prices').filter(p => p._id !== id));
+    return { message: "Deleted" };
+  },
+  importPrices: async () => {
+    throw new Error("Importing prices needs the backend API");
+  },
+  fetchAccounts: async () => {
+    const expenses = readStore('expenses');
+    return readStore('accounts')
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(account => ({ ...account, balance: mockAccountBalance(account, expenses) }))
+      .map(account => {
+        const rate = mockRateFor(account.currency, mockBaseCurrency(), new Date());
+        return { ...account, baseBalance: rate ? Math.round(account.balance * rate * 100) / 100 : null };
+      });
+  },
+  addAccount: async (account) => {
+    const current = readStore('accounts');
+    if (current.some(a => a.name === account.name)) throw new Error("An account with that name already exists");
+    const newAccount = { type: 'checking', currency: mockBaseCurrency(), ...account, openingBalance: Number(account.openingBalance) || 0, _id: Date.now().toString() };
+    writeStore('accounts', [...current, newAccount]);
+    return newAccount;
+  },
+  updateAccount: async (id, changes) => {
+    const current = readStore('accounts');
+    const existing = current.find(a => a._id === id);
+    if (!existing) throw new Error("Account not found");
+    if (changes.name && changes.name !== existing.name && current.some(a => a.name === changes.name)) {
+      throw new Error("An account with that name already exists");
+    }
+    const updatedAccount = { ...existing, ...changes, openingBalance: Number(changes.openingBalance ?? existing.openingBalance) || 0 };
+    writeStore('accounts', current.map(a => a._id === id ? updatedAccount : a));
+    return updatedAccount;
+  },
+  deleteAccount: async (id, reassignTo) => {
+    const expenses = readStore('expenses');
+    const inUse = expenses.filter(e => e.accountId === id || e.toAccountId === id).length;
+    if (inUse) {
+      const target = readStore('accounts').find(a => a._id === reassignTo && a._id !== id);
+      if (!target) throw new Error(`${inUse} transaction(s) use this account, choose one to move them to`);
+      if (expenses.some(e => e.type === 'transfer' && [e.accountId, e.toAccountId].includes(id) && [e.accountId, e.toAccountId].includes(reassignTo))) {
+        throw new Error("Some transfers run between these two accounts, delete or edit them first");
+      }
+      writeStore('expenses', expenses.map(e => ({
+        ...e,
+        accountId: e.accountId === id ? reassignTo : e.accountId,
+        toAccountId: e.toAccountId === id ? reassignTo : e.toAccountId
+      })));
+    }
+    writeStore('accounts', readStore('accounts').filter(a => a._id !== id));
+    return { message: "Deleted" };
+  },
+  fetchRules: async () => mockRulesInOrder().concat(readStore('rules').filter(r => r.enabled === false)),
+  addRule: async (rule) => {
+    if (!rule.conditions?.length) throw new Error("A rule needs between 1 and 10 conditions");
+    const newRule = { priority: 100, match: 'all', enabled: true, ...rule, actions: mockRuleActions(rule.actions), _id: `rule_${Date.now()}` };
+    writeStore('rules', [...readStore('rules'), newRule]);
+    return newRule;
+  },
+  updateRule: async (id, changes) => {
+    const rules = readStore('rules');
+    const existing = rules.find(r => r._id === id);
+    if (!existing) throw new Error("Rule not found");
+    const updatedRule = { ...existing, ...changes, actions: changes.actions ? mockRuleActions(changes.actions) : existing.actions };
+    writeStore('rules', rules.map(r => (r._id === id ? updatedRule : r)));
+    return updatedRule;
+  },
+  deleteRule: async (id) => {
+    writeStore('rules', readStore('rules').filter(r => r._id !== id));
+    return { message: "Deleted" };
+  },
+  matchRules: async (draft) => {
+    const { changes, rules } = mockApplyRules(draft);
+    return { changes, rules: rules.map(r => ({ _id: r._id, name: r.name })) };
+  },
+  applyRules: async ({ dryRun = true, overwrite = true } = {}) => {
+    const result = { dryRun, matched: 0, updated: 0, changes: [], truncated: false };
+    const expenses = readStore('expenses').map(e => {
+      const { changes, rules } = mockApplyRules(e, { overwrite });
+      if (!rules.length) return e;
+      result.matched++;
+      const before = Object.fromEntries(Object.keys(changes).map(field => [field, e[field] ?? null]));
+      result.changes.push({ _id: e._id, date: e.date, title: e.title, before, after: changes, rules: rules.map(r => r.name) });
+      return { ...e, ...changes };
+    });
+    if (!dryRun) {
+      writeStore('expenses', expenses);
+      result.updated = result.matched;
+    }
+    return result;
+  },
+  fetchRuleSuggestions: async () => {
+    throw new Error("Rule suggestions need the backend API");
+  },
+  // Files need somewhere to live, so the mock keeps none
+  fetchAttachments: async () => [],
+  uploadAttachments: async () => {
+    throw new Error("Attachments need the backend API");
+  },
+  fetchAttachmentFile: async () => {
+    throw new Error("Attachments need the backend API");
+  },
+  deleteAttachment: async () => {
+    throw new Error("Attachments need the backend API");
+  },
+  fetchSharingBalances: async () => mockSharingBalances(),
+  fetchSettlements: async () => readStore('settlements').sort((a, b) => new Date(b.date) - new Date(a.date)),
+  addSettlement: async (settlement) => {
+    if (!(Number(settlement.amount) > 0)) throw new Error("Amount must be a positive number");
+    if (mockPersonKey(settlement.from) === mockPersonKey(settlement.to)) throw new Error("Someone can't settle up with themselves");
+    const newSettlement = {
+      currency: mockBaseCurrency(),
+      date: new Date().toISOString(),
+      ...settlement,
+      amount: Math.round(Number(settlement.amount) * 100) / 100,
+      _id: `settlement_${Date.now()}`
+    };
+    writeStore('settlements', [newSettlement, ...readStore('settlements')]);
+    return newSettlement;
+  },
+  deleteSettlement: async (id) => {
+    writeStore('settlements', readStore('settlements').filter(s => s._id !== id));
+    return { message: "Deleted" };
+  },
+  // Sharing needs other users, so the mock only has the personal ledger
+  fetchLedgers: async () => [],
+  addLedger: async () => {
+    throw new Error("Shared ledgers need the backend API");
+  },
+  updateLedger: async () => {
+    throw new Error("Shared ledgers need the backend API");
+  },
+  deleteLedger: async () => {
+    throw new Error("Shared ledgers need the backend API");
+  },
+  updateLedgerMember: async () => {
+    throw new Error("Shared ledgers need the backend API");
+  },
+  removeLedgerMember: async () => {
+    throw new Error("Shared ledgers need the backend API");
+  },
+  fetchLedgerInvites: async () => [],
+  inviteToLedger: async () => {
+    throw new Error("Shared ledgers need the backend API");
+  },
+  deleteLedgerInvite: async () => {
+    throw new Error("Shared ledgers need the backend API");
+  },
+  joinLedger: async () => {
+    throw new Error("Shared ledgers need the backend API");
+  },
+  // Mock Auth Methods
+  login: async (credentials) => {
+    // Simulate API delay
+    await new Promise(resolve => setTimeout(resolve, 800));
+    // Accept any login for demo, in the server's { token, user } shape
+    return {
+      token: "mock_token",
+      user: {
+        id: "user_123",
+        name: "DevOps Engineer",
+        email: credentials.email,
+        // An admin, so the demo shows the admin console too
+        role: "admin",
+        createdAt: new Date().toISOString(),
+        baseCurrency: mockBaseCurrency()
+      }
+    };
+  },
+  logout: async () => {},
+  // The mock has no server sessions, only this browser
+  fetchSessions: async () => [{
+    _id: 'session_local',
+    userAgent: navigator.userAgent,
+    current: true,
+    lastUsedAt: new Date().toISOString()
+  }],
+  revokeSession: async () => ({ message: "Signed out" }),
+  revokeOtherSessions: async () => ({ revoked: 0 }),
+  register: async () => ({ message: "User registered successfully" }),
+  // Nothing is mailed without the backend, and any password works anyway
+  requestPasswordReset: async () => ({ message: "If an account uses that email, a reset link is on its way" }),
+  resetPassword: async () => {
+    throw new Error("Password reset needs the backend API");
+  },
+  changePassword: async () => ({ message: "Password changed", signedOut: 0 }),
+  // The mock keeps the profile with the signed-in user in this browser
+  fetchProfile: async () => {
+    const { token: _token, ...user } = JSON.parse(localStorage.getItem('tracker_user')) || {};
+    return { role: 'user', locale: null, weekStart: 1, defaultCategory: null, ...user, baseCurrency: mockBaseCurrency() };
+  },
+  updateProfile: async (changes) => {
+    const { baseCurrency, currentPassword: _password, code: _code, ...settings } = changes;
+    if (baseCurrency && baseCurrency !== mockBaseCurrency()) await mockApi.setBaseCurrency(baseCurrency);
+    const user = JSON.parse(localStorage.getItem('tracker_user')) || {};
+    localStorage.setItem('tracker_user', JSON.stringify({ ...user, ...settings }));
+    return { ...(await mockApi.fetchProfile()), reconverted: 0 };
+  },
+  closeAccount: async () => {
+    localStorage.clear();
+    return { message: "Account deleted", transactions: 0, keptInSharedLedgers: 0 };
+  },
+  fetchTwoFactor: async () => ({ enabled: false, enabledAt: null, backupCodesLeft: 0 }),
+  beginTwoFactorSetup: async () => {
+    throw new Error("Two-factor sign-in needs the backend API");
+  },
+  enableTwoFactor: async () => {
+    throw new Error("Two-factor sign-in needs the backend API");
+  },
+  regenerateBackupCodes: async () => {
+    throw new Error("Two-factor sign-in needs the backend API");
+  },
+  disableTwoFactor: async () => {
+    throw new Error("Two-factor sign-in needs the backend API");
+  },
+  // The demo has one account, this browser's; its metrics come from the stored transactions
+  fetchAdminUsers: async () => {
+    const profile = await mockApi.fetchProfile();
+    return { items: [{ ...profile, disabledAt: null, lastActiveAt: new Date().toISOString() }], page: 1, limit: 50, total: 1, hasMore: false };
+  },
+  updateAdminUser: async () => {
+    throw new Error("Managing accounts needs the backend API");
+  },
+  adminResetPassword: async () => {
+    throw new Error("Managing accounts needs the backend API");
+  },
+  adminDeleteUser: async () => {
+    throw new Error("Managing accounts needs the backend API");
+  },
+  fetchAdminMetrics: async (days = 30) => {
+    const perDay = new Map();
+    for (const expense of readStore('expenses')) {
+      const date = String(expense.date || '').slice(0, 10);
+      perDay.set(date, (perDay.get(date) || 0) + 1);
+    }
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    return {
+      users: { total: 1, admins: 1, disabled: 0, twoFactor: 0 },
+      activeUsers: { day: 1, week: 1, month: 1 },
+      transactions: { total: readStore('expenses').length },
+      days: Array.from({ length: days }, (_, i) => {
+        const date = new Date(today.getTime() - (days - 1 - i) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        return { date, transactions: perDay.get(date) || 0, signups: 0 };
+      })
+    };
+  },
+  fetchAuditLog: async () => ({ items: [], page: 1, limit: 50, total: 0, hasMore: false })
+};
+
+// --- REAL API SERVICE ---
+
+// Swaps the refresh token cookie for a new access token, stored with the user. Calls that fail
+// together share one refresh. Resolves to false when there is no session to refresh.
+let refreshing = null;
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = fetch(`${API_BASE_URL}/auth/refresh`, { method: 'POST', credentials: 'include' })
+      .then(async res => {
+        const user = JSON.parse(localStorage.getItem('tracker_user'));
+        if (!res.ok || !user) {
+          if (res.status === 401) sessionEndHandler();
+          return false;
+        }
+        const { token } = await res.json();
+        localStorage.setItem('tracker_user', JSON.stringify({ ...user, token }));
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+const realApi = {
+  // Helper to get headers with token
+  getHeaders: () => {
+    const user = JSON.parse(localStorage.getItem('tracker_user'));
+    const ledgerId = getActiveLedger();
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': user ? user.token : '',
+      ...(ledgerId ? { 'X-Ledger-Id': ledgerId } : {})
+    };
+  },
+
+  // fetch() with the auth headers. On a 401 the access token is refreshed and the call tried once more.
+  send: async (path, init = {}) => {
+    const attempt = () => {
+      const headers = realApi.getHeaders();
+      // FormData bodies get their Content-Type, with the boundary, from the browser
+      if (init.body instanceof FormData) delete headers['Content-Type'];
+      return fetch(`${API_BASE_URL}${path}`, { ...init, headers });
+    };
+    const res = await attempt();
+    if (res.status !== 401 || !(await refreshSession())) return res;
+    return attempt();
+  },
+
+  // Helper for authenticated JSON calls that throws the server's error message
+  request: async (path, { method = 'GET', body, fallbackError = "Request failed" } = {}) => {
+    const res = await realApi.send(path, {
+      method,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new ApiError(data.error || fallbackError, data.errors);
+    return data;
+  },
+
+  // POSTs to the auth routes used while signed out. No access token, but the refresh token cookie
+  // goes along and comes back.
+  publicRequest: async (path, body, fallbackError) => {
+    const res = await fetch(`${API_BASE_URL}${path}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new ApiError(data.error || fallbackError, data.errors);
+    return data;
+  },
+
+  fetchExpenses: async (params) => {
+    const res = await realApi.send(`/expenses${toQueryString(params)}`);
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || "Failed to fetch expenses");
+    }
+    return await res.json();
+  },
+  fetchSummary: async (params) => {
+    const res = await realApi.send(`/expenses/summary${toQueryString(params)}`);
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || "Failed to fetch summary");
+    }
+    return await res.json();
+  },
+  addExpense: (expense) => realApi.request(`/expenses${toQueryString({ tz: TIME_ZONE })}`, { method: 'POST', body: expense, fallbackError: "Failed to add the transaction" }),
+  updateExpense: (id, changes) => realApi.request(`/expenses/${id}`, { method: 'PATCH', body: changes, fallbackError: "Update failed" }),
+  fetchTags: (params) => realApi.request(`/expenses/tags${toQueryString(params)}`, { fallbackError: "Failed to fetch tags" }),
+  deleteExpense: async (id) => {
+    await realApi.request(`/expenses/${id}`, { method: 'DELETE', fallbackError: "Delete failed" });
+    return id;
+  },
+  fetchCategories: () => realApi.request('/categories', { fallbackError: "Failed to fetch categories" }),
+  addCategory: (category) => realApi.request('/categories', { method: 'POST', body: category, fallbackError: "Failed to create category" }),
+  updateCategory: (id, changes) => realApi.request(`/categories/${id}`, { method: 'PATCH', body: changes, fallbackError: "Failed to update category" }),
+  mergeCategory: (id, targetId) => realApi.request(`/categories/${id}/merge`, { method: 'POST', body: { targetId }, fallbackError: "Failed to merge categories" }),
+  deleteCategory: (id, reassignTo) => realApi.request(`/categories/${id}${toQueryString({ reassignTo })}`, { method: 'DELETE', fallbackError: "Failed to delete category" }),
+  fetchBudgets: (params) => realApi.request(`/budgets${toQueryString({ tz: TIME_ZONE, ...params })}`, { fallbackError: "Failed to fetch budgets" }),
+  addBudget: (budget) => realApi.request('/budgets', { method: 'POST', body: budget, fallbackError: "Failed to create budget" }),
+  updateBudget: (id, changes) => realApi.request(`/budgets/${id}`, { method: 'PATCH', body: changes, fallbackError: "Failed to update budget" }),
+  deleteBudget: (id) => realApi.request(`/budgets/${id}`, { method: 'DELETE', fallbackError: "Failed to delete budget" }),
+  fetchRecurring: () => realApi.request('/recurring', { fallbackError: "Failed to fetch recurring transactions" }),
+  fetchUpcoming: (params) => realApi.request(`/recurring/upcoming${toQueryString(params)}`, { fallbackError: "Failed to fetch upcoming transactions" }),
+  addRecurring: (rule, { backfill = false } = {}) => realApi.request(`/recurring${backfill ? '?backfill=true' : ''}`, { method: 'POST', body: rule, fallbackError: "Failed to create recurring transaction" }),
+  updateRecurring: (id, changes) => realApi.request(`/recurring/${id}`, { method: 'PATCH', body: changes, fallbackError: "Failed to update recurring transaction" }),
+  deleteRecurring: (id) => realApi.request(`/recurring/${id}`, { method: 'DELETE', fallbackError: "Failed to delete recurring transaction" }),
+  updateOccurrence: (ruleId, date, changes) => realApi.request(`/recurring/${ruleId}/occurrences/${encodeURIComponent(date)}`, { method: 'PUT', body: changes, fallbackError: "Failed to update occurrence" }),
+  resetOccurrence: (ruleId, date) => realApi.request(`/recurring/${ruleId}/occurrences/${encodeURIComponent(date)}`, { method: 'DELETE', fallbackError: "Failed to reset occurrence" }),
+  previewImport: (body) => realApi.request('/expenses/import/preview', { method: 'POST', body: { tz: TIME_ZONE, ...body }, fallbackError: "Failed to read the file" }),
+  commitImport: (rows, { accountId } = {}) => realApi.request('/expenses/import', { method: 'POST', body: { rows, accountId }, fallbackError: "Import failed" }),
+  // Resolves to a Blob: a CSV or JSON file, or the HTML of a printable statement
+  exportExpenses: async (params) => {
+    const res = await realApi.send(`/expenses/export${toQueryString({ tz: TIME_ZONE, ...params })}`);
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.error || "Export failed");
+    }
+    return await res.blob();
+  },
+  fetchCurrencies: () => realApi.request('/currencies', { fallbackError: "Failed to fetch currencies" }),
+  setBaseCurrency: (currency) => realApi.request('/currencies/base', { method: 'PUT', body: { currency }, fallbackError: "Failed to change the base currency" }),
+  fetchRates: (params) => realApi.request(`/currencies/rates${toQueryString(params)}`, { fallbackError: "Failed to fetch exchange rates" }),
+  addRate: (rate) => realApi.request('/currencies/rates', { method: 'POST', body: rate, fallbackError: "Failed to add rate" }),
+  deleteRate: (id) => realApi.request(`/currencies/rates/${id}`, { method: 'DELETE', fallbackError: "Failed to delete rate" }),
+  importRates: (content, options) => realApi.request('/currencies/rates/import', { method: 'POST', body: { content, ...options }, fallbackError: "Failed to import rates" }),
+  fetchHoldings: (params) => realApi.request(`/holdings${toQueryString(params)}`, { fallbackError: "Failed to fetch holdings" }),
+  setCostMethod: (method) => realApi.request('/holdings/method', { method: 'PUT', body: { method }, fallbackError: "Failed to change the cost method" }),
+  fetchInstruments: () => realApi.request('/holdings/instruments', { fallbackError: "Failed to fetch instruments" }),
+  fetchPrices: (params) => realApi.request(`/holdings/prices${toQueryString(params)}`, { fallbackError: "Failed to fetch prices" }),
+  addPrice: (price) => realApi.request('/holdings/prices', { method: 'POST', body: price, fallbackError: "Failed to add price" }),
+  deletePrice: (id) => realApi.request(`/holdings/prices/${id}`, { method: 'DELETE', fallbackError: "Failed to delete price" }),
+  importPrices: (content, options) => realApi.request('/holdings/prices/import', { method: 'POST', body: { content, ...options }, fallbackError: "Failed to import prices" }),
+  fetchAccounts: () => realApi.request('/accounts', { fallbackError: "Failed to fetch accounts" }),
+  addAccount: (account) => realApi.request('/accounts', { method: 'POST', body: account, fallbackError: "Failed to create account" }),
+  updateAccount: (id, changes) => realApi.request(`/accounts/${id}`, { method: 'PATCH', body: changes, fallbackError: "Failed to update account" }),
+  deleteAccount: (id, reassignTo) => realApi.request(`/accounts/${id}${toQueryString({ reassignTo })}`, { method: 'DELETE', fallbackError: "Failed to delete account" }),
+  fetchRules: () => realApi.request('/rules', { fallbackError: "Failed to fetch rules" }),
+  addRule: (rule) => realApi.request('/rules', { method: 'POST', body: rule, fallbackError: "Failed to create rule" }),
+  updateRule: (id, changes) => realApi.request(`/rules/${id}`, { method: 'PATCH', body: changes, fallbackError: "Failed to update rule" }),
+  deleteRule: (id) => realApi.request(`/rules/${id}`, { method: 'DELETE', fallbackError: "Failed to delete rule" }),
+  matchRules: (draft) => realApi.request('/rules/match', { method: 'POST', body: draft, fallbackError: "Failed to run rules" }),
+  // { dryRun: true } previews the changes, { dryRun: false } saves them
+  applyRules: (options) => realApi.request('/rules/apply', { method: 'POST', body: options, fallbackError: "Failed to apply rules" }),
+  fetchRuleSuggestions: () => realApi.request('/rules/suggestions', { fallbackError: "Failed to fetch rule suggestions" }),
+  fetchAttachments: (expenseId) => realApi.request(`/expenses/${expenseId}/attachments`, { fallbackError: "Failed to fetch attachments" }),
+  // Sent as multipart/form-data, so the browser sets the Content-Type and its boundary
+  uploadAttachments: async (expenseId, files) => {
+    const form = new FormData();
+    for (const file of files) form.append('files', file);
+    const res = await realApi.send(`/expenses/${expenseId}/attachments`, { method: 'POST', body: form });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || "Upload failed");
+    return data;
+  },
+  // Resolves to a Blob; the download needs the auth header, so it can't be a plain link
+  fetchAttachmentFile: async (expenseId, attachmentId) => {
+    const res = await realApi.send(`/expenses/${expenseId}/attachments/${attachmentId}`);
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(err.error || "Failed to open the attachment");
+    }
+    return await res.blob();
+  },
+  deleteAttachment: (expenseId, attachmentId) => realApi.request(`/expenses/${expenseId}/attachments/${attachmentId}`, { method: 'DELETE', fallbackError: "Failed to delete attachment" }),
+  fetchSharingBalances: () => realApi.request('/sharing/balances', { fallbackError: "Failed to fetch balances" }),
+  fetchSettlements: () => realApi.request('/sharing/settlements', { fallbackError: "Failed to fetch settlements" }),
+  addSettlement: (settlement) => realApi.request('/sharing/settlements', { method: 'POST', body: settlement, fallbackError: "Failed to record the payment" }),
+  deleteSettlement: (id) => realApi.request(`/sharing/settlements/${id}`, { method: 'DELETE', fallbackError: "Failed to delete the payment" }),
+  fetchLedgers: () => realApi.request('/ledgers', { fallbackError: "Failed to fetch ledgers" }),
+  addLedger: (ledger) => realApi.request('/ledgers', { method: 'POST', body: ledger, fallbackError: "Failed to create ledger" }),
+  updateLedger: (id, changes) => realApi.request(`/ledgers/${id}`, { method: 'PATCH', body: changes, fallbackError: "Failed to update ledger" }),
+  deleteLedger: (id) => realApi.request(`/ledgers/${id}`, { method: 'DELETE', fallbackError: "Failed to delete ledger" }),
+  updateLedgerMember: (id, userId, role) => realApi.request(`/ledgers/${id}/members/${userId}`, { method: 'PATCH', body: { role }, fallbackError: "Failed to change the role" }),
+  removeLedgerMember: (id, userId) => realApi.request(`/ledgers/${id}/members/${userId}`, { method: 'DELETE', fallbackError: "Failed to remove member" }),
+  fetchLedgerInvites: (id) => realApi.request(`/ledgers/${id}/invites`, { fallbackError: "Failed to fetch invites" }),
+  // Resolves to the invite with its one-time `token`
+  inviteToLedger: (id, invite) => realApi.request(`/ledgers/${id}/invites`, { method: 'POST', body: invite, fallbackError: "Failed to create invite" }),
+  deleteLedgerInvite: (id, inviteId) => realApi.request(`/ledgers/${id}/invites/${inviteId}`, { method: 'DELETE', fallbackError: "Failed to withdraw invite" }),
+  joinLedger: (token) => realApi.request('/ledgers/join', { method: 'POST', body: { token }, fallbackError: "Failed to join ledger" }),
+  login: (credentials) => realApi.publicRequest('/auth/login', credentials, "Login failed"),
+  // Ends this device's session on the server, which also clears the refresh token cookie
+  logout: async () => {
+    await fetch(`${API_BASE_URL}/auth/logout`, { method: 'POST', credentials: 'include' }).catch(() => {});
+  },
+  fetchSessions: () => realApi.request('/auth/sessions', { fallbackError: "Failed to fetch sessions" }),
+  revokeSession: (id) => realApi.request(`/auth/sessions/${id}`, { method: 'DELETE', fallbackError: "Failed to sign out the device" }),
+  revokeOtherSessions: () => realApi.request('/auth/sessions', { method: 'DELETE', fallbackError: "Failed to sign out other devices" }),
+  // With two-factor sign-in on, login resolves to { twoFactorRequired, challenge } and this
+  // finishes it with the code
+  verifyTwoFactorLogin: (challenge, code) => realApi.publicRequest('/auth/login/2fa', { challenge, code }, "Verification failed"),
+  register: (userData) => realApi.publicRequest('/auth/register', userData, "Registration failed"),
+  requestPasswordReset: (email) => realApi.publicRequest('/auth/forgot-password', { email }, "Failed to request a reset link"),
+  resetPassword: (token, password) => realApi.publicRequest('/auth/reset-password', { token, password }, "Failed to reset the password"),
+  // Resolves to { message, signedOut }, the number of other devices signed out
+  changePassword: (passwords) => realApi.request('/auth/password', { method: 'PUT', body: passwords, fallbackError: "Failed to change the password" }),
+  fetchProfile: () => realApi.request('/users/me', { fallbackError: "Failed to fetch your profile" }),
+  // Resolves to the saved profile, with `reconverted` transactions when the base currency changed
+  updateProfile: (changes) => realApi.request('/users/me', { method: 'PATCH', body: changes, fallbackError: "Failed to save your settings" }),
+  // { currentPassword, code }, the code only with two-factor sign-in on
+  closeAccount: (confirmation) => realApi.request('/users/me', { method: 'DELETE', body: confirmation, fallbackError: "Failed to delete the account" }),
+  fetchTwoFactor: () => realApi.request('/auth/2fa', { fallbackError: "Failed to fetch two-factor settings" }),
+  // Resolves to { secret, uri, qrCode }, the QR code as SVG markup
+  beginTwoFactorSetup: (password) => realApi.request('/auth/2fa/setup', { method: 'POST', body: { password }, fallbackError: "Failed to start two-factor setup" }),
+  // These three resolve to { backupCodes }, which are only ever shown this once
+  enableTwoFactor: (code) => realApi.request('/auth/2fa/enable', { method: 'POST', body: { code }, fallbackError: "Failed to turn on two-factor sign-in" }),
+  regenerateBackupCodes: (code) => realApi.request('/auth/2fa/backup-codes', { method: 'POST', body: { code }, fallbackError: "Failed to create new backup codes" }),
+  disableTwoFactor: ({ password, code }) => realApi.request('/auth/2fa/disable', { method: 'POST', body: { password, code }, fallbackError: "Failed to turn off two-factor sign-in" }),
+  // The admin console, for admins only. Lists come in pages of { items, page, limit, total,
+  // hasMore }; `search` matches names and emails.
+  fetchAdminUsers: (params) => realApi.request(`/admin/users${toQueryString(params)}`, { fallbackError: "Failed to fetch users" }),
+  // { role } and/or { disabled }
+  updateAdminUser: (id, changes) => realApi.request(`/admin/users/${id}`, { method: 'PATCH', body: changes, fallbackError: "Failed to update the user" }),
+  adminResetPassword: (id) => realApi.request(`/admin/users/${id}/password-reset`, { method: 'POST', fallbackError: "Failed to reset the password" }),
+  adminDeleteUser: (id) => realApi.request(`/admin/users/${id}`, { method: 'DELETE', fallbackError: "Failed to delete the user" }),
+  fetchAdminMetrics: (days) => realApi.request(`/admin/metrics${toQueryString({ days })}`, { fallbackError: "Failed to fetch usage metrics" }),
+  fetchAuditLog: (params) => realApi.request(`/admin/audit${toQueryString(params)}`, { fallbackError: "Failed to fetch the audit log" })
+};
+const api = USE_MOCK_API ? mockApi : realApi;
+
+export default api;
@@ -0,0 +1,38 @@
+import {
+  Tag,
+  Utensils,
+  Car,
+  Home,
+  Zap,
+  Film,
+  HeartPulse,
+  Briefcase,
+  TrendingUp,
+  Bitcoin,
+  PiggyBank,
+  ShoppingCart,
+  GraduationCap,
+  Plane,
+  Gift
+} from 'lucide-react';
+
+// Icons a category can pick from, keyed by the name stored on the Category document
+export const CATEGORY_ICONS = {
+  Tag,
+  Utensils,
+  Car,
+  Home,
+  Zap,
+  Film,
+  HeartPulse,
+  Briefcase,
+  TrendingUp,
+  Bitcoin,
+  PiggyBank,
+  ShoppingCart,
+  GraduationCap,
+  Plane,
+  Gift
+};
+
+export const getCategoryIcon = (name) => CATEGORY_ICONS[name] || Tag;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Settings } from 'lucide-react';
+import api from '../api.js';
+import { FieldError } from './ui.jsx';
+import { currencyOptions } from '../currency.js';
+import { WEEK_START_OPTIONS } from '../preferences.js';
+
+const formFrom = (user) => ({
+  name: user.name || '',
+  email: user.email || '',
+  baseCurrency: user.baseCurrency || 'USD',
+  locale: user.locale || '',
+  weekStart: user.weekStart ?? 1,
+  defaultCategory: user.defaultCategory || '',
+  currentPassword: '',
+  code: ''
+});
+
+// --- ACCOUNT SETTINGS ---
+// Part of the profile modal. Only what changed is sent; a new email also asks for the password
+// (and a two-factor code when that is on). `onSaved` gets the profile the server kept.
+const AccountSettings = ({ user, categories, onSaved }) => {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(() => formFrom(user));
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const emailChanged = form.email.trim().toLowerCase() !== (user.email || '').toLowerCase();
+
+  const close = () => {
+    setOpen(false);
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const current = formFrom(user);
+    const changes = {};
+    for (const field of ['name', 'email', 'baseCurrency', 'locale', 'weekStart', 'defaultCategory']) {
+      if (form[field] !== current[field]) changes[field] = form[field] === '' ? null : form[field];
+    }
+    if (!Object.keys(changes).length) return close();
+    if (changes.email) {
+      changes.currentPassword = form.currentPassword;
+      if (user.twoFactorEnabled) changes.code = form.code;
+    }
+
+    setSaving(true);
+    setErrors({});
+    try {
+      const { reconverted, ...profile } = await api.updateProfile(changes);
+      onSaved(profile, { currencyChanged: profile.baseCurrency !== user.baseCurrency });
+      setForm(formFrom(profile));
+      close();
+      setNotice(reconverted ? `Settings saved. ${reconverted} transaction(s) converted to ${profile.baseCurrency}.` : 'Settings saved.');
+    } catch (err) {
+      const fieldErrors = {};
+      for (const { field, message } of err.errors || []) fieldErrors[field] ??= message;
+      setErrors(Object.keys(fieldErrors).length ? fieldErrors : { form: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const field = (name, label, control) => (
+    <div>
+      <label className="block text-xs font-medium text-slate-500 mb-1">{label}</label>
+      {control}
+      <FieldError message={errors[name]} />
+    </div>
+  );
+  const inputClass = "w-full px-3 py-2 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 bg-white";
+  const bind = (name) => ({ value: form[name], onChange: e => setForm({ ...form, [name]: e.target.value }), className: inputClass });
+
+  if (!open) {
+    return (
+      <div className="space-y-2">
+        {notice && <div className="text-xs text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+        <button
+          onClick={() => {
+            setNotice('');
+            setForm(formFrom(user));
+            setOpen(true);
+          }}
+          className="w-full flex items-center justify-center gap-2 text-sm text-slate-700 hover:bg-slate-50 py-2 rounded-lg border border-slate-200 transition-colors"
+        >
+          <Settings size={16} />
+          Account settings
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 border border-slate-100 rounded-lg p-3">
+      {field('name', 'Name', <input required autoComplete="name" {...bind('name')} />)}
+      {field('email', 'Email', <input type="email" required autoComplete="email" {...bind('email')} />)}
+      {emailChanged && (
+        <>
+          <p className="text-xs text-slate-400">Password resets go to your email, so confirm it's you to change it.</p>
+          {field('currentPassword', 'Current password', <input type="password" required autoComplete="current-password" {...bind('currentPassword')} />)}
+          {user.twoFactorEnabled && field('code', 'Code from your authenticator app', <input required autoComplete="one-time-code" placeholder="123456" {...bind('code')} />)}
+        </>
+      )}
+      {field('baseCurrency', 'Base currency', (
+        <select {...bind('baseCurrency')}>
+          {currencyOptions(user.baseCurrency, form.baseCurrency).map(code => <option key={code} value={code}>{code}</option>)}
+        </select>
+      ))}
+      {form.baseCurrency !== user.baseCurrency && (
+        <p className="text-xs text-amber-600 -mt-2">Every transaction will be converted to {form.baseCurrency} again.</p>
+      )}
+      {field('locale', 'Language and region', <input placeholder="Browser default, e.g. en-GB" {...bind('locale')} />)}
+      {field('weekStart', 'Week starts on', (
+        <select {...bind('weekStart')} onChange={e => setForm({ ...form, weekStart: Number(e.target.value) })}>
+          {WEEK_START_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+      ))}
+      {field('defaultCategory', 'Default category for new transactions', (
+        <select {...bind('defaultCategory')}>
+          <option value="">None</option>
+          {categories.map(c => <option key={c._id || c.name} value={c.name}>{c.name}</option>)}
+        </select>
+      ))}
+      {errors.form && <div className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{errors.form}</div>}
+      <div className="flex gap-2">
+        <button type="button" onClick={close} className="flex-1 py-2 text-sm text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50">
+          Cancel
+        </button>
+        <button type="submit" disabled={saving} className="flex-1 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+          {saving ? 'Saving...' : 'Save settings'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AccountSettings;
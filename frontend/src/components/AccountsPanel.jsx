@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Landmark, Plus, Pencil, Trash2 } from 'lucide-react';
+import api from '../api.js';
+import { Card } from './ui.jsx';
+import { currencyOptions, formatMoney } from '../currency.js';
+
+const TYPE_LABELS = {
+  checking: 'Checking',
+  savings: 'Savings',
+  credit: 'Credit card',
+  cash: 'Cash',
+  brokerage: 'Brokerage',
+  other: 'Other'
+};
+
+const emptyAccount = { name: '', type: 'checking', currency: '', openingBalance: '' };
+
+// --- ACCOUNTS PANEL ---
+// Balances are in each account's own currency; the net worth adds them up in the base `currency`
+const AccountsPanel = ({ accounts, currency, onChanged }) => {
+  // editing is null (form closed), 'new', or the account being edited
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyAccount);
+  // An account that still has transactions, waiting for the user to pick where they go
+  const [deleting, setDeleting] = useState(null);
+  const [targetId, setTargetId] = useState('');
+  const [error, setError] = useState('');
+
+  const netWorth = accounts.reduce((sum, a) => sum + (a.baseBalance ?? 0), 0);
+  const unconverted = accounts.filter(a => a.baseBalance === null).length;
+
+  const openForm = (account) => {
+    setEditing(account || 'new');
+    setDeleting(null);
+    setFormData(account
+      ? { name: account.name, type: account.type, currency: account.currency, openingBalance: String(account.openingBalance) }
+      : { ...emptyAccount, currency });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = { ...formData, openingBalance: Number(formData.openingBalance) || 0 };
+    try {
+      if (editing === 'new') await api.addAccount(payload);
+      else await api.updateAccount(editing._id, payload);
+      setEditing(null);
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (account, reassignTo) => {
+    if (!reassignTo && !window.confirm(`Delete the account "${account.name}"?`)) return;
+    try {
+      await api.deleteAccount(account._id, reassignTo);
+      setDeleting(null);
+      setError('');
+      onChanged();
+    } catch (err) {
+      // Accounts with transactions need somewhere to move them first
+      setEditing(null);
+      setDeleting(account);
+      setTargetId(accounts.find(a => a._id !== account._id)?._id || '');
+      setError(err.message);
+    }
+  };
+
+  const inputClass = "px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <Card className="p-0 overflow-hidden">
+      <div className="p-4 border-b border-slate-100 flex items-center justify-between">
+        <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+          <Landmark size={18} className="text-slate-400" />
+          Accounts
+        </h2>
+        <button
+          onClick={() => openForm(null)}
+          className="text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded-md text-sm font-medium flex items-center gap-1"
+        >
+          <Plus size={16} /> Add
+        </button>
+      </div>
+
+      {editing && (
+        <form onSubmit={handleSubmit} className="p-4 border-b border-slate-100 bg-slate-50/50 space-y-3">
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              required
+              type="text"
+              placeholder="Name, e.g. Main checking"
+              className={inputClass}
+              value={formData.name}
+              onChange={e => setFormData({ ...formData, name: e.target.value })}
+            />
+            <select
+              className={inputClass}
+              value={formData.type}
+              onChange={e => setFormData({ ...formData, type: e.target.value })}
+            >
+              {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <select
+              className={inputClass}
+              value={formData.currency}
+              onChange={e => setFormData({ ...formData, currency: e.target.value })}
+            >
+              {currencyOptions(currency, formData.currency).map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+            <input
+              type="number"
+              step="0.01"
+              placeholder="Opening balance"
+              className={inputClass}
+              value={formData.openingBalance}
+              onChange={e => setFormData({ ...formData, openingBalance: e.target.value })}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-slate-400">Use a negative opening balance for money owed.</p>
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setEditing(null)} className="px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+              <button type="submit" className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg">Save</button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {deleting && (
+        <div className="p-4 border-b border-slate-100 bg-red-50/50 space-y-3 text-sm">
+          <p className="text-red-600">{error}</p>
+          <div className="flex flex-wrap items-center gap-2">
+            <select className={inputClass} value={targetId} onChange={e => setTargetId(e.target.value)}>
+              {accounts.filter(a => a._id !== deleting._id).map(a => <option key={a._id} value={a._id}>{a.name}</option>)}
+            </select>
+            <button
+              disabled={!targetId}
+              onClick={() => handleDelete(deleting, targetId)}
+              className="px-3 py-1.5 font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg disabled:opacity-70"
+            >
+              Move & delete
+            </button>
+            <button onClick={() => setDeleting(null)} className="px-3 py-1.5 text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <div className="divide-y divide-slate-50">
+        {accounts.length === 0 ? (
+          <p className="p-6 text-center text-sm text-slate-400">No accounts yet. Add one to track its balance and move money between accounts.</p>
+        ) : accounts.map(account => (
+          <div key={account._id} className="p-4 flex items-center justify-between text-sm group">
+            <div>
+              <p className="font-medium text-slate-700">{account.name}</p>
+              <p className="text-xs text-slate-400">{TYPE_LABELS[account.type]}</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="text-right">
+                <p className={account.balance < 0 ? 'text-red-600 font-semibold' : 'text-slate-700 font-semibold'}>
+                  {formatMoney(account.balance, account.currency)}
+                </p>
+                {account.currency !== currency && (
+                  <p className="text-xs text-slate-400">
+                    {account.baseBalance === null ? `No rate to ${currency}` : `≈ ${formatMoney(account.baseBalance, currency)}`}
+                  </p>
+                )}
+              </div>
+              <button onClick={() => openForm(account)} className="text-slate-300 hover:text-indigo-500 opacity-0 group-hover:opacity-100 focus:opacity-100">
+                <Pencil size={14} />
+              </button>
+              <button onClick={() => handleDelete(account)} className="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 focus:opacity-100">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {accounts.length > 0 && (
+        <div className="p-4 border-t border-slate-100 bg-slate-50 flex items-center justify-between text-sm">
+          <span className="font-medium text-slate-600">Net worth</span>
+          <span className="text-right">
+            <span className={`font-bold ${netWorth < 0 ? 'text-red-600' : 'text-slate-800'}`}>{formatMoney(netWorth, currency)}</span>
+            {unconverted > 0 && <span className="block text-xs text-amber-600">{unconverted} account(s) left out, no exchange rate</span>}
+          </span>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default AccountsPanel;
@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Search, Trash2, KeyRound, Ban, CheckCircle2 } from 'lucide-react';
+import api from '../api.js';
+import { TabButton } from './ui.jsx';
+import { formatDate, getLocale } from '../preferences.js';
+
+const TABS = [
+  { id: 'users', label: 'Users' },
+  { id: 'usage', label: 'Usage' },
+  { id: 'audit', label: 'Audit log' }
+];
+const ROLE_LABELS = { user: 'User', admin: 'Admin' };
+const ACTION_LABELS = {
+  'user.role': 'Changed the role of',
+  'user.disable': 'Disabled',
+  'user.enable': 'Enabled',
+  'user.password-reset': 'Reset the password of',
+  'user.delete': 'Deleted'
+};
+const METRIC_DAYS = [7, 30, 90];
+
+const formatTime = (value) => new Date(value).toLocaleString(getLocale());
+
+const Message = ({ error, notice }) => (
+  <>
+    {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+    {notice && <div className="text-sm text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+  </>
+);
+
+const MoreButton = ({ onClick }) => (
+  <button onClick={onClick} className="w-full py-2 text-sm text-indigo-600 hover:bg-indigo-50 rounded-lg">
+    Load more
+  </button>
+);
+
+// Every account, with changing roles, disabling, password resets and deleting. The signed-in
+// admin's own account is listed but can't be changed here.
+const UsersTab = ({ currentUserId }) => {
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [users, setUsers] = useState([]);
+  const [paging, setPaging] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const load = useCallback((page = 1) => (
+    api.fetchAdminUsers({ search, page })
+      .then(result => {
+        setUsers(current => (page === 1 ? result.items : [...current, ...result.items]));
+        setPaging(result);
+      })
+      .catch(err => setError(err.message))
+  ), [search]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (user, operation) => {
+    setBusyId(user.id);
+    setError('');
+    setNotice('');
+    try {
+      return await operation();
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const replace = (updated) => setUsers(current => current.map(u => (u.id === updated.id ? updated : u)));
+
+  const handleRole = async (user, role) => {
+    if (role === 'admin' && !window.confirm(`Make ${user.name} an admin? Admins can manage every account.`)) return;
+    const updated = await run(user, () => api.updateAdminUser(user.id, { role }));
+    if (updated) replace(updated);
+  };
+
+  const handleDisable = async (user) => {
+    const disabled = !user.disabledAt;
+    if (disabled && !window.confirm(`Disable ${user.email}? They are signed out everywhere and can't sign in until enabled again.`)) return;
+    const updated = await run(user, () => api.updateAdminUser(user.id, { disabled }));
+    if (updated) {
+      replace(updated);
+      setNotice(disabled ? `${user.email} is disabled.` : `${user.email} can sign in again.`);
+    }
+  };
+
+  const handleReset = async (user) => {
+    if (!window.confirm(`Reset the password of ${user.email}? Their current password stops working, they are signed out everywhere and get a link to choose a new one.`)) return;
+    const result = await run(user, () => api.adminResetPassword(user.id));
+    if (result) setNotice(result.message);
+  };
+
+  const handleDelete = async (user) => {
+    const typed = window.prompt(`This deletes ${user.email} with all of their personal transactions and can't be undone. Type their email to confirm.`);
+    if (typed === null) return;
+    if (typed.trim().toLowerCase() !== user.email.toLowerCase()) {
+      setError("The email didn't match, nothing was deleted.");
+      return;
+    }
+    const result = await run(user, () => api.adminDeleteUser(user.id));
+    if (result) {
+      setUsers(current => current.filter(u => u.id !== user.id));
+      setPaging(current => current && { ...current, total: current.total - 1 });
+      const kept = result.keptInSharedLedgers ? ` ${result.keptInSharedLedgers} in shared ledgers were kept.` : '';
+      setNotice(`${user.email} was deleted with ${result.transactions} transaction(s).${kept}`);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <form
+        onSubmit={e => {
+          e.preventDefault();
+          setSearch(searchInput.trim());
+        }}
+        className="relative"
+      >
+        <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+        <input
+          type="search"
+          value={searchInput}
+          onChange={e => setSearchInput(e.target.value)}
+          placeholder="Search names and emails, then press Enter"
+          className="w-full pl-9 pr-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm"
+        />
+      </form>
+      <Message error={error} notice={notice} />
+      {paging && <p className="text-xs text-slate-400">{paging.total} account(s)</p>}
+
+      <div className="divide-y divide-slate-50 text-sm">
+        {users.map(user => {
+          const own = user.id === currentUserId;
+          const busy = busyId === user.id;
+          return (
+            <div key={user.id} className="py-3 flex flex-wrap items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="text-slate-700 truncate font-medium">
+                  {user.name}{own && ' (you)'}
+                  {user.disabledAt && <span className="ml-2 text-xs font-normal text-red-600 bg-red-50 px-1.5 py-0.5 rounded">Disabled</span>}
+                  {user.twoFactorEnabled && <span className="ml-2 text-xs font-normal text-green-700 bg-green-50 px-1.5 py-0.5 rounded">2FA</span>}
+                </p>
+                <p className="text-xs text-slate-400 truncate">{user.email}</p>
+                <p className="text-xs text-slate-400">
+                  Joined {user.createdAt ? formatDate(user.createdAt) : '—'} · {user.lastActiveAt ? `Last active ${formatTime(user.lastActiveAt)}` : 'Never active'}
+                </p>
+              </div>
+              {own ? (
+                <span className="text-xs text-slate-500 bg-slate-100 px-2 py-0.5 rounded">{ROLE_LABELS[user.role]}</span>
+              ) : (
+                <div className="flex items-center gap-2 shrink-0">
+                  <select
+                    value={user.role}
+                    disabled={busy}
+                    onChange={e => handleRole(user, e.target.value)}
+                    className="bg-slate-50 border-none text-xs text-slate-600 rounded-md py-1 pl-2 pr-7 focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {Object.entries(ROLE_LABELS).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+                  </select>
+                  <button onClick={() => handleDisable(user)} disabled={busy} className="text-slate-400 hover:text-amber-600" title={user.disabledAt ? 'Enable' : 'Disable'}>
+                    {user.disabledAt ? <CheckCircle2 size={16} /> : <Ban size={16} />}
+                  </button>
+                  <button onClick={() => handleReset(user)} disabled={busy} className="text-slate-400 hover:text-indigo-600" title="Reset password">
+                    <KeyRound size={16} />
+                  </button>
+                  <button onClick={() => handleDelete(user)} disabled={busy} className="text-slate-300 hover:text-red-500" title="Delete account">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {paging?.hasMore && <MoreButton onClick={() => load(paging.page + 1)} />}
+    </div>
+  );
+};
+
+const Stat = ({ label, value, hint }) => (
+  <div className="border border-slate-100 rounded-xl p-3">
+    <p className="text-xs text-slate-500">{label}</p>
+    <p className="text-2xl font-bold text-slate-800">{value}</p>
+    {hint && <p className="text-xs text-slate-400">{hint}</p>}
+  </div>
+);
+
+// Counts across every account; nothing here says who did what
+const UsageTab = () => {
+  const [days, setDays] = useState(30);
+  const [metrics, setMetrics] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.fetchAdminMetrics(days)
+      .then(setMetrics)
+      .catch(err => setError(err.message));
+  }, [days]);
+
+  if (!metrics) return <Message error={error} />;
+
+  const { users, activeUsers, transactions } = metrics;
+  const busiest = Math.max(1, ...metrics.days.map(day => day.transactions));
+  const added = metrics.days.reduce((sum, day) => sum + day.transactions, 0);
+  const signups = metrics.days.reduce((sum, day) => sum + day.signups, 0);
+
+  return (
+    <div className="space-y-4">
+      <Message error={error} />
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <Stat label="Accounts" value={users.total} hint={`${users.admins} admin(s), ${users.disabled} disabled`} />
+        <Stat label="Active today" value={activeUsers.day} hint={`${activeUsers.week} this week, ${activeUsers.month} in 30 days`} />
+        <Stat label="Two-factor sign-in" value={users.twoFactor} hint={users.total ? `${Math.round((users.twoFactor / users.total) * 100)}% of accounts` : null} />
+        <Stat label="Transactions" value={transactions.total} hint="in all ledgers" />
+      </div>
+
+      <div className="border border-slate-100 rounded-xl p-3 space-y-2">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-sm font-medium text-slate-700">Transactions added per day</p>
+          <div className="flex gap-1">
+            {METRIC_DAYS.map(count => (
+              <TabButton key={count} active={days === count} onClick={() => setDays(count)}>{count} days</TabButton>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-end gap-px h-32">
+          {metrics.days.map(day => (
+            <div
+              key={day.date}
+              className="flex-1 bg-indigo-500 rounded-t min-h-px hover:bg-indigo-700"
+              style={{ height: `${(day.transactions / busiest) * 100}%` }}
+              title={`${formatDate(day.date, { timeZone: 'UTC' })}: ${day.transactions} transaction(s), ${day.signups} sign-up(s)`}
+            />
+          ))}
+        </div>
+        <p className="text-xs text-slate-400">
+          {added} transaction(s) and {signups} sign-up(s) in the last {metrics.days.length} days. Days are in UTC.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// What admins did, newest first
+const AuditTab = () => {
+  const [entries, setEntries] = useState([]);
+  const [paging, setPaging] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback((page = 1) => (
+    api.fetchAuditLog({ page })
+      .then(result => {
+        setEntries(current => (page === 1 ? result.items : [...current, ...result.items]));
+        setPaging(result);
+      })
+      .catch(err => setError(err.message))
+  ), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const describe = (entry) => {
+    const details = entry.details || {};
+    if (entry.action === 'user.role') return `${ROLE_LABELS[details.from] || details.from} → ${ROLE_LABELS[details.to] || details.to}`;
+    if (entry.action === 'user.delete') return `${details.transactions ?? 0} transaction(s) deleted`;
+    if (details.signedOut) return `${details.signedOut} device(s) signed out`;
+    return '';
+  };
+
+  return (
+    <div className="space-y-3">
+      <Message error={error} />
+      {paging && entries.length === 0 && <p className="text-sm text-slate-400 py-6 text-center">No admin actions yet.</p>}
+      <div className="divide-y divide-slate-50 text-sm">
+        {entries.map(entry => (
+          <div key={entry._id} className="py-2">
+            <p className="text-slate-700">
+              <span className="font-medium">{entry.actorEmail || 'Command line'}</span> {ACTION_LABELS[entry.action] || entry.action}{' '}
+              <span className="font-medium">{entry.targetEmail}</span>
+            </p>
+            <p className="text-xs text-slate-400">
+              {formatTime(entry.createdAt)}{describe(entry) && ` · ${describe(entry)}`}{entry.ip && ` · ${entry.ip}`}
+            </p>
+          </div>
+        ))}
+      </div>
+      {paging?.hasMore && <MoreButton onClick={() => load(paging.page + 1)} />}
+    </div>
+  );
+};
+
+// --- ADMIN CONSOLE MODAL ---
+// Only offered to admins; the server checks the role on every request regardless.
+const AdminConsole = ({ currentUserId, onClose }) => {
+  const [tab, setTab] = useState('users');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-3xl overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800">Admin console</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+        <div className="px-4 pt-4 flex gap-2">
+          {TABS.map(t => <TabButton key={t.id} active={tab === t.id} onClick={() => setTab(t.id)}>{t.label}</TabButton>)}
+        </div>
+        <div className="p-4 overflow-y-auto flex-1">
+          {tab === 'users' && <UsersTab currentUserId={currentUserId} />}
+          {tab === 'usage' && <UsageTab />}
+          {tab === 'audit' && <AuditTab />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Trash2, Upload, Download, FileText, Paperclip } from 'lucide-react';
+import api from '../api.js';
+
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/gif,image/webp,application/pdf';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// --- ATTACHMENTS MODAL ---
+// Receipts and other files of one transaction. `onChanged` gets the new attachment list so the row can update.
+// `readOnly` (viewers of a shared ledger) hides uploading and deleting.
+const AttachmentViewer = ({ expense, readOnly = false, onClose, onChanged }) => {
+  const [attachments, setAttachments] = useState(expense.attachments || []);
+  // The attachment on show, with an object URL for its downloaded bytes
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const openPreview = useCallback(async (attachment) => {
+    setError('');
+    try {
+      const blob = await api.fetchAttachmentFile(expense._id, attachment._id);
+      setPreview({ attachment, url: URL.createObjectURL(blob) });
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [expense._id]);
+
+  const load = useCallback(() => (
+    api.fetchAttachments(expense._id)
+      .then(list => {
+        setAttachments(list);
+        return list;
+      })
+      .catch(err => {
+        setError(err.message);
+        return [];
+      })
+  ), [expense._id]);
+
+  useEffect(() => {
+    load().then(list => {
+      if (list.length) openPreview(list[0]);
+    });
+  }, [load, openPreview]);
+
+  // Frees the previous file's memory whenever another one is shown, and on close
+  useEffect(() => () => {
+    if (preview) URL.revokeObjectURL(preview.url);
+  }, [preview]);
+
+  const handleUpload = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (!files.length) return;
+    setSaving(true);
+    setError('');
+    try {
+      const added = await api.uploadAttachments(expense._id, files);
+      const list = [...attachments, ...added];
+      setAttachments(list);
+      onChanged(list);
+      openPreview(added[0]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete "${attachment.filename}"?`)) return;
+    setSaving(true);
+    setError('');
+    try {
+      await api.deleteAttachment(expense._id, attachment._id);
+      const list = attachments.filter(a => a._id !== attachment._id);
+      setAttachments(list);
+      onChanged(list);
+      if (preview?.attachment._id === attachment._id) setPreview(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-4xl overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800 truncate">Attachments · {expense.title}</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="flex flex-col md:flex-row min-h-0 flex-1">
+          <div className="md:w-64 border-b md:border-b-0 md:border-r border-slate-100 p-4 space-y-3 overflow-y-auto">
+            {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+
+            {!readOnly && (
+              <>
+                <label className={`text-sm text-indigo-600 hover:underline cursor-pointer flex items-center gap-1 ${saving ? 'opacity-70' : ''}`}>
+                  <Upload size={14} /> {saving ? 'Working...' : 'Add receipts or PDFs'}
+                  <input type="file" multiple accept={ACCEPTED_TYPES} className="hidden" onChange={handleUpload} disabled={saving} />
+                </label>
+                <p className="text-xs text-slate-400">Images or PDFs, up to 10 MB each.</p>
+              </>
+            )}
+
+            <div className="divide-y divide-slate-50 text-sm">
+              {attachments.length === 0 ? (
+                <p className="py-4 text-center text-slate-400">No attachments yet.</p>
+              ) : attachments.map(attachment => (
+                <div
+                  key={attachment._id}
+                  className={`py-2 flex items-center justify-between gap-2 group ${preview?.attachment._id === attachment._id ? 'text-indigo-600' : 'text-slate-700'}`}
+                >
+                  <button onClick={() => openPreview(attachment)} className="text-left min-w-0 flex-1">
+                    <span className="block truncate font-medium">{attachment.filename}</span>
+                    <span className="text-xs text-slate-400">{formatSize(attachment.size)}</span>
+                  </button>
+                  {!readOnly && (
+                    <button onClick={() => handleDelete(attachment)} disabled={saving} className="text-slate-300 hover:text-red-500" title="Delete">
+                      <Trash2 size={14} />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex-1 min-h-[20rem] bg-slate-100 flex flex-col">
+            {preview ? (
+              <>
+                <div className="px-4 py-2 flex items-center justify-between text-sm bg-white border-b border-slate-100">
+                  <span className="truncate text-slate-600">{preview.attachment.filename}</span>
+                  <a href={preview.url} download={preview.attachment.filename} className="text-indigo-600 hover:underline flex items-center gap-1 shrink-0">
+                    <Download size={14} /> Download
+                  </a>
+                </div>
+                {preview.attachment.mimeType === 'application/pdf' ? (
+                  <iframe src={preview.url} title={preview.attachment.filename} className="flex-1 w-full bg-white" />
+                ) : (
+                  <div className="flex-1 overflow-auto flex items-center justify-center p-4">
+                    <img src={preview.url} alt={preview.attachment.filename} className="max-w-full max-h-[70vh] object-contain shadow" />
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className="flex-1 flex flex-col items-center justify-center text-slate-400 gap-2 text-sm">
+                {attachments.length ? <FileText size={32} /> : <Paperclip size={32} />}
+                {attachments.length ? 'Pick a file to view it.' : 'Keep receipts with this transaction.'}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentViewer;
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { Target, Plus, Pencil, Trash2 } from 'lucide-react';
+import api from '../api.js';
+import { Card, CategoryBadge } from './ui.jsx';
+import { formatMoney } from '../currency.js';
+
+const PERIOD_LABELS = { week: 'Weekly', month: 'Monthly', year: 'Yearly' };
+
+const emptyBudget = { category: '', period: 'month', amount: '', rollover: false };
+
+// Green under 80% of the limit, amber up to it, red once it is exceeded
+const progressColor = (spent, limit) => {
+  if (spent > limit) return 'bg-red-500';
+  if (spent >= limit * 0.8) return 'bg-amber-400';
+  return 'bg-green-500';
+};
+
+// --- BUDGETS PANEL ---
+// Limits and spending are in the base `currency`
+const BudgetsPanel = ({ budgets, categories, currency, onChanged }) => {
+  // editing is null (form closed), 'new', or the budget being edited
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyBudget);
+  const [error, setError] = useState('');
+
+  const expenseCategories = categories.filter(c => c.type === 'any' || c.type === 'expense');
+  const categoryByName = new Map(categories.map(c => [c.name, c]));
+
+  const openForm = (budget) => {
+    setEditing(budget || 'new');
+    setFormData(budget
+      ? { category: budget.category, period: budget.period, amount: String(budget.amount), rollover: budget.rollover }
+      : { ...emptyBudget, category: expenseCategories[0]?.name || '' });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = { ...formData, amount: Number(formData.amount) };
+    try {
+      if (editing === 'new') await api.addBudget(payload);
+      else await api.updateBudget(editing._id, payload);
+      setEditing(null);
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm("Delete this budget?")) return;
+    try {
+      await api.deleteBudget(id);
+      onChanged();
+    } catch (err) { console.error(err); }
+  };
+
+  const inputClass = "px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <Card className="p-0 overflow-hidden">
+      <div className="p-4 border-b border-slate-100 flex items-center justify-between">
+        <h2 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+          <Target size={18} className="text-slate-400" />
+          Budgets
+        </h2>
+        <button
+          onClick={() => openForm(null)}
+          className="text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded-md text-sm font-medium flex items-center gap-1"
+        >
+          <Plus size={16} /> Add
+        </button>
+      </div>
+
+      {editing && (
+        <form onSubmit={handleSubmit} className="p-4 border-b border-slate-100 bg-slate-50/50 space-y-3">
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <select
+              required
+              className={inputClass}
+              value={formData.category}
+              onChange={e => setFormData({ ...formData, category: e.target.value })}
+            >
+              {expenseCategories.map(c => <option key={c._id} value={c.name}>{c.name}</option>)}
+            </select>
+            <select
+              className={inputClass}
+              value={formData.period}
+              onChange={e => setFormData({ ...formData, period: e.target.value })}
+            >
+              {Object.entries(PERIOD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <input
+              required
+              type="number"
+              min="0.01"
+              step="0.01"
+              placeholder={`Limit (${currency})`}
+              className={inputClass}
+              value={formData.amount}
+              onChange={e => setFormData({ ...formData, amount: e.target.value })}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-sm text-slate-600">
+              <input
+                type="checkbox"
+                checked={formData.rollover}
+                onChange={e => setFormData({ ...formData, rollover: e.target.checked })}
+              />
+              Roll unused money into the next period
+            </label>
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setEditing(null)} className="px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+              <button type="submit" className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg">Save</button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      <div className="divide-y divide-slate-50">
+        {budgets.length === 0 ? (
+          <p className="p-6 text-center text-sm text-slate-400">No budgets yet. Set a limit for a category to track spending against it.</p>
+        ) : budgets.map(budget => (
+          <div key={budget._id} className="p-4 group">
+            <div className="flex items-center justify-between text-sm mb-2">
+              <div className="flex items-center gap-2">
+                <CategoryBadge category={categoryByName.get(budget.category)} name={budget.category} />
+                <span className="text-xs text-slate-400">{PERIOD_LABELS[budget.period]}</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className={budget.overBudget ? 'text-red-600 font-semibold' : 'text-slate-600'}>
+                  {formatMoney(budget.spent, currency)} / {formatMoney(budget.limit, currency)}
+                </span>
+                <button onClick={() => openForm(budget)} className="text-slate-300 hover:text-indigo-500 opacity-0 group-hover:opacity-100 focus:opacity-100">
+                  <Pencil size={14} />
+                </button>
+                <button onClick={() => handleDelete(budget._id)} className="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 focus:opacity-100">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+            <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full transition-all ${progressColor(budget.spent, budget.limit)}`}
+                style={{ width: `${Math.min(100, (budget.spent / budget.limit) * 100)}%` }}
+              />
+            </div>
+            {budget.carried > 0 && (
+              <p className="text-xs text-slate-400 mt-1">Includes {formatMoney(budget.carried, currency)} rolled over</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+};
+
+export default BudgetsPanel;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { X, Plus, Pencil, Trash2, Merge } from 'lucide-react';
+import api from '../api.js';
+import { CategoryBadge, CategoryIcon } from './ui.jsx';
+import { CATEGORY_ICONS } from '../categoryIcons.js';
+
+const TYPE_LABELS = {
+  any: 'Any type',
+  expense: 'Expense',
+  income: 'Income',
+  investment: 'Investment',
+  withdrawal: 'Withdrawal'
+};
+
+const emptyCategory = { name: '', color: '#64748b', icon: 'Tag', parent: '', type: 'any' };
+
+// Parents first, each followed by its sub-categories
+const orderAsTree = (categories) => {
+  const roots = categories.filter(c => !c.parent || !categories.some(p => p._id === c.parent));
+  return roots.flatMap(root => [
+    { category: root, depth: 0 },
+    ...categories.filter(c => c.parent === root._id).map(child => ({ category: child, depth: 1 }))
+  ]);
+};
+
+// --- CATEGORY MANAGER MODAL ---
+const CategoryManager = ({ categories, onClose, onChanged }) => {
+  // action is null, or { kind: 'edit' | 'delete' | 'merge', category }
+  const [action, setAction] = useState(null);
+  const [formData, setFormData] = useState(emptyCategory);
+  const [targetId, setTargetId] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const startEdit = (category) => {
+    setAction({ kind: 'edit', category });
+    setFormData(category
+      ? { name: category.name, color: category.color, icon: category.icon, parent: category.parent || '', type: category.type }
+      : emptyCategory);
+    setError('');
+  };
+
+  const startAction = (kind, category) => {
+    setAction({ kind, category });
+    setTargetId('');
+    setError('');
+  };
+
+  const run = async (operation) => {
+    setSaving(true);
+    setError('');
+    try {
+      await operation();
+      setAction(null);
+      await onChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const payload = { ...formData, name: formData.name.trim(), parent: formData.parent || null };
+    run(() => action.category
+      ? api.updateCategory(action.category._id, payload)
+      : api.addCategory(payload));
+  };
+
+  const editing = action?.kind === 'edit' ? action.category : null;
+  // A category cannot become a child of itself or of one of its own children
+  const parentOptions = categories.filter(c => !editing || (c._id !== editing._id && c.parent !== editing._id));
+  const otherCategories = categories.filter(c => c._id !== action?.category?._id);
+
+  const inputClass = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800">Categories</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-4">
+          {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+
+          {action?.kind === 'edit' && (
+            <form onSubmit={handleSave} className="space-y-3 border border-slate-100 rounded-xl p-4 bg-slate-50/50">
+              <div className="grid grid-cols-[1fr_auto] gap-3">
+                <input
+                  required
+                  type="text"
+                  placeholder="Category name"
+                  className={inputClass}
+                  value={formData.name}
+                  onChange={e => setFormData({ ...formData, name: e.target.value })}
+                />
+                <input
+                  type="color"
+                  className="h-10 w-12 rounded-lg border border-slate-200 cursor-pointer"
+                  value={formData.color}
+                  onChange={e => setFormData({ ...formData, color: e.target.value })}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <select className={inputClass} value={formData.type} onChange={e => setFormData({ ...formData, type: e.target.value })}>
+                  {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <select className={inputClass} value={formData.parent} onChange={e => setFormData({ ...formData, parent: e.target.value })}>
+                  <option value="">No parent</option>
+                  {parentOptions.map(c => <option key={c._id} value={c._id}>{c.name}</option>)}
+                </select>
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {Object.keys(CATEGORY_ICONS).map(name => (
+                  <button
+                    key={name}
+                    type="button"
+                    title={name}
+                    onClick={() => setFormData({ ...formData, icon: name })}
+                    className={`p-2 rounded-md border transition-all ${formData.icon === name
+                      ? 'bg-indigo-600 text-white border-indigo-600'
+                      : 'bg-white text-slate-600 border-slate-200 hover:border-indigo-300'
+                      }`}
+                  >
+                    <CategoryIcon name={name} size={16} />
+                  </button>
+                ))}
+              </div>
+              <div className="flex justify-end gap-2">
+                <button type="button" onClick={() => setAction(null)} className="px-3 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+                <button type="submit" disabled={saving} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg disabled:opacity-70">
+                  {editing ? 'Save Changes' : 'Add Category'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {(action?.kind === 'delete' || action?.kind === 'merge') && (
+            <div className="space-y-3 border border-slate-100 rounded-xl p-4 bg-slate-50/50 text-sm">
+              <p className="text-slate-700">
+                {action.kind === 'merge'
+                  ? <>Merge <strong>{action.category.name}</strong> into another category. Its transactions and sub-categories move across.</>
+                  : <>Delete <strong>{action.category.name}</strong>. Transactions using it can be moved to another category.</>}
+              </p>
+              <select className={inputClass} value={targetId} onChange={e => setTargetId(e.target.value)}>
+                <option value="">{action.kind === 'merge' ? 'Choose a category...' : "Don't move transactions"}</option>
+                {otherCategories.map(c => <option key={c._id} value={c._id}>{c.name}</option>)}
+              </select>
+              <div className="flex justify-end gap-2">
+                <button onClick={() => setAction(null)} className="px-3 py-2 text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+                <button
+                  disabled={saving || (action.kind === 'merge' && !targetId)}
+                  onClick={() => run(() => action.kind === 'merge'
+                    ? api.mergeCategory(action.category._id, targetId)
+                    : api.deleteCategory(action.category._id, targetId || undefined))}
+                  className="px-4 py-2 font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg disabled:opacity-70"
+                >
+                  {action.kind === 'merge' ? 'Merge' : 'Delete'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="divide-y divide-slate-50">
+            {orderAsTree(categories).map(({ category, depth }) => (
+              <div key={category._id} className={`py-2 flex items-center justify-between group ${depth ? 'pl-6' : ''}`}>
+                <div className="flex items-center gap-2 text-sm">
+                  <CategoryBadge category={category} />
+                  <span className="text-xs text-slate-400">{TYPE_LABELS[category.type]}</span>
+                </div>
+                <div className="flex items-center gap-1 text-slate-300">
+                  <button onClick={() => startEdit(category)} className="p-1.5 rounded-full hover:text-indigo-500 hover:bg-indigo-50" title="Edit">
+                    <Pencil size={14} />
+                  </button>
+                  <button onClick={() => startAction('merge', category)} className="p-1.5 rounded-full hover:text-indigo-500 hover:bg-indigo-50" title="Merge">
+                    <Merge size={14} />
+                  </button>
+                  <button onClick={() => startAction('delete', category)} className="p-1.5 rounded-full hover:text-red-500 hover:bg-red-50" title="Delete">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-slate-100">
+          <button
+            onClick={() => startEdit(null)}
+            className="w-full flex items-center justify-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 rounded-lg transition-colors"
+          >
+            <Plus size={16} /> New Category
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import api from '../api.js';
+import { FieldError } from './ui.jsx';
+import { PASSWORD_HINT } from '../passwords.js';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+// --- CHANGE PASSWORD ---
+// Part of the profile modal. Changing the password signs out every other device; `onChanged`
+// lets the modal refresh its device list.
+const ChangePasswordForm = ({ onChanged }) => {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const close = () => {
+    setOpen(false);
+    setForm(EMPTY_FORM);
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrors({});
+    setNotice('');
+    if (form.newPassword !== form.confirmPassword) {
+      setErrors({ confirmPassword: "The passwords don't match" });
+      return;
+    }
+    setSaving(true);
+    try {
+      const { signedOut } = await api.changePassword({ currentPassword: form.currentPassword, newPassword: form.newPassword });
+      close();
+      setNotice(signedOut ? `Password changed. ${signedOut} other device(s) signed out.` : 'Password changed.');
+      onChanged?.();
+    } catch (err) {
+      const fieldErrors = {};
+      for (const { field, message } of err.errors || []) fieldErrors[field] ??= message;
+      setErrors(Object.keys(fieldErrors).length ? fieldErrors : { form: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const input = (field, label, autoComplete) => (
+    <div>
+      <label className="block text-xs font-medium text-slate-500 mb-1">{label}</label>
+      <input
+        type="password"
+        required
+        autoComplete={autoComplete}
+        value={form[field]}
+        onChange={e => setForm({ ...form, [field]: e.target.value })}
+        className="w-full px-3 py-2 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      />
+      <FieldError message={errors[field]} />
+    </div>
+  );
+
+  if (!open) {
+    return (
+      <div className="space-y-2">
+        {notice && <div className="text-xs text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+        <button
+          onClick={() => {
+            setNotice('');
+            setOpen(true);
+          }}
+          className="w-full flex items-center justify-center gap-2 text-sm text-slate-700 hover:bg-slate-50 py-2 rounded-lg border border-slate-200 transition-colors"
+        >
+          <KeyRound size={16} />
+          Change password
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 border border-slate-100 rounded-lg p-3">
+      {input('currentPassword', 'Current password', 'current-password')}
+      {input('newPassword', 'New password', 'new-password')}
+      {!errors.newPassword && <p className="text-xs text-slate-400 -mt-2">{PASSWORD_HINT}</p>}
+      {input('confirmPassword', 'Repeat new password', 'new-password')}
+      {errors.form && <div className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{errors.form}</div>}
+      <div className="flex gap-2">
+        <button type="button" onClick={close} className="flex-1 py-2 text-sm text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50">
+          Cancel
+        </button>
+        <button type="submit" disabled={saving} className="flex-1 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+          {saving ? 'Saving...' : 'Change password'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
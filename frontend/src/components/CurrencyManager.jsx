@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Trash2, Upload } from 'lucide-react';
+import api from '../api.js';
+import { currencyOptions } from '../currency.js';
+import { formatDate } from '../preferences.js';
+
+// --- CURRENCIES & EXCHANGE RATES MODAL ---
+const CurrencyManager = ({ baseCurrency, onClose, onChanged }) => {
+  const [info, setInfo] = useState({ currencies: [], unconverted: 0 });
+  const [rates, setRates] = useState([]);
+  const [formData, setFormData] = useState(() => ({
+    currency: baseCurrency === 'EUR' ? 'USD' : 'EUR',
+    rate: '',
+    date: new Date().toISOString().slice(0, 10)
+  }));
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(() => (
+    Promise.all([api.fetchCurrencies(), api.fetchRates()])
+      .then(([currencyInfo, rateList]) => {
+        setInfo(currencyInfo);
+        setRates(rateList);
+      })
+      .catch(err => setError(err.message))
+  ), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Every change re-converts transactions, so the dashboard is refreshed afterwards too
+  const run = async (operation) => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await operation();
+      await load();
+      await onChanged();
+      return result || true;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBaseChange = (currency) => {
+    if (!window.confirm(`Show totals in ${currency}? Every transaction will be converted again with your stored rates.`)) return;
+    run(() => api.setBaseCurrency(currency));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => api.addRate({ ...formData, rate: Number(formData.rate) }));
+    if (saved) setFormData({ ...formData, rate: '' });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const content = await file.text();
+    const result = await run(() => api.importRates(content));
+    if (result) {
+      setNotice(`${result.imported} rate(s) imported${result.failed.length ? `, ${result.failed.length} row(s) skipped` : ''}.`);
+    }
+  };
+
+  const options = currencyOptions(baseCurrency, info.currencies);
+  const inputClass = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800">Currencies</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-5">
+          {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+          {notice && <div className="text-sm text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+
+          <label className="block text-sm text-slate-600">
+            Base currency for totals and budgets
+            <select className={`${inputClass} mt-1`} value={baseCurrency} disabled={saving} onChange={e => handleBaseChange(e.target.value)}>
+              {options.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </label>
+          {info.unconverted > 0 && (
+            <p className="text-xs text-amber-700 bg-amber-50 border border-amber-100 rounded-lg px-3 py-2">
+              {info.unconverted} transaction(s) have no rate to {baseCurrency} yet and are left out of the totals.
+            </p>
+          )}
+
+          <form onSubmit={handleAdd} className="border border-slate-100 rounded-xl p-4 bg-slate-50/50 space-y-3">
+            <p className="text-sm font-medium text-slate-700">Add a rate</p>
+            <div className="grid grid-cols-[1fr_1fr_1.2fr] gap-2 items-center text-sm">
+              <select className={inputClass} value={formData.currency} onChange={e => setFormData({ ...formData, currency: e.target.value })}>
+                {options.filter(code => code !== baseCurrency).map(code => <option key={code} value={code}>1 {code} =</option>)}
+              </select>
+              <input required type="number" min="0" step="any" placeholder={`Rate in ${baseCurrency}`} className={inputClass}
+                value={formData.rate} onChange={e => setFormData({ ...formData, rate: e.target.value })} />
+              <input required type="date" className={inputClass}
+                value={formData.date} onChange={e => setFormData({ ...formData, date: e.target.value })} />
+            </div>
+            <div className="flex justify-between items-center">
+              <label className="text-xs text-indigo-600 hover:underline cursor-pointer flex items-center gap-1">
+                <Upload size={12} /> Import CSV (date, currency, rate)
+                <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleImport} disabled={saving} />
+              </label>
+              <button type="submit" disabled={saving} className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg flex items-center gap-1 disabled:opacity-70">
+                <Plus size={14} /> Add
+              </button>
+            </div>
+          </form>
+
+          <div className="divide-y divide-slate-50 text-sm">
+            {rates.length === 0 ? (
+              <p className="py-4 text-center text-slate-400">No exchange rates yet.</p>
+            ) : rates.map(rate => (
+              <div key={rate._id} className="py-2 flex items-center justify-between group">
+                <span className="text-slate-700">1 {rate.currency} = {rate.rate} {rate.quote}</span>
+                <div className="flex items-center gap-3">
+                  <span className="text-xs text-slate-400">{formatDate(rate.date, { timeZone: 'UTC' })}</span>
+                  <button onClick={() => run(() => api.deleteRate(rate._id))} className="text-slate-300 hover:text-red-500" title="Delete">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CurrencyManager;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import api from '../api.js';
+import { FieldError } from './ui.jsx';
+
+const EMPTY_FORM = { currentPassword: '', code: '', confirmation: '' };
+const CONFIRMATION = 'DELETE';
+
+// --- DELETE ACCOUNT ---
+// Part of the profile modal. Deleting takes every personal transaction with it, so it asks for the
+// password (and a two-factor code when that is on) and for DELETE typed out. `onDeleted` gets the
+// number of transactions removed.
+const DeleteAccountForm = ({ twoFactorEnabled, onDeleted }) => {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [deleting, setDeleting] = useState(false);
+
+  const close = () => {
+    setOpen(false);
+    setForm(EMPTY_FORM);
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setErrors({});
+    try {
+      const { transactions } = await api.closeAccount({
+        currentPassword: form.currentPassword,
+        ...(twoFactorEnabled ? { code: form.code } : {})
+      });
+      onDeleted(transactions);
+    } catch (err) {
+      const fieldErrors = {};
+      for (const { field, message } of err.errors || []) fieldErrors[field] ??= message;
+      setErrors(Object.keys(fieldErrors).length ? fieldErrors : { form: err.message });
+      setDeleting(false);
+    }
+  };
+
+  const input = (field, label, props) => (
+    <div>
+      <label className="block text-xs font-medium text-slate-500 mb-1">{label}</label>
+      <input
+        required
+        value={form[field]}
+        onChange={e => setForm({ ...form, [field]: e.target.value })}
+        className="w-full px-3 py-2 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+        {...props}
+      />
+      <FieldError message={errors[field]} />
+    </div>
+  );
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="w-full flex items-center justify-center gap-2 text-sm text-red-600 hover:bg-red-50 py-2 rounded-lg transition-colors"
+      >
+        <Trash2 size={16} />
+        Delete account
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 border border-red-100 bg-red-50/40 rounded-lg p-3">
+      <p className="text-xs text-red-700">
+        This deletes your account, all of your personal transactions and receipts, categories, budgets and
+        ledgers nobody else is in. Transactions you added to ledgers shared with others stay there for the
+        other members. It can't be undone.
+      </p>
+      {input('currentPassword', 'Password', { type: 'password', autoComplete: 'current-password' })}
+      {twoFactorEnabled && input('code', 'Code from your app, or a backup code', { autoComplete: 'one-time-code', placeholder: '123456' })}
+      {input('confirmation', `Type ${CONFIRMATION} to confirm`, { autoComplete: 'off' })}
+      {errors.form && <div className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{errors.form}</div>}
+      <div className="flex gap-2">
+        <button type="button" onClick={close} className="flex-1 py-2 text-sm text-slate-600 rounded-lg border border-slate-200 bg-white hover:bg-slate-50">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={deleting || form.confirmation !== CONFIRMATION}
+          className="flex-1 py-2 text-sm text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+        >
+          {deleting ? 'Deleting...' : 'Delete for good'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DeleteAccountForm;
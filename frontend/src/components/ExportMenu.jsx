@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Download, FileText, FileJson, Printer } from 'lucide-react';
+import api from '../api.js';
+
+const EXPORT_OPTIONS = [
+  { format: 'csv', label: 'CSV file', icon: <FileText size={14} className="text-slate-400" /> },
+  { format: 'json', label: 'JSON file', icon: <FileJson size={14} className="text-slate-400" /> },
+  { format: 'html', label: 'Printable statement', icon: <Printer size={14} className="text-slate-400" /> }
+];
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// --- EXPORT MENU ---
+// Exports whatever the dashboard is filtered to. `label` names the period on the statement.
+const ExportMenu = ({ params, label }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    // Open the statement tab straight from the click so popup blockers allow it
+    const statementWindow = format === 'html' ? window.open('', '_blank') : null;
+    setBusy(true);
+    try {
+      const blob = await api.exportExpenses({ ...params, format, label });
+      if (statementWindow) {
+        statementWindow.location.href = URL.createObjectURL(blob);
+      } else {
+        downloadBlob(blob, `transactions-${new Date().toISOString().slice(0, 10)}.${format}`);
+      }
+    } catch (err) {
+      statementWindow?.close();
+      alert(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="relative shrink-0">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={busy}
+        className="text-slate-400 hover:text-indigo-600 p-1.5 rounded-md hover:bg-indigo-50 transition-colors disabled:opacity-50"
+        title="Export"
+      >
+        <Download size={16} />
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 mt-1 w-52 bg-white border border-slate-100 rounded-lg shadow-lg z-20 py-1">
+            {EXPORT_OPTIONS.map(option => (
+              <button
+                key={option.format}
+                onClick={() => handleExport(option.format)}
+                className="w-full flex items-center gap-2 px-3 py-2 text-sm text-slate-600 hover:bg-slate-50 text-left"
+              >
+                {option.icon}
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
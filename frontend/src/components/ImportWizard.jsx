@@ -0,0 +1,301 @@
+import React, { useState } from 'react';
+import { X, Upload, AlertTriangle, CheckCircle2, Wand2 } from 'lucide-react';
+import api from '../api.js';
+import { formatMoney } from '../currency.js';
+import { formatDate } from '../preferences.js';
+
+// Fields a CSV column can be mapped to. Either amount or debit/credit is needed.
+const MAPPABLE_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'title', label: 'Title / Description', required: true },
+  { key: 'amount', label: 'Amount (signed)' },
+  { key: 'debit', label: 'Debit (money out)' },
+  { key: 'credit', label: 'Credit (money in)' },
+  { key: 'type', label: 'Type' },
+  { key: 'category', label: 'Category' },
+  { key: 'currency', label: 'Currency' }
+];
+
+const DATE_FORMAT_LABELS = { ymd: 'YYYY-MM-DD', dmy: 'DD/MM/YYYY', mdy: 'MM/DD/YYYY' };
+
+const defaultOptions = { hasHeader: true, dateFormat: 'ymd', decimalSeparator: '.', invertSign: false };
+
+// --- STATEMENT IMPORT WIZARD ---
+// upload → map columns (CSV) or pick defaults (OFX/QIF) → review parsed rows → done
+const ImportWizard = ({ categories, accounts = [], onClose, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [content, setContent] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [options, setOptions] = useState(defaultOptions);
+  const [defaultCategory, setDefaultCategory] = useState('');
+  const [accountId, setAccountId] = useState('');
+  const [rows, setRows] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const withBusy = async (operation) => {
+    setBusy(true);
+    setError('');
+    try {
+      await operation();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    withBusy(async () => {
+      const text = await file.text();
+      // First pass without a mapping: the server detects the format and, for CSV, suggests a mapping
+      const preview = await api.previewImport({ content: text, options });
+      setFileName(file.name);
+      setContent(text);
+      setFormat(preview.format);
+      // QIF dates are usually written month first
+      if (preview.format === 'qif') setOptions({ ...options, dateFormat: 'mdy' });
+      setColumns(preview.columns);
+      setMapping(preview.mapping || {});
+      setStep('map');
+    });
+  };
+
+  const handlePreview = () => withBusy(async () => {
+    const preview = await api.previewImport({
+      content,
+      mapping: isCsv ? mapping : undefined,
+      options: { ...options, format },
+      defaultCategory: defaultCategory || undefined
+    });
+    setColumns(preview.columns);
+    setRows(preview.rows);
+    // Likely duplicates and rows with errors start unticked
+    setSelected(new Set(preview.rows.filter(r => !r.errors.length && !r.duplicate).map(r => r.index)));
+    setStep('review');
+  });
+
+  const handleCommit = () => withBusy(async () => {
+    const chosen = rows
+      .filter(r => selected.has(r.index))
+      .map(({ index, title, amount, currency, date, type, category, payee, tags, externalId }) => ({ index, title, amount, currency, date, type, category, payee, tags, externalId }));
+    setResult(await api.commitImport(chosen, { accountId: accountId || undefined }));
+    setStep('done');
+    onImported();
+  });
+
+  const toggleRow = (index) => {
+    const next = new Set(selected);
+    if (next.has(index)) next.delete(index);
+    else next.add(index);
+    setSelected(next);
+  };
+
+  const hasAmount = mapping.amount !== undefined || mapping.debit !== undefined || mapping.credit !== undefined;
+  const isCsv = format === 'csv';
+  const canPreview = !isCsv || (mapping.date !== undefined && mapping.title !== undefined && hasAmount);
+  const selectClass = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-4xl overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <div>
+            <h3 className="font-bold text-lg text-slate-800">Import Transactions</h3>
+            {fileName && <p className="text-xs text-slate-500">{fileName}</p>}
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-4">
+          {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+
+          {step === 'upload' && (
+            <label className="block border-2 border-dashed border-slate-200 hover:border-indigo-300 rounded-xl p-10 text-center cursor-pointer transition-colors">
+              <Upload className="mx-auto text-slate-300 mb-3" size={36} />
+              <p className="text-slate-600 font-medium">{busy ? 'Reading file...' : 'Choose a bank statement'}</p>
+              <p className="text-xs text-slate-400 mt-1">CSV, OFX, QFX or QIF. CSV columns can be mapped on the next step.</p>
+              <input type="file" accept=".csv,.ofx,.qfx,.qif,text/csv" className="hidden" onChange={handleFile} disabled={busy} />
+            </label>
+          )}
+
+          {step === 'map' && (
+            <div className="space-y-4">
+              {!isCsv && (
+                <p className="text-sm text-slate-600">
+                  Read as a <strong>{format.toUpperCase()}</strong> statement. Money out becomes an expense and money in becomes income.
+                </p>
+              )}
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {isCsv && MAPPABLE_FIELDS.map(field => (
+                  <label key={field.key} className="text-xs text-slate-500">
+                    {field.label}{field.required && ' *'}
+                    <select
+                      className={selectClass}
+                      value={mapping[field.key] ?? ''}
+                      onChange={e => {
+                        const next = { ...mapping };
+                        if (e.target.value === '') delete next[field.key];
+                        else next[field.key] = Number(e.target.value);
+                        setMapping(next);
+                      }}
+                    >
+                      <option value="">— not in file —</option>
+                      {columns.map((name, i) => <option key={i} value={i}>{name || `Column ${i + 1}`}</option>)}
+                    </select>
+                  </label>
+                ))}
+                <label className="text-xs text-slate-500">
+                  Category for rows without a known one
+                  <select className={selectClass} value={defaultCategory} onChange={e => setDefaultCategory(e.target.value)}>
+                    <option value="">— leave as errors —</option>
+                    {categories.map(c => <option key={c._id} value={c.name}>{c.name}</option>)}
+                  </select>
+                </label>
+                {accounts.length > 0 && (
+                  <label className="text-xs text-slate-500">
+                    Account the statement belongs to
+                    <select className={selectClass} value={accountId} onChange={e => setAccountId(e.target.value)}>
+                      <option value="">— none —</option>
+                      {accounts.map(a => <option key={a._id} value={a._id}>{a.name}</option>)}
+                    </select>
+                  </label>
+                )}
+              </div>
+
+              {format !== 'ofx' && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 border-t border-slate-100 pt-4">
+                  <label className="text-xs text-slate-500">
+                    Date format
+                    <select className={selectClass} value={options.dateFormat} onChange={e => setOptions({ ...options, dateFormat: e.target.value })}>
+                      {Object.entries(DATE_FORMAT_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                  </label>
+                  <label className="text-xs text-slate-500">
+                    Decimal separator
+                    <select className={selectClass} value={options.decimalSeparator} onChange={e => setOptions({ ...options, decimalSeparator: e.target.value })}>
+                      <option value=".">Point (1,234.56)</option>
+                      <option value=",">Comma (1.234,56)</option>
+                    </select>
+                  </label>
+                  {isCsv && (
+                    <label className="flex items-center gap-2 text-sm text-slate-600">
+                      <input type="checkbox" checked={options.hasHeader} onChange={e => setOptions({ ...options, hasHeader: e.target.checked })} />
+                      First row is a header
+                    </label>
+                  )}
+                  {isCsv && (
+                    <label className="flex items-center gap-2 text-sm text-slate-600">
+                      <input type="checkbox" checked={options.invertSign} onChange={e => setOptions({ ...options, invertSign: e.target.checked })} />
+                      Positive amounts are spending
+                    </label>
+                  )}
+                </div>
+              )}
+
+              <div className="flex justify-end gap-2">
+                <button onClick={() => setStep('upload')} className="px-3 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg">Back</button>
+                <button
+                  onClick={handlePreview}
+                  disabled={!canPreview || busy}
+                  className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg disabled:opacity-60"
+                >
+                  {busy ? 'Reading...' : 'Preview'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'review' && (
+            <div className="space-y-3">
+              <p className="text-sm text-slate-600">
+                {rows.length} row(s) read. Rows with errors can't be imported; possible duplicates are unticked.
+              </p>
+              <div className="border border-slate-100 rounded-xl overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-50 text-xs text-slate-500 text-left">
+                    <tr>
+                      <th className="p-2 w-8" />
+                      <th className="p-2">Date</th>
+                      <th className="p-2">Title</th>
+                      <th className="p-2">Category</th>
+                      <th className="p-2">Type</th>
+                      <th className="p-2 text-right">Amount</th>
+                      <th className="p-2">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-50">
+                    {rows.map(row => (
+                      <tr key={row.index} className={row.errors.length ? 'bg-red-50/40 text-slate-400' : row.duplicate ? 'bg-amber-50/60' : ''}>
+                        <td className="p-2">
+                          <input type="checkbox" disabled={row.errors.length > 0} checked={selected.has(row.index)} onChange={() => toggleRow(row.index)} />
+                        </td>
+                        <td className="p-2 whitespace-nowrap">{row.date ? formatDate(row.date) : '—'}</td>
+                        <td className="p-2">{row.title || '—'}</td>
+                        <td className="p-2">
+                          {row.category || '—'}
+                          {row.rules && (
+                            <span className="ml-1 inline-flex text-indigo-400 align-middle" title={`Set by rule: ${row.rules.join(', ')}`}>
+                              <Wand2 size={12} />
+                            </span>
+                          )}
+                          {row.tags?.length > 0 && <span className="block text-xs text-indigo-500">{row.tags.map(tag => `#${tag}`).join(' ')}</span>}
+                        </td>
+                        <td className="p-2 capitalize">{row.type}</td>
+                        <td className="p-2 text-right whitespace-nowrap">{row.amount ? (row.currency ? formatMoney(row.amount, row.currency) : row.amount.toFixed(2)) : '—'}</td>
+                        <td className="p-2 text-xs">
+                          {row.errors.length > 0 ? (
+                            <span className="text-red-600">{row.errors.join(', ')}</span>
+                          ) : row.duplicate ? (
+                            <span className="text-amber-600 flex items-center gap-1"><AlertTriangle size={12} /> Possible duplicate</span>
+                          ) : (
+                            <span className="text-green-600">Ready</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex justify-end gap-2">
+                <button onClick={() => setStep('map')} className="px-3 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg">Back</button>
+                <button
+                  onClick={handleCommit}
+                  disabled={!selected.size || busy}
+                  className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg disabled:opacity-60"
+                >
+                  {busy ? 'Importing...' : `Import ${selected.size} row(s)`}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'done' && result && (
+            <div className="text-center py-6 space-y-3">
+              <CheckCircle2 className="mx-auto text-green-500" size={40} />
+              <p className="font-semibold text-slate-800">{result.created} transaction(s) imported</p>
+              {result.failed.length > 0 && (
+                <div className="text-left text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg p-3 space-y-1">
+                  <p className="font-medium">{result.failed.length} row(s) were not imported:</p>
+                  {result.failed.map(f => <p key={f.index}>Row {f.index + 1}: {f.error}</p>)}
+                </div>
+              )}
+              <button onClick={onClose} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg">Done</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
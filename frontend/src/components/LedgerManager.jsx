@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Trash2, Copy, LogOut, Users } from 'lucide-react';
+import api from '../api.js';
+import { formatDate } from '../preferences.js';
+
+const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+
+// --- SHARED LEDGERS MODAL ---
+// Create ledgers, join one with an invite code, and for the ones you own manage members and invites.
+// `onChanged` reloads the ledger list, `onSwitch` makes a ledger the active one.
+const LedgerManager = ({ ledgers, activeId, userId, onSwitch, onClose, onChanged }) => {
+  const [selectedId, setSelectedId] = useState(activeId || ledgers[0]?._id || '');
+  const [invites, setInvites] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [joinToken, setJoinToken] = useState('');
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'editor' });
+  // The last invite created, the only time its token can be seen
+  const [issued, setIssued] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const selected = ledgers.find(l => l._id === selectedId) || null;
+  const isOwner = selected?.role === 'owner';
+
+  // Only owners see invites
+  const loadInvites = useCallback(() => (
+    selectedId && isOwner
+      ? api.fetchLedgerInvites(selectedId).then(setInvites).catch(err => setError(err.message))
+      : Promise.resolve()
+  ), [selectedId, isOwner]);
+
+  const select = (id) => {
+    setSelectedId(id);
+    setIssued(null);
+  };
+
+  useEffect(() => {
+    loadInvites();
+  }, [loadInvites]);
+
+  const run = async (operation) => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await operation();
+      await onChanged();
+      await loadInvites();
+      return result || true;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await run(() => api.addLedger({ name: newName.trim() }));
+    if (created) {
+      setNewName('');
+      select(created._id);
+      onSwitch(created._id);
+    }
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    const joined = await run(() => api.joinLedger(joinToken.trim()));
+    if (joined) {
+      setJoinToken('');
+      select(joined._id);
+      setNotice(`You joined "${joined.name}" as ${ROLE_LABELS[joined.role].toLowerCase()}.`);
+      onSwitch(joined._id);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const invite = await run(() => api.inviteToLedger(selectedId, inviteForm));
+    if (invite) {
+      setIssued(invite);
+      setInviteForm({ ...inviteForm, email: '' });
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(issued.token);
+      setNotice('Invite code copied.');
+    } catch {
+      setError('Copy failed, select the code and copy it by hand.');
+    }
+  };
+
+  const handleRename = () => {
+    const name = window.prompt('Rename ledger', selected.name);
+    if (name && name.trim() && name.trim() !== selected.name) run(() => api.updateLedger(selected._id, { name: name.trim() }));
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${selected.name}"? Only an empty ledger can be deleted.`)) return;
+    const deleted = await run(() => api.deleteLedger(selected._id));
+    if (deleted) {
+      if (activeId === selected._id) onSwitch('');
+      select('');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.userId === userId;
+    if (!window.confirm(leaving ? `Leave "${selected.name}"?` : `Remove ${member.name} from "${selected.name}"?`)) return;
+    const removed = await run(() => api.removeLedgerMember(selected._id, member.userId));
+    if (removed && leaving) {
+      if (activeId === selected._id) onSwitch('');
+      select('');
+    }
+  };
+
+  const handleRoleChange = (member, role) => {
+    if (role === 'owner' && !window.confirm(`Make ${member.name} the owner? You will become an editor.`)) return;
+    run(() => api.updateLedgerMember(selected._id, member.userId, role));
+  };
+
+  const inputClass = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+  const openInvites = invites.filter(invite => !invite.acceptedAt && new Date(invite.expiresAt) > new Date());
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800">Shared ledgers</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="flex flex-col md:flex-row min-h-0 flex-1">
+          <div className="md:w-64 border-b md:border-b-0 md:border-r border-slate-100 p-4 space-y-4 overflow-y-auto">
+            <div className="divide-y divide-slate-50 text-sm">
+              {ledgers.length === 0 ? (
+                <p className="py-2 text-slate-400">No shared ledgers yet. Create one for your household, or join one with an invite code.</p>
+              ) : ledgers.map(ledger => (
+                <button
+                  key={ledger._id}
+                  onClick={() => select(ledger._id)}
+                  className={`w-full py-2 text-left flex items-center justify-between gap-2 ${selectedId === ledger._id ? 'text-indigo-600' : 'text-slate-700'}`}
+                >
+                  <span className="truncate font-medium">{ledger.name}</span>
+                  <span className="text-xs text-slate-400 shrink-0">{ROLE_LABELS[ledger.role]}</span>
+                </button>
+              ))}
+            </div>
+
+            <form onSubmit={handleCreate} className="space-y-2">
+              <input required maxLength={60} placeholder="New ledger, e.g. Household" className={inputClass}
+                value={newName} onChange={e => setNewName(e.target.value)} />
+              <button type="submit" disabled={saving} className="w-full px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg flex items-center justify-center gap-1 disabled:opacity-70">
+                <Plus size={14} /> Create
+              </button>
+            </form>
+
+            <form onSubmit={handleJoin} className="space-y-2">
+              <input required placeholder="Invite code" className={`${inputClass} font-mono`}
+                value={joinToken} onChange={e => setJoinToken(e.target.value)} />
+              <button type="submit" disabled={saving} className="w-full px-3 py-1.5 text-sm font-medium text-indigo-600 border border-indigo-200 hover:bg-indigo-50 rounded-lg disabled:opacity-70">
+                Join
+              </button>
+            </form>
+          </div>
+
+          <div className="flex-1 p-4 overflow-y-auto space-y-5">
+            {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+            {notice && <div className="text-sm text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+
+            {!selected ? (
+              <div className="h-full flex flex-col items-center justify-center text-slate-400 gap-2 text-sm py-12">
+                <Users size={32} />
+                Pick a ledger to see its members.
+              </div>
+            ) : (
+              <>
+                <div className="flex items-center justify-between gap-2">
+                  <div>
+                    <p className="font-semibold text-slate-800">{selected.name}</p>
+                    <p className="text-xs text-slate-400">Totals in {selected.baseCurrency}</p>
+                  </div>
+                  <div className="flex items-center gap-3 text-sm">
+                    {activeId !== selected._id && (
+                      <button onClick={() => onSwitch(selected._id)} className="text-indigo-600 hover:underline">Open</button>
+                    )}
+                    {isOwner && <button onClick={handleRename} disabled={saving} className="text-slate-500 hover:underline">Rename</button>}
+                    {isOwner && (
+                      <button onClick={handleDelete} disabled={saving} className="text-slate-300 hover:text-red-500" title="Delete ledger">
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div className="divide-y divide-slate-50 text-sm">
+                  {selected.members.map(member => (
+                    <div key={member.userId} className="py-2 flex items-center justify-between gap-2">
+                      <div className="min-w-0">
+                        <p className="text-slate-700 truncate">{member.name}{member.userId === userId && ' (you)'}</p>
+                        {member.email && <p className="text-xs text-slate-400 truncate">{member.email}</p>}
+                      </div>
+                      <div className="flex items-center gap-2 shrink-0">
+                        {isOwner && member.userId !== userId ? (
+                          <select
+                            value={member.role}
+                            disabled={saving}
+                            onChange={e => handleRoleChange(member, e.target.value)}
+                            className="bg-slate-50 border-none text-xs text-slate-600 rounded-md py-1 pl-2 pr-7 focus:ring-2 focus:ring-indigo-500"
+                          >
+                            {Object.entries(ROLE_LABELS).map(([role, label]) => <option key={role} value={role}>{label}</option>)}
+                          </select>
+                        ) : (
+                          <span className="text-xs text-slate-500 bg-slate-100 px-2 py-0.5 rounded">{ROLE_LABELS[member.role]}</span>
+                        )}
+                        {member.userId === userId ? (
+                          member.role !== 'owner' && (
+                            <button onClick={() => handleRemove(member)} disabled={saving} className="text-slate-300 hover:text-red-500" title="Leave ledger">
+                              <LogOut size={14} />
+                            </button>
+                          )
+                        ) : isOwner && (
+                          <button onClick={() => handleRemove(member)} disabled={saving} className="text-slate-300 hover:text-red-500" title="Remove member">
+                            <Trash2 size={14} />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                {isOwner && (
+                  <form onSubmit={handleInvite} className="border border-slate-100 rounded-xl p-4 bg-slate-50/50 space-y-3">
+                    <p className="text-sm font-medium text-slate-700">Invite someone</p>
+                    <div className="grid grid-cols-[1fr_auto] gap-2">
+                      <input required type="email" placeholder="Their email address" className={inputClass}
+                        value={inviteForm.email} onChange={e => setInviteForm({ ...inviteForm, email: e.target.value })} />
+                      <select className={inputClass} value={inviteForm.role} onChange={e => setInviteForm({ ...inviteForm, role: e.target.value })}>
+                        <option value="editor">Editor</option>
+                        <option value="viewer">Viewer</option>
+                      </select>
+                    </div>
+                    <div className="flex justify-end">
+                      <button type="submit" disabled={saving} className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg flex items-center gap-1 disabled:opacity-70">
+                        <Plus size={14} /> Create invite code
+                      </button>
+                    </div>
+                    {issued && (
+                      <div className="text-xs text-slate-600 space-y-1">
+                        <p>Send this code to {issued.email}. They sign in with that address and enter it under Join. It works once, within 7 days, and won't be shown again.</p>
+                        <div className="flex items-center gap-2">
+                          <code className="flex-1 bg-white border border-slate-200 rounded px-2 py-1 break-all select-all">{issued.token}</code>
+                          <button type="button" onClick={handleCopy} className="text-indigo-600 hover:text-indigo-800" title="Copy">
+                            <Copy size={16} />
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </form>
+                )}
+
+                {isOwner && openInvites.length > 0 && (
+                  <div className="text-sm">
+                    <p className="text-xs font-medium text-slate-500 mb-1">Open invites</p>
+                    <div className="divide-y divide-slate-50">
+                      {openInvites.map(invite => (
+                        <div key={invite._id} className="py-2 flex items-center justify-between gap-2">
+                          <span className="text-slate-700 truncate">{invite.email} · {ROLE_LABELS[invite.role]}</span>
+                          <div className="flex items-center gap-3 shrink-0">
+                            <span className="text-xs text-slate-400">until {formatDate(invite.expiresAt)}</span>
+                            <button onClick={() => run(() => api.deleteLedgerInvite(selected._id, invite._id))} disabled={saving} className="text-slate-300 hover:text-red-500" title="Withdraw">
+                              <Trash2 size={14} />
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LedgerManager;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { TabButton } from './ui.jsx';
+import { MONTH_NAMES, formatDay, formatPeriodLabel, shiftPeriod } from '../period.js';
+
+const RANGE_TABS = [
+  { range: 'day', label: 'Daily' },
+  { range: 'week', label: 'Weekly' },
+  { range: 'month', label: 'Monthly' },
+  { range: 'year', label: 'Yearly' },
+  { range: 'custom', label: 'Custom' },
+  { range: 'all', label: 'All Time' }
+];
+
+// Range tabs plus previous/next navigation, a from–to picker for custom ranges
+// and the fiscal-year start month for yearly views
+const PeriodSelector = ({ period, fiscalStart, weekStart, onChange, onFiscalStartChange }) => {
+  const selectRange = (range) => {
+    if (range === period.range) return;
+    if (range === 'custom') {
+      // Seed the custom range with today so both inputs have a sensible value
+      const today = formatDay(new Date());
+      onChange({ ...period, range, from: period.from || today, to: period.to || today });
+    } else {
+      onChange({ ...period, range });
+    }
+  };
+
+  const canShift = period.range !== 'all' && (period.range !== 'custom' || (period.from && period.to));
+  const inputClass = "bg-indigo-500 border border-indigo-400 text-white text-sm rounded-md px-2 py-1 focus:ring-2 focus:ring-white outline-none";
+
+  return (
+    <div className="max-w-5xl mx-auto mt-6 space-y-3">
+      <div className="flex justify-center md:justify-start gap-2 overflow-x-auto">
+        {RANGE_TABS.map(tab => (
+          <TabButton key={tab.range} active={period.range === tab.range} onClick={() => selectRange(tab.range)}>
+            {tab.label}
+          </TabButton>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center md:justify-start gap-3">
+        {canShift && (
+          <button
+            onClick={() => onChange(shiftPeriod(period, -1))}
+            className="p-1.5 rounded-full bg-indigo-700 hover:bg-indigo-800 border border-indigo-500 transition-colors"
+            aria-label="Previous period"
+          >
+            <ChevronLeft size={16} />
+          </button>
+        )}
+        <span className="text-sm font-medium min-w-[10rem] text-center">{formatPeriodLabel(period, fiscalStart, weekStart)}</span>
+        {canShift && (
+          <button
+            onClick={() => onChange(shiftPeriod(period, 1))}
+            className="p-1.5 rounded-full bg-indigo-700 hover:bg-indigo-800 border border-indigo-500 transition-colors"
+            aria-label="Next period"
+          >
+            <ChevronRight size={16} />
+          </button>
+        )}
+
+        {period.range === 'custom' && (
+          <div className="flex items-center gap-2 text-sm">
+            <input
+              type="date"
+              className={inputClass}
+              value={period.from || ''}
+              max={period.to || undefined}
+              onChange={e => onChange({ ...period, from: e.target.value || undefined })}
+            />
+            <span className="text-indigo-200">to</span>
+            <input
+              type="date"
+              className={inputClass}
+              value={period.to || ''}
+              min={period.from || undefined}
+              onChange={e => onChange({ ...period, to: e.target.value || undefined })}
+            />
+          </div>
+        )}
+
+        {period.range === 'year' && (
+          <label className="flex items-center gap-2 text-xs text-indigo-200">
+            Year starts in
+            <select
+              className={inputClass}
+              value={fiscalStart}
+              onChange={e => onFiscalStartChange(Number(e.target.value))}
+            >
+              {MONTH_NAMES.map((name, i) => <option key={name} value={i + 1}>{name}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PeriodSelector;
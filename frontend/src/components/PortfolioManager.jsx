@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Trash2, Upload } from 'lucide-react';
+import api from '../api.js';
+import { currencyOptions, formatMoney } from '../currency.js';
+import { formatDate, getLocale } from '../preferences.js';
+
+const METHOD_LABELS = { fifo: 'FIFO (oldest units sold first)', average: 'Average cost' };
+
+const formatQuantity = (value) => Number(value).toLocaleString(getLocale(), { maximumFractionDigits: 8 });
+
+const gainClass = (value) => {
+  if (value === null || value === undefined) return 'text-slate-400';
+  return value < 0 ? 'text-red-600' : 'text-green-600';
+};
+
+// --- PORTFOLIO & PRICES MODAL ---
+// Holdings come from investment (buy) and withdrawal (sell) transactions that name an instrument
+const PortfolioManager = ({ baseCurrency, onClose }) => {
+  const [portfolio, setPortfolio] = useState({ method: 'fifo', holdings: [], totals: {} });
+  const [instruments, setInstruments] = useState([]);
+  const [prices, setPrices] = useState([]);
+  const [formData, setFormData] = useState(() => ({
+    instrument: '',
+    price: '',
+    currency: baseCurrency,
+    date: new Date().toISOString().slice(0, 10)
+  }));
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(() => (
+    Promise.all([api.fetchHoldings(), api.fetchInstruments(), api.fetchPrices()])
+      .then(([holdings, instrumentList, priceList]) => {
+        setPortfolio(holdings);
+        setInstruments(instrumentList);
+        setPrices(priceList);
+      })
+      .catch(err => setError(err.message))
+  ), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (operation) => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await operation();
+      await load();
+      return result || true;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const saved = await run(() => api.addPrice({ ...formData, price: Number(formData.price) }));
+    if (saved) setFormData({ ...formData, price: '' });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const content = await file.text();
+    const result = await run(() => api.importPrices(content));
+    if (result) {
+      setNotice(`${result.imported} price(s) imported${result.failed.length ? `, ${result.failed.length} row(s) skipped` : ''}.`);
+    }
+  };
+
+  const { holdings, totals } = portfolio;
+  const inputClass = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-3xl overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800">Portfolio</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-5">
+          {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+          {notice && <div className="text-sm text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+            <div className="border border-slate-100 rounded-xl p-3">
+              <p className="text-xs text-slate-500">Cost basis</p>
+              <p className="font-bold text-slate-800">{formatMoney(totals.costBasis, baseCurrency)}</p>
+            </div>
+            <div className="border border-slate-100 rounded-xl p-3">
+              <p className="text-xs text-slate-500">Market value</p>
+              <p className="font-bold text-slate-800">{formatMoney(totals.marketValue, baseCurrency)}</p>
+            </div>
+            <div className="border border-slate-100 rounded-xl p-3">
+              <p className="text-xs text-slate-500">Unrealized gain</p>
+              <p className={`font-bold ${gainClass(totals.unrealizedGain)}`}>{formatMoney(totals.unrealizedGain, baseCurrency)}</p>
+            </div>
+            <div className="border border-slate-100 rounded-xl p-3">
+              <p className="text-xs text-slate-500">Realized gain</p>
+              <p className={`font-bold ${gainClass(totals.realizedGain)}`}>{formatMoney(totals.realizedGain, baseCurrency)}</p>
+            </div>
+          </div>
+          {totals.unpriced > 0 && (
+            <p className="text-xs text-amber-700 bg-amber-50 border border-amber-100 rounded-lg px-3 py-2">
+              {totals.unpriced} holding(s) have no price yet and are left out of the market value.
+            </p>
+          )}
+
+          <label className="block text-sm text-slate-600">
+            Cost of units sold
+            <select
+              className={`${inputClass} mt-1`}
+              value={portfolio.method}
+              disabled={saving}
+              onChange={e => run(() => api.setCostMethod(e.target.value))}
+            >
+              {Object.entries(METHOD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+
+          <div className="overflow-x-auto">
+            {holdings.length === 0 ? (
+              <p className="py-4 text-center text-sm text-slate-400">
+                No holdings yet. Give an investment an instrument and quantity to start tracking it.
+              </p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-slate-500 border-b border-slate-100">
+                    <th className="py-2 text-left font-medium">Instrument</th>
+                    <th className="py-2 text-right font-medium">Units</th>
+                    <th className="py-2 text-right font-medium">Avg. cost</th>
+                    <th className="py-2 text-right font-medium">Price</th>
+                    <th className="py-2 text-right font-medium">Value</th>
+                    <th className="py-2 text-right font-medium">Unrealized</th>
+                    <th className="py-2 text-right font-medium">Realized</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-50">
+                  {holdings.map(h => (
+                    <tr key={h.instrument} className={h.quantity > 0 ? '' : 'text-slate-400'}>
+                      <td className="py-2 font-medium">
+                        {h.instrument}
+                        {h.oversold > 0 && <span className="block text-xs text-amber-600">{formatQuantity(h.oversold)} more sold than bought</span>}
+                      </td>
+                      <td className="py-2 text-right">{h.quantity > 0 ? formatQuantity(h.quantity) : 'Closed'}</td>
+                      <td className="py-2 text-right">{h.averageCost === null ? '—' : formatMoney(h.averageCost, baseCurrency)}</td>
+                      <td className="py-2 text-right">{h.price ? formatMoney(h.price.price, h.price.currency) : '—'}</td>
+                      <td className="py-2 text-right">{h.marketValue === null ? '—' : formatMoney(h.marketValue, baseCurrency)}</td>
+                      <td className={`py-2 text-right ${gainClass(h.unrealizedGain)}`}>
+                        {h.unrealizedGain === null ? '—' : formatMoney(h.unrealizedGain, baseCurrency)}
+                      </td>
+                      <td className={`py-2 text-right ${gainClass(h.realizedGain)}`}>{formatMoney(h.realizedGain, baseCurrency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <form onSubmit={handleAdd} className="border border-slate-100 rounded-xl p-4 bg-slate-50/50 space-y-3">
+            <p className="text-sm font-medium text-slate-700">Add a price</p>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 items-center text-sm">
+              <input required type="text" list="portfolio-instruments" placeholder="Instrument, e.g. AAPL" className={inputClass}
+                value={formData.instrument} onChange={e => setFormData({ ...formData, instrument: e.target.value.toUpperCase() })} />
+              <datalist id="portfolio-instruments">
+                {instruments.map(code => <option key={code} value={code} />)}
+              </datalist>
+              <input required type="number" min="0" step="any" placeholder="Price per unit" className={inputClass}
+                value={formData.price} onChange={e => setFormData({ ...formData, price: e.target.value })} />
+              <select className={inputClass} value={formData.currency} onChange={e => setFormData({ ...formData, currency: e.target.value })}>
+                {currencyOptions(baseCurrency).map(code => <option key={code} value={code}>{code}</option>)}
+              </select>
+              <input required type="date" className={inputClass}
+                value={formData.date} onChange={e => setFormData({ ...formData, date: e.target.value })} />
+            </div>
+            <div className="flex justify-between items-center">
+              <label className="text-xs text-indigo-600 hover:underline cursor-pointer flex items-center gap-1">
+                <Upload size={12} /> Import CSV (date, instrument, price, currency)
+                <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleImport} disabled={saving} />
+              </label>
+              <button type="submit" disabled={saving} className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg flex items-center gap-1 disabled:opacity-70">
+                <Plus size={14} /> Add
+              </button>
+            </div>
+          </form>
+
+          <div className="divide-y divide-slate-50 text-sm">
+            {prices.length === 0 ? (
+              <p className="py-4 text-center text-slate-400">No prices yet.</p>
+            ) : prices.map(price => (
+              <div key={price._id} className="py-2 flex items-center justify-between group">
+                <span className="text-slate-700">{price.instrument} = {formatMoney(price.price, price.currency)}</span>
+                <div className="flex items-center gap-3">
+                  <span className="text-xs text-slate-400">{formatDate(price.date, { timeZone: 'UTC' })}</span>
+                  <button onClick={() => run(() => api.deletePrice(price._id))} className="text-slate-300 hover:text-red-500" title="Delete">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PortfolioManager;
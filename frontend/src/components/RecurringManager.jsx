@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Pencil, Trash2, Pause, Play, SkipForward, RotateCcw, Check } from 'lucide-react';
+import api from '../api.js';
+import { CategoryBadge } from './ui.jsx';
+import { formatMoney, currencyOptions } from '../currency.js';
+import { formatDate } from '../preferences.js';
+
+const UNIT_LABELS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+const FREQUENCY_LABELS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' };
+
+const describeSchedule = (rule) => (
+  rule.interval > 1 ? `Every ${rule.interval} ${UNIT_LABELS[rule.frequency]}s` : FREQUENCY_LABELS[rule.frequency]
+);
+
+// Dates are stored as UTC midnights, so they are shown and edited in UTC to avoid an off-by-one day
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const formatRunDate = (value) => formatDate(value, { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' });
+
+const emptyRule = {
+  title: '', amount: '', currency: '', type: 'expense', category: '',
+  frequency: 'monthly', interval: '1', startDate: '', endDate: '', backfill: false
+};
+
+// --- RECURRING TRANSACTIONS MODAL ---
+const RecurringManager = ({ categories, baseCurrency, onClose, onChanged }) => {
+  const [rules, setRules] = useState([]);
+  const [upcoming, setUpcoming] = useState([]);
+  // editing is null (form closed), 'new', or the rule being edited
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyRule);
+  // The upcoming occurrence being edited: { ruleId, date, title, amount }
+  const [occurrenceEdit, setOccurrenceEdit] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(() => (
+    Promise.all([api.fetchRecurring(), api.fetchUpcoming({ days: 60 })])
+      .then(([ruleList, upcomingList]) => {
+        setRules(ruleList);
+        setUpcoming(upcomingList);
+      })
+      .catch(err => setError(err.message))
+  ), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Runs a change, then refreshes this modal and the dashboard (new entries may have been created)
+  const run = async (operation) => {
+    setError('');
+    try {
+      await operation();
+      await load();
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const formCategories = categories.filter(c => c.type === 'any' || c.type === formData.type);
+
+  const openForm = (rule) => {
+    setEditing(rule || 'new');
+    setFormData(rule
+      ? {
+        ...rule.template,
+        amount: String(rule.template.amount),
+        currency: rule.template.currency || baseCurrency,
+        frequency: rule.frequency,
+        interval: String(rule.interval),
+        startDate: toDateInput(rule.startDate),
+        endDate: toDateInput(rule.endDate),
+        backfill: false
+      }
+      : { ...emptyRule, currency: baseCurrency, startDate: new Date().toISOString().slice(0, 10), category: categories.find(c => c.type === 'any' || c.type === 'expense')?.name || '' });
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { title, amount, currency, type, category, frequency, interval, startDate, endDate, backfill } = formData;
+    const payload = {
+      template: { title, amount: Number(amount), currency, type, category },
+      frequency,
+      interval: Number(interval),
+      startDate,
+      endDate: endDate || null
+    };
+    const saved = await run(() => editing === 'new'
+      ? api.addRecurring(payload, { backfill })
+      : api.updateRecurring(editing._id, payload));
+    if (saved) setEditing(null);
+  };
+
+  const handleDelete = (id) => {
+    if (!window.confirm("Delete this recurring transaction? Entries it already created are kept.")) return;
+    run(() => api.deleteRecurring(id));
+  };
+
+  const saveOccurrence = async (e) => {
+    e.preventDefault();
+    const { ruleId, date, title, amount } = occurrenceEdit;
+    const saved = await run(() => api.updateOccurrence(ruleId, date, { title, amount: Number(amount) }));
+    if (saved) setOccurrenceEdit(null);
+  };
+
+  const inputClass = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+  const categoryByName = new Map(categories.map(c => [c.name, c]));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800">Recurring Transactions</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-6">
+          {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+
+          {editing && (
+            <form onSubmit={handleSubmit} className="space-y-3 border border-slate-100 rounded-xl p-4 bg-slate-50/50">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <input required type="text" placeholder="e.g. Rent" className={inputClass}
+                  value={formData.title} onChange={e => setFormData({ ...formData, title: e.target.value })} />
+                <div className="flex gap-2">
+                  <select className={`${inputClass} w-24`} value={formData.currency} onChange={e => setFormData({ ...formData, currency: e.target.value })}>
+                    {currencyOptions(baseCurrency, formData.currency).map(code => <option key={code} value={code}>{code}</option>)}
+                  </select>
+                  <input required type="number" min="0.01" step="0.01" placeholder="Amount" className={inputClass}
+                    value={formData.amount} onChange={e => setFormData({ ...formData, amount: e.target.value })} />
+                </div>
+                <select className={inputClass} value={formData.type} onChange={e => setFormData({ ...formData, type: e.target.value })}>
+                  <option value="expense">Expense</option>
+                  <option value="income">Income</option>
+                  <option value="investment">Investment (Out)</option>
+                  <option value="withdrawal">Withdrawal (In)</option>
+                </select>
+                <select required className={inputClass} value={formData.category} onChange={e => setFormData({ ...formData, category: e.target.value })}>
+                  <option value="" disabled>Category</option>
+                  {formCategories.map(c => <option key={c._id} value={c.name}>{c.name}</option>)}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 items-end">
+                <label className="text-xs text-slate-500">Every
+                  <input required type="number" min="1" step="1" className={inputClass}
+                    value={formData.interval} onChange={e => setFormData({ ...formData, interval: e.target.value })} />
+                </label>
+                <label className="text-xs text-slate-500">Unit
+                  <select className={inputClass} value={formData.frequency} onChange={e => setFormData({ ...formData, frequency: e.target.value })}>
+                    {Object.entries(UNIT_LABELS).map(([value, label]) => <option key={value} value={value}>{label}(s)</option>)}
+                  </select>
+                </label>
+                <label className="text-xs text-slate-500">Starts
+                  <input required type="date" className={inputClass}
+                    value={formData.startDate} onChange={e => setFormData({ ...formData, startDate: e.target.value })} />
+                </label>
+                <label className="text-xs text-slate-500">Ends (optional)
+                  <input type="date" className={inputClass} min={formData.startDate}
+                    value={formData.endDate} onChange={e => setFormData({ ...formData, endDate: e.target.value })} />
+                </label>
+              </div>
+              <div className="flex items-center justify-between">
+                {editing === 'new' ? (
+                  <label className="flex items-center gap-2 text-sm text-slate-600">
+                    <input type="checkbox" checked={formData.backfill} onChange={e => setFormData({ ...formData, backfill: e.target.checked })} />
+                    Also create past occurrences since the start date
+                  </label>
+                ) : <span />}
+                <div className="flex gap-2">
+                  <button type="button" onClick={() => setEditing(null)} className="px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+                  <button type="submit" className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg">Save</button>
+                </div>
+              </div>
+            </form>
+          )}
+
+          <section>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-bold text-slate-700">Schedules</h4>
+              <button onClick={() => openForm(null)} className="text-indigo-600 hover:bg-indigo-50 px-2 py-1 rounded-md text-sm font-medium flex items-center gap-1">
+                <Plus size={16} /> New
+              </button>
+            </div>
+            <div className="divide-y divide-slate-50 border border-slate-100 rounded-xl">
+              {rules.length === 0 ? (
+                <p className="p-4 text-center text-sm text-slate-400">Nothing scheduled yet. Add salary, rent or subscriptions here.</p>
+              ) : rules.map(rule => (
+                <div key={rule._id} className={`p-3 flex items-center justify-between gap-3 text-sm ${rule.active ? '' : 'opacity-60'}`}>
+                  <div>
+                    <p className="font-semibold text-slate-800">{rule.template.title}</p>
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500 mt-0.5">
+                      <span>{describeSchedule(rule)}</span>
+                      <span>•</span>
+                      <CategoryBadge category={categoryByName.get(rule.template.category)} name={rule.template.category} />
+                      <span>•</span>
+                      <span>{rule.active ? (rule.nextRun ? `Next ${formatRunDate(rule.nextRun)}` : 'Finished') : 'Paused'}</span>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1 text-slate-400">
+                    <span className="font-bold text-slate-800 mr-2">{formatMoney(rule.template.amount, rule.template.currency || baseCurrency)}</span>
+                    <button onClick={() => run(() => api.updateRecurring(rule._id, { active: !rule.active }))} className="p-1.5 rounded-full hover:text-indigo-500 hover:bg-indigo-50" title={rule.active ? 'Pause' : 'Resume'}>
+                      {rule.active ? <Pause size={14} /> : <Play size={14} />}
+                    </button>
+                    <button onClick={() => openForm(rule)} className="p-1.5 rounded-full hover:text-indigo-500 hover:bg-indigo-50" title="Edit">
+                      <Pencil size={14} />
+                    </button>
+                    <button onClick={() => handleDelete(rule._id)} className="p-1.5 rounded-full hover:text-red-500 hover:bg-red-50" title="Delete">
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          <section>
+            <h4 className="text-sm font-bold text-slate-700 mb-2">Upcoming (next 60 days)</h4>
+            <div className="divide-y divide-slate-50 border border-slate-100 rounded-xl">
+              {upcoming.length === 0 ? (
+                <p className="p-4 text-center text-sm text-slate-400">No occurrences due in the next 60 days.</p>
+              ) : upcoming.map(item => {
+                const isEditing = occurrenceEdit?.ruleId === item.ruleId && occurrenceEdit?.date === item.date;
+                return (
+                  <div key={`${item.ruleId}-${item.date}`} className="p-3 text-sm">
+                    {isEditing ? (
+                      <form onSubmit={saveOccurrence} className="flex flex-wrap items-center gap-2">
+                        <span className="text-xs text-slate-500 w-24">{formatRunDate(item.date)}</span>
+                        <input required type="text" className={`${inputClass} flex-1 min-w-[8rem]`} value={occurrenceEdit.title}
+                          onChange={e => setOccurrenceEdit({ ...occurrenceEdit, title: e.target.value })} />
+                        <input required type="number" min="0.01" step="0.01" className={`${inputClass} w-28`} value={occurrenceEdit.amount}
+                          onChange={e => setOccurrenceEdit({ ...occurrenceEdit, amount: e.target.value })} />
+                        <button type="submit" className="p-2 text-green-600 hover:bg-green-50 rounded-full" title="Save"><Check size={16} /></button>
+                        <button type="button" onClick={() => setOccurrenceEdit(null)} className="p-2 text-slate-400 hover:bg-slate-100 rounded-full" title="Cancel"><X size={16} /></button>
+                      </form>
+                    ) : (
+                      <div className="flex items-center justify-between gap-3">
+                        <div className={`flex items-center gap-3 ${item.skipped ? 'line-through text-slate-400' : ''}`}>
+                          <span className="text-xs text-slate-500 w-24">{formatRunDate(item.date)}</span>
+                          <span className="font-medium">{item.title}</span>
+                          {item.overridden && <span className="text-[10px] uppercase tracking-wide text-indigo-500">edited</span>}
+                        </div>
+                        <div className="flex items-center gap-1 text-slate-400">
+                          <span className={`font-semibold mr-2 ${item.skipped ? 'line-through' : 'text-slate-800'}`}>{formatMoney(item.amount, item.currency || baseCurrency)}</span>
+                          {item.skipped || item.overridden ? (
+                            <button onClick={() => run(() => api.resetOccurrence(item.ruleId, item.date))} className="p-1.5 rounded-full hover:text-indigo-500 hover:bg-indigo-50" title="Restore">
+                              <RotateCcw size={14} />
+                            </button>
+                          ) : null}
+                          {!item.skipped && (
+                            <>
+                              <button onClick={() => setOccurrenceEdit({ ruleId: item.ruleId, date: item.date, title: item.title, amount: String(item.amount) })} className="p-1.5 rounded-full hover:text-indigo-500 hover:bg-indigo-50" title="Edit this one">
+                                <Pencil size={14} />
+                              </button>
+                              <button onClick={() => run(() => api.updateOccurrence(item.ruleId, item.date, { skip: true }))} className="p-1.5 rounded-full hover:text-orange-500 hover:bg-orange-50" title="Skip this one">
+                                <SkipForward size={14} />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringManager;
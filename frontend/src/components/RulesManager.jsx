@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Pencil, Trash2, Wand2, Lightbulb, Play } from 'lucide-react';
+import api from '../api.js';
+import { formatDate } from '../preferences.js';
+
+const FIELD_LABELS = { title: 'Title', payee: 'Payee', notes: 'Notes', amount: 'Amount', type: 'Type', currency: 'Currency' };
+const OPERATOR_LABELS = {
+  contains: 'contains',
+  startsWith: 'starts with',
+  endsWith: 'ends with',
+  equals: 'is',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤'
+};
+// Which comparisons each field allows, as on the server
+const FIELD_OPERATORS = {
+  title: ['contains', 'startsWith', 'endsWith', 'equals'],
+  payee: ['contains', 'startsWith', 'endsWith', 'equals'],
+  notes: ['contains', 'startsWith', 'endsWith', 'equals'],
+  amount: ['gt', 'gte', 'lt', 'lte', 'equals'],
+  type: ['equals'],
+  currency: ['equals']
+};
+const TRANSACTION_TYPES = ['expense', 'income', 'investment', 'withdrawal', 'transfer'];
+
+const emptyCondition = { field: 'title', operator: 'contains', value: '' };
+const emptyRule = { name: '', priority: '100', match: 'all', conditions: [emptyCondition], category: '', tags: '', payee: '', enabled: true };
+
+const describeRule = (rule) => {
+  const conditions = rule.conditions
+    .map(c => `${FIELD_LABELS[c.field].toLowerCase()} ${OPERATOR_LABELS[c.operator]} ${c.value}`)
+    .join(rule.match === 'any' ? ' or ' : ' and ');
+  const { category, tags, payee } = rule.actions || {};
+  const actions = [category, payee && `payee ${payee}`, ...(tags || []).map(tag => `#${tag}`)].filter(Boolean).join(', ');
+  return `${conditions} → ${actions}`;
+};
+
+const formatValue = (value) => (Array.isArray(value) ? value.map(tag => `#${tag}`).join(' ') : value || '—');
+
+// --- AUTO-CATEGORIZATION RULES MODAL ---
+// Rules run on new and imported transactions and can be re-applied to history after a dry run
+const RulesManager = ({ categories, onClose, onChanged }) => {
+  const [rules, setRules] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  // editing is null (form closed), 'new', or the rule being edited
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyRule);
+  // The dry-run result waiting for confirmation
+  const [preview, setPreview] = useState(null);
+  const [overwrite, setOverwrite] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(() => (
+    Promise.all([api.fetchRules(), api.fetchRuleSuggestions().catch(() => [])])
+      .then(([ruleList, suggestionList]) => {
+        setRules(ruleList);
+        setSuggestions(suggestionList);
+      })
+      .catch(err => setError(err.message))
+  ), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (operation) => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await operation();
+      await load();
+      return result || true;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openForm = (rule) => {
+    setEditing(rule || 'new');
+    setPreview(null);
+    setFormData(rule ? {
+      name: rule.name,
+      priority: String(rule.priority),
+      match: rule.match,
+      conditions: rule.conditions.map(c => ({ ...c, value: String(c.value) })),
+      category: rule.actions?.category || '',
+      tags: (rule.actions?.tags || []).join(', '),
+      payee: rule.actions?.payee || '',
+      enabled: rule.enabled
+    } : emptyRule);
+  };
+
+  const updateCondition = (index, changes) => {
+    const conditions = formData.conditions.map((c, i) => {
+      if (i !== index) return c;
+      const next = { ...c, ...changes };
+      // A new field keeps the operator only when it still applies
+      if (changes.field) {
+        if (!FIELD_OPERATORS[next.field].includes(next.operator)) next.operator = FIELD_OPERATORS[next.field][0];
+        if (next.field === 'type') next.value = TRANSACTION_TYPES[0];
+      }
+      return next;
+    });
+    setFormData({ ...formData, conditions });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: formData.name,
+      priority: Number(formData.priority) || 0,
+      match: formData.match,
+      conditions: formData.conditions.map(c => ({ ...c, value: c.field === 'amount' ? Number(c.value) : c.value })),
+      actions: { category: formData.category, tags: formData.tags, payee: formData.payee },
+      enabled: formData.enabled
+    };
+    const saved = await run(() => (editing === 'new' ? api.addRule(payload) : api.updateRule(editing._id, payload)));
+    if (saved) setEditing(null);
+  };
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+    run(() => api.deleteRule(rule._id));
+  };
+
+  const handleDryRun = async () => {
+    const result = await run(() => api.applyRules({ dryRun: true, overwrite }));
+    if (result) {
+      setPreview(result);
+      if (!result.matched) setNotice('The rules would not change any past transaction.');
+    }
+  };
+
+  const handleApply = async () => {
+    const result = await run(() => api.applyRules({ dryRun: false, overwrite }));
+    if (result) {
+      setPreview(null);
+      setNotice(`${result.updated} transaction(s) updated.`);
+      onChanged();
+    }
+  };
+
+  const inputClass = "px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-3xl overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800 flex items-center gap-2"><Wand2 size={18} className="text-slate-400" /> Rules</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-5">
+          {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+          {notice && <div className="text-sm text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+
+          <p className="text-xs text-slate-500">
+            Rules fill in the category, payee and tags of new and imported transactions. Lower priorities run first;
+            the first rule to set a field wins it, tags from every matching rule are added.
+          </p>
+
+          {editing ? (
+            <form onSubmit={handleSubmit} className="border border-slate-100 rounded-xl p-4 bg-slate-50/50 space-y-3 text-sm">
+              <div className="grid grid-cols-[1fr_6rem_8rem] gap-2">
+                <input required type="text" placeholder="Name, e.g. Rides" className={inputClass}
+                  value={formData.name} onChange={e => setFormData({ ...formData, name: e.target.value })} />
+                <input type="number" step="1" title="Priority, lower runs first" className={inputClass}
+                  value={formData.priority} onChange={e => setFormData({ ...formData, priority: e.target.value })} />
+                <select className={inputClass} value={formData.match} onChange={e => setFormData({ ...formData, match: e.target.value })}>
+                  <option value="all">Match all</option>
+                  <option value="any">Match any</option>
+                </select>
+              </div>
+
+              {formData.conditions.map((condition, index) => (
+                <div key={index} className="grid grid-cols-[7rem_8rem_1fr_auto] gap-2 items-center">
+                  <select className={inputClass} value={condition.field} onChange={e => updateCondition(index, { field: e.target.value })}>
+                    {Object.entries(FIELD_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                  <select className={inputClass} value={condition.operator} onChange={e => updateCondition(index, { operator: e.target.value })}>
+                    {FIELD_OPERATORS[condition.field].map(op => <option key={op} value={op}>{OPERATOR_LABELS[op]}</option>)}
+                  </select>
+                  {condition.field === 'type' ? (
+                    <select className={inputClass} value={condition.value} onChange={e => updateCondition(index, { value: e.target.value })}>
+                      {TRANSACTION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                  ) : (
+                    <input required type={condition.field === 'amount' ? 'number' : 'text'} step="any" className={`${inputClass} min-w-0`}
+                      placeholder={condition.field === 'amount' ? '0.00' : condition.field === 'currency' ? 'e.g. EUR' : 'e.g. uber'}
+                      value={condition.value} onChange={e => updateCondition(index, { value: e.target.value })} />
+                  )}
+                  <button
+                    type="button"
+                    disabled={formData.conditions.length <= 1}
+                    onClick={() => setFormData({ ...formData, conditions: formData.conditions.filter((_, i) => i !== index) })}
+                    className="text-slate-300 hover:text-red-500 disabled:opacity-40 disabled:hover:text-slate-300"
+                    title="Remove condition"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+              {formData.conditions.length < 10 && (
+                <button type="button" onClick={() => setFormData({ ...formData, conditions: [...formData.conditions, emptyCondition] })}
+                  className="text-xs text-indigo-600 hover:underline flex items-center gap-1">
+                  <Plus size={12} /> Add condition
+                </button>
+              )}
+
+              <div className="grid grid-cols-3 gap-2">
+                <select className={inputClass} value={formData.category} onChange={e => setFormData({ ...formData, category: e.target.value })}>
+                  <option value="">Keep category</option>
+                  {categories.map(c => <option key={c._id} value={c.name}>{c.name}</option>)}
+                </select>
+                <input type="text" placeholder="Tags, e.g. ride, work" className={inputClass}
+                  value={formData.tags} onChange={e => setFormData({ ...formData, tags: e.target.value })} />
+                <input type="text" placeholder="Payee" className={inputClass}
+                  value={formData.payee} onChange={e => setFormData({ ...formData, payee: e.target.value })} />
+              </div>
+
+              <div className="flex items-center justify-between">
+                <label className="flex items-center gap-2 text-slate-600">
+                  <input type="checkbox" checked={formData.enabled} onChange={e => setFormData({ ...formData, enabled: e.target.checked })} />
+                  Enabled
+                </label>
+                <div className="flex gap-2">
+                  <button type="button" onClick={() => setEditing(null)} className="px-3 py-1.5 text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+                  <button type="submit" disabled={saving} className="px-3 py-1.5 font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg disabled:opacity-70">Save</button>
+                </div>
+              </div>
+            </form>
+          ) : (
+            <div className="flex justify-between items-center">
+              <label className="flex items-center gap-2 text-xs text-slate-600">
+                <input type="checkbox" checked={overwrite} onChange={e => setOverwrite(e.target.checked)} />
+                Replace categories and payees already set
+              </label>
+              <div className="flex gap-2">
+                <button onClick={handleDryRun} disabled={saving || !rules.length}
+                  className="px-3 py-1.5 text-sm text-indigo-600 hover:bg-indigo-50 rounded-lg flex items-center gap-1 disabled:opacity-50">
+                  <Play size={14} /> Re-apply to history
+                </button>
+                <button onClick={() => openForm(null)}
+                  className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg flex items-center gap-1">
+                  <Plus size={14} /> New rule
+                </button>
+              </div>
+            </div>
+          )}
+
+          {preview?.matched > 0 && (
+            <div className="border border-amber-100 bg-amber-50/50 rounded-xl p-4 space-y-3 text-sm">
+              <div className="flex items-center justify-between">
+                <p className="font-medium text-slate-700">
+                  Dry run: {preview.matched} transaction(s) would change{preview.truncated ? `, the first ${preview.changes.length} are shown` : ''}.
+                </p>
+                <div className="flex gap-2">
+                  <button onClick={() => setPreview(null)} className="px-3 py-1.5 text-slate-600 hover:bg-slate-100 rounded-lg">Cancel</button>
+                  <button onClick={handleApply} disabled={saving} className="px-3 py-1.5 font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg disabled:opacity-70">
+                    Apply changes
+                  </button>
+                </div>
+              </div>
+              <div className="max-h-64 overflow-y-auto divide-y divide-amber-100">
+                {preview.changes.map(change => (
+                  <div key={change._id} className="py-2">
+                    <p className="text-slate-700">
+                      {change.title} <span className="text-xs text-slate-400">{formatDate(change.date)} · {change.rules.join(', ')}</span>
+                    </p>
+                    {Object.keys(change.after).map(field => (
+                      <p key={field} className="text-xs text-slate-500">
+                        {field}: <span className="line-through">{formatValue(change.before[field])}</span> → <span className="text-slate-700">{formatValue(change.after[field])}</span>
+                      </p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="divide-y divide-slate-50 text-sm">
+            {rules.length === 0 ? (
+              <p className="py-4 text-center text-slate-400">No rules yet.</p>
+            ) : rules.map(rule => (
+              <div key={rule._id} className={`py-2 flex items-center justify-between gap-3 group ${rule.enabled ? '' : 'opacity-50'}`}>
+                <div className="min-w-0">
+                  <p className="font-medium text-slate-700">{rule.name} <span className="text-xs font-normal text-slate-400">priority {rule.priority}</span></p>
+                  <p className="text-xs text-slate-500 truncate">{describeRule(rule)}</p>
+                </div>
+                <div className="flex items-center gap-3 shrink-0">
+                  <label className="text-xs text-slate-500 flex items-center gap-1">
+                    <input type="checkbox" checked={rule.enabled} disabled={saving} onChange={e => run(() => api.updateRule(rule._id, { enabled: e.target.checked }))} />
+                    On
+                  </label>
+                  <button onClick={() => openForm(rule)} className="text-slate-300 hover:text-indigo-500" title="Edit">
+                    <Pencil size={14} />
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="text-slate-300 hover:text-red-500" title="Delete">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {suggestions.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-slate-700 flex items-center gap-1"><Lightbulb size={14} className="text-amber-500" /> Suggested from your history</p>
+              <div className="divide-y divide-slate-50 text-sm">
+                {suggestions.map(suggestion => (
+                  <div key={suggestion.name} className="py-2 flex items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <p className="text-slate-700 truncate">{describeRule(suggestion)}</p>
+                      <p className="text-xs text-slate-400">{suggestion.matches} of {suggestion.total} similar transactions were filed this way</p>
+                    </div>
+                    <button
+                      disabled={saving}
+                      onClick={() => run(() => api.addRule({ name: suggestion.name, match: suggestion.match, conditions: suggestion.conditions, actions: suggestion.actions }))}
+                      className="text-xs text-indigo-600 hover:underline flex items-center gap-1 shrink-0"
+                    >
+                      <Plus size={12} /> Add rule
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RulesManager;
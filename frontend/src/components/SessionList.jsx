@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import api from '../api.js';
+import { getLocale } from '../preferences.js';
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+// "Firefox on Windows" from a User-Agent header, as far as it can be told
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1];
+  const system = SYSTEMS.find(([marker]) => userAgent.includes(marker))?.[1];
+  if (!browser && !system) return 'Unknown device';
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+// --- SIGNED-IN DEVICES ---
+// Part of the profile modal: every session of the account, and signing out the others
+const SessionList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(() => (
+    api.fetchSessions()
+      .then(setSessions)
+      .catch(err => setError(err.message))
+  ), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (operation) => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await operation();
+      await load();
+      return result || true;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm("Sign out every other device? They will have to sign in again.")) return;
+    const result = await run(() => api.revokeOtherSessions());
+    if (result) setNotice(`${result.revoked} device(s) signed out.`);
+  };
+
+  const others = sessions.filter(s => !s.current);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between items-center">
+        <span className="text-slate-500 text-sm">Signed-in devices</span>
+        {others.length > 0 && (
+          <button onClick={handleRevokeOthers} disabled={saving} className="text-xs text-red-600 hover:underline disabled:opacity-50">
+            Sign out other devices
+          </button>
+        )}
+      </div>
+      {error && <div className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+      {notice && <div className="text-xs text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+      <div className="max-h-48 overflow-y-auto divide-y divide-slate-100 border border-slate-100 rounded-lg">
+        {sessions.map(session => {
+          const DeviceIcon = /Mobi|Android|iPhone/.test(session.userAgent || '') ? Smartphone : Monitor;
+          return (
+            <div key={session._id} className="flex items-center justify-between gap-2 px-3 py-2">
+              <div className="flex items-center gap-2 min-w-0">
+                <DeviceIcon size={16} className="text-slate-400 shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm text-slate-700 truncate">
+                    {describeDevice(session.userAgent)}
+                    {session.current && <span className="ml-1 text-xs text-green-600">· this device</span>}
+                  </p>
+                  <p className="text-xs text-slate-400 truncate">
+                    {session.ip ? `${session.ip} · ` : ''}Last active {new Date(session.lastUsedAt).toLocaleString(getLocale())}
+                  </p>
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => run(() => api.revokeSession(session._id))}
+                  disabled={saving}
+                  className="text-slate-300 hover:text-red-500 shrink-0"
+                  title="Sign out this device"
+                >
+                  <LogOut size={16} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default SessionList;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Trash2, Check, ArrowRight } from 'lucide-react';
+import api from '../api.js';
+import { formatMoney, currencyOptions } from '../currency.js';
+import { formatDate } from '../preferences.js';
+
+// { name, userId? } as the API takes it, from a person in the balances
+const toPerson = ({ name, userId }) => (userId ? { name, userId } : { name });
+
+// --- SHARED EXPENSES & SETTLE UP MODAL ---
+// Balances come from the shared expenses of the ledger being looked at; recording a payment only
+// moves balances, it never shows up as income or spending.
+const SettleUpPanel = ({ baseCurrency, canEdit, onClose }) => {
+  const [balances, setBalances] = useState({ currencies: [], people: [], transfers: [] });
+  const [settlements, setSettlements] = useState([]);
+  const [formData, setFormData] = useState({ from: '', to: '', amount: '', currency: baseCurrency, note: '' });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(() => (
+    Promise.all([api.fetchSharingBalances(), api.fetchSettlements()])
+      .then(([balanceInfo, settlementList]) => {
+        setBalances(balanceInfo);
+        setSettlements(settlementList);
+      })
+      .catch(err => setError(err.message))
+  ), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (operation) => {
+    setSaving(true);
+    setError('');
+    try {
+      const result = await operation();
+      await load();
+      return result || true;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const personByKey = new Map(balances.people.map(p => [p.key, p]));
+
+  const handleRecord = (transfer) => run(() => api.addSettlement({
+    from: toPerson(transfer.from),
+    to: toPerson(transfer.to),
+    amount: transfer.amount,
+    currency: transfer.currency
+  }));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const from = personByKey.get(formData.from);
+    const to = personByKey.get(formData.to);
+    if (!from || !to) return;
+    const saved = await run(() => api.addSettlement({
+      from: toPerson(from),
+      to: toPerson(to),
+      amount: Number(formData.amount),
+      currency: formData.currency,
+      note: formData.note.trim()
+    }));
+    if (saved) setFormData({ ...formData, amount: '', note: '' });
+  };
+
+  const handleDelete = (id) => {
+    if (!window.confirm("Delete this payment? The balances go back to what they were before it.")) return;
+    run(() => api.deleteSettlement(id));
+  };
+
+  // What each other person owes you (positive) or you owe them (negative)
+  const withYou = balances.people
+    .filter(p => !p.you)
+    .flatMap(p => Object.entries(p.withYou).map(([currency, amount]) => ({ person: p, currency, amount })));
+  const owing = balances.people.filter(p => Object.keys(p.balances).length > 0);
+  const options = currencyOptions(baseCurrency, balances.currencies);
+  const inputClass = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50">
+          <h3 className="font-bold text-lg text-slate-800">Settle up</h3>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-4 overflow-y-auto space-y-5">
+          {error && <div className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</div>}
+
+          {balances.people.length === 0 ? (
+            <p className="text-sm text-slate-500 text-center py-4">Nothing shared yet. Share an expense with others from its form.</p>
+          ) : (
+            <>
+              <div className="space-y-1">
+                <p className="text-sm font-medium text-slate-700">Between you and the others</p>
+                {withYou.length === 0 ? (
+                  <p className="text-sm text-slate-500">You're all square.</p>
+                ) : withYou.map(({ person, currency, amount }) => (
+                  <p key={`${person.key}-${currency}`} className={`text-sm ${amount > 0 ? 'text-green-700' : 'text-red-600'}`}>
+                    {amount > 0
+                      ? `${person.name} owes you ${formatMoney(amount, currency)}`
+                      : `You owe ${person.name} ${formatMoney(-amount, currency)}`}
+                  </p>
+                ))}
+              </div>
+
+              {owing.length > 0 && (
+                <div className="space-y-1">
+                  <p className="text-sm font-medium text-slate-700">Everyone's balance</p>
+                  {owing.map(person => (
+                    <div key={person.key} className="flex justify-between text-sm">
+                      <span className="text-slate-600">{person.you ? `${person.name} (you)` : person.name}</span>
+                      <span className="space-x-2">
+                        {Object.entries(person.balances).map(([currency, amount]) => (
+                          <span key={currency} className={amount > 0 ? 'text-green-700' : 'text-red-600'}>
+                            {amount > 0 ? 'is owed' : 'owes'} {formatMoney(Math.abs(amount), currency)}
+                          </span>
+                        ))}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {balances.transfers.length > 0 && (
+                <div className="space-y-2">
+                  <p className="text-sm font-medium text-slate-700">To settle up</p>
+                  {balances.transfers.map(transfer => (
+                    <div key={`${transfer.from.key}-${transfer.to.key}-${transfer.currency}`} className="flex items-center justify-between gap-2 text-sm border border-slate-100 rounded-lg px-3 py-2">
+                      <span className="flex items-center gap-1 text-slate-700">
+                        {transfer.from.name} <ArrowRight size={14} className="text-slate-400" /> {transfer.to.name}
+                        <span className="font-semibold ml-1">{formatMoney(transfer.amount, transfer.currency)}</span>
+                      </span>
+                      {canEdit && (
+                        <button
+                          onClick={() => handleRecord(transfer)}
+                          disabled={saving}
+                          className="text-xs text-indigo-600 hover:underline flex items-center gap-1 disabled:opacity-50"
+                          title="Record this payment"
+                        >
+                          <Check size={12} /> Paid
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          {canEdit && balances.people.length > 1 && (
+            <form onSubmit={handleAdd} className="border border-slate-100 rounded-xl p-4 bg-slate-50/50 space-y-3">
+              <p className="text-sm font-medium text-slate-700">Record a payment</p>
+              <div className="grid grid-cols-2 gap-2">
+                <select required className={inputClass} value={formData.from} onChange={e => setFormData({ ...formData, from: e.target.value })}>
+                  <option value="">Who paid</option>
+                  {balances.people.map(p => <option key={p.key} value={p.key}>{p.name}</option>)}
+                </select>
+                <select required className={inputClass} value={formData.to} onChange={e => setFormData({ ...formData, to: e.target.value })}>
+                  <option value="">Who was paid</option>
+                  {balances.people.filter(p => p.key !== formData.from).map(p => <option key={p.key} value={p.key}>{p.name}</option>)}
+                </select>
+              </div>
+              <div className="grid grid-cols-[1fr_6rem] gap-2">
+                <input required type="number" min="0.01" step="0.01" placeholder="0.00" className={inputClass}
+                  value={formData.amount} onChange={e => setFormData({ ...formData, amount: e.target.value })} />
+                <select className={inputClass} value={formData.currency} onChange={e => setFormData({ ...formData, currency: e.target.value })}>
+                  {options.map(code => <option key={code} value={code}>{code}</option>)}
+                </select>
+              </div>
+              <input type="text" maxLength={200} placeholder="Note (optional)" className={inputClass}
+                value={formData.note} onChange={e => setFormData({ ...formData, note: e.target.value })} />
+              <div className="flex justify-end">
+                <button type="submit" disabled={saving} className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 rounded-lg flex items-center gap-1 disabled:opacity-70">
+                  <Plus size={14} /> Record
+                </button>
+              </div>
+            </form>
+          )}
+
+          {settlements.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-slate-700 mb-2">Payments</p>
+              <div className="divide-y divide-slate-100 border border-slate-100 rounded-lg">
+                {settlements.map(s => (
+                  <div key={s._id} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <div>
+                      <p className="text-slate-700">{s.from.name} paid {s.to.name} {formatMoney(s.amount, s.currency)}</p>
+                      <p className="text-xs text-slate-400">{formatDate(s.date)}{s.note ? ` · ${s.note}` : ''}</p>
+                    </div>
+                    {canEdit && (
+                      <button onClick={() => handleDelete(s._id)} disabled={saving} className="text-slate-300 hover:text-red-500" title="Delete payment">
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettleUpPanel;
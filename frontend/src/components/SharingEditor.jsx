@@ -0,0 +1,94 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { formatMoney } from '../currency.js';
+import { SHARE_METHODS, sharingParts, sharingRemainder } from '../sharing.js';
+
+// --- SHARING EDITOR ---
+// Who shares an expense, who paid it and how it is divided. `people` ({ name, userId }) are
+// suggested while typing, e.g. ledger members and people from earlier shared expenses; picking one
+// with a userId links the participant to that user.
+const SharingEditor = ({ sharing, amount, currency, people, onChange }) => {
+  const parts = sharingParts(sharing, amount);
+  const remaining = sharing.method === 'exact' ? sharingRemainder(sharing, amount) / 100 : 0;
+
+  const updatePerson = (index, changes) => onChange({
+    ...sharing,
+    participants: sharing.participants.map((p, i) => (i === index ? { ...p, ...changes } : p))
+  });
+
+  const removePerson = (index) => onChange({
+    ...sharing,
+    participants: sharing.participants.filter((_, i) => i !== index),
+    paidBy: sharing.paidBy === index ? 0 : sharing.paidBy > index ? sharing.paidBy - 1 : sharing.paidBy
+  });
+
+  const addPerson = () => onChange({
+    ...sharing,
+    participants: [...sharing.participants, { name: '', userId: null, shares: '1', amount: remaining > 0 ? String(remaining) : '' }]
+  });
+
+  const inputClass = "px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <select className={inputClass} value={sharing.method} onChange={e => onChange({ ...sharing, method: e.target.value })}>
+          {SHARE_METHODS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+        </select>
+        <select className={inputClass} value={sharing.paidBy} onChange={e => onChange({ ...sharing, paidBy: Number(e.target.value) })}>
+          {sharing.participants.map((p, i) => <option key={i} value={i}>Paid by {p.name.trim() || `person ${i + 1}`}</option>)}
+        </select>
+      </div>
+
+      <datalist id="sharing-people">
+        {people.map(p => <option key={p.name} value={p.name} />)}
+      </datalist>
+      {sharing.participants.map((person, index) => (
+        <div key={index} className="grid grid-cols-[1fr_5.5rem_5.5rem_auto] gap-2 items-center">
+          <input
+            required
+            type="text"
+            list="sharing-people"
+            maxLength={60}
+            placeholder="Name"
+            className={`${inputClass} w-full min-w-0`}
+            value={person.name}
+            onChange={e => {
+              const match = people.find(p => p.name.toLowerCase() === e.target.value.trim().toLowerCase());
+              updatePerson(index, { name: e.target.value, userId: match?.userId || null });
+            }}
+          />
+          {sharing.method === 'shares' ? (
+            <input required type="number" min="0" step="any" title="Shares" className={`${inputClass} w-full min-w-0`}
+              value={person.shares} onChange={e => updatePerson(index, { shares: e.target.value })} />
+          ) : sharing.method === 'exact' ? (
+            <input required type="number" min="0" step="0.01" placeholder="0.00" className={`${inputClass} w-full min-w-0`}
+              value={person.amount} onChange={e => updatePerson(index, { amount: e.target.value })} />
+          ) : <span />}
+          <span className="text-xs text-slate-500 text-right">{formatMoney(parts[index] / 100, currency)}</span>
+          <button
+            type="button"
+            disabled={sharing.participants.length <= 2}
+            onClick={() => removePerson(index)}
+            className="text-slate-300 hover:text-red-500 disabled:opacity-40 disabled:hover:text-slate-300"
+            title="Remove person"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between text-xs">
+        <button type="button" onClick={addPerson} className="text-indigo-600 hover:underline flex items-center gap-1">
+          <Plus size={12} /> Add person
+        </button>
+        {sharing.method === 'exact' && (
+          <span className={remaining === 0 ? 'text-green-600' : 'text-amber-600'}>
+            {remaining === 0 ? 'Amounts add up' : `${formatMoney(Math.abs(remaining), currency)} ${remaining > 0 ? 'left to assign' : 'over the total'}`}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharingEditor;
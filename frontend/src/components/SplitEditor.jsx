@@ -0,0 +1,68 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { formatMoney } from '../currency.js';
+
+// Compared in cents so float drift never leaves a stray 0.01 unassigned
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+// --- SPLIT EDITOR ---
+// Lines of a split transaction, each with its own category and amount, that must add up to `amount`
+const SplitEditor = ({ splits, amount, currency, categories, onChange }) => {
+  const remaining = (toCents(amount) - splits.reduce((sum, line) => sum + toCents(line.amount), 0)) / 100;
+
+  const updateLine = (index, changes) => onChange(splits.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+
+  // A new line starts with whatever is still unassigned
+  const addLine = () => onChange([
+    ...splits,
+    { category: categories[0]?.name || '', amount: remaining > 0 ? String(remaining) : '' }
+  ]);
+
+  const inputClass = "px-3 py-2 rounded-lg border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm bg-white";
+
+  return (
+    <div className="space-y-2">
+      {splits.map((line, index) => (
+        <div key={index} className="grid grid-cols-[1fr_7rem_auto] gap-2 items-center">
+          <select
+            required
+            className={inputClass}
+            value={line.category}
+            onChange={e => updateLine(index, { category: e.target.value })}
+          >
+            {categories.map(c => <option key={c._id} value={c.name}>{c.name}</option>)}
+          </select>
+          <input
+            required
+            type="number"
+            min="0.01"
+            step="0.01"
+            placeholder="0.00"
+            className={`${inputClass} w-full min-w-0`}
+            value={line.amount}
+            onChange={e => updateLine(index, { amount: e.target.value })}
+          />
+          <button
+            type="button"
+            disabled={splits.length <= 2}
+            onClick={() => onChange(splits.filter((_, i) => i !== index))}
+            className="text-slate-300 hover:text-red-500 disabled:opacity-40 disabled:hover:text-slate-300"
+            title="Remove line"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center justify-between text-xs">
+        <button type="button" onClick={addLine} className="text-indigo-600 hover:underline flex items-center gap-1">
+          <Plus size={12} /> Add line
+        </button>
+        <span className={remaining === 0 ? 'text-green-600' : 'text-amber-600'}>
+          {remaining === 0 ? 'Lines add up' : `${formatMoney(Math.abs(remaining), currency)} ${remaining > 0 ? 'left to assign' : 'over the total'}`}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default SplitEditor;
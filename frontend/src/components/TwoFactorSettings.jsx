@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck, Copy } from 'lucide-react';
+import api from '../api.js';
+import { FieldError } from './ui.jsx';
+
+const EMPTY_FIELDS = { password: '', code: '' };
+
+// --- TWO-FACTOR SIGN-IN ---
+// Part of the profile modal. Turning it on takes the password, a scan of the QR code and a first
+// code from the app; the backup codes are then shown once. Turning it off, or getting new backup
+// codes, asks for a code again. `onChanged` is told when it is turned on or off.
+const TwoFactorSettings = ({ onChanged }) => {
+  const [status, setStatus] = useState(null);
+  // idle, start (password), scan (QR code), codes (backup codes), regenerate or disable
+  const [step, setStep] = useState('idle');
+  const [fields, setFields] = useState(EMPTY_FIELDS);
+  const [setup, setSetup] = useState(null);
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(() => (
+    api.fetchTwoFactor()
+      .then(setStatus)
+      .catch(err => setErrors({ form: err.message }))
+  ), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const goTo = (next) => {
+    setStep(next);
+    setFields(EMPTY_FIELDS);
+    setErrors({});
+    setNotice('');
+  };
+
+  const run = async (operation) => {
+    setSaving(true);
+    setErrors({});
+    try {
+      return await operation();
+    } catch (err) {
+      const fieldErrors = {};
+      for (const { field, message } of err.errors || []) fieldErrors[field] ??= message;
+      setErrors(Object.keys(fieldErrors).length ? fieldErrors : { form: err.message });
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (step === 'start') {
+      const result = await run(() => api.beginTwoFactorSetup(fields.password));
+      if (result) {
+        setSetup(result);
+        goTo('scan');
+      }
+    } else if (step === 'scan') {
+      const result = await run(() => api.enableTwoFactor(fields.code));
+      if (result) {
+        setSetup(null);
+        setBackupCodes(result.backupCodes);
+        goTo('codes');
+        load();
+        onChanged?.();
+      }
+    } else if (step === 'regenerate') {
+      const result = await run(() => api.regenerateBackupCodes(fields.code));
+      if (result) {
+        setBackupCodes(result.backupCodes);
+        goTo('codes');
+        load();
+      }
+    } else if (step === 'disable') {
+      const result = await run(() => api.disableTwoFactor(fields));
+      if (result) {
+        goTo('idle');
+        setNotice(result.message);
+        load();
+        onChanged?.();
+      }
+    }
+  };
+
+  const copyCodes = () => {
+    navigator.clipboard?.writeText(backupCodes.join('\n'))
+      .then(() => setNotice('Backup codes copied.'))
+      .catch(() => setErrors({ form: 'Copying failed, please write the codes down instead.' }));
+  };
+
+  const input = (field, label, props) => (
+    <div>
+      <label className="block text-xs font-medium text-slate-500 mb-1">{label}</label>
+      <input
+        required
+        value={fields[field]}
+        onChange={e => setFields({ ...fields, [field]: e.target.value })}
+        className="w-full px-3 py-2 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        {...props}
+      />
+      <FieldError message={errors[field]} />
+    </div>
+  );
+  const codeInput = (label) => input('code', label, { type: 'text', autoComplete: 'one-time-code', placeholder: '123456' });
+
+  const buttons = (submitLabel) => (
+    <div className="flex gap-2">
+      <button type="button" onClick={() => goTo('idle')} className="flex-1 py-2 text-sm text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50">
+        Cancel
+      </button>
+      <button type="submit" disabled={saving} className="flex-1 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:opacity-50">
+        {saving ? 'Checking...' : submitLabel}
+      </button>
+    </div>
+  );
+
+  if (!status) return errors.form ? <div className="text-xs text-red-600">{errors.form}</div> : null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between items-center">
+        <span className="text-slate-500 text-sm flex items-center gap-1">
+          <ShieldCheck size={16} className={status.enabled ? 'text-green-600' : 'text-slate-400'} />
+          Two-factor sign-in
+        </span>
+        <span className={`text-xs font-medium px-2 py-1 rounded ${status.enabled ? 'bg-green-50 text-green-700' : 'bg-slate-100 text-slate-500'}`}>
+          {status.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+      {notice && <div className="text-xs text-green-700 bg-green-50 border border-green-100 rounded-lg px-3 py-2">{notice}</div>}
+
+      {step === 'idle' && (
+        status.enabled ? (
+          <div className="flex justify-between items-center text-xs">
+            <span className={status.backupCodesLeft <= 2 ? 'text-amber-600' : 'text-slate-400'}>
+              {status.backupCodesLeft} backup code(s) left
+            </span>
+            <span className="flex gap-3">
+              <button onClick={() => goTo('regenerate')} className="text-indigo-600 hover:underline">New backup codes</button>
+              <button onClick={() => goTo('disable')} className="text-red-600 hover:underline">Turn off</button>
+            </span>
+          </div>
+        ) : (
+          <button
+            onClick={() => goTo('start')}
+            className="w-full py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-lg border border-slate-200 transition-colors"
+          >
+            Turn on two-factor sign-in
+          </button>
+        )
+      )}
+
+      {step === 'codes' && (
+        <div className="space-y-2 border border-slate-100 rounded-lg p-3">
+          <p className="text-xs text-slate-600">
+            Keep these backup codes somewhere safe. Each one signs you in once if you lose your phone, and they won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm text-slate-800 bg-slate-50 rounded-lg p-2 text-center">
+            {backupCodes.map(code => <span key={code}>{code}</span>)}
+          </div>
+          {errors.form && <div className="text-xs text-red-600">{errors.form}</div>}
+          <div className="flex gap-2">
+            <button onClick={copyCodes} className="flex-1 flex items-center justify-center gap-1 py-2 text-sm text-slate-600 rounded-lg border border-slate-200 hover:bg-slate-50">
+              <Copy size={14} /> Copy
+            </button>
+            <button onClick={() => goTo('idle')} className="flex-1 py-2 text-sm text-white bg-indigo-600 rounded-lg hover:bg-indigo-700">
+              I've saved them
+            </button>
+          </div>
+        </div>
+      )}
+
+      {['start', 'scan', 'regenerate', 'disable'].includes(step) && (
+        <form onSubmit={handleSubmit} className="space-y-3 border border-slate-100 rounded-lg p-3">
+          {step === 'start' && (
+            <>
+              <p className="text-xs text-slate-600">Confirm it's you to set up an authenticator app.</p>
+              {input('password', 'Password', { type: 'password', autoComplete: 'current-password' })}
+            </>
+          )}
+          {step === 'scan' && setup && (
+            <>
+              <p className="text-xs text-slate-600">Scan this with your authenticator app, then enter the code it shows.</p>
+              <img
+                src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(setup.qrCode)}`}
+                alt="QR code for your authenticator app"
+                className="mx-auto w-44 h-44"
+              />
+              <p className="text-xs text-slate-400 text-center">
+                Can't scan it? Enter this key: <span className="font-mono text-slate-600 break-all select-all">{setup.secret.match(/.{1,4}/g).join(' ')}</span>
+              </p>
+              {codeInput('Code from the app')}
+            </>
+          )}
+          {step === 'regenerate' && (
+            <>
+              <p className="text-xs text-slate-600">Your old backup codes will stop working.</p>
+              {codeInput('Code from your authenticator app')}
+            </>
+          )}
+          {step === 'disable' && (
+            <>
+              <p className="text-xs text-slate-600">Confirm it's you to turn two-factor sign-in off.</p>
+              {input('password', 'Password', { type: 'password', autoComplete: 'current-password' })}
+              {codeInput('Code from your app, or a backup code')}
+            </>
+          )}
+          {errors.form && <div className="text-xs text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{errors.form}</div>}
+          {buttons({ start: 'Continue', scan: 'Turn on', regenerate: 'Create new codes', disable: 'Turn off' }[step])}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
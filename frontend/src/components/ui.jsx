@@ -0,0 +1,56 @@
+import React, { createElement } from 'react';
+import { getCategoryIcon } from '../categoryIcons.js';
+
+// --- SHARED COMPONENTS ---
+
+export const Card = ({ children, className = "" }) => (
+  <div className={`bg-white rounded-xl shadow-sm border border-slate-100 p-6 ${className}`}>
+    {children}
+  </div>
+);
+
+export const TabButton = ({ active, onClick, children }) => (
+  <button
+    onClick={onClick}
+    className={`px-4 py-2 text-sm font-medium rounded-lg transition-all ${active
+      ? 'bg-indigo-600 text-white shadow-md'
+      : 'bg-white text-slate-600 hover:bg-slate-50 border border-slate-200'
+      }`}
+  >
+    {children}
+  </button>
+);
+
+// Renders one of the icons a category can pick, by its stored name
+export const CategoryIcon = ({ name, ...props }) => createElement(getCategoryIcon(name), props);
+
+// Coloured pill with the category's icon; falls back to grey for names without a category
+export const CategoryBadge = ({ category, name }) => {
+  const color = category?.color || '#64748b';
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-slate-700"
+      style={{ backgroundColor: `${color}22` }}
+    >
+      <CategoryIcon name={category?.icon} size={12} style={{ color }} />
+      {name || category?.name}
+    </span>
+  );
+};
+
+// A validation message under a form input; nothing while there is none
+export const FieldError = ({ message, className = "" }) => (
+  message ? <p className={`text-xs text-red-600 mt-1 ${className}`}>{message}</p> : null
+);
+
+// Marks the words of `query` in `text`. The server searches whole words with stemming, so any word
+// starting with a search term is marked ("rent" marks "rental"). Quotes and "-excluded" words are ignored.
+export const Highlight = ({ text, query }) => {
+  const terms = (query || '').toLowerCase().split(/[\s"]+/).filter(term => term && !term.startsWith('-'));
+  if (!text || !terms.length) return text || null;
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(\\b(?:${escaped.join('|')})\\w*)`, 'gi');
+  return text.split(pattern).map((part, i) => (i % 2 === 1
+    ? <mark key={i} className="bg-amber-100 text-inherit rounded-sm px-0.5">{part}</mark>
+    : part));
+};
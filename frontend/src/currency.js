@@ -0,0 +1,29 @@
+import { getLocale } from './preferences.js';
+
+// --- CURRENCY HELPERS ---
+// Codes offered in pickers. Any 3-letter ISO 4217 code is accepted by the API.
+export const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'BDT', 'CAD', 'AUD', 'NZD',
+  'CHF', 'SEK', 'NOK', 'DKK', 'SGD', 'HKD', 'AED', 'SAR', 'MXN', 'BRL', 'ZAR'
+];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Adds codes already in use (e.g. from an imported statement) to the picker list
+export const currencyOptions = (...extra) => [...new Set([...CURRENCIES, ...extra.flat().filter(Boolean)])];
+
+const formatters = new Map();
+
+// "$1,234.50", "€12.00", "¥1,200" in the user's locale
+export const formatMoney = (value, currency = DEFAULT_CURRENCY) => {
+  const locale = getLocale();
+  const key = `${locale || ''}|${currency}`;
+  if (!formatters.has(key)) {
+    try {
+      formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+    } catch {
+      formatters.set(key, { format: (n) => `${n.toFixed(2)} ${currency}` });
+    }
+  }
+  return formatters.get(key).format(Number(value) || 0);
+};
@@ -0,0 +1,3 @@
+// Mirrors the server's password rules (backend/utils/passwords.js), for hints shown while typing one
+export const MIN_PASSWORD_LENGTH = 10;
+export const PASSWORD_HINT = `At least ${MIN_PASSWORD_LENGTH} characters mixing upper and lower case, digits or symbols, or a passphrase of 16 or more.`;
@@ -0,0 +1,126 @@
+import { formatDate } from './preferences.js';
+
+// --- PERIOD HELPERS ---
+// A period is { range, date, from, to } where range is one of PERIOD_RANGES,
+// `date` anchors day/week/month/year ranges and `from`/`to` (inclusive) bound a custom one.
+// All dates are kept as local 'YYYY-MM-DD' strings so they survive a round trip through the URL.
+
+export const PERIOD_RANGES = ['day', 'week', 'month', 'year', 'custom', 'all'];
+export const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const parseDay = (str) => {
+  const [y, m, d] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export const formatDay = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Start (inclusive) and end (exclusive) of a period. Weeks start on `weekStart` (a Date#getDay
+// number, Monday by default) and years on the first day of `fiscalStart` (1 = January).
+export const getPeriodBounds = (period, fiscalStart = 1, weekStart = 1) => {
+  if (period.range === 'all') return {};
+  if (period.range === 'custom') {
+    return {
+      from: period.from ? parseDay(period.from) : undefined,
+      to: period.to ? addDays(parseDay(period.to), 1) : undefined
+    };
+  }
+
+  const anchor = parseDay(period.date);
+  const y = anchor.getFullYear(), m = anchor.getMonth(), d = anchor.getDate();
+  switch (period.range) {
+    case 'day': return { from: new Date(y, m, d), to: new Date(y, m, d + 1) };
+    case 'week': {
+      const from = addDays(anchor, -((anchor.getDay() - weekStart + 7) % 7));
+      return { from, to: addDays(from, 7) };
+    }
+    case 'year': {
+      const startYear = m < fiscalStart - 1 ? y - 1 : y;
+      return { from: new Date(startYear, fiscalStart - 1, 1), to: new Date(startYear + 1, fiscalStart - 1, 1) };
+    }
+    default: return { from: new Date(y, m, 1), to: new Date(y, m + 1, 1) };
+  }
+};
+
+// Moves a period one step back (-1) or forward (+1). Custom ranges move by their own length.
+export const shiftPeriod = (period, direction) => {
+  if (period.range === 'all') return period;
+  if (period.range === 'custom') {
+    if (!period.from || !period.to) return period;
+    const from = parseDay(period.from);
+    const to = parseDay(period.to);
+    const span = Math.round((to - from) / 86400000) + 1;
+    return { ...period, from: formatDay(addDays(from, span * direction)), to: formatDay(addDays(to, span * direction)) };
+  }
+
+  const anchor = parseDay(period.date);
+  const y = anchor.getFullYear(), m = anchor.getMonth(), d = anchor.getDate();
+  switch (period.range) {
+    case 'day': return { ...period, date: formatDay(new Date(y, m, d + direction)) };
+    case 'week': return { ...period, date: formatDay(new Date(y, m, d + 7 * direction)) };
+    case 'year': return { ...period, date: formatDay(new Date(y + direction, m, 1)) };
+    default: return { ...period, date: formatDay(new Date(y, m + direction, 1)) };
+  }
+};
+
+export const formatPeriodLabel = (period, fiscalStart = 1, weekStart = 1) => {
+  if (period.range === 'all') return 'All Time';
+
+  const { from, to } = getPeriodBounds(period, fiscalStart, weekStart);
+  const short = { month: 'short', day: 'numeric' };
+  const long = { month: 'short', day: 'numeric', year: 'numeric' };
+  switch (period.range) {
+    case 'day': return formatDate(from, { weekday: 'short', ...long });
+    case 'week': return `${formatDate(from, short)} – ${formatDate(addDays(to, -1), long)}`;
+    case 'month': return formatDate(from, { month: 'long', year: 'numeric' });
+    case 'year': return fiscalStart === 1
+      ? String(from.getFullYear())
+      : `FY ${from.getFullYear()}/${String(from.getFullYear() + 1).slice(-2)}`;
+    default:
+      if (!from || !to) return 'Custom range';
+      return `${formatDate(from, long)} – ${formatDate(addDays(to, -1), long)}`;
+  }
+};
+
+// Reads ?range&date&from&to&fy, falling back to the current month
+export const readPeriodFromUrl = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const range = PERIOD_RANGES.includes(params.get('range')) ? params.get('range') : 'month';
+  const validDay = (value) => (value && DATE_PATTERN.test(value) ? value : undefined);
+  const fy = Number(params.get('fy'));
+
+  return {
+    period: {
+      range,
+      date: validDay(params.get('date')) || formatDay(new Date()),
+      from: validDay(params.get('from')),
+      to: validDay(params.get('to'))
+    },
+    fiscalStart: fy >= 1 && fy <= 12 ? fy : undefined
+  };
+};
+
+// Stores the period in the query string so the view can be bookmarked, leaving other params alone
+export const writePeriodToUrl = (period, fiscalStart) => {
+  const params = new URLSearchParams(window.location.search);
+  ['range', 'date', 'from', 'to', 'fy'].forEach(key => params.delete(key));
+
+  params.set('range', period.range);
+  if (period.range === 'custom') {
+    if (period.from) params.set('from', period.from);
+    if (period.to) params.set('to', period.to);
+  } else if (period.range !== 'all') {
+    params.set('date', period.date);
+  }
+  if (fiscalStart && fiscalStart !== 1) params.set('fy', String(fiscalStart));
+
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
@@ -0,0 +1,21 @@
+// --- DISPLAY PREFERENCES ---
+// The signed-in user's locale, from their settings on the server. Formatting helpers read it from
+// here rather than having it passed through every component; without one the browser's is used.
+
+let locale;
+
+export const getLocale = () => locale;
+
+// Called with the profile whenever it is loaded or saved, before the state update that re-renders
+export const applyPreferences = (profile) => {
+  locale = profile?.locale || undefined;
+};
+
+// Days the week can start on, as Date#getDay numbers
+export const WEEK_START_OPTIONS = [
+  { value: 1, label: 'Monday' },
+  { value: 0, label: 'Sunday' },
+  { value: 6, label: 'Saturday' }
+];
+
+export const formatDate = (value, options) => new Date(value).toLocaleDateString(locale, options);
@@ -0,0 +1,74 @@
+// --- SHARED EXPENSE HELPERS ---
+// In the form an expense shared between people is { method, paidBy, participants } where paidBy
+// is the index of the participant who paid and each participant is { name, userId, shares, amount }
+// as typed. The API takes paidBy as a name and works out every part itself, see normalizeSharing.
+
+export const SHARE_METHODS = [
+  { value: 'equal', label: 'Equally' },
+  { value: 'shares', label: 'By shares' },
+  { value: 'exact', label: 'Exact amounts' }
+];
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+// Divides `cents` in proportion to `weights`, the rounding cents going to the largest remainders
+const allocateCents = (cents, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!(total > 0)) return weights.map(() => 0);
+  const parts = weights.map(weight => Math.floor((cents * weight) / total));
+  const order = weights
+    .map((weight, i) => ({ i, rest: (cents * weight) / total - parts[i] }))
+    .sort((a, b) => b.rest - a.rest || a.i - b.i);
+  let left = cents - parts.reduce((sum, part) => sum + part, 0);
+  for (let k = 0; left > 0; k++, left--) parts[order[k % order.length].i]++;
+  return parts;
+};
+
+// Every participant's part of `amount`, in cents
+export const sharingParts = (sharing, amount) => {
+  if (sharing.method === 'exact') return sharing.participants.map(p => toCents(p.amount));
+  const weights = sharing.participants.map(p => (sharing.method === 'shares' ? Number(p.shares) || 0 : 1));
+  return allocateCents(toCents(amount), weights);
+};
+
+// What is still unassigned with exact amounts (negative when over), in cents
+export const sharingRemainder = (sharing, amount) => (
+  toCents(amount) - sharingParts(sharing, amount).reduce((sum, part) => sum + part, 0)
+);
+
+// A new shared expense starts with the user, who paid, and one other person
+export const newSharing = (user) => ({
+  method: 'equal',
+  paidBy: 0,
+  participants: [
+    { name: user.name, userId: user.id, shares: '1', amount: '' },
+    { name: '', userId: null, shares: '1', amount: '' }
+  ]
+});
+
+// Form state from a saved expense's sharing
+export const sharingToForm = (sharing) => ({
+  method: sharing.method,
+  paidBy: Math.max(sharing.participants.findIndex(p => p.name === sharing.paidBy), 0),
+  participants: sharing.participants.map(p => ({
+    name: p.name,
+    userId: p.userId || null,
+    shares: p.shares !== undefined && p.shares !== null ? String(p.shares) : '1',
+    amount: String(p.amount)
+  }))
+});
+
+// The request body for the form state
+export const sharingToPayload = (sharing, amount) => {
+  const parts = sharingParts(sharing, amount);
+  return {
+    method: sharing.method,
+    paidBy: sharing.participants[sharing.paidBy]?.name.trim(),
+    participants: sharing.participants.map((p, i) => ({
+      name: p.name.trim(),
+      ...(p.userId ? { userId: p.userId } : {}),
+      ...(sharing.method === 'shares' ? { shares: Number(p.shares) } : {}),
+      amount: parts[i] / 100
+    }))
+  };
+};